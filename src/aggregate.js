@@ -0,0 +1,689 @@
+import { collectionExists } from "./catalog.js";
+import { isPlainObject, serialize } from "./codec.js";
+import { BadValue, IndexNotFound } from "./errors.js";
+import { compileFilter } from "./filter.js";
+import { geoIndexes } from "./geo.js";
+import { isSoftDelete } from "./history.js";
+import { collectionIdentifier, sqlPath, sqlString } from "./paths.js";
+import { compileProjection, compileSort, requireTextScore } from "./cursor.js";
+import { filterTextScore, isTextScore } from "./text.js";
+
+/**
+ * Aggregation pipeline compiler.
+ *
+ * Every stage is compiled into a SELECT that produces one `document` JSON column
+ * and wraps the previous stage as a subquery, so the whole pipeline runs as a
+ * single SQL statement. Leading `$match` stages filter the collection table
+ * directly, which lets them use its indexes.
+ *
+ * SQLite may drop the ORDER BY of a subquery, so a stage that orders its
+ * documents (`$sort`, `$geoNear`, and `$limit` and `$skip`, which keep the
+ * order they read) numbers them in an `ord` column instead. The
+ * stages after it carry `ord` through and end with `ORDER BY ord`, which the
+ * outermost query then honours.
+ *
+ * Supported stages: `$match`, `$group`, `$sort`, `$limit`, `$skip`, `$project`,
+ * `$addFields` (`$set`), `$unset`, `$unwind`, `$lookup`, `$count`, `$facet`,
+ * `$replaceRoot`, `$replaceWith` and `$geoNear`.
+ *
+ * `$group` accumulators: `$sum`, `$avg`, `$min`, `$max`, `$count`, `$push`,
+ * `$addToSet`, `$first` and `$last`. The group `_id` may be any expression,
+ * including a compound key such as `{ country: "$country", year: "$year" }`.
+ * The original shorthand `{ _id: "country", total: { $sum: "age" } }` (field
+ * names without `$`) is still accepted and reports the key as `groupKey`.
+ *
+ * Expressions understand field paths (`"$a.b"`, `"$$ROOT"`), literals, object
+ * and array literals, `$literal`, `$add`, `$subtract`, `$multiply`, `$divide`,
+ * `$mod`, `$concat`, `$toUpper`, `$toLower`, `$ifNull`, `$size`, `$cond`,
+ * `$and`, `$or`, `$not` and the comparisons `$eq`, `$ne`, `$gt`, `$gte`, `$lt`,
+ * `$lte`.
+ *
+ * A leading `$match` may use `$text`; `{ $meta: "textScore" }` is then available
+ * as a whole field value in `$sort`, `$project` and `$addFields`, for as long as
+ * the documents keep their `_id`.
+ */
+
+const ACCUMULATORS = {
+  $sum: (value, arg) =>
+    typeof arg === "number"
+      ? { sql: `SUM(${arg})` }
+      : { sql: `COALESCE(SUM(${numeric(value)}), 0)` },
+  $avg: (value) => ({ sql: `AVG(${numeric(value)})` }),
+  $min: (value) => ({ sql: `MIN(${value})`, tagged: true }),
+  $max: (value) => ({ sql: `MAX(${value})`, tagged: true }),
+  $count: () => ({ sql: "COUNT(*)" }),
+  $push: (value, arg, json) => ({
+    sql: `json_group_array(json(${json}) ORDER BY ord) FILTER (WHERE ${json} IS NOT NULL)`,
+    json: true,
+  }),
+  $addToSet: (value, arg, json) => ({
+    sql: `json_group_array(DISTINCT json(${json})) FILTER (WHERE ${json} IS NOT NULL)`,
+    json: true,
+  }),
+  $first: (value, arg, json) => ({
+    sql: `json_group_array(json(${json}) ORDER BY ord) -> '$[0]'`,
+    json: true,
+  }),
+  $last: (value, arg, json) => ({
+    sql: `json_group_array(json(${json}) ORDER BY ord) -> '$[#-1]'`,
+    json: true,
+  }),
+};
+
+const ARITHMETIC = {
+  $add: "+",
+  $subtract: "-",
+  $multiply: "*",
+  $mod: "%",
+};
+
+const COMPARISONS = {
+  $eq: "=",
+  $ne: "!=",
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<=",
+};
+
+/**
+ * Compiles an aggregation pipeline into a single SQL statement.
+ *
+ * @param {string} collectionName - Collection the pipeline runs on.
+ * @param {object[]} pipeline - The pipeline stages.
+ * @param {object} [options] - Compiler options.
+ * @param {string} [options.source] - A SELECT producing a `document` column to run on instead of the collection table; its parameters come before the returned ones.
+ * @param {object} [options.db] - The SQLite connection, to look up the geospatial indexes `$geoNear` and geospatial `$match` filters use, and the collections `$lookup` joins.
+ * @returns {{ sql: string, params: any[], ordered?: boolean }} - A SELECT returning a `document` JSON column, and its parameters; with `ordered`, it also returns the `ord` column it is ordered by.
+ */
+export function compilePipeline(collectionName, pipeline, options = {}) {
+  if (!Array.isArray(pipeline)) {
+    throw new BadValue("Pipeline must be an array of stages");
+  }
+
+  const stages = [...pipeline];
+  if (isPlainObject(stages[0]) && "$geoNear" in stages[0]) {
+    let query = compileGeoNear(
+      collectionName,
+      stages.shift().$geoNear,
+      options
+    );
+    for (const stage of stages) query = compileStage(stage, query, options);
+    return query;
+  }
+
+  const matches = [];
+  while (stages.length > 0 && stages[0] && "$match" in stages[0]) {
+    matches.push(stages.shift().$match);
+  }
+
+  // Compiled even without a `$match`, which leaves out soft-deleted documents
+  const base = compileFilter(matches.length > 0 ? { $and: matches } : {}, {
+    idColumn: options.source ? null : "_id",
+    collectionName: options.source ? undefined : collectionName,
+    db: options.source ? undefined : options.db,
+  });
+  if (base.near) {
+    throw new BadValue(
+      "$near and $nearSphere are not allowed in $match; use $geoNear"
+    );
+  }
+  const from = options.source
+    ? `(${options.source}) AS source`
+    : collectionIdentifier(collectionName);
+  let query = {
+    sql: `SELECT document FROM ${from} WHERE ${base.sql}`,
+    params: base.params,
+    // Later stages only see `document`, so the score is looked up by its `_id`
+    textScore: filterTextScore(
+      collectionName,
+      base,
+      "json_extract(document, '$._id')"
+    ),
+  };
+
+  for (const stage of stages) {
+    query = compileStage(stage, query, options);
+  }
+  return query;
+}
+
+// `$geoNear` filters the collection through `$near` or `$nearSphere` on its
+// geospatial index and writes each document's distance into `distanceField`
+function compileGeoNear(collectionName, spec, options) {
+  if (options.source || !options.db) {
+    throw new BadValue(
+      "$geoNear is only allowed in a pipeline on a collection"
+    );
+  }
+  if (!isPlainObject(spec) || spec.near === undefined) {
+    throw new BadValue("$geoNear needs near");
+  }
+  if (
+    typeof spec.distanceField !== "string" ||
+    spec.distanceField === "" ||
+    spec.distanceField.startsWith("$")
+  ) {
+    throw new BadValue("$geoNear needs a distanceField");
+  }
+  const multiplier = spec.distanceMultiplier ?? 1;
+  if (typeof multiplier !== "number" || !Number.isFinite(multiplier)) {
+    throw new BadValue("distanceMultiplier must be a number");
+  }
+
+  let key = spec.key;
+  if (key === undefined) {
+    const fields = [...geoIndexes(options.db, collectionName).keys()];
+    if (fields.length === 0) {
+      throw new IndexNotFound(
+        `$geoNear needs a 2dsphere index on "${collectionName}"`
+      );
+    }
+    if (fields.length > 1) {
+      throw new BadValue(
+        `"${collectionName}" has more than one 2dsphere index; set key`
+      );
+    }
+    key = fields[0];
+  }
+
+  // GeoJSON points are always spherical; legacy pairs only with `spherical`
+  const geoJson = isPlainObject(spec.near);
+  const operator = geoJson || spec.spherical ? "$nearSphere" : "$near";
+  const limits = {
+    ...(spec.maxDistance !== undefined && { $maxDistance: spec.maxDistance }),
+    ...(spec.minDistance !== undefined && { $minDistance: spec.minDistance }),
+  };
+  const near = geoJson
+    ? { [operator]: { $geometry: spec.near, ...limits } }
+    : { [operator]: spec.near, ...limits };
+  const filter = compileFilter(
+    { $and: [spec.query ?? {}, { [key]: near }] },
+    { collectionName, db: options.db }
+  );
+  if (filter.text) {
+    throw new BadValue("$text is not allowed in the query of $geoNear");
+  }
+
+  const fields = [
+    `${sqlPath(spec.distanceField)}, ${filter.near.distance} * ${multiplier}`,
+  ];
+  if (spec.includeLocs !== undefined) {
+    fields.push(
+      `${sqlPath(spec.includeLocs)}, json(document -> ${sqlPath(key)})`
+    );
+  }
+  return {
+    sql: `SELECT json_set(document, ${fields.join(
+      ", "
+    )}) AS document, row_number() OVER (ORDER BY ${
+      filter.near.distance
+    }) AS ord FROM ${collectionIdentifier(collectionName)} WHERE ${
+      filter.sql
+    } ORDER BY ord`,
+    params: filter.params,
+    textScore: undefined,
+    ordered: true,
+  };
+}
+
+function compileStage(stage, input, options = {}) {
+  const names = Object.keys(stage || {});
+  if (names.length !== 1) {
+    throw new BadValue("A pipeline stage must have exactly one field");
+  }
+
+  const [name] = names;
+  const spec = stage[name];
+  const from = `(${input.sql}) AS input`;
+  // Stages that keep the documents in order pass `ord` on
+  const order = input.ordered
+    ? { column: ", input.ord AS ord", clause: " ORDER BY input.ord" }
+    : { column: "", clause: "" };
+  const wrap = (sql, params = [], ordered = input.ordered) => ({
+    sql,
+    params: [...input.params, ...params],
+    textScore: input.textScore,
+    ordered,
+  });
+
+  switch (name) {
+    case "$match": {
+      const filter = compileFilter(spec, { idColumn: null });
+      return wrap(
+        `SELECT document${order.column} FROM ${from} WHERE ${filter.sql}${order.clause}`,
+        filter.params
+      );
+    }
+    case "$sort": {
+      // Ties keep the order they had
+      const terms = compileSort(spec, {
+        textScore: input.textScore,
+      });
+      return wrap(
+        `SELECT document, row_number() OVER (ORDER BY ${terms}${
+          input.ordered ? ", input.ord" : ""
+        }) AS ord FROM ${from} ORDER BY ord`,
+        [],
+        true
+      );
+    }
+    case "$limit":
+    case "$skip": {
+      const count = assertCount(spec, name);
+      // Without an order SQLite may take any rows, even after folding a later
+      // ORDER BY in, so they are numbered in the order they are read
+      const source = input.ordered
+        ? from
+        : `(SELECT document, row_number() OVER () AS ord FROM ${from}) AS input`;
+      return wrap(
+        `SELECT document, input.ord AS ord FROM ${source} ORDER BY input.ord ${
+          name === "$limit" ? `LIMIT ${count}` : `LIMIT -1 OFFSET ${count}`
+        }`,
+        [],
+        true
+      );
+    }
+    case "$project":
+      return wrap(
+        `SELECT ${compileProjection(spec, {
+          expression: jsonExpression,
+          textScore: input.textScore,
+        })} AS document${order.column} FROM ${from}${order.clause}`
+      );
+    case "$addFields":
+    case "$set": {
+      const assignments = Object.entries(spec).map(
+        ([field, expression]) =>
+          `${sqlPath(field)}, ${
+            isTextScore(expression)
+              ? requireTextScore(input)
+              : jsonExpression(expression)
+          }`
+      );
+      return wrap(
+        `SELECT json_set(document, ${assignments.join(", ")}) AS document${
+          order.column
+        } FROM ${from}${order.clause}`
+      );
+    }
+    case "$unset": {
+      const fields = Array.isArray(spec) ? spec : [spec];
+      return wrap(
+        `SELECT json_remove(document, ${fields
+          .map(sqlPath)
+          .join(", ")}) AS document${order.column} FROM ${from}${order.clause}`
+      );
+    }
+    case "$replaceRoot":
+    case "$replaceWith": {
+      const root = name === "$replaceRoot" ? spec.newRoot : spec;
+      return wrap(
+        `SELECT json(${jsonExpression(root)}) AS document${
+          order.column
+        } FROM ${from}${order.clause}`
+      );
+    }
+    case "$count":
+      if (typeof spec !== "string" || spec === "" || spec.startsWith("$")) {
+        throw new BadValue("$count needs a field name");
+      }
+      return wrap(
+        `SELECT json_object(${sqlString(
+          spec
+        )}, total) AS document FROM (SELECT COUNT(*) AS total FROM ${from}) WHERE total > 0`,
+        [],
+        false
+      );
+    case "$unwind":
+      return wrap(compileUnwind(spec, from, input.ordered));
+    case "$lookup":
+      return wrap(compileLookup(spec, from, order, options));
+    case "$group":
+      return wrap(compileGroup(spec, from, input.ordered), [], false);
+    case "$facet":
+      return compileFacet(spec, input, options);
+    case "$geoNear":
+      throw new BadValue("$geoNear is only valid as the first stage");
+    default:
+      throw new BadValue(`Unsupported pipeline stage: ${name}`);
+  }
+}
+
+function assertCount(count, name) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new BadValue(`${name} must be a nonnegative integer`);
+  }
+  return count;
+}
+
+function fieldPath(reference, name) {
+  if (typeof reference !== "string" || !reference.startsWith("$")) {
+    throw new BadValue(`${name} needs a field path starting with "$"`);
+  }
+  return sqlPath(reference.slice(1));
+}
+
+function compileUnwind(spec, from, ordered) {
+  const options = typeof spec === "string" ? { path: spec } : spec;
+  const path = fieldPath(options.path, "$unwind");
+
+  // Arrays produce one row per element; other values pass through unchanged,
+  // and an empty array kept by `preserveNullAndEmptyArrays` loses its field
+  let document = `CASE WHEN each.key IS NOT NULL THEN json_set(input.document, ${path}, input.document -> each.fullkey) WHEN json_type(input.document, ${path}) = 'array' THEN json_remove(input.document, ${path}) ELSE input.document END`;
+  if (options.includeArrayIndex) {
+    document = `json_set(${document}, ${sqlPath(
+      options.includeArrayIndex
+    )}, each.key)`;
+  }
+
+  const where = options.preserveNullAndEmptyArrays
+    ? ""
+    : `WHERE each.key IS NOT NULL OR json_type(input.document, ${path}) NOT IN ('array', 'null')`;
+  // Elements follow each other within the place of their document
+  const order = ordered
+    ? ", row_number() OVER (ORDER BY input.ord, each.key) AS ord"
+    : "";
+  return `SELECT ${document} AS document${order} FROM ${from}
+    LEFT JOIN json_each(input.document, ${path}) AS each ON json_type(input.document, ${path}) = 'array'
+    ${where}${ordered ? " ORDER BY ord" : ""}`;
+}
+
+// Tombstones of a soft-delete foreign collection are left out, as in `find`
+function compileLookup(spec, from, order, options) {
+  const { from: foreign, localField, foreignField, as } = spec;
+  if (spec.pipeline) {
+    throw new BadValue("$lookup with a pipeline is not supported");
+  }
+  if (!foreign || !localField || !foreignField || !as) {
+    throw new BadValue("$lookup needs from, localField, foreignField and as");
+  }
+
+  // A collection that does not exist joins nothing, as in MongoDB
+  if (options.db && !collectionExists(options.db, foreign)) {
+    collectionIdentifier(foreign);
+    return `SELECT json_set(input.document, ${sqlPath(
+      as
+    )}, json('[]')) AS document${order.column} FROM ${from}${order.clause}`;
+  }
+
+  const foreignValue =
+    foreignField === "_id"
+      ? "joined._id"
+      : `json_extract(joined.document, ${sqlPath(foreignField)})`;
+  // Local arrays match any of their elements, like MongoDB
+  const matches = `(SELECT json_group_array(json(joined.document)) FROM ${collectionIdentifier(
+    foreign
+  )} AS joined
+    WHERE ${foreignValue} IN (SELECT value FROM json_each(input.document, ${sqlPath(
+    localField
+  )}))${
+    options.db && isSoftDelete(options.db, foreign)
+      ? " AND joined.deleted_at IS NULL"
+      : ""
+  })`;
+  return `SELECT json_set(input.document, ${sqlPath(
+    as
+  )}, json(${matches})) AS document${order.column} FROM ${from}${order.clause}`;
+}
+
+function compileGroup(spec, from, ordered) {
+  if (typeof spec !== "object" || spec === null || !("_id" in spec)) {
+    throw new BadValue("$group stage must include an _id field for grouping.");
+  }
+
+  const { _id: key, ...accumulators } = spec;
+  // `{ _id: "country" }` is the original shorthand: a bare field name, reported as `groupKey`
+  const legacy = typeof key === "string" && !key.startsWith("$");
+  const operand = (arg) =>
+    legacy && typeof arg === "string" && !arg.startsWith("$") ? `$${arg}` : arg;
+
+  const columns = [
+    `${
+      key === null ? "NULL" : jsonExpression(legacy ? `$${key}` : key)
+    } AS key`,
+  ];
+  const members = [`${sqlString(legacy ? "groupKey" : "_id")}, json(key)`];
+
+  Object.entries(accumulators).forEach(([field, operation], index) => {
+    if (typeof operation !== "object" || operation === null) {
+      throw new BadValue(`Invalid aggregation for field ${field}.`);
+    }
+    const [op, arg] = Object.entries(operation)[0] || [];
+    if (!ACCUMULATORS[op]) {
+      throw new BadValue(`Unsupported aggregation operator: ${op}`);
+    }
+
+    const accumulator = ACCUMULATORS[op](
+      valueExpression(operand(arg)),
+      arg,
+      jsonExpression(operand(arg))
+    );
+    columns.push(`${accumulator.sql} AS a${index}`);
+    // The text of a date (or another codec type) is turned back into its object
+    const result = accumulator.json
+      ? `json(a${index})`
+      : accumulator.tagged
+      ? `iif(a${index} LIKE '{"$%', json(a${index}), a${index})`
+      : `a${index}`;
+    members.push(`${sqlString(field)}, ${result}`);
+  });
+
+  // `ord` keeps the input order for $push, $first and $last
+  return `SELECT json_object(${members.join(", ")}) AS document FROM (
+    SELECT ${columns.join(", ")}
+    FROM (SELECT document, row_number() OVER (${
+      ordered ? "ORDER BY input.ord" : ""
+    }) AS ord FROM ${from})
+    GROUP BY key
+  )`;
+}
+
+function compileFacet(spec, input, options) {
+  const params = [];
+  const members = Object.entries(spec).map(([name, stages]) => {
+    if (!Array.isArray(stages)) {
+      throw new BadValue(`$facet "${name}" needs an array of stages`);
+    }
+    let query = input;
+    for (const stage of stages) {
+      query = compileStage(stage, query, options);
+    }
+    params.push(...query.params);
+    return `${sqlString(name)}, json((SELECT json_group_array(json(document)${
+      query.ordered ? " ORDER BY ord" : ""
+    }) FROM (${query.sql})))`;
+  });
+  return {
+    sql: `SELECT json_object(${members.join(", ")}) AS document`,
+    params,
+  };
+}
+
+function numeric(value) {
+  return `CASE WHEN typeof(${value}) IN ('integer', 'real') THEN ${value} END`;
+}
+
+function isOperator(expression) {
+  const keys = Object.keys(expression);
+  return keys.length === 1 && keys[0].startsWith("$");
+}
+
+/**
+ * Compiles an aggregation expression into SQL producing a JSON value, suitable
+ * for `json_object`, `json_set` and `json_group_array`.
+ *
+ * @param {any} expression - Field path, literal or expression operator.
+ * @returns {string} - The SQL expression.
+ */
+export function jsonExpression(expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    if (expression === "$$ROOT" || expression === "$$CURRENT") {
+      return "json(document)";
+    }
+    return `(document -> ${sqlPath(expression.slice(1))})`;
+  }
+  if (expression === null || expression === undefined) {
+    return "json('null')";
+  }
+  if (typeof expression === "boolean") {
+    return `json('${expression}')`;
+  }
+  if (typeof expression === "number") {
+    return literalNumber(expression);
+  }
+  if (typeof expression === "string") {
+    return `json_quote(${sqlString(expression)})`;
+  }
+  if (isCodecValue(expression)) {
+    return `json(${sqlString(serialize(expression))})`;
+  }
+  if (Array.isArray(expression)) {
+    return `json_array(${expression.map(jsonExpression).join(", ")})`;
+  }
+  if (isOperator(expression)) {
+    return compileOperator(expression).json;
+  }
+  return `json_object(${Object.entries(expression)
+    .map(([key, value]) => `${sqlString(key)}, ${jsonExpression(value)}`)
+    .join(", ")})`;
+}
+
+/**
+ * Compiles an aggregation expression into SQL producing a plain SQL value, for
+ * arithmetic and comparisons.
+ *
+ * @param {any} expression - Field path, literal or expression operator.
+ * @returns {string} - The SQL expression.
+ */
+export function valueExpression(expression) {
+  if (typeof expression === "string" && expression.startsWith("$")) {
+    if (expression === "$$ROOT" || expression === "$$CURRENT") {
+      return "document";
+    }
+    return `(document ->> ${sqlPath(expression.slice(1))})`;
+  }
+  if (expression === null || expression === undefined) {
+    return "NULL";
+  }
+  if (typeof expression === "boolean") {
+    return expression ? "1" : "0";
+  }
+  if (typeof expression === "number") {
+    return literalNumber(expression);
+  }
+  if (typeof expression === "string") {
+    return sqlString(expression);
+  }
+  if (isCodecValue(expression)) {
+    // The same text `->>` reads from a stored date, ObjectId, ...
+    return typeof expression === "bigint"
+      ? String(expression)
+      : sqlString(serialize(expression));
+  }
+  if (!Array.isArray(expression) && isOperator(expression)) {
+    return compileOperator(expression).value;
+  }
+  return jsonExpression(expression);
+}
+
+// Dates, BigInts, ObjectIds, ...: literals that plain JSON cannot hold
+function isCodecValue(expression) {
+  return (
+    typeof expression === "bigint" ||
+    (typeof expression === "object" &&
+      !Array.isArray(expression) &&
+      !isPlainObject(expression))
+  );
+}
+
+function literalNumber(value) {
+  if (!Number.isFinite(value)) {
+    throw new BadValue(`Unsupported numeric literal: ${value}`);
+  }
+  return String(value);
+}
+
+function booleanJson(condition) {
+  return `json(CASE WHEN ${condition} THEN 'true' ELSE 'false' END)`;
+}
+
+function compileOperator(expression) {
+  const [[operator, arg]] = Object.entries(expression);
+  const args = Array.isArray(arg) ? arg : [arg];
+  const values = () => args.map(valueExpression);
+
+  if (operator === "$literal") {
+    const json = `json(${sqlString(serialize(arg ?? null))})`;
+    if (typeof arg === "string") return { value: sqlString(arg), json };
+    if (typeof arg !== "object" || arg === null) {
+      return { value: valueExpression(arg), json };
+    }
+    return { value: json, json };
+  }
+  if (ARITHMETIC[operator]) {
+    const value = `(${values().join(` ${ARITHMETIC[operator]} `)})`;
+    return { value, json: value };
+  }
+  if (operator === "$divide") {
+    const [dividend, divisor] = values();
+    const value = `(${dividend} * 1.0 / ${divisor})`;
+    return { value, json: value };
+  }
+  if (operator === "$concat") {
+    const value = `(${values().join(" || ")})`;
+    return { value, json: `json_quote(${value})` };
+  }
+  if (operator === "$toUpper" || operator === "$toLower") {
+    const value = `${operator === "$toUpper" ? "upper" : "lower"}(${
+      values()[0]
+    })`;
+    return { value, json: `json_quote(${value})` };
+  }
+  if (operator === "$size") {
+    const value = `json_array_length(${jsonExpression(args[0])})`;
+    return { value, json: value };
+  }
+  if (operator === "$ifNull") {
+    const [candidate, fallback] = args;
+    const missing = `${jsonExpression(
+      candidate
+    )} IS NULL OR json_type(${jsonExpression(candidate)}) = 'null'`;
+    return {
+      value: `CASE WHEN ${missing} THEN ${valueExpression(
+        fallback
+      )} ELSE ${valueExpression(candidate)} END`,
+      json: `CASE WHEN ${missing} THEN ${jsonExpression(
+        fallback
+      )} ELSE ${jsonExpression(candidate)} END`,
+    };
+  }
+  if (operator === "$cond") {
+    const [condition, then, otherwise] = Array.isArray(arg)
+      ? arg
+      : [arg.if, arg.then, arg.else];
+    const test = valueExpression(condition);
+    return {
+      value: `CASE WHEN ${test} THEN ${valueExpression(
+        then
+      )} ELSE ${valueExpression(otherwise)} END`,
+      json: `CASE WHEN ${test} THEN ${jsonExpression(
+        then
+      )} ELSE ${jsonExpression(otherwise)} END`,
+    };
+  }
+  if (COMPARISONS[operator]) {
+    const [left, right] = values();
+    const value = `(${left} ${COMPARISONS[operator]} ${right})`;
+    return { value, json: booleanJson(value) };
+  }
+  if (operator === "$and" || operator === "$or") {
+    const value = `(${values().join(` ${operator.slice(1).toUpperCase()} `)})`;
+    return { value, json: booleanJson(value) };
+  }
+  if (operator === "$not") {
+    const value = `(NOT ${values()[0]})`;
+    return { value, json: booleanJson(value) };
+  }
+  throw new BadValue(`Unsupported expression operator: ${operator}`);
+}
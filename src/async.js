@@ -0,0 +1,270 @@
+/**
+ * Promise-based docstore: `sqliteDocstore.open()`.
+ *
+ * The same methods as `init`, each returning a Promise, so large queries no
+ * longer block the event loop. Queries run on a pool of `worker_threads`, each
+ * with its own read-only connection; every write goes to a single writer
+ * thread, which runs them one at a time in the order they were called. A query
+ * waits for the writes called before it, so it always sees them.
+ *
+ * Arguments and results cross threads as Extended JSON, keeping dates, big
+ * integers, binaries, regexes and ObjectIds, and errors are rebuilt as the same
+ * `DocstoreError` subclass. `find` resolves to the array of documents and
+ * `exportCollection` to the array of lines. `watch`, sessions and
+ * `withTransaction` need callbacks or live objects on the calling thread and
+ * are only available from `init`.
+ *
+ * An in-memory database cannot be shared between threads, so without a file
+ * the writer thread answers the queries too.
+ *
+ * @example
+ * const db = await sqliteDocstore.open("data.db", { journalMode: "wal" });
+ * await db.insertOne("orders", { total: 12 });
+ * const orders = await db.find("orders", { total: { $gt: 10 } });
+ * await db.close();
+ */
+
+import { Worker } from "node:worker_threads";
+import { deserialize, serialize } from "./codec.js";
+import { collectionHandle } from "./collection.js";
+import * as errors from "./errors.js";
+import { createLogger } from "./logger.js";
+
+const { BadValue, DocstoreError, IllegalOperation } = errors;
+
+const WORKER_URL = new URL("./worker.js", import.meta.url);
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const DEFAULT_READERS = 2;
+
+// Methods that only read, and may run on any reader
+const READ_METHODS = [
+  "find",
+  "findOne",
+  "findById",
+  "listVersions",
+  "findWithIn",
+  "findWithRegex",
+  "countDocuments",
+  "distinct",
+  "aggregate",
+  "listIndexes",
+  "listCollections",
+  "stats",
+  "exportCollection",
+  "dump",
+];
+
+// Methods that go to the writer, in call order
+const WRITE_METHODS = [
+  "createCollection",
+  "collMod",
+  "createIndex",
+  "dropIndex",
+  "dropIndexes",
+  "insertOne",
+  "insertMany",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "renameCollection",
+  "dropCollection",
+  "importCollection",
+  "restore",
+  "bulkWrite",
+  "restoreVersion",
+  "rotateEncryptionKey",
+  "backup",
+];
+
+/**
+ * Starts the writer and reader threads and resolves once all of them have
+ * opened the database.
+ *
+ * @param {string|null} fileName - SQLite file name; `null` for an in-memory database served by the writer alone.
+ * @param {object} [options] - The `init` options, plus `readers`, the number of query threads (default 2). `generateId` must be `"uuid"` or `"objectId"` and `encryption.keyProvider` an object, since functions cannot cross threads.
+ * @returns {Promise<object>} - The docstore methods, each returning a Promise, and `close()`.
+ */
+export async function openDocstore(fileName = null, options = {}) {
+  const { logger: loggerOption, readers = DEFAULT_READERS, ...init } = options;
+  if (typeof init.generateId === "function") {
+    throw new BadValue(
+      'generateId must be "uuid" or "objectId" when the docstore runs on worker threads'
+    );
+  }
+  if (typeof init.encryption?.keyProvider === "function") {
+    throw new BadValue(
+      "encryption.keyProvider must be an object of keys by id when the docstore runs on worker threads"
+    );
+  }
+  if (!Number.isInteger(readers) || readers < 0) {
+    throw new BadValue("readers must be a nonnegative integer");
+  }
+  const logger = createLogger(loggerOption);
+
+  const writer = await startWorker(fileName, init, logger);
+  const pool = [];
+  if (fileName && readers > 0) {
+    const { journalMode, ...readerOptions } = init;
+    try {
+      for (let index = 0; index < readers; index++) {
+        pool.push(
+          await startWorker(
+            fileName,
+            { ...readerOptions, readonly: true },
+            logger
+          )
+        );
+      }
+    } catch (err) {
+      await Promise.all([writer, ...pool].map((worker) => worker.close()));
+      throw err;
+    }
+  }
+
+  let closed = false;
+  // Settles once every write called so far has run
+  let writes = Promise.resolve();
+
+  const write = (method, args) => {
+    const result = writer.call(method, args);
+    writes = result.catch(() => {});
+    return result;
+  };
+
+  const read = async (method, args) => {
+    await writes;
+    if (pool.length === 0) return writer.call(method, args);
+    const reader = pool.reduce((idlest, worker) =>
+      worker.pending < idlest.pending ? worker : idlest
+    );
+    return reader.call(method, args);
+  };
+
+  const methods = {};
+  for (const method of [...READ_METHODS, ...WRITE_METHODS]) {
+    const run = READ_METHODS.includes(method) ? read : write;
+    methods[method] = (...args) =>
+      closed
+        ? Promise.reject(new IllegalOperation("The docstore is closed"))
+        : run(method, args);
+  }
+
+  methods.collection = (collectionName) =>
+    collectionHandle(methods, collectionName);
+
+  methods.close = async () => {
+    if (closed) return;
+    closed = true;
+    await Promise.all([writer, ...pool].map((worker) => worker.close()));
+  };
+
+  return methods;
+}
+
+// Starts one worker and resolves to a handle once its connection is open
+function startWorker(fileName, options, logger) {
+  const worker = new Worker(WORKER_URL, {
+    workerData: { fileName, options, logLevels: LOG_LEVELS },
+  });
+  const calls = new Map();
+  let nextId = 1;
+  let exited = false;
+
+  const handle = {
+    get pending() {
+      return calls.size;
+    },
+
+    call(method, args) {
+      if (exited) {
+        return Promise.reject(
+          new DocstoreError("The docstore worker thread has stopped")
+        );
+      }
+      const id = nextId++;
+      const message = {
+        id,
+        method,
+        args: args.map((arg) =>
+          arg === undefined ? undefined : serialize(arg)
+        ),
+      };
+      return new Promise((resolve, reject) => {
+        if (calls.size === 0) worker.ref();
+        calls.set(id, { resolve, reject });
+        worker.postMessage(message);
+      });
+    },
+
+    async close() {
+      if (exited) return;
+      await handle.call("close", []).catch(() => {});
+      await worker.terminate();
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    worker.on("message", (message) => {
+      if (message.log) {
+        logger[message.log](...message.args);
+        return;
+      }
+      if ("ready" in message) {
+        if (message.ready) {
+          // Idle workers do not keep the process alive
+          worker.unref();
+          resolve(handle);
+        } else {
+          reject(decodeError(message.error));
+          worker.terminate();
+        }
+        return;
+      }
+      const call = calls.get(message.id);
+      if (!call) return;
+      calls.delete(message.id);
+      if (calls.size === 0) worker.unref();
+      if (message.error) {
+        call.reject(decodeError(message.error));
+      } else {
+        call.resolve(
+          message.result === undefined ? undefined : deserialize(message.result)
+        );
+      }
+    });
+
+    worker.on("error", (err) => {
+      logger.error("Docstore worker thread failed", err);
+      reject(err);
+    });
+
+    worker.on("exit", () => {
+      exited = true;
+      const err = new DocstoreError("The docstore worker thread has stopped");
+      for (const call of calls.values()) call.reject(err);
+      calls.clear();
+      reject(err);
+    });
+  });
+}
+
+// Rebuilds an error thrown on a worker thread as the same class on this one
+function decodeError({ name, message, stack, properties }) {
+  const ErrorClass =
+    errors[name] === DocstoreError ||
+    errors[name]?.prototype instanceof DocstoreError
+      ? errors[name]
+      : globalThis[name]?.prototype instanceof Error
+      ? globalThis[name]
+      : Error;
+  const err = new Error(message);
+  Object.setPrototypeOf(err, ErrorClass.prototype);
+  Object.assign(err, deserialize(properties));
+  if (stack) err.stack = stack;
+  return err;
+}
@@ -0,0 +1,309 @@
+/**
+ * BSON encoding, for the wire protocol server.
+ *
+ * Values map onto the same JavaScript types the codec stores: BSON dates are
+ * `Date`s, ObjectIds are `ObjectId`s, binaries are `Buffer`s (`EncryptedValue`s
+ * for the encrypted subtype 6) and regular expressions are `RegExp`s. Numbers are written as 32-bit integers when they
+ * fit and as doubles otherwise, `BigInt`s as 64-bit integers. A 64-bit integer
+ * reads back as a number when it is a safe integer and as a `BigInt` otherwise.
+ *
+ * Decimal128, JavaScript code, MinKey and MaxKey have no counterpart in the
+ * docstore and are rejected.
+ */
+
+import { EncryptedValue, ObjectId, isPlainObject } from "./codec.js";
+import { BadValue } from "./errors.js";
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+// Flags that both BSON and JavaScript regular expressions know
+const REGEX_FLAGS = /[imsu]/g;
+
+/**
+ * Encodes a document as BSON.
+ *
+ * @param {object} document - The document; `undefined` members are left out.
+ * @returns {Buffer} - The BSON bytes.
+ */
+export function encodeBson(document) {
+  const chunks = [];
+  writeDocument(chunks, document);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Decodes a BSON document.
+ *
+ * @param {Buffer} buffer - Bytes holding the document.
+ * @param {number} [offset=0] - Where the document starts.
+ * @param {number} [end=buffer.length] - Where the bytes it may span end.
+ * @returns {object} - The document.
+ */
+export function decodeBson(buffer, offset = 0, end = buffer.length) {
+  return readDocument(buffer, offset, false, end);
+}
+
+function writeDocument(chunks, document) {
+  const start = chunks.length;
+  chunks.push(null); // The length, filled in once the members are written
+  const entries = Array.isArray(document)
+    ? document.map((value, index) => [String(index), value ?? null])
+    : Object.entries(document);
+  for (const [key, value] of entries) {
+    if (value === undefined || typeof value === "function") continue;
+    writeElement(chunks, key, value);
+  }
+  chunks.push(Buffer.of(0));
+  let length = 4;
+  for (let index = start + 1; index < chunks.length; index++) {
+    length += chunks[index].length;
+  }
+  chunks[start] = int32(length);
+}
+
+function writeElement(chunks, key, value) {
+  const name = cstring(key);
+  const element = (type, ...data) =>
+    chunks.push(Buffer.of(type), name, ...data);
+
+  switch (typeof value) {
+    case "number":
+      if (
+        Number.isInteger(value) &&
+        value >= INT32_MIN &&
+        value <= INT32_MAX &&
+        !Object.is(value, -0)
+      ) {
+        return element(0x10, int32(value));
+      }
+      return element(0x01, double(value));
+    case "bigint":
+      return element(0x12, int64(value));
+    case "string": {
+      const bytes = Buffer.from(value, "utf8");
+      return element(0x02, int32(bytes.length + 1), bytes, Buffer.of(0));
+    }
+    case "boolean":
+      return element(0x08, Buffer.of(value ? 1 : 0));
+  }
+
+  if (value === null) return element(0x0a);
+  if (value instanceof Date) {
+    // Invalid dates are stored as null by the codec too
+    const time = value.getTime();
+    return Number.isNaN(time)
+      ? element(0x0a)
+      : element(0x09, int64(BigInt(time)));
+  }
+  if (value instanceof ObjectId) {
+    return element(0x07, Buffer.from(value.toHexString(), "hex"));
+  }
+  if (value instanceof EncryptedValue) {
+    const { bytes } = value;
+    return element(0x05, int32(bytes.byteLength), Buffer.of(6), bytes);
+  }
+  if (value instanceof Uint8Array) {
+    return element(
+      0x05,
+      int32(value.byteLength),
+      Buffer.of(0),
+      Buffer.from(value)
+    );
+  }
+  if (value instanceof RegExp) {
+    const flags = (value.flags.match(REGEX_FLAGS) || []).sort().join("");
+    return element(0x0b, cstring(value.source), cstring(flags));
+  }
+  if (Array.isArray(value)) {
+    element(0x04);
+    return writeDocument(chunks, value);
+  }
+  if (!isPlainObject(value) && typeof value.toJSON === "function") {
+    return writeElement(chunks, key, value.toJSON());
+  }
+  element(0x03);
+  writeDocument(chunks, value);
+}
+
+// Reads the document at `offset`, which must end by `limit`. Every length comes
+// from the client and is checked before it moves the position.
+function readDocument(buffer, offset, isArray, limit = buffer.length) {
+  if (offset + 4 > limit) {
+    throw new BadValue("BSON document length is out of bounds");
+  }
+  const length = buffer.readInt32LE(offset);
+  if (length < 5 || offset + length > limit) {
+    throw new BadValue("BSON document length is out of bounds");
+  }
+  const end = offset + length - 1;
+  let position = offset + 4;
+  if (buffer[end] !== 0) {
+    throw new BadValue("BSON document does not end with a null byte");
+  }
+  // Throws unless `size` more bytes fit in the document
+  const need = (size, key) => {
+    if (size < 0 || position + size > end) {
+      throw new BadValue(
+        `BSON field "${key}" runs past the end of its document`
+      );
+    }
+  };
+  // Finds the null byte ending a C string inside the document
+  const nul = (from) => {
+    const index = buffer.indexOf(0, from);
+    if (index === -1 || index >= end) {
+      throw new BadValue("BSON C string runs past the end of its document");
+    }
+    return index;
+  };
+
+  const document = isArray ? [] : {};
+  while (position < end) {
+    const type = buffer[position];
+    const keyEnd = nul(position + 1);
+    const key = buffer.toString("utf8", position + 1, keyEnd);
+    position = keyEnd + 1;
+
+    let value;
+    switch (type) {
+      case 0x01:
+        need(8, key);
+        value = buffer.readDoubleLE(position);
+        position += 8;
+        break;
+      case 0x02: {
+        need(4, key);
+        const length = buffer.readInt32LE(position);
+        if (length < 1) {
+          throw new BadValue(`BSON string "${key}" has an invalid length`);
+        }
+        need(4 + length, key);
+        if (buffer[position + 3 + length] !== 0) {
+          throw new BadValue(
+            `BSON string "${key}" does not end with a null byte`
+          );
+        }
+        value = buffer.toString("utf8", position + 4, position + 3 + length);
+        position += 4 + length;
+        break;
+      }
+      case 0x03:
+      case 0x04:
+        value = readDocument(buffer, position, type === 0x04, end);
+        position += buffer.readInt32LE(position);
+        break;
+      case 0x05: {
+        need(5, key);
+        const length = buffer.readInt32LE(position);
+        const subtype = buffer[position + 4];
+        // The old binary subtype repeats the length inside the data
+        const skip = subtype === 0x02 ? 4 : 0;
+        if (length < skip) {
+          throw new BadValue(`BSON binary "${key}" has an invalid length`);
+        }
+        need(5 + length, key);
+        value = Buffer.from(
+          buffer.subarray(position + 5 + skip, position + 5 + length)
+        );
+        if (subtype === 0x06) value = new EncryptedValue(value);
+        position += 5 + length;
+        break;
+      }
+      case 0x06:
+      case 0x0a:
+        value = null;
+        break;
+      case 0x07:
+        need(12, key);
+        value = new ObjectId(buffer.toString("hex", position, position + 12));
+        position += 12;
+        break;
+      case 0x08:
+        need(1, key);
+        value = buffer[position] === 1;
+        position += 1;
+        break;
+      case 0x09:
+        need(8, key);
+        value = new Date(Number(buffer.readBigInt64LE(position)));
+        position += 8;
+        break;
+      case 0x0b: {
+        const patternEnd = nul(position);
+        const flagsEnd = nul(patternEnd + 1);
+        const flags = buffer.toString("utf8", patternEnd + 1, flagsEnd);
+        value = new RegExp(
+          buffer.toString("utf8", position, patternEnd),
+          (flags.match(REGEX_FLAGS) || []).join("")
+        );
+        position = flagsEnd + 1;
+        break;
+      }
+      case 0x10:
+        need(4, key);
+        value = buffer.readInt32LE(position);
+        position += 4;
+        break;
+      case 0x11:
+        need(8, key);
+        value = buffer.readBigUInt64LE(position);
+        position += 8;
+        break;
+      case 0x12: {
+        need(8, key);
+        const long = buffer.readBigInt64LE(position);
+        const number = Number(long);
+        value = Number.isSafeInteger(number) ? number : long;
+        position += 8;
+        break;
+      }
+      default:
+        throw new BadValue(
+          `Unsupported BSON type 0x${type.toString(16)} in field "${key}"`
+        );
+    }
+
+    if (isArray) {
+      document.push(value);
+    } else if (key === "__proto__") {
+      Object.defineProperty(document, key, {
+        value,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    } else {
+      document[key] = value;
+    }
+  }
+  return document;
+}
+
+function cstring(text) {
+  if (text.includes("\0")) {
+    throw new BadValue(
+      `Field names and patterns cannot contain null bytes: ${JSON.stringify(
+        text
+      )}`
+    );
+  }
+  return Buffer.from(`${text}\0`, "utf8");
+}
+
+function int32(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+}
+
+function int64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigInt64LE(value);
+  return buffer;
+}
+
+function double(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleLE(value);
+  return buffer;
+}
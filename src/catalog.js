@@ -0,0 +1,139 @@
+/**
+ * Collection catalog.
+ *
+ * Per-collection settings (such as validators) live in an internal table inside
+ * the database itself, so they still apply after the file is reopened by another
+ * process. Internal tables are prefixed with `_docstore_`.
+ */
+
+import { deserialize, serialize } from "./codec.js";
+import { prepareCached } from "./statements.js";
+
+export const CATALOG_TABLE = "_docstore_collections";
+
+// The prefix of every table belonging to a text index (see text.js)
+export const TEXT_TABLE_PREFIX = "_docstore_text(";
+
+// The prefix of every table belonging to a geospatial index (see geo.js)
+export const GEO_TABLE_PREFIX = "_docstore_geo(";
+
+// The prefix of the table keeping the versions of a collection's documents (see history.js)
+export const HISTORY_TABLE_PREFIX = "_docstore_history(";
+
+/**
+ * Creates the catalog table if it does not exist yet.
+ *
+ * @param {object} db - The SQLite connection.
+ */
+export function ensureCatalog(db) {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS ${CATALOG_TABLE} (
+       name TEXT PRIMARY KEY,
+       options JSON NOT NULL
+    )`
+  );
+}
+
+/**
+ * Reads the stored options of a collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @returns {object} - The options, or `{}` when none are stored.
+ */
+export function readCollectionOptions(db, collectionName) {
+  const row = prepareCached(
+    db,
+    `SELECT options FROM ${CATALOG_TABLE} WHERE name = ?`
+  ).get(collectionName);
+  return row ? deserialize(row.options) : {};
+}
+
+/**
+ * Stores the options of a collection, replacing any previous ones.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {object} options - The options to store.
+ */
+export function writeCollectionOptions(db, collectionName, options) {
+  db.prepare(
+    `INSERT INTO ${CATALOG_TABLE} (name, options) VALUES (?, ?)
+     ON CONFLICT (name) DO UPDATE SET options = excluded.options`
+  ).run(collectionName, serialize(options));
+}
+
+/**
+ * Moves the stored options of a renamed collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} oldName - The previous name.
+ * @param {string} newName - The new name.
+ */
+export function renameCollectionOptions(db, oldName, newName) {
+  db.prepare(`UPDATE ${CATALOG_TABLE} SET name = ? WHERE name = ?`).run(
+    newName,
+    oldName
+  );
+}
+
+/**
+ * Forgets the stored options of a dropped collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ */
+export function dropCollectionOptions(db, collectionName) {
+  db.prepare(`DELETE FROM ${CATALOG_TABLE} WHERE name = ?`).run(collectionName);
+}
+
+/**
+ * Tells whether a collection's table exists.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @returns {boolean} - `true` if the table exists.
+ */
+export function collectionExists(db, collectionName) {
+  return Boolean(
+    prepareCached(
+      db,
+      "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?"
+    ).get(collectionName)
+  );
+}
+
+/**
+ * Lists every collection that has stored options.
+ *
+ * @param {object} db - The SQLite connection.
+ * @returns {{ name: string, options: object }[]} - The collections and their options.
+ */
+export function listCollectionOptions(db) {
+  return db
+    .prepare(`SELECT name, options FROM ${CATALOG_TABLE} ORDER BY name`)
+    .all()
+    .map((row) => ({ name: row.name, options: deserialize(row.options) }));
+}
+
+/**
+ * Lists the collections of the database: every table with `_id` and `document`
+ * columns, leaving out SQLite's and the docstore's internal tables.
+ *
+ * @param {object} db - The SQLite connection.
+ * @returns {string[]} - The collection names, sorted.
+ */
+export function listCollectionNames(db) {
+  return db
+    .prepare(
+      `SELECT name FROM sqlite_master AS tables
+       WHERE type = 'table'
+         AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\'
+         AND name NOT LIKE '\\_docstore\\_%' ESCAPE '\\'
+         AND (SELECT COUNT(*) FROM pragma_table_info(tables.name)
+              WHERE name IN ('_id', 'document')) = 2
+       ORDER BY name`
+    )
+    .all()
+    .map((row) => row.name);
+}
@@ -0,0 +1,232 @@
+import { EventEmitter } from "events";
+import { compilePipeline } from "./aggregate.js";
+import { deserialize, serialize } from "./codec.js";
+import { decryptDocument } from "./encryption.js";
+import { BadValue, ChangeStreamHistoryLost } from "./errors.js";
+import { OPLOG_TABLE } from "./oplog.js";
+
+const WATCH_STAGES = [
+  "$match",
+  "$project",
+  "$addFields",
+  "$set",
+  "$unset",
+  "$replaceRoot",
+  "$replaceWith",
+];
+
+const BATCH_SIZE = 100;
+
+/**
+ * Change stream returned by `watch`.
+ *
+ * Events are read from the oplog table, so changes committed by other processes
+ * writing to the same file show up too. New entries are found by polling; the
+ * interval is set with the `pollInterval` option (milliseconds).
+ *
+ * Consume a stream with `await stream.next()`, a `for await...of` loop, or a
+ * `"change"` listener, and `close()` it when done: an open stream with a
+ * listener keeps the process alive.
+ *
+ * @example
+ * const stream = db.watch("orders", [{ $match: { operationType: "insert" } }]);
+ * stream.on("change", (event) => console.log(event.fullDocument));
+ *
+ * // Later, possibly in another process:
+ * db.watch("orders", [], { resumeAfter: savedToken });
+ */
+export class ChangeStream extends EventEmitter {
+  #db;
+  #read;
+  #args;
+  #transform = null;
+  #fullDocument;
+  #pollInterval;
+  #position;
+  #token;
+  #buffer = [];
+  #timer = null;
+  #closed = false;
+
+  /**
+   * @param {object} db - The SQLite connection.
+   * @param {string|null} collectionName - Collection to watch, or `null` for every collection.
+   * @param {object[]} [pipeline=[]] - Stages applied to each event (`$match`, `$project`, `$addFields`, `$set`, `$unset`, `$replaceRoot`, `$replaceWith`).
+   * @param {{ resumeAfter?: { _data: string }, fullDocument?: "default" | "updateLookup", pollInterval?: number }} [options] - Stream options.
+   */
+  constructor(db, collectionName, pipeline = [], options = {}) {
+    super();
+    this.#db = db;
+    this.#fullDocument = options.fullDocument || "default";
+    this.#pollInterval = options.pollInterval ?? 100;
+
+    for (const stage of pipeline) {
+      const [name] = Object.keys(stage || {});
+      if (!WATCH_STAGES.includes(name)) {
+        throw new BadValue(`Stage ${name} is not allowed in a change stream`);
+      }
+    }
+    if (pipeline.length > 0) {
+      const { sql, params } = compilePipeline(null, pipeline, {
+        source: "SELECT json(?) AS document",
+      });
+      const stmt = db.prepare(sql);
+      this.#transform = (event) =>
+        stmt
+          .all(serialize(event), ...params)
+          .map((row) => deserialize(row.document))[0];
+    }
+
+    this.#read = db.prepare(
+      `SELECT * FROM ${OPLOG_TABLE} WHERE seq > ?
+       ${collectionName ? "AND ns = ?" : ""} ORDER BY seq LIMIT ${BATCH_SIZE}`
+    );
+    this.#args = collectionName ? [collectionName] : [];
+
+    const latest = db
+      .prepare("SELECT seq FROM sqlite_sequence WHERE name = ?")
+      .get(OPLOG_TABLE);
+    const head = latest ? latest.seq : 0;
+    if (options.resumeAfter) {
+      this.#position = parseToken(options.resumeAfter);
+      const next = db
+        .prepare(`SELECT 1 FROM ${OPLOG_TABLE} WHERE seq = ?`)
+        .get(this.#position + 1);
+      if (this.#position < head && !next) {
+        throw new ChangeStreamHistoryLost(options.resumeAfter);
+      }
+    } else {
+      this.#position = head;
+    }
+    this.#token = toToken(this.#position);
+
+    this.on("newListener", (event) => {
+      if (event === "change" && !this.#timer && !this.#closed) {
+        this.#timer = setInterval(() => this.#poll(), this.#pollInterval);
+      }
+    });
+  }
+
+  /**
+   * The token of the last event returned; pass it as `resumeAfter` to continue from there.
+   *
+   * @returns {{ _data: string }} - The resume token.
+   */
+  get resumeToken() {
+    return this.#token;
+  }
+
+  /**
+   * Whether `close()` has been called.
+   *
+   * @returns {boolean} - `true` once closed.
+   */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * Returns the next event if one is already recorded, without waiting.
+   *
+   * @returns {object|null} - The change event, or `null`.
+   */
+  tryNext() {
+    while (!this.#closed) {
+      if (this.#buffer.length === 0) {
+        this.#buffer = this.#read.all(this.#position, ...this.#args);
+        if (this.#buffer.length === 0) return null;
+      }
+
+      const row = this.#buffer.shift();
+      this.#position = row.seq;
+      const event = this.#toEvent(row);
+      const result = this.#transform ? this.#transform(event) : event;
+      if (result) {
+        this.#token = event._id;
+        return result;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Waits for the next event.
+   *
+   * @returns {Promise<object|null>} - The change event, or `null` once the stream is closed.
+   */
+  async next() {
+    for (;;) {
+      const event = this.tryNext();
+      if (event || this.#closed) return event;
+      await new Promise((resolve) => setTimeout(resolve, this.#pollInterval));
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      const event = await this.next();
+      if (!event) return;
+      yield event;
+    }
+  }
+
+  /**
+   * Stops the stream. Pending `next()` calls resolve with `null`.
+   */
+  close() {
+    if (this.#closed) return;
+    this.#closed = true;
+    clearInterval(this.#timer);
+    this.#timer = null;
+    this.#buffer = [];
+    this.emit("close");
+  }
+
+  #poll() {
+    try {
+      let event;
+      while ((event = this.tryNext())) this.emit("change", event);
+    } catch (err) {
+      this.close();
+      this.emit("error", err);
+    }
+  }
+
+  #toEvent(row) {
+    const event = {
+      _id: toToken(row.seq),
+      operationType: row.op,
+      wallTime: new Date(row.ts),
+      ns: { db: "main", coll: row.ns },
+      documentKey: { _id: deserialize(row.document_key) },
+    };
+    if (
+      row.full_document !== null &&
+      (row.op !== "update" || this.#fullDocument === "updateLookup")
+    ) {
+      event.fullDocument = decryptDocument(
+        this.#db,
+        deserialize(row.full_document)
+      );
+    }
+    if (row.update_description !== null) {
+      event.updateDescription = decryptDocument(
+        this.#db,
+        deserialize(row.update_description)
+      );
+    }
+    return event;
+  }
+}
+
+function toToken(seq) {
+  return { _data: seq.toString(16).padStart(16, "0") };
+}
+
+function parseToken(token) {
+  const seq = parseInt(token && token._data, 16);
+  if (!Number.isSafeInteger(seq) || seq < 0) {
+    throw new BadValue(`Invalid resume token: ${JSON.stringify(token)}`);
+  }
+  return seq;
+}
@@ -0,0 +1,610 @@
+/**
+ * The `sqlite-docstore` command line tool.
+ *
+ * Without a subcommand it opens a mongo-shell-style REPL on a docstore file:
+ * `db.users.find({ age: { $gt: 30 } }).sort({ age: -1 })`, `show collections`,
+ * `it` for the next page of results, and a persistent history. Subcommands run
+ * one-off queries, counts, index listings, imports and exports, and print
+ * documents as relaxed Extended JSON, one per line, so their output can be piped.
+ *
+ * Filters and other JSON arguments may be Extended JSON or JavaScript object
+ * literals, e.g. `'{ at: { $gt: ISODate("2024-01-01") } }'`.
+ */
+
+import { createWriteStream, existsSync, readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import repl from "node:repl";
+import { inspect, parseArgs } from "node:util";
+import vm from "node:vm";
+import { listCollectionNames } from "./catalog.js";
+import { COLLECTION_METHODS } from "./collection.js";
+import { ObjectId, deserialize, isPlainObject, serialize } from "./codec.js";
+import { Cursor } from "./cursor.js";
+import { readChunks } from "./dump.js";
+import { BadValue, DocstoreError } from "./errors.js";
+import { sqliteDocstore } from "./index.js";
+import { createHttpServer } from "./http.js";
+import { createWireServer } from "./server.js";
+
+const USAGE = `Usage: sqlite-docstore [shell] <file> [--eval <code>]
+       sqlite-docstore <command> <file> [arguments] [options]
+
+Commands:
+  shell <file>                         Interactive shell (the default)
+  find <file> <collection> [filter]    Print matching documents
+      --sort <spec> --skip <n> --limit <n> --projection <spec> --pretty
+  count <file> <collection> [filter]   Count matching documents
+  collections <file>                   List the collections
+  indexes <file> <collection>          List the indexes of a collection
+  export <file> <collection>           Write a collection as JSON lines or CSV
+      --out <path> --format json|csv --fields <a,b> --query <filter> --sort <spec>
+  import <file> <collection>           Read JSON lines or CSV (from stdin by default)
+      --in <path> --format json|csv --fields <a,b> --mode insert|upsert
+      --drop --unordered --batch-size <n> --ignore-blanks
+  dump <file> <directory>              Write every collection into a directory
+  restore <file> <directory> [--drop]  Recreate the collections of a dump
+  serve <file>                         Answer MongoDB clients on mongodb://<host>:<port>
+      --port <n> (27017) --host <address> (127.0.0.1)
+  http <file> --api-keys <keys.json>   Serve the HTTP Data API on http://<host>:<port>
+      --port <n> (8080) --host <address> (127.0.0.1)
+`;
+
+const OPTIONS = {
+  eval: { type: "string", short: "e" },
+  sort: { type: "string" },
+  skip: { type: "string" },
+  limit: { type: "string" },
+  projection: { type: "string" },
+  query: { type: "string" },
+  pretty: { type: "boolean" },
+  out: { type: "string", short: "o" },
+  in: { type: "string", short: "i" },
+  format: { type: "string" },
+  fields: { type: "string" },
+  mode: { type: "string" },
+  drop: { type: "boolean" },
+  unordered: { type: "boolean" },
+  "batch-size": { type: "string" },
+  "ignore-blanks": { type: "boolean" },
+  port: { type: "string" },
+  "api-keys": { type: "string" },
+  host: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+// Commands that keep running, and so keep expiring TTL indexes
+const LONG_RUNNING = ["shell", "serve", "http"];
+
+// Commands marked `readonly` open the file read-only, so they neither create
+// it nor add the docstore's tables to it
+const COMMANDS = {
+  shell: { args: ["file"], run: runShell },
+  find: {
+    args: ["file", "collection", "filter?"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      const cursor = store.find(
+        args.collection,
+        parseValue(args.filter) ?? {},
+        {
+          sort: parseValue(options.sort),
+          skip: parseCount(options.skip, "skip"),
+          limit: parseCount(options.limit, "limit"),
+          projection: parseValue(options.projection),
+        }
+      );
+      for (const document of cursor) {
+        io.stdout.write(`${formatDocument(document, options.pretty)}\n`);
+      }
+    },
+  },
+  count: {
+    args: ["file", "collection", "filter?"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      io.stdout.write(
+        `${store.countDocuments(
+          args.collection,
+          parseValue(args.filter) ?? {}
+        )}\n`
+      );
+    },
+  },
+  collections: {
+    args: ["file"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      for (const name of listCollectionNames(store.db)) {
+        io.stdout.write(`${name}\n`);
+      }
+    },
+  },
+  indexes: {
+    args: ["file", "collection"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      for (const index of store.listIndexes(args.collection)) {
+        io.stdout.write(`${formatDocument(index, options.pretty)}\n`);
+      }
+    },
+  },
+  export: {
+    args: ["file", "collection"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      const lines = store.exportCollection(args.collection, {
+        format: options.format,
+        fields: parseFields(options.fields),
+        query: parseValue(options.query),
+        sort: parseValue(options.sort),
+        limit: parseCount(options.limit, "limit"),
+      });
+      if (!options.out) {
+        for (const line of lines) io.stdout.write(line);
+        return;
+      }
+      const out = createWriteStream(options.out);
+      for (const line of lines) out.write(line);
+      return new Promise((resolve, reject) => {
+        out.on("error", reject);
+        out.end(resolve);
+      });
+    },
+  },
+  import: {
+    args: ["file", "collection"],
+    run: async (store, args, options, io) => {
+      const result = store.importCollection(
+        args.collection,
+        options.in ? readChunks(options.in) : await io.stdin(),
+        {
+          format: options.format,
+          fields: parseFields(options.fields),
+          mode: options.mode,
+          drop: options.drop,
+          ordered: !options.unordered,
+          batchSize: parseCount(options["batch-size"], "batch-size"),
+          ignoreBlanks: options["ignore-blanks"],
+        }
+      );
+      reportImport(args.collection, result, io);
+      return result.errors.length > 0 ? 1 : 0;
+    },
+  },
+  dump: {
+    args: ["file", "directory"],
+    readonly: true,
+    run: (store, args, options, io) => {
+      for (const { name, documents } of store.dump(args.directory)
+        .collections) {
+        io.stdout.write(`${name}: ${documents} documents\n`);
+      }
+    },
+  },
+  restore: {
+    args: ["file", "directory"],
+    run: (store, args, options, io) => {
+      const { collections } = store.restore(args.directory, {
+        drop: options.drop,
+      });
+      for (const result of collections) reportImport(result.name, result, io);
+      return collections.some((result) => result.errors.length > 0) ? 1 : 0;
+    },
+  },
+  serve: {
+    args: ["file"],
+    run: (store, args, options, io) =>
+      listenUntilStopped(
+        createWireServer(store, { logger: stderrLogger(io) }),
+        "mongodb",
+        parseCount(options.port, "port") ?? 27017,
+        options.host,
+        io
+      ),
+  },
+  http: {
+    args: ["file"],
+    run: (store, args, options, io) => {
+      if (options["api-keys"] === undefined) {
+        throw new BadValue("http needs --api-keys <keys.json>");
+      }
+      const apiKeys = parseValue(readFileSync(options["api-keys"], "utf8"));
+      return listenUntilStopped(
+        createHttpServer(store, { apiKeys, logger: stderrLogger(io) }),
+        "http",
+        parseCount(options.port, "port") ?? 8080,
+        options.host,
+        io
+      );
+    },
+  },
+};
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv - The arguments after the program name.
+ * @param {CliIo} [io] - Where input comes from and output goes; the process streams by default.
+ * @returns {Promise<number>} - The exit code: 0 on success, 1 on failure, 2 on a usage error.
+ *
+ * @typedef {Object} CliIo
+ * @property {{ write: (text: string) => void }} stdout - Receives results.
+ * @property {{ write: (text: string) => void }} stderr - Receives errors and usage.
+ * @property {() => Iterable<string|Uint8Array> | Promise<Iterable<string|Uint8Array>>} stdin - Reads standard input, for `import`.
+ * @property {NodeJS.ReadableStream} [input] - Input of the interactive shell.
+ * @property {NodeJS.WritableStream} [output] - Output of the interactive shell.
+ */
+export async function main(argv, io = processIo()) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    io.stdout.write(USAGE);
+    return 0;
+  }
+
+  const name = COMMANDS[positionals[0]] ? positionals.shift() : "shell";
+  const command = COMMANDS[name];
+  const args = {};
+  for (const [index, arg] of command.args.entries()) {
+    const key = arg.replace("?", "");
+    if (positionals[index] === undefined && !arg.endsWith("?")) {
+      io.stderr.write(`${name}: missing <${key}>\n\n${USAGE}`);
+      return 2;
+    }
+    args[key] = positionals[index];
+  }
+  if (positionals.length > command.args.length) {
+    io.stderr.write(`${name}: unexpected argument ${positionals.at(-1)}\n`);
+    return 2;
+  }
+
+  if (command.readonly && !existsSync(args.file)) {
+    io.stderr.write(`${name}: ${args.file} does not exist\n`);
+    return 1;
+  }
+
+  let store;
+  try {
+    store = sqliteDocstore.init(args.file, {
+      logger: stderrLogger(io),
+      readonly: command.readonly,
+      ttlMonitorInterval: LONG_RUNNING.includes(name) ? undefined : false,
+    });
+    return (await command.run(store, args, options, io)) ?? 0;
+  } catch (err) {
+    io.stderr.write(`${formatError(err)}\n`);
+    return 1;
+  } finally {
+    store?.close();
+  }
+}
+
+/**
+ * Builds the `db` object of the shell: `db.<collection>` (or
+ * `db.getCollection(name)`) gives a collection whose methods are the docstore
+ * methods without their first argument, and every docstore method is also
+ * available on `db` itself.
+ *
+ * @param {object} store - The docstore interface.
+ * @returns {object} - The shell's `db`.
+ */
+export function shellDatabase(store) {
+  const collections = new Map();
+  const getCollection = (name) => {
+    if (!collections.has(name))
+      collections.set(name, shellCollection(store, name));
+    return collections.get(name);
+  };
+  const helpers = {
+    getCollection,
+    getCollectionNames: () => listCollectionNames(store.db),
+  };
+
+  return new Proxy(store, {
+    get(target, property) {
+      if (typeof property !== "string") return target[property];
+      if (property in helpers) return helpers[property];
+      if (property in target) {
+        const value = target[property];
+        return typeof value === "function"
+          ? (...args) => value.apply(target, args.map(adopt))
+          : value;
+      }
+      return getCollection(property);
+    },
+  });
+}
+
+/**
+ * Evaluates a line of shell input: `show collections`, `it`, or JavaScript.
+ *
+ * @param {string} code - The input.
+ * @param {object} context - The shell context, holding `db`.
+ * @returns {any} - The value to print.
+ */
+export function evaluateShell(code, context) {
+  const input = code.trim().replace(/;$/, "");
+  if (input === "it") {
+    if (!context[PENDING]) return new ShellText("no cursor");
+    return page(context);
+  }
+  // The cursor being paged holds its statement open, which would keep any
+  // other command from writing
+  closePending(context);
+  const show = /^show\s+(\w+)$/.exec(input);
+  if (show) {
+    if (show[1] !== "collections" && show[1] !== "tables") {
+      throw new BadValue(`Unknown: show ${show[1]} (try "show collections")`);
+    }
+    return new ShellText(context.db.getCollectionNames().join("\n"));
+  }
+  const result = vm.runInContext(code, context);
+  if (result instanceof Cursor) {
+    const iterator = result[Symbol.iterator]();
+    context[PENDING] = { iterator, next: iterator.next() };
+    return page(context);
+  }
+  return result;
+}
+
+const PAGE_SIZE = 20;
+// The cursor `it` continues: its iterator and the next document it holds
+const PENDING = Symbol("pending cursor");
+
+// Output printed as is rather than inspected
+class ShellText {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+// Reads the next batch of the pending cursor, one document ahead to know
+// whether there are more
+function page(context) {
+  const pending = context[PENDING];
+  const documents = [];
+  while (documents.length < PAGE_SIZE && !pending.next.done) {
+    documents.push(pending.next.value);
+    pending.next = pending.iterator.next();
+  }
+  if (pending.next.done) {
+    context[PENDING] = undefined;
+    return new ShellPage(documents);
+  }
+  return new ShellPage(documents, 'Type "it" for more');
+}
+
+function closePending(context) {
+  context[PENDING]?.iterator.return();
+  context[PENDING] = undefined;
+}
+
+class ShellPage {
+  constructor(documents, more) {
+    this.documents = documents;
+    this.more = more;
+  }
+}
+
+// Wraps every method of the docstore that takes a collection name first
+function shellCollection(store, name) {
+  const collection = {
+    count: (query) => store.countDocuments(name, adopt(query)),
+    getIndexes: () => store.listIndexes(name),
+    drop: () => store.dropCollection(name),
+    renameCollection: (newName) => store.renameCollection(name, newName),
+  };
+  for (const method of COLLECTION_METHODS) {
+    if (method in collection) continue;
+    collection[method] = (...args) => store[method](name, ...args.map(adopt));
+  }
+  return collection;
+}
+
+async function runShell(store, args, options, io) {
+  const context = vm.createContext({
+    db: shellDatabase(store),
+    ObjectId,
+    ISODate: (text) => (text === undefined ? new Date() : new Date(text)),
+    NumberLong: (value) => BigInt(value),
+    print: (...values) =>
+      io.stdout.write(
+        `${values.map((value) => formatShell(value)).join(" ")}\n`
+      ),
+  });
+
+  if (options.eval !== undefined) {
+    const result = evaluateShell(options.eval, context);
+    if (result !== undefined) io.stdout.write(`${formatShell(result)}\n`);
+    closePending(context);
+    return 0;
+  }
+
+  const colors = Boolean(io.output?.isTTY ?? process.stdout.isTTY);
+  const server = repl.start({
+    prompt: `${args.file}> `,
+    input: io.input,
+    output: io.output,
+    useGlobal: false,
+    ignoreUndefined: true,
+    writer: (value) => formatShell(value, colors),
+  });
+  Object.assign(server.context, context);
+  server.eval = (code, replContext, file, callback) => {
+    try {
+      callback(null, evaluateShell(code, server.context));
+    } catch (err) {
+      // Unfinished input such as an open brace asks for more lines
+      if (err?.name === "SyntaxError" && isRecoverable(err)) {
+        callback(new repl.Recoverable(err));
+      } else {
+        callback(err instanceof DocstoreError ? new ShellError(err) : err);
+      }
+    }
+  };
+  server.setupHistory(
+    process.env.SQLITE_DOCSTORE_HISTORY ||
+      join(homedir(), ".sqlite_docstore_history"),
+    () => {}
+  );
+  return new Promise((resolve) =>
+    server.on("exit", () => {
+      closePending(server.context);
+      resolve(0);
+    })
+  );
+}
+
+// Serves until SIGINT or SIGTERM, then closes the connections clients keep open
+function listenUntilStopped(server, scheme, port, host = "127.0.0.1", io) {
+  const sockets = new Set();
+  server.on("connection", (socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+  });
+  return new Promise((resolve, reject) => {
+    server.on("error", reject);
+    server.listen(port, host, () =>
+      io.stdout.write(`Listening on ${scheme}://${host}:${port}\n`)
+    );
+    const stop = () => {
+      server.close(() => resolve(0));
+      for (const socket of sockets) socket.destroy();
+    };
+    process.once("SIGINT", stop);
+    process.once("SIGTERM", stop);
+  });
+}
+
+function stderrLogger(io) {
+  const write = (...parts) => io.stderr.write(`${parts.join(" ")}\n`);
+  return { warn: write, error: write };
+}
+
+// Shows docstore errors as "Name: message" instead of a stack trace
+class ShellError extends Error {
+  constructor(err) {
+    super(formatError(err));
+    this.stack = this.message;
+  }
+}
+
+function isRecoverable(err) {
+  return /Unexpected end of input|Unterminated template|missing \) after/.test(
+    err.message
+  );
+}
+
+function formatShell(value, colors = false) {
+  if (value instanceof ShellText) return value.text;
+  if (value instanceof ShellPage) {
+    return [
+      ...value.documents.map((document) => formatShell(document, colors)),
+      ...(value.more ? [value.more] : []),
+    ].join("\n");
+  }
+  return typeof value === "string"
+    ? value
+    : inspect(value, { colors, depth: null });
+}
+
+function formatDocument(document, pretty) {
+  const text = serialize(document);
+  return pretty ? JSON.stringify(JSON.parse(text), null, 2) : text;
+}
+
+function formatError(err) {
+  return err instanceof DocstoreError
+    ? `${err.name}: ${err.message}`
+    : err.stack || String(err);
+}
+
+function reportImport(collectionName, result, io) {
+  io.stdout.write(
+    `${collectionName}: ${result.insertedCount} inserted, ${result.upsertedCount} replaced, ${result.errors.length} failed\n`
+  );
+  for (const { line, error } of result.errors) {
+    io.stderr.write(`line ${line}: ${formatError(error)}\n`);
+  }
+}
+
+// Reads Extended JSON, or else a JavaScript object literal
+function parseValue(text) {
+  if (text === undefined) return undefined;
+  try {
+    return deserialize(text);
+  } catch {
+    try {
+      return adopt(
+        vm.runInNewContext(`(${text})`, {
+          ObjectId,
+          ISODate: (value) => new Date(value),
+          NumberLong: (value) => BigInt(value),
+        })
+      );
+    } catch (err) {
+      throw new BadValue(`Cannot parse ${text}: ${err.message}`);
+    }
+  }
+}
+
+// Values built by shell code come from the vm context, whose Date and RegExp
+// differ from ours; copies them into this realm so the codec recognizes them
+function adopt(value) {
+  if (typeof value !== "object" || value === null) return value;
+  switch (Object.prototype.toString.call(value)) {
+    case "[object Date]":
+      return new Date(value.getTime());
+    case "[object RegExp]":
+      return new RegExp(value.source, value.flags);
+    case "[object Array]":
+      return value.map(adopt);
+  }
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, member] of Object.entries(value)) copy[key] = adopt(member);
+  return copy;
+}
+
+function parseCount(text, option) {
+  if (text === undefined) return undefined;
+  const count = Number(text);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new BadValue(`--${option} needs a nonnegative integer`);
+  }
+  return count;
+}
+
+function parseFields(text) {
+  return text === undefined
+    ? undefined
+    : text.split(",").map((field) => field.trim());
+}
+
+// Collects a stream before the synchronous import reads it
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+}
+
+function processIo() {
+  return {
+    stdout: process.stdout,
+    stderr: process.stderr,
+    stdin: () => readStream(process.stdin),
+    input: process.stdin,
+    output: process.stdout,
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Type codec: how JavaScript values are written to and read from the `document` column.
+ *
+ * Documents are stored as canonical Extended JSON, so values plain JSON cannot
+ * hold survive the round trip:
+ *
+ * - `Date`       → `{"$date":"2024-01-31T12:00:00.000Z"}` (`{"$date":{"$numberLong":"<ms>"}}` outside years 0-9999)
+ * - `BigInt`     → a JSON integer, so SQLite compares it as a number; it reads
+ *                  back as a `BigInt` when it is beyond `Number.MAX_SAFE_INTEGER`
+ * - `Buffer`     → `{"$binary":{"base64":"...","subType":"00"}}` (any `Uint8Array`; read back as a `Buffer`)
+ * - `RegExp`     → `{"$regularExpression":{"pattern":"...","options":"i"}}`
+ * - `ObjectId`   → `{"$oid":"<24 hex digits>"}`
+ * - `EncryptedValue` → `{"$binary":{"base64":"...","subType":"06"}}`, the subtype MongoDB uses for encrypted fields
+ * - `NaN`, `±Infinity` → `{"$numberDouble":"NaN"}`, ...
+ *
+ * ISO strings sort chronologically and every date in years 0-9999 has the same
+ * `{"$date":"..."}` shape, so SQLite can compare and order dates by the JSON
+ * text of the field, and indexes on date fields keep working.
+ */
+
+import { randomBytes } from "node:crypto";
+import { BadValue } from "./errors.js";
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const MIN_DATE = Date.parse("0000-01-01T00:00:00.000Z");
+const MAX_DATE = Date.parse("9999-12-31T23:59:59.999Z");
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const PROCESS_UNIQUE = randomBytes(5).toString("hex");
+let objectIdCounter = randomBytes(3).readUIntBE(0, 3);
+
+/**
+ * A 12-byte MongoDB ObjectId: a 4-byte timestamp in seconds, 5 bytes unique to
+ * this process and a 3-byte counter. Ids generated later sort after earlier ones.
+ */
+export class ObjectId {
+  #hex;
+
+  /**
+   * @param {string|ObjectId} [id] - 24 hex digits or another ObjectId; generates a new id when omitted.
+   */
+  constructor(id) {
+    if (id === undefined) {
+      const seconds = Math.floor(Date.now() / 1000);
+      objectIdCounter = (objectIdCounter + 1) % 0x1000000;
+      this.#hex =
+        seconds.toString(16).padStart(8, "0").slice(-8) +
+        PROCESS_UNIQUE +
+        objectIdCounter.toString(16).padStart(6, "0");
+    } else if (ObjectId.isValid(id)) {
+      this.#hex = String(id).toLowerCase();
+    } else {
+      throw new BadValue(`ObjectId needs 24 hex characters, got ${String(id)}`);
+    }
+  }
+
+  /**
+   * Tells whether a value is an ObjectId or a string of 24 hex digits.
+   *
+   * @param {any} value - The value to check.
+   * @returns {boolean} - `true` if `new ObjectId(value)` would succeed.
+   */
+  static isValid(value) {
+    return (
+      value instanceof ObjectId ||
+      (typeof value === "string" && OBJECT_ID_PATTERN.test(value))
+    );
+  }
+
+  /**
+   * @returns {string} - The 24 lowercase hex digits.
+   */
+  toHexString() {
+    return this.#hex;
+  }
+
+  /**
+   * @returns {Date} - When the id was generated, to the second.
+   */
+  getTimestamp() {
+    return new Date(parseInt(this.#hex.slice(0, 8), 16) * 1000);
+  }
+
+  /**
+   * @param {ObjectId|string} other - An ObjectId or its hex string.
+   * @returns {boolean} - `true` if both name the same id.
+   */
+  equals(other) {
+    return ObjectId.isValid(other) && String(other).toLowerCase() === this.#hex;
+  }
+
+  toString() {
+    return this.#hex;
+  }
+
+  toJSON() {
+    return this.#hex;
+  }
+
+  [Symbol.for("nodejs.util.inspect.custom")]() {
+    return `new ObjectId("${this.#hex}")`;
+  }
+}
+
+/**
+ * A field value encrypted by the docstore (see encryption.js): the ciphertext
+ * and the header saying how to decrypt it. Documents read without the keys
+ * hold these in place of their encrypted fields.
+ */
+export class EncryptedValue {
+  #bytes;
+
+  /**
+   * @param {Uint8Array} bytes - The encrypted value as stored.
+   */
+  constructor(bytes) {
+    this.#bytes = Buffer.from(bytes);
+  }
+
+  /**
+   * @returns {Buffer} - The encrypted value as stored.
+   */
+  get bytes() {
+    return this.#bytes;
+  }
+
+  [Symbol.for("nodejs.util.inspect.custom")]() {
+    return `EncryptedValue("${this.#bytes.toString("base64")}")`;
+  }
+}
+
+/**
+ * Converts a value into Extended JSON text, like `JSON.stringify` but keeping
+ * the types listed above.
+ *
+ * @param {any} value - The value to convert.
+ * @returns {string|undefined} - The JSON text; `undefined` for `undefined`, functions and symbols.
+ */
+export function serialize(value) {
+  switch (typeof value) {
+    case "string":
+      return JSON.stringify(value);
+    case "number":
+      return serializeNumber(value);
+    case "bigint":
+      if (value < INT64_MIN || value > INT64_MAX) {
+        throw new BadValue(`${value} does not fit in a 64-bit integer`);
+      }
+      return String(value);
+    case "boolean":
+      return String(value);
+    case "object":
+      break;
+    default:
+      return undefined;
+  }
+
+  if (value === null) return "null";
+  if (value instanceof Date) return serializeDate(value);
+  if (value instanceof ObjectId) return `{"$oid":"${value.toHexString()}"}`;
+  if (value instanceof EncryptedValue) {
+    const base64 = value.bytes.toString("base64");
+    return `{"$binary":{"base64":"${base64}","subType":"06"}}`;
+  }
+  if (value instanceof Uint8Array) {
+    const base64 = Buffer.from(
+      value.buffer,
+      value.byteOffset,
+      value.byteLength
+    ).toString("base64");
+    return `{"$binary":{"base64":"${base64}","subType":"00"}}`;
+  }
+  if (value instanceof RegExp) {
+    return `{"$regularExpression":{"pattern":${JSON.stringify(
+      value.source
+    )},"options":"${value.flags}"}}`;
+  }
+  if (Array.isArray(value)) {
+    return `[${Array.from(value, (item) => serialize(item) ?? "null").join(
+      ","
+    )}]`;
+  }
+  if (typeof value.toJSON === "function") return serialize(value.toJSON());
+
+  const members = [];
+  for (const [key, member] of Object.entries(value)) {
+    const text = serialize(member);
+    if (text !== undefined) members.push(`${JSON.stringify(key)}:${text}`);
+  }
+  return `{${members.join(",")}}`;
+}
+
+/**
+ * Parses Extended JSON text back into JavaScript values.
+ *
+ * @param {string} text - JSON text, as stored in the `document` column.
+ * @returns {any} - The value, with dates, big integers, binaries, regexes, ObjectIds and encrypted values restored.
+ */
+export function deserialize(text) {
+  // Integers beyond 2^53 would lose digits in JSON.parse, so tag them first
+  if (/\d{16}/.test(text)) text = text.replace(LARGE_INTEGER, tagLargeInteger);
+  return text.includes('"$') ? JSON.parse(text, revive) : JSON.parse(text);
+}
+
+/**
+ * Deep-copies a document, keeping the types the codec knows about.
+ *
+ * @param {any} value - The value to copy.
+ * @returns {any} - The copy.
+ */
+export function cloneDocument(value) {
+  if (typeof value !== "object" || value === null) return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof Uint8Array) return Buffer.from(value);
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags);
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (!isPlainObject(value)) return value;
+  const copy = {};
+  for (const [key, member] of Object.entries(value)) {
+    copy[key] = cloneDocument(member);
+  }
+  return copy;
+}
+
+/**
+ * Tells whether a value is a plain object (an embedded document), as opposed to
+ * an array, a `Date`, an `ObjectId` or any other class instance.
+ *
+ * @param {any} value - The value to check.
+ * @returns {boolean} - `true` for object literals and `Object.create(null)` objects.
+ */
+export function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) return false;
+  const prototype = Object.getPrototypeOf(value);
+  // Compared by shape, not identity, so objects built in a vm context count too
+  return prototype === null || Object.getPrototypeOf(prototype) === null;
+}
+
+/**
+ * Converts a document `_id` into the value stored in the `_id` column:
+ * ObjectIds become their hex string and other objects their JSON text.
+ *
+ * @param {any} id - The `_id` of a document.
+ * @returns {string|number|bigint} - The column value.
+ */
+export function idKey(id) {
+  if (id instanceof ObjectId) return id.toHexString();
+  if (typeof id === "object" && id !== null) return serialize(id);
+  return id;
+}
+
+function serializeNumber(value) {
+  if (Number.isNaN(value)) return '{"$numberDouble":"NaN"}';
+  if (value === Infinity) return '{"$numberDouble":"Infinity"}';
+  if (value === -Infinity) return '{"$numberDouble":"-Infinity"}';
+  // A large double written out in full would read back as a BigInt
+  return Number.isInteger(value) && !Number.isSafeInteger(value)
+    ? value.toExponential()
+    : String(value);
+}
+
+function serializeDate(date) {
+  const time = date.getTime();
+  if (Number.isNaN(time)) return "null";
+  return time >= MIN_DATE && time <= MAX_DATE
+    ? `{"$date":"${date.toISOString()}"}`
+    : `{"$date":{"$numberLong":"${time}"}}`;
+}
+
+// String literals are matched whole so digits inside them are left alone
+const LARGE_INTEGER = /"(?:[^"\\]|\\.)*"|(?<![\d.eE+-])-?\d{16,}(?![\d.eE])/g;
+
+function tagLargeInteger(match) {
+  if (match.startsWith('"')) return match;
+  return Number.isSafeInteger(Number(match))
+    ? match
+    : `{"$numberLong":"${match}"}`;
+}
+
+function revive(key, value) {
+  if (!isPlainObject(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length !== 1 || !keys[0].startsWith("$")) return value;
+
+  const operand = value[keys[0]];
+  switch (keys[0]) {
+    case "$date":
+      if (typeof operand === "string") return new Date(operand);
+      if (typeof operand === "number" || typeof operand === "bigint") {
+        return new Date(Number(operand));
+      }
+      return value;
+    case "$numberLong": {
+      if (typeof operand !== "string" || !/^-?\d+$/.test(operand)) return value;
+      const number = Number(operand);
+      return Number.isSafeInteger(number) ? number : BigInt(operand);
+    }
+    case "$numberInt":
+    case "$numberDouble":
+      return typeof operand === "string" ? Number(operand) : value;
+    case "$binary":
+      if (typeof operand?.base64 !== "string") return value;
+      return operand.subType === "06"
+        ? new EncryptedValue(Buffer.from(operand.base64, "base64"))
+        : Buffer.from(operand.base64, "base64");
+    case "$regularExpression":
+      return typeof operand?.pattern === "string"
+        ? new RegExp(operand.pattern, operand.options || "")
+        : value;
+    case "$oid":
+      return ObjectId.isValid(operand) ? new ObjectId(operand) : value;
+    default:
+      return value;
+  }
+}
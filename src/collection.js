@@ -0,0 +1,396 @@
+/**
+ * Collection handles, the collection list, collection statistics and bulk writes.
+ *
+ * `db.collection(name)` returns an object with the docstore methods bound to
+ * one collection, as the MongoDB driver's `Collection` does:
+ *
+ * @example
+ * const users = db.collection("users");
+ * users.insertOne({ name: "Ann" });
+ * users.find({ name: "Ann" }).toArray();
+ * users.bulkWrite([
+ *   { insertOne: { document: { name: "Bob" } } },
+ *   { updateOne: { filter: { name: "Ann" }, update: { $set: { admin: true } } } },
+ * ]);
+ */
+
+import {
+  GEO_TABLE_PREFIX,
+  TEXT_TABLE_PREFIX,
+  collectionExists,
+  listCollectionNames,
+  readCollectionOptions,
+} from "./catalog.js";
+import { serialize } from "./codec.js";
+import {
+  BadValue,
+  BulkWriteError,
+  DocstoreError,
+  NamespaceNotFound,
+} from "./errors.js";
+import { compileElementFilter } from "./filter.js";
+import { auditOptions, isSoftDelete } from "./history.js";
+import { listIndexes } from "./indexes.js";
+import { collectionIdentifier } from "./paths.js";
+
+// Docstore methods taking the collection name first, bound by a handle
+export const COLLECTION_METHODS = [
+  "createCollection",
+  "collMod",
+  "createIndex",
+  "listIndexes",
+  "dropIndex",
+  "dropIndexes",
+  "insertOne",
+  "insertMany",
+  "find",
+  "findOne",
+  "findById",
+  "listVersions",
+  "restoreVersion",
+  "rotateEncryptionKey",
+  "findWithIn",
+  "findWithRegex",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+  "countDocuments",
+  "distinct",
+  "renameCollection",
+  "dropCollection",
+  "watch",
+  "exportCollection",
+  "importCollection",
+  "aggregate",
+  "stats",
+  "bulkWrite",
+];
+
+const BULK_OPERATIONS = {
+  insertOne: (store, collectionName, { document }, options) =>
+    store.insertOne(collectionName, document, options),
+  updateOne: (store, collectionName, { filter, update, upsert }, options) =>
+    store.updateOne(collectionName, filter, update, { ...options, upsert }),
+  updateMany: (store, collectionName, { filter, update, upsert }, options) =>
+    store.updateMany(collectionName, filter, update, { ...options, upsert }),
+  replaceOne: (
+    store,
+    collectionName,
+    { filter, replacement, upsert },
+    options
+  ) =>
+    store.replaceOne(collectionName, filter, replacement, {
+      ...options,
+      upsert,
+    }),
+  deleteOne: (store, collectionName, { filter }, options) =>
+    store.deleteOne(collectionName, filter, options),
+  deleteMany: (store, collectionName, { filter }, options) =>
+    store.deleteMany(collectionName, filter, options),
+};
+
+// The members each kind of operation must have
+const REQUIRED_MEMBERS = {
+  insertOne: ["document"],
+  updateOne: ["filter", "update"],
+  updateMany: ["filter", "update"],
+  replaceOne: ["filter", "replacement"],
+  deleteOne: ["filter"],
+  deleteMany: ["filter"],
+};
+
+/**
+ * Binds the docstore methods to one collection. The handle also has
+ * `collectionName` and `drop()`. Methods the docstore lacks (such as `watch`
+ * on the Promise-based docstore) are left out.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} collectionName - The collection; it need not exist yet.
+ * @returns {object} - The collection handle.
+ */
+export function collectionHandle(store, collectionName) {
+  collectionIdentifier(collectionName);
+  const handle = { collectionName };
+  for (const method of COLLECTION_METHODS) {
+    if (typeof store[method] !== "function") continue;
+    handle[method] = (...args) => store[method](collectionName, ...args);
+  }
+  handle.drop = () => store.dropCollection(collectionName);
+  return handle;
+}
+
+/**
+ * Lists the collections of the database, leaving out the docstore's internal tables.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {object} [filter] - Only list the collections matching this filter, e.g. `{ name: /^log/ }`.
+ * @param {{ nameOnly?: boolean, readOnly?: boolean }} [options] - `nameOnly` lists `{ name, type }` only; `readOnly` is reported in `info`.
+ * @returns {{ name: string, type: "collection", options?: object, info?: { readOnly: boolean }, idIndex?: object }[]} - The collections, sorted by name.
+ */
+export function listCollections(store, filter = {}, options = {}) {
+  const { db } = store;
+  const collections = listCollectionNames(db).map((name) => {
+    if (options.nameOnly) return { name, type: "collection" };
+    const { indexes, ...settings } = readCollectionOptions(db, name);
+    return {
+      name,
+      type: "collection",
+      options: settings,
+      info: { readOnly: Boolean(options.readOnly) },
+      idIndex: { v: 2, key: { _id: 1 }, name: "_id_" },
+    };
+  });
+  if (!filter || Object.keys(filter).length === 0) return collections;
+  // The filter is matched by SQLite, as the elements of a JSON array
+  const { sql, params } = compileElementFilter(filter);
+  return db
+    .prepare(sql)
+    .all(serialize(collections), ...params)
+    .map((row) => collections[row.key]);
+}
+
+/**
+ * Reports the size of a collection: its documents, the pages of its table and
+ * the pages of each index. Page figures come from SQLite's `dbstat` table and
+ * are `null` when the SQLite build lacks it.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} collectionName - The collection.
+ * @param {{ scale?: number }} [options] - Divides every byte figure, e.g. `1024` for kilobytes.
+ * @returns {CollectionStats} - The statistics.
+ *
+ * @typedef {Object} CollectionStats
+ * @property {string} ns - The collection name.
+ * @property {number} count - Number of documents.
+ * @property {number} size - Bytes of document JSON.
+ * @property {number} avgObjSize - Average bytes per document, unscaled.
+ * @property {number | null} storageSize - Bytes of the pages holding the table.
+ * @property {number | null} freeStorageSize - Unused bytes within those pages.
+ * @property {number | null} pages - Number of pages of the table.
+ * @property {number} pageSize - Bytes per page, unscaled.
+ * @property {number} nindexes - Number of indexes, `_id_` included.
+ * @property {Object<string, number | null>} indexSizes - Bytes of the pages of each index, by index name.
+ * @property {number | null} totalIndexSize - Bytes of every index together.
+ * @property {number | null} totalSize - `storageSize` plus `totalIndexSize`.
+ * @property {number} scaleFactor - The `scale` applied.
+ */
+export function collectionStats(store, collectionName, options = {}) {
+  const { db } = store;
+  const table = collectionIdentifier(collectionName);
+  const scale = options.scale ?? 1;
+  if (!Number.isInteger(scale) || scale < 1) {
+    throw new BadValue("scale must be a positive integer");
+  }
+  if (!collectionExists(db, collectionName)) {
+    throw new NamespaceNotFound(collectionName);
+  }
+
+  // Tombstones of a soft-delete collection take space but are not documents
+  const live = isSoftDelete(db, collectionName)
+    ? " WHERE deleted_at IS NULL"
+    : "";
+  const { count, size } = db
+    .prepare(
+      `SELECT COUNT(*) AS count, COALESCE(SUM(length(document)), 0) AS size FROM ${table}${live}`
+    )
+    .get();
+  const usage = pageUsage(db);
+  const entries = readCollectionOptions(db, collectionName).indexes || [];
+  const sqliteNames = new Map(
+    entries.map((entry) => [entry.name, entry.sqliteName])
+  );
+  const indexSizes = {};
+  for (const { name } of listIndexes(db, collectionName)) {
+    const objects =
+      name === "_id_"
+        ? [`sqlite_autoindex_${collectionName}_1`]
+        : indexObjects(db, sqliteNames.get(name));
+    indexSizes[name] =
+      usage && sum(objects.map((object) => usage(object).bytes));
+  }
+  const tableUsage = usage?.(collectionName);
+  const storageSize = tableUsage?.bytes ?? null;
+  const totalIndexSize = usage && sum(Object.values(indexSizes));
+  const scaled = (bytes) => (bytes === null ? null : Math.floor(bytes / scale));
+
+  return {
+    ns: collectionName,
+    count,
+    size: scaled(size),
+    avgObjSize: count ? Math.round(size / count) : 0,
+    storageSize: scaled(storageSize),
+    freeStorageSize: scaled(tableUsage?.unused ?? null),
+    pages: tableUsage?.pages ?? null,
+    pageSize: db.prepare("PRAGMA page_size").get().page_size,
+    nindexes: Object.keys(indexSizes).length,
+    indexSizes: Object.fromEntries(
+      Object.entries(indexSizes).map(([name, bytes]) => [name, scaled(bytes)])
+    ),
+    totalIndexSize: scaled(totalIndexSize),
+    totalSize: usage ? scaled(storageSize + totalIndexSize) : null,
+    scaleFactor: scale,
+  };
+}
+
+/**
+ * Runs a batch of `insertOne`, `updateOne`, `updateMany`, `replaceOne`,
+ * `deleteOne` and `deleteMany` operations in one transaction. Ordered batches
+ * stop at the first failure; unordered ones carry on. A failed operation is
+ * undone on its own and the rest still commit, after which a `BulkWriteError`
+ * reports the failures along with the result.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} collectionName - The collection written.
+ * @param {object[]} operations - Operations such as `{ updateOne: { filter, update, upsert } }`.
+ * @param {{ ordered?: boolean, bypassDocumentValidation?: boolean, actor?: string, metadata?: object }} [options] - `ordered` defaults to `true`; `actor` and `metadata` are recorded with every write in collections that keep history.
+ * @returns {BulkWriteResult} - The totals and the result of each operation.
+ *
+ * @typedef {Object} BulkWriteResult
+ * @property {boolean} acknowledged - Always `true`.
+ * @property {number} insertedCount - Documents inserted by `insertOne` operations.
+ * @property {number} matchedCount - Documents matched by updates and replacements.
+ * @property {number} modifiedCount - Documents changed by updates and replacements.
+ * @property {number} deletedCount - Documents deleted.
+ * @property {number} upsertedCount - Documents inserted by upserts.
+ * @property {Object<number, any>} insertedIds - The `_id` inserted by each `insertOne`, by operation index.
+ * @property {Object<number, any>} upsertedIds - The `_id` inserted by each upsert, by operation index.
+ * @property {(object | null)[]} results - What each operation returned, `null` for the ones that failed or did not run.
+ */
+export function bulkWrite(store, collectionName, operations, options = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new BadValue("bulkWrite needs a nonempty array of operations");
+  }
+  const { ordered = true, bypassDocumentValidation } = options;
+  const audit = auditOptions(options);
+  const batch = operations.map(parseOperation);
+
+  const result = {
+    acknowledged: true,
+    insertedCount: 0,
+    matchedCount: 0,
+    modifiedCount: 0,
+    deletedCount: 0,
+    upsertedCount: 0,
+    insertedIds: {},
+    upsertedIds: {},
+    results: batch.map(() => null),
+  };
+  const writeErrors = [];
+  store.db.transaction(() => {
+    for (const [index, { type, operation }] of batch.entries()) {
+      let outcome;
+      try {
+        // A nested transaction is a savepoint, so a failure only undoes this operation
+        outcome = store.db.transaction(() =>
+          BULK_OPERATIONS[type](store, collectionName, operation, {
+            bypassDocumentValidation,
+            ...audit,
+          })
+        )();
+      } catch (err) {
+        if (!(err instanceof DocstoreError)) throw err;
+        writeErrors.push({
+          index,
+          code: err.code,
+          codeName: err.codeName,
+          errmsg: err.message,
+          ...(err.keyValue && { keyValue: err.keyValue }),
+          op: operations[index],
+        });
+        if (ordered) break;
+        continue;
+      }
+      result.results[index] = outcome;
+      tally(result, index, type, outcome);
+    }
+  })();
+
+  if (writeErrors.length > 0) throw new BulkWriteError(writeErrors, result);
+  return result;
+}
+
+function parseOperation(entry, index) {
+  const types =
+    typeof entry === "object" && entry !== null ? Object.keys(entry) : [];
+  const type = types[0];
+  if (types.length !== 1 || !Object.hasOwn(BULK_OPERATIONS, type)) {
+    throw new BadValue(
+      `Operation ${index} of bulkWrite must have one key among ${Object.keys(
+        BULK_OPERATIONS
+      ).join(", ")}`
+    );
+  }
+  const operation = entry[type];
+  for (const member of REQUIRED_MEMBERS[type]) {
+    if (operation?.[member] === undefined) {
+      throw new BadValue(
+        `Operation ${index} of bulkWrite (${type}) needs ${member}`
+      );
+    }
+  }
+  return { type, operation };
+}
+
+function tally(result, index, type, outcome) {
+  if (type === "insertOne") {
+    result.insertedCount += 1;
+    result.insertedIds[index] = outcome.insertedId;
+  } else if (type === "deleteOne" || type === "deleteMany") {
+    result.deletedCount += outcome.deletedCount;
+  } else {
+    result.matchedCount += outcome.matchedCount;
+    result.modifiedCount += outcome.modifiedCount;
+    result.upsertedCount += outcome.upsertedCount;
+    if (outcome.upsertedCount) result.upsertedIds[index] = outcome.upsertedId;
+  }
+}
+
+// Reads the page usage of every table and index from `dbstat`, or returns null
+// when the SQLite build lacks it
+function pageUsage(db) {
+  let statement;
+  try {
+    statement = db.prepare(
+      `SELECT COUNT(*) AS pages, COALESCE(SUM(pgsize), 0) AS bytes,
+              COALESCE(SUM(unused), 0) AS unused
+       FROM dbstat WHERE name = ?`
+    );
+  } catch {
+    return null;
+  }
+  return (name) => statement.get(name);
+}
+
+// The tables and indexes making up an index: one SQLite index, or the tables
+// of a text or geospatial index and their own indexes
+function indexObjects(db, sqliteName) {
+  if (
+    !sqliteName?.startsWith(TEXT_TABLE_PREFIX) &&
+    !sqliteName?.startsWith(GEO_TABLE_PREFIX)
+  ) {
+    return [sqliteName];
+  }
+  return db
+    .prepare(
+      `SELECT name FROM sqlite_master
+       WHERE type IN ('table', 'index')
+         AND (substr(name, 1, length(?)) = ?
+           OR substr(name, 1, length(?)) = ?)`
+    )
+    .all(
+      ...[sqliteName, `sqlite_autoindex_${sqliteName}`].flatMap((prefix) => [
+        prefix,
+        prefix,
+      ])
+    )
+    .map((row) => row.name);
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
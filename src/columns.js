@@ -0,0 +1,147 @@
+/**
+ * Generated columns.
+ *
+ * A collection created with `generatedColumns: { age: "virtual", "address.city": "stored" }`
+ * gets a SQLite generated column for each of those paths, named after the
+ * path (`"document.age"`), holding `json_extract(document, path)`. Filters,
+ * sorts and indexes on a promoted path then use the column instead of
+ * extracting the value from the JSON text:
+ *
+ * - `"stored"` columns are computed when a document is written and kept in the
+ *   row, so comparisons in a full scan no longer parse the JSON. SQLite cannot
+ *   add them to an existing table, so only `createCollection` can declare them.
+ * - `"virtual"` columns take no space and are computed when read; `collMod`
+ *   can add and remove them. An index on one stores the values like any index.
+ *
+ * The values are the same `json_extract` returns, so queries match exactly the
+ * same documents either way.
+ */
+
+import { isPlainObject } from "./codec.js";
+import { BadValue } from "./errors.js";
+import {
+  collectionIdentifier,
+  quoteIdentifier,
+  splitPath,
+  sqlPath,
+} from "./paths.js";
+
+const KINDS = ["virtual", "stored"];
+
+/**
+ * Checks the `generatedColumns` option of `createCollection` and `collMod`.
+ *
+ * @param {{ generatedColumns?: Record<string, "virtual" | "stored"> }} options - The collection options.
+ * @returns {{ generatedColumns?: Record<string, "virtual" | "stored"> }} - The setting given.
+ */
+export function generatedColumnOptions(options) {
+  const { generatedColumns } = options;
+  if (generatedColumns === undefined) return {};
+  if (!isPlainObject(generatedColumns)) {
+    throw new BadValue(
+      'generatedColumns must map field paths to "virtual" or "stored"'
+    );
+  }
+  for (const [field, kind] of Object.entries(generatedColumns)) {
+    splitPath(field);
+    if (field === "_id") {
+      throw new BadValue("_id already has a column of its own");
+    }
+    if (!KINDS.includes(kind)) {
+      throw new BadValue(
+        `The generated column of ${field} must be "virtual" or "stored", got ${kind}`
+      );
+    }
+  }
+  return { generatedColumns: { ...generatedColumns } };
+}
+
+/**
+ * The generated columns of a collection.
+ *
+ * @param {object} options - The collection options, as stored in the catalog.
+ * @returns {Map<string, string>} - The quoted column of each promoted field path.
+ */
+export function generatedColumns(options) {
+  return new Map(
+    Object.keys(options.generatedColumns || {}).map((field) => [
+      field,
+      quoteIdentifier(columnName(field)),
+    ])
+  );
+}
+
+/**
+ * The column definitions of a new collection table.
+ *
+ * @param {Record<string, "virtual" | "stored">} [columns={}] - The `generatedColumns` setting.
+ * @returns {string[]} - One definition per column, for `CREATE TABLE`.
+ */
+export function generatedColumnDefinitions(columns = {}) {
+  return Object.entries(columns).map(([field, kind]) =>
+    columnDefinition(field, kind)
+  );
+}
+
+/**
+ * Lists the fields whose generated column a change of settings adds, drops or
+ * turns from one kind into the other.
+ *
+ * @param {Record<string, string>} [before={}] - The previous `generatedColumns`.
+ * @param {Record<string, string>} [after={}] - The new `generatedColumns`.
+ * @returns {string[]} - The field paths.
+ */
+export function changedColumns(before = {}, after = {}) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields].filter((field) => before[field] !== after[field]);
+}
+
+/**
+ * Adds and drops the generated columns of an existing collection table. The
+ * indexes using a dropped column must be dropped first.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {Record<string, string>} [before={}] - The previous `generatedColumns`.
+ * @param {Record<string, string>} [after={}] - The new `generatedColumns`.
+ */
+export function alterGeneratedColumns(
+  db,
+  collectionName,
+  before = {},
+  after = {}
+) {
+  const table = collectionIdentifier(collectionName);
+  for (const field of changedColumns(before, after)) {
+    if (after[field] === "stored") {
+      throw new BadValue(
+        `SQLite cannot add a stored column to an existing table; declare ${field} in createCollection or make it virtual`
+      );
+    }
+    if (before[field] !== undefined) {
+      db.exec(
+        `ALTER TABLE ${table} DROP COLUMN ${quoteIdentifier(columnName(field))}`
+      );
+    }
+    if (after[field] !== undefined) {
+      db.exec(
+        `ALTER TABLE ${table} ADD COLUMN ${columnDefinition(
+          field,
+          after[field]
+        )}`
+      );
+    }
+  }
+}
+
+function columnName(field) {
+  return `document.${field}`;
+}
+
+function columnDefinition(field, kind) {
+  return `${quoteIdentifier(
+    columnName(field)
+  )} GENERATED ALWAYS AS (json_extract(document, ${sqlPath(
+    field
+  )})) ${kind.toUpperCase()}`;
+}
@@ -0,0 +1,113 @@
+/**
+ * Connection settings and online backup.
+ *
+ * The `init` options tuning the connection (`journalMode`, `synchronous`,
+ * `busyTimeout` and `pragmas`) become PRAGMA statements run right after the
+ * file is opened, which `bun:sqlite` and `better-sqlite3` execute the same way.
+ * The busy timeout defaults to 5 seconds under both drivers, so a write waits
+ * that long for another process's lock before failing with `WriteConflict`.
+ */
+
+import { rmSync } from "node:fs";
+import { BadValue } from "./errors.js";
+import { sqlString } from "./paths.js";
+
+const JOURNAL_MODES = ["delete", "truncate", "persist", "memory", "wal", "off"];
+const SYNCHRONOUS_LEVELS = ["off", "normal", "full", "extra"];
+const DEFAULT_BUSY_TIMEOUT = 5000;
+const PRAGMA_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PRAGMA_KEYWORD = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+
+/**
+ * Checks the connection options of `init` and lists the PRAGMA statements applying them.
+ *
+ * @param {{ journalMode?: string, synchronous?: string, busyTimeout?: number, readonly?: boolean, pragmas?: object }} options - The `init` options.
+ * @returns {string[]} - The statements, in the order they must run; `pragmas` come last so they can override the rest.
+ */
+export function connectionPragmas(options) {
+  const statements = [];
+  const busyTimeout = options.busyTimeout ?? DEFAULT_BUSY_TIMEOUT;
+  if (!Number.isInteger(busyTimeout) || busyTimeout < 0) {
+    throw new BadValue("busyTimeout must be a nonnegative integer");
+  }
+  statements.push(`PRAGMA busy_timeout = ${busyTimeout}`);
+
+  if (options.journalMode !== undefined) {
+    const mode = String(options.journalMode).toLowerCase();
+    if (!JOURNAL_MODES.includes(mode)) {
+      throw new BadValue(
+        `journalMode must be one of ${JOURNAL_MODES.join(", ")}`
+      );
+    }
+    // The journal mode is stored in the file, which a reader cannot change
+    if (options.readonly) {
+      throw new BadValue("journalMode cannot be set on a read-only connection");
+    }
+    statements.push(`PRAGMA journal_mode = ${mode}`);
+  }
+
+  if (options.synchronous !== undefined) {
+    const level = String(options.synchronous).toLowerCase();
+    if (!SYNCHRONOUS_LEVELS.includes(level)) {
+      throw new BadValue(
+        `synchronous must be one of ${SYNCHRONOUS_LEVELS.join(", ")}`
+      );
+    }
+    statements.push(`PRAGMA synchronous = ${level}`);
+  }
+
+  for (const [name, value] of Object.entries(options.pragmas ?? {})) {
+    if (!PRAGMA_NAME.test(name)) {
+      throw new BadValue(`Invalid pragma name: ${name}`);
+    }
+    statements.push(`PRAGMA ${name} = ${pragmaValue(name, value)}`);
+  }
+  return statements;
+}
+
+/**
+ * Copies the database into another file while it stays in use. With
+ * `better-sqlite3` this is SQLite's online backup, run a few pages at a time;
+ * drivers without it (`bun:sqlite`) write the copy in one `VACUUM INTO`.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} destination - The file to write; it is replaced if it exists.
+ * @param {{ progress?: (info: { totalPages: number, remainingPages: number }) => number | void }} [options] - `progress` is called after each step and may return how many pages to copy next.
+ * @returns {Promise<{ totalPages: number, remainingPages: number }>} - The pages copied, once the backup is complete.
+ */
+export async function backupDatabase(db, destination, options = {}) {
+  if (typeof destination !== "string" || destination === "") {
+    throw new BadValue("backup needs a destination path");
+  }
+  const { progress } = options;
+  if (progress !== undefined && typeof progress !== "function") {
+    throw new BadValue("progress must be a function");
+  }
+
+  if (typeof db.backup === "function") {
+    return db.backup(destination, {
+      progress: (info) => {
+        const pages = progress?.(info);
+        return Number.isInteger(pages) && pages > 0 ? pages : undefined;
+      },
+    });
+  }
+
+  const totalPages = db.prepare("PRAGMA page_count").get().page_count;
+  rmSync(destination, { force: true });
+  db.exec(`VACUUM INTO ${sqlString(destination)}`);
+  const info = { totalPages, remainingPages: 0 };
+  progress?.(info);
+  return info;
+}
+
+function pragmaValue(name, value) {
+  if (typeof value === "boolean") return value ? "ON" : "OFF";
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  if (typeof value === "string") {
+    return PRAGMA_KEYWORD.test(value) ? value : sqlString(value);
+  }
+  throw new BadValue(
+    `Pragma ${name} needs a number, a boolean or a string, got ${value}`
+  );
+}
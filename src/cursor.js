@@ -0,0 +1,411 @@
+import {
+  BadValue,
+  IllegalOperation,
+  isMissingTable,
+  toDocstoreError,
+} from "./errors.js";
+import { readCollectionOptions } from "./catalog.js";
+import { deserialize } from "./codec.js";
+import { generatedColumns } from "./columns.js";
+import { decryptDocument, encryptFilter } from "./encryption.js";
+import { compileFilter } from "./filter.js";
+import { explainQuery } from "./indexes.js";
+import { asOfSource } from "./history.js";
+import { prepareCached } from "./statements.js";
+import { filterTextScore, isTextScore } from "./text.js";
+import { collectionIdentifier, sqlPath, sqlString } from "./paths.js";
+
+/**
+ * Merges the `_id` column back into the parsed JSON document. The `_id` stored
+ * in the document wins, since it keeps its type (e.g. an ObjectId).
+ *
+ * @param {{ _id: string, document: string }} row - A collection row.
+ * @returns {object} - The document.
+ */
+export function parseRow(row) {
+  return { _id: row._id, ...deserialize(row.document) };
+}
+
+/**
+ * Lazy query cursor returned by `find`.
+ *
+ * Nothing is read until the cursor is consumed with `toArray()`, `forEach()` or a
+ * `for...of` loop. Sorting, paging and projection are compiled into the SQL
+ * statement (`ORDER BY json_extract(...)`, `LIMIT/OFFSET`, `json_object`), and
+ * iteration streams rows through the statement's `iterate()` so large result sets
+ * are never held in memory at once.
+ *
+ * While a `for...of` loop is running the connection is busy; finish (or `break`
+ * out of) the loop before writing to the database.
+ *
+ * @example
+ * const page = db.find("users", { active: true })
+ *   .sort({ age: -1 })
+ *   .skip(20)
+ *   .limit(10)
+ *   .project({ name: 1 })
+ *   .toArray();
+ */
+export class Cursor {
+  #db;
+  #collectionName;
+  #table;
+  #from;
+  #filter;
+  #columns;
+  #sort = null;
+  #skip = 0;
+  #limit = 0;
+  #projection = null;
+  #started = false;
+
+  /**
+   * @param {object} db - The SQLite connection.
+   * @param {string} collectionName - Collection to query.
+   * @param {object} [filter={}] - MongoDB-style filter document.
+   * @param {{ sort?: object, skip?: number, limit?: number, projection?: object, asOf?: Date | number }} [options] - Initial cursor options; `asOf` reads the documents as they were at that time from the collection's history.
+   */
+  constructor(db, collectionName, filter = {}, options = {}) {
+    this.#db = db;
+    this.#collectionName = collectionName;
+    this.#table = collectionIdentifier(collectionName);
+    // Past documents are not in the text and geospatial indexes, which need the collection
+    const asOf = options.asOf !== undefined;
+    this.#from = asOf
+      ? asOfSource(db, collectionName, options.asOf)
+      : this.#table;
+    // Compiled up front so an invalid filter fails at the `find` call
+    this.#filter = asOf
+      ? compileFilter(encryptFilter(db, collectionName, filter), { db })
+      : compileFilter(filter, { collectionName, db });
+    this.#columns = asOf
+      ? new Map()
+      : generatedColumns(readCollectionOptions(db, collectionName));
+    if (options.sort) this.sort(options.sort);
+    if (options.skip) this.skip(options.skip);
+    if (options.limit) this.limit(options.limit);
+    if (options.projection) this.project(options.projection);
+  }
+
+  /**
+   * Sets the sort order, e.g. `{ age: -1, name: 1 }` or `("age", -1)`.
+   *
+   * @param {object|string} spec - Sort specification or a single field name.
+   * @param {number} [direction=1] - Direction when `spec` is a field name.
+   * @returns {Cursor} - This cursor.
+   */
+  sort(spec, direction = 1) {
+    this.#assertNotStarted();
+    this.#sort = typeof spec === "string" ? { [spec]: direction } : spec;
+    return this;
+  }
+
+  /**
+   * Skips the first `count` matching documents.
+   *
+   * @param {number} count - Number of documents to skip.
+   * @returns {Cursor} - This cursor.
+   */
+  skip(count) {
+    this.#assertNotStarted();
+    this.#skip = assertCount(count, "skip");
+    return this;
+  }
+
+  /**
+   * Returns at most `count` documents. `0` means no limit.
+   *
+   * @param {number} count - Maximum number of documents.
+   * @returns {Cursor} - This cursor.
+   */
+  limit(count) {
+    this.#assertNotStarted();
+    this.#limit = assertCount(count, "limit");
+    return this;
+  }
+
+  /**
+   * Selects the fields to return, e.g. `{ name: 1, "address.city": 1 }` or `{ secret: 0 }`.
+   *
+   * @param {object} spec - Inclusion or exclusion projection.
+   * @returns {Cursor} - This cursor.
+   */
+  project(spec) {
+    this.#assertNotStarted();
+    this.#projection = spec;
+    return this;
+  }
+
+  /**
+   * Counts the documents matching the filter, ignoring `skip` and `limit`.
+   *
+   * @returns {number} - Number of matching documents.
+   */
+  count() {
+    const { sql, params } = this.#filter;
+    try {
+      return prepareCached(
+        this.#db,
+        `SELECT COUNT(*) AS count FROM ${this.#from} WHERE ${sql}`
+      ).get(...params).count;
+    } catch (err) {
+      if (isMissingTable(err)) return 0;
+      throw toDocstoreError(err);
+    }
+  }
+
+  /**
+   * Describes how SQLite would run this cursor's query, and which indexes it
+   * would use, without reading any document.
+   *
+   * @returns {object} - The query plan; see `explain` in the README.
+   */
+  explain() {
+    const { sql, params } = this.#compile();
+    return explainQuery(this.#db, this.#collectionName, sql, params);
+  }
+
+  /**
+   * Reads every remaining document into an array.
+   *
+   * @returns {object[]} - The matching documents.
+   */
+  toArray() {
+    return [...this];
+  }
+
+  /**
+   * Calls `callback` for every document.
+   *
+   * @param {(document: object) => void} callback - Called once per document.
+   */
+  forEach(callback) {
+    for (const document of this) callback(document);
+  }
+
+  *[Symbol.iterator]() {
+    this.#assertNotStarted();
+    this.#started = true;
+
+    const { sql, params } = this.#compile();
+    let rows;
+    try {
+      rows = prepareCached(this.#db, sql).iterate(...params);
+    } catch (err) {
+      // As in MongoDB, a collection that does not exist reads as empty
+      if (isMissingTable(err)) return;
+      throw toDocstoreError(err);
+    }
+
+    for (const row of rows) {
+      yield decryptDocument(
+        this.#db,
+        this.#projection ? deserialize(row.document) : parseRow(row)
+      );
+    }
+  }
+
+  #compile() {
+    const filter = this.#filter;
+    const params = [...filter.params];
+    const textScore = filterTextScore(
+      this.#collectionName,
+      filter,
+      `${this.#table}._id`
+    );
+
+    let sql = `SELECT _id, ${compileProjection(this.#projection, {
+      textScore,
+    })} AS document FROM ${this.#from} WHERE ${filter.sql}`;
+    if (this.#sort) {
+      sql += ` ORDER BY ${compileSort(this.#sort, {
+        textScore,
+        columns: this.#columns,
+      })}`;
+    } else if (filter.near) {
+      sql += ` ORDER BY ${filter.near.distance}`;
+    }
+    if (this.#limit || this.#skip) {
+      sql += " LIMIT ? OFFSET ?";
+      params.push(this.#limit || -1, this.#skip);
+    }
+
+    return { sql, params };
+  }
+
+  #assertNotStarted() {
+    if (this.#started) {
+      throw new IllegalOperation("Cursor is already initialized");
+    }
+  }
+}
+
+function assertCount(count, name) {
+  if (!Number.isInteger(count) || count < 0) {
+    throw new BadValue(`${name} must be a nonnegative integer`);
+  }
+  return count;
+}
+
+/**
+ * Compiles a sort specification into an ORDER BY list. `_id` is read from the
+ * JSON like any field, since its column holds text keys that would put 10
+ * before 9.
+ *
+ * @param {object} spec - Sort specification, e.g. `{ age: -1, name: 1 }`.
+ * @param {object} [options] - Compiler options.
+ * @param {string} [options.textScore] - SQL expression of `{ $meta: "textScore" }`, when the query has `$text`.
+ * @param {Map<string, string>} [options.columns] - The generated columns of the collection, by field path.
+ * @returns {string} - The ORDER BY terms.
+ */
+export function compileSort(spec, options = {}) {
+  const terms = Object.entries(spec).map(([field, direction]) => {
+    if (isTextScore(direction)) {
+      return `${requireTextScore(options)} DESC`;
+    }
+    const order = { 1: "ASC", asc: "ASC", "-1": "DESC", desc: "DESC" }[
+      direction
+    ];
+    if (!order) {
+      throw new BadValue(`Invalid sort direction for "${field}": ${direction}`);
+    }
+    const value =
+      options.columns?.get(field) ??
+      `json_extract(document, ${sqlPath(field)})`;
+    return `${value} ${order}`;
+  });
+  if (terms.length === 0) {
+    throw new BadValue("Sort specification must not be empty");
+  }
+  return terms.join(", ");
+}
+
+/**
+ * Returns the text score expression of a query, or explains why there is none.
+ *
+ * @param {{ textScore?: string }} options - Compiler options.
+ * @returns {string} - The SQL expression of `{ $meta: "textScore" }`.
+ */
+export function requireTextScore(options) {
+  if (!options.textScore) {
+    throw new BadValue('{ $meta: "textScore" } needs a $text query');
+  }
+  return options.textScore;
+}
+
+/**
+ * Compiles a projection into a SQL expression producing the projected JSON document.
+ * Inclusion projections are built with `json_object`; exclusion projections with `json_remove`.
+ * `_id` is included unless the projection sets it to `0`.
+ *
+ * @param {object|null} spec - Projection, e.g. `{ name: 1 }` or `{ secret: 0 }`.
+ * @param {object} [options] - Compiler options.
+ * @param {(value: any) => string} [options.expression] - Compiles computed field values (aggregation `$project`); without it only `0`/`1` are accepted.
+ * @param {string} [options.textScore] - SQL expression of `{ $meta: "textScore" }`, when the query has `$text`.
+ * @returns {string} - The SQL expression of the projected document.
+ */
+export function compileProjection(spec, options = {}) {
+  // Text scores are added on top of whatever the rest of the projection keeps
+  const scores = Object.entries(spec || {}).filter(([, value]) =>
+    isTextScore(value)
+  );
+  if (scores.length > 0) {
+    const rest = Object.fromEntries(
+      Object.entries(spec).filter(([, value]) => !isTextScore(value))
+    );
+    return `json_set(${compileProjection(rest, options)}, ${scores
+      .map(([field]) => `${sqlPath(field)}, ${requireTextScore(options)}`)
+      .join(", ")})`;
+  }
+
+  const kind = (value) =>
+    value === 1 || value === true
+      ? "include"
+      : value === 0 || value === false
+      ? "exclude"
+      : "computed";
+
+  const entries = Object.entries(spec || {});
+  if (entries.length === 0) {
+    return "document";
+  }
+
+  const id = entries.find(([field]) => field === "_id");
+  const others = entries.filter(([field]) => field !== "_id");
+  const excluding =
+    others.length > 0
+      ? others.some(([, value]) => kind(value) === "exclude")
+      : kind(id[1]) === "exclude";
+
+  if (excluding) {
+    if (others.some(([, value]) => kind(value) !== "exclude")) {
+      throw new BadValue("Cannot mix inclusion and exclusion in a projection");
+    }
+    if (id && kind(id[1]) === "computed") {
+      throw new BadValue("Cannot compute _id in an exclusion projection");
+    }
+    const paths = others.map(([field]) => sqlPath(field));
+    if (id && kind(id[1]) === "exclude") paths.push("'$._id'");
+    return `json_remove(document, ${paths.join(", ")})`;
+  }
+
+  const fields = [...(id ? [id] : [["_id", 1]]), ...others].filter(
+    ([, value]) => kind(value) !== "exclude"
+  );
+
+  // Build a tree of the projected paths so nested fields become nested objects
+  const tree = {};
+  for (const [field, value] of fields) {
+    let node = tree;
+    const segments = field.split(".");
+    for (const [index, segment] of segments.entries()) {
+      if (node[segment] === true) break; // an ancestor is already included whole
+      if (index < segments.length - 1) {
+        node = node[segment] ??= {};
+      } else if (kind(value) === "include") {
+        node[segment] = true;
+      } else if (options.expression) {
+        node[segment] = { $computed: options.expression(value) };
+      } else {
+        throw new BadValue(`Unsupported projection value for "${field}"`);
+      }
+    }
+  }
+
+  // Included fields absent from the document are removed again, as MongoDB omits them
+  const missing = [];
+  const build = (node, prefix) => {
+    let computed = false;
+    const members = Object.entries(node).map(([key, child]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (child !== true && "$computed" in child) {
+        computed = true;
+        return `${sqlString(key)}, ${child.$computed}`;
+      }
+
+      // Parents are removed before their children, so reserve the slot first
+      const removal = missing.length;
+      const value =
+        child === true
+          ? { sql: `document -> ${sqlPath(path)}`, computed: false }
+          : build(child, path);
+      if (!value.computed) {
+        missing.splice(
+          removal,
+          0,
+          `CASE WHEN json_type(document, ${sqlPath(
+            path
+          )}) IS NULL THEN ${sqlPath(path)} ELSE '$[0]' END`
+        );
+      }
+      computed ||= value.computed;
+      return `${sqlString(key)}, ${value.sql}`;
+    });
+    return { sql: `json_object(${members.join(", ")})`, computed };
+  };
+
+  const object = build(tree, "").sql;
+  return missing.length > 0
+    ? `json_remove(${object}, ${missing.join(", ")})`
+    : object;
+}
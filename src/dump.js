@@ -0,0 +1,462 @@
+/**
+ * Export, import, dump and restore.
+ *
+ * Documents are written one per line as relaxed Extended JSON, the format of
+ * `mongoexport`, so its files can be read by `mongoimport` and the other way
+ * round. CSV is available with an explicit field list; dotted fields reach into
+ * embedded documents.
+ *
+ * Exports are lazy: `exportCollection` returns an iterable of lines that reads
+ * the collection as it is consumed, e.g. through `Readable.from(lines)`.
+ * Imports take a string or any iterable of text chunks (which need not end on
+ * line boundaries) and write in batches, one transaction per batch.
+ *
+ * `dump` writes a directory in the layout of `mongodump`: `<collection>.json`
+ * with the documents and `<collection>.metadata.json` with the validator and
+ * index definitions, which `restore` recreates after loading the documents.
+ */
+
+import {
+  closeSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  readSync,
+  readdirSync,
+  writeSync,
+} from "node:fs";
+import { join } from "node:path";
+import { ObjectId, deserialize, serialize } from "./codec.js";
+import { listCollectionNames, readCollectionOptions } from "./catalog.js";
+import { BadValue, toDocstoreError } from "./errors.js";
+import { getPath, setPath } from "./update.js";
+
+const FORMATS = ["json", "csv"];
+const MODES = ["insert", "upsert"];
+const COLLECTION_SETTINGS = [
+  "validator",
+  "validationLevel",
+  "validationAction",
+  "history",
+  "softDelete",
+  "generatedColumns",
+];
+const METADATA_SUFFIX = ".metadata.json";
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Exports the documents of a collection as lines of text.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} collectionName - The collection to export.
+ * @param {ExportOptions} [options] - What to export, and how.
+ * @returns {Iterable<string>} - The lines, each ending with `\n`.
+ *
+ * @typedef {Object} ExportOptions
+ * @property {"json" | "csv"} [format="json"] - One relaxed Extended JSON document per line, or CSV.
+ * @property {string[]} [fields] - Fields to export; required for CSV, where they also make the header line.
+ * @property {object} [query] - Only export matching documents.
+ * @property {object} [sort] - Sort specification.
+ * @property {number} [skip] - Number of documents to skip.
+ * @property {number} [limit] - Maximum number of documents.
+ */
+export function exportCollection(store, collectionName, options = {}) {
+  const { format = "json", fields } = options;
+  checkFormat(format, fields);
+
+  const cursor = store.find(collectionName, options.query || {}, {
+    sort: options.sort,
+    skip: options.skip,
+    limit: options.limit,
+    projection: fields
+      ? Object.fromEntries(fields.map((field) => [field, 1]))
+      : undefined,
+  });
+  return format === "csv"
+    ? csvLines(cursor, fields)
+    : jsonLines(cursor, (document) => serialize(document));
+}
+
+/**
+ * Imports documents into a collection, creating it if needed.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} collectionName - The collection to import into.
+ * @param {string | Iterable<string|Uint8Array>} source - The exported text, or its chunks.
+ * @param {ImportOptions} [options] - How to read and write the documents.
+ * @returns {ImportResult} - What was imported, and what failed.
+ *
+ * @typedef {Object} ImportOptions
+ * @property {"json" | "csv"} [format="json"] - Format of the source.
+ * @property {string[]} [fields] - CSV: names of the columns; otherwise the first line is the header.
+ * @property {boolean} [ignoreBlanks=false] - CSV: leave out empty values instead of storing `""`.
+ * @property {"insert" | "upsert"} [mode="insert"] - `upsert` replaces the documents whose `_id` already exists.
+ * @property {boolean} [ordered=true] - Stop at the first document that fails; `false` imports every other document.
+ * @property {number} [batchSize=1000] - Documents written per transaction.
+ * @property {boolean} [drop=false] - Drop the collection before importing.
+ * @property {boolean} [bypassDocumentValidation] - Skip the collection's validator.
+ *
+ * @typedef {Object} ImportResult
+ * @property {number} insertedCount - Documents inserted.
+ * @property {number} upsertedCount - Existing documents replaced (`upsert` mode).
+ * @property {{ line: number, error: Error }[]} errors - Documents that failed, by line of the source.
+ */
+export function importCollection(store, collectionName, source, options = {}) {
+  const {
+    format = "json",
+    mode = "insert",
+    ordered = true,
+    batchSize = 1000,
+  } = options;
+  checkFormat(format, options.fields, "import");
+  if (!MODES.includes(mode)) {
+    throw new BadValue(`mode must be "insert" or "upsert", got ${mode}`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new BadValue("batchSize must be a positive integer");
+  }
+
+  if (options.drop) store.dropCollection(collectionName);
+  store.createCollection(collectionName);
+
+  const writeOptions = {
+    bypassDocumentValidation: options.bypassDocumentValidation,
+  };
+  const result = { insertedCount: 0, upsertedCount: 0, errors: [] };
+  const write = ({ line, document, error }) => {
+    try {
+      if (error) throw error;
+      if (mode === "upsert" && document._id !== undefined) {
+        const { matchedCount } = store.replaceOne(
+          collectionName,
+          { _id: document._id },
+          document,
+          { ...writeOptions, upsert: true }
+        );
+        if (matchedCount > 0) result.upsertedCount++;
+        else result.insertedCount++;
+      } else {
+        store.insertOne(collectionName, document, writeOptions);
+        result.insertedCount++;
+      }
+      return true;
+    } catch (err) {
+      result.errors.push({ line, error: toDocstoreError(err) });
+      return !ordered;
+    }
+  };
+
+  // A failed write only undoes its own statement, so the rest of its batch is kept
+  const writeBatch = store.db.transaction((batch) => batch.every(write));
+  let batch = [];
+  const records =
+    format === "csv" ? csvDocuments(source, options) : jsonDocuments(source);
+  for (const record of records) {
+    batch.push(record);
+    if (batch.length < batchSize) continue;
+    if (!writeBatch(batch)) return result;
+    batch = [];
+  }
+  if (batch.length > 0) writeBatch(batch);
+  return result;
+}
+
+/**
+ * Writes every collection (or the chosen ones) into a directory.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} directory - Where to write; created if missing.
+ * @param {{ collections?: string[] }} [options] - Collections to dump (default: all).
+ * @returns {{ collections: { name: string, documents: number }[] }} - What was written.
+ */
+export function dump(store, directory, options = {}) {
+  const names = options.collections || listCollectionNames(store.db);
+  mkdirSync(directory, { recursive: true });
+
+  const collections = names.map((name) => {
+    const file = fileName(name);
+    const settings = readCollectionOptions(store.db, name);
+    const metadata = {
+      collectionName: name,
+      type: "collection",
+      options: Object.fromEntries(
+        COLLECTION_SETTINGS.filter((key) => settings[key] !== undefined).map(
+          (key) => [key, settings[key]]
+        )
+      ),
+      indexes: store.listIndexes(name),
+    };
+    writeLines(join(directory, file + METADATA_SUFFIX), [
+      `${serialize(metadata)}\n`,
+    ]);
+
+    let documents = 0;
+    writeLines(
+      join(directory, `${file}.json`),
+      jsonLines(store.find(name), (document) => {
+        documents++;
+        return serialize(document);
+      })
+    );
+    return { name, documents };
+  });
+  return { collections };
+}
+
+/**
+ * Recreates the collections of a `dump` directory: validator, documents, then indexes.
+ *
+ * @param {object} store - The docstore interface.
+ * @param {string} directory - The directory written by `dump`.
+ * @param {ImportOptions & { collections?: string[] }} [options] - Collections to restore (default: all), and how to import them.
+ * @returns {{ collections: (ImportResult & { name: string })[] }} - The import result of each collection.
+ */
+export function restore(store, directory, options = {}) {
+  const { collections: only, ...importOptions } = options;
+  const files = readdirSync(directory)
+    .filter((file) => file.endsWith(METADATA_SUFFIX))
+    .sort();
+
+  const collections = [];
+  for (const file of files) {
+    const metadata = deserialize(readFileSync(join(directory, file), "utf8"));
+    const name = metadata.collectionName;
+    if (only && !only.includes(name)) continue;
+
+    if (importOptions.drop) store.dropCollection(name);
+    store.createCollection(name, metadata.options || {});
+    const result = importCollection(
+      store,
+      name,
+      readChunks(join(directory, `${fileName(name)}.json`)),
+      { ...importOptions, drop: false }
+    );
+    for (const index of metadata.indexes || []) {
+      if (index.name === "_id_") continue;
+      const { v, key, ...indexOptions } = index;
+      store.createIndex(name, key, indexOptions);
+    }
+    collections.push({ name, ...result });
+  }
+  return { collections };
+}
+
+/**
+ * Reads a file in chunks, for `importCollection`.
+ *
+ * @param {string} path - The file to read.
+ * @returns {Iterable<Uint8Array>} - Its content, one chunk at a time.
+ */
+export function* readChunks(path) {
+  const fd = openSync(path, "r");
+  try {
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let bytes;
+    while ((bytes = readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      yield buffer.subarray(0, bytes);
+    }
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function checkFormat(format, fields, action = "export") {
+  if (!FORMATS.includes(format)) {
+    throw new BadValue(`format must be "json" or "csv", got ${format}`);
+  }
+  if (
+    fields !== undefined &&
+    (!Array.isArray(fields) ||
+      fields.some((field) => typeof field !== "string" || !field))
+  ) {
+    throw new BadValue("fields must be an array of field names");
+  }
+  if (format === "csv" && action === "export" && !fields) {
+    throw new BadValue("A CSV export needs a list of fields");
+  }
+}
+
+function* jsonLines(cursor, toText) {
+  for (const document of cursor) yield `${toText(document)}\n`;
+}
+
+function* csvLines(cursor, fields) {
+  yield `${fields.map(csvField).join(",")}\n`;
+  for (const document of cursor) {
+    yield `${fields
+      .map((field) => csvField(csvValue(getPath(document, field))))
+      .join(",")}\n`;
+  }
+}
+
+// Formats a value the way mongoexport writes it into a CSV cell
+function csvValue(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof ObjectId) return `ObjectId(${value.toHexString()})`;
+  if (typeof value === "object") return serialize(value);
+  return String(value);
+}
+
+function csvField(text) {
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Parses a CSV cell: numbers and ObjectId(...) get their type back
+function parseCsvValue(text) {
+  if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) {
+    const number = Number(text);
+    if (Number.isSafeInteger(number) || !/^-?\d+$/.test(text)) return number;
+    return BigInt(text);
+  }
+  const objectId = /^ObjectId\(([0-9a-fA-F]{24})\)$/.exec(text);
+  if (objectId) return new ObjectId(objectId[1]);
+  return text;
+}
+
+function* jsonDocuments(source) {
+  for (const { line, text } of lines(source)) {
+    if (!text.trim()) continue;
+    try {
+      const document = deserialize(text);
+      if (typeof document !== "object" || document === null) {
+        throw new BadValue("Each line must hold a JSON object");
+      }
+      yield { line, document };
+    } catch (err) {
+      yield {
+        line,
+        error:
+          err instanceof SyntaxError
+            ? new BadValue(`Invalid JSON on line ${line}: ${err.message}`)
+            : err,
+      };
+    }
+  }
+}
+
+function* csvDocuments(source, options) {
+  let fields = options.fields;
+  for (const { line, values } of csvRecords(source)) {
+    if (!fields) {
+      fields = values;
+      continue;
+    }
+    try {
+      const document = {};
+      fields.forEach((field, index) => {
+        const text = values[index] ?? "";
+        if (text === "" && options.ignoreBlanks) return;
+        setPath(document, field, parseCsvValue(text));
+      });
+      yield { line, document };
+    } catch (err) {
+      yield { line, error: err };
+    }
+  }
+}
+
+// Splits text chunks into lines, numbered from 1
+function* lines(source) {
+  let pending = "";
+  let line = 0;
+  for (const chunk of chunks(source)) {
+    const parts = (pending + chunk).split("\n");
+    pending = parts.pop();
+    for (const text of parts) yield { line: ++line, text: stripCr(text) };
+  }
+  if (pending) yield { line: ++line, text: stripCr(pending) };
+}
+
+function stripCr(text) {
+  return text.endsWith("\r") ? text.slice(0, -1) : text;
+}
+
+// Splits text chunks into CSV records; quoted cells may span lines
+function* csvRecords(source) {
+  let values = [];
+  let cell = "";
+  let quoted = false;
+  let afterQuote = false;
+  let line = 1;
+  let start = 1;
+
+  for (const chunk of chunks(source)) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (quoted) {
+        if (char === '"') {
+          quoted = false;
+          afterQuote = true;
+        } else {
+          if (char === "\n") line++;
+          cell += char;
+        }
+      } else if (char === '"') {
+        // `""` inside a quoted cell is a literal quote
+        if (afterQuote) cell += '"';
+        quoted = true;
+        afterQuote = false;
+      } else if (char === ",") {
+        values.push(cell);
+        cell = "";
+        afterQuote = false;
+      } else if (char === "\n") {
+        values.push(cell);
+        if (values.length > 1 || values[0] !== "") {
+          yield { line: start, values };
+        }
+        values = [];
+        cell = "";
+        afterQuote = false;
+        start = ++line;
+      } else if (char !== "\r") {
+        cell += char;
+      }
+    }
+  }
+  if (cell !== "" || values.length > 0) {
+    values.push(cell);
+    yield { line: start, values };
+  }
+}
+
+function* chunks(source) {
+  if (typeof source === "string") {
+    yield source;
+    return;
+  }
+  if (source === null || typeof source[Symbol.iterator] !== "function") {
+    throw new BadValue("The import source must be a string or an iterable");
+  }
+  const decoder = new TextDecoder();
+  for (const chunk of source) {
+    yield typeof chunk === "string"
+      ? chunk
+      : decoder.decode(chunk, { stream: true });
+  }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+// Collection names may hold characters that are not allowed in file names
+function fileName(collectionName) {
+  return encodeURIComponent(collectionName);
+}
+
+function writeLines(path, lines) {
+  const fd = openSync(path, "w");
+  try {
+    let buffer = "";
+    for (const line of lines) {
+      buffer += line;
+      if (buffer.length >= CHUNK_SIZE) {
+        writeSync(fd, buffer);
+        buffer = "";
+      }
+    }
+    if (buffer) writeSync(fd, buffer);
+  } finally {
+    closeSync(fd);
+  }
+}
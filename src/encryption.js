@@ -0,0 +1,534 @@
+/**
+ * Client-side field-level encryption.
+ *
+ * The `encryption` option of `init` names the fields of each collection that
+ * are encrypted and how:
+ *
+ * - `"random"`: AES-256-GCM with a random IV, so the same value encrypts
+ *   differently every time. Nothing can be matched against it but `$exists`.
+ * - `"deterministic"`: AES-256-GCM with an IV derived from the value (an HMAC
+ *   of it, as in SIV), so a value always encrypts to the same bytes under the
+ *   same key. Equality filters (`$eq`, `$ne`, `$in`, `$nin`) and unique indexes
+ *   keep working; ranges, regexes and sorting do not.
+ *
+ * Values are encrypted on the way into the `document` column, the history and
+ * the oplog, and stored as `EncryptedValue`s: a header with the algorithm and
+ * the id of the key, the IV, the GCM tag and the ciphertext of the value's
+ * Extended JSON. Reads decrypt every `EncryptedValue` they return, wherever it
+ * ends up in the result, so `$project`, `$group` or `$lookup` output is
+ * decrypted too. Keys are 32 bytes and come from the key provider, by id; the
+ * id of the key that encrypted a value travels with it, so older values still
+ * decrypt after the key changes. `rotateEncryptionKey` re-encrypts a collection
+ * under another key and makes it the collection's key from then on.
+ *
+ * The settings live in the process, not in the file: a docstore opened without
+ * them reads `EncryptedValue`s and writes plaintext.
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHmac,
+  hkdfSync,
+  randomBytes,
+} from "node:crypto";
+import {
+  collectionExists,
+  readCollectionOptions,
+  writeCollectionOptions,
+} from "./catalog.js";
+import {
+  EncryptedValue,
+  deserialize,
+  isPlainObject,
+  serialize,
+} from "./codec.js";
+import { BadValue, IllegalOperation, NamespaceNotFound } from "./errors.js";
+import { historyTableName } from "./history.js";
+import { OPLOG_TABLE } from "./oplog.js";
+import { collectionIdentifier, quoteIdentifier, splitPath } from "./paths.js";
+
+const ALGORITHMS = { deterministic: 1, random: 2 };
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const LOGICAL_OPERATORS = ["$and", "$or", "$nor"];
+
+// The settings of each connection opened with the `encryption` option
+const settingsByDb = new WeakMap();
+
+/**
+ * Checks the `encryption` option of `init` and attaches it to the connection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {EncryptionOptions} [options] - The `encryption` option; nothing is encrypted without it.
+ *
+ * @typedef {Object} EncryptionOptions
+ * @property {((keyId: string) => Uint8Array) | Record<string, Uint8Array>} keyProvider - Returns the 32-byte key with a given id, or maps the ids to the keys.
+ * @property {string} keyId - Id of the key new values are encrypted with, until `rotateEncryptionKey` gives a collection another one.
+ * @property {Record<string, Record<string, "deterministic" | "random">>} fields - The encrypted fields of each collection, by dotted path, e.g. `{ users: { ssn: "deterministic", "address.street": "random" } }`.
+ */
+export function configureEncryption(db, options) {
+  if (options === undefined || options === false) return;
+  if (!isPlainObject(options)) {
+    throw new BadValue("encryption must be an object");
+  }
+  const { keyProvider, keyId, fields = {} } = options;
+  if (typeof keyProvider !== "function" && !isPlainObject(keyProvider)) {
+    throw new BadValue(
+      "encryption.keyProvider must be a function or an object of keys by id"
+    );
+  }
+  checkKeyId(keyId);
+  if (!isPlainObject(fields)) {
+    throw new BadValue("encryption.fields must map collections to fields");
+  }
+
+  const schema = new Map();
+  for (const [collectionName, map] of Object.entries(fields)) {
+    if (!isPlainObject(map)) {
+      throw new BadValue(
+        `encryption.fields.${collectionName} must map field paths to "deterministic" or "random"`
+      );
+    }
+    const paths = Object.entries(map).map(([path, algorithm]) => {
+      const segments = splitPath(path);
+      if (segments[0] === "_id") {
+        throw new BadValue("The _id field cannot be encrypted");
+      }
+      if (!Object.hasOwn(ALGORITHMS, algorithm)) {
+        throw new BadValue(
+          `Encrypted field ${path} of ${collectionName} must be "deterministic" or "random", got ${algorithm}`
+        );
+      }
+      return { path, segments, algorithm: ALGORITHMS[algorithm] };
+    });
+    for (const field of paths) {
+      const inner = paths.find(({ path }) => path.startsWith(`${field.path}.`));
+      if (inner) {
+        throw new BadValue(
+          `Encrypted field ${inner.path} is inside encrypted field ${field.path}`
+        );
+      }
+    }
+    schema.set(collectionName, paths);
+  }
+
+  const settings = { keys: keyring(keyProvider), keyId, schema };
+  // Fails now rather than at the first write when the key is missing
+  settings.keys(keyId);
+  settingsByDb.set(db, settings);
+}
+
+/**
+ * Encrypts the configured fields of a document before it is stored. Values that
+ * are already encrypted, `null`s and missing fields are left as they are.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection the document is written to.
+ * @param {object} document - The plaintext document.
+ * @param {object} [previous] - The document as stored before an update; unchanged values keep their ciphertext, so they do not show up as changed in the oplog.
+ * @returns {object} - The document to store; `document` itself when nothing is encrypted.
+ */
+export function encryptDocument(db, collectionName, document, previous) {
+  const settings = settingsByDb.get(db);
+  const fields = settings?.schema.get(collectionName);
+  if (!fields) return document;
+  const keyId = collectionKeyId(db, settings, collectionName);
+
+  let stored = document;
+  for (const field of fields) {
+    stored = mapField(
+      stored,
+      field,
+      (value, before) => {
+        if (value === null || value instanceof EncryptedValue) return value;
+        if (
+          field.algorithm === ALGORITHMS.random &&
+          before instanceof EncryptedValue &&
+          isCurrent(before, field, keyId) &&
+          serialize(decryptValue(settings, before)) === serialize(value)
+        ) {
+          return before;
+        }
+        return encryptValue(settings, keyId, field.algorithm, value);
+      },
+      previous
+    );
+  }
+  return stored;
+}
+
+/**
+ * Decrypts every `EncryptedValue` inside a value read from the database.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {any} value - A document, an array of values or a single value.
+ * @returns {any} - The plaintext; `value` itself when it holds nothing encrypted or the docstore has no keys.
+ */
+export function decryptDocument(db, value) {
+  const settings = settingsByDb.get(db);
+  if (!settings) return value;
+  return mapEncrypted(value, (encrypted) => decryptValue(settings, encrypted));
+}
+
+/**
+ * Encrypts the values a filter compares deterministic fields with, so they
+ * match the stored ciphertext. Any other condition on an encrypted field
+ * throws, since it could never match.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection the filter runs on.
+ * @param {object} filter - The filter document.
+ * @returns {object} - The filter to compile; `filter` itself when it uses no encrypted field.
+ */
+export function encryptFilter(db, collectionName, filter) {
+  const settings = settingsByDb.get(db);
+  const fields = settings?.schema.get(collectionName);
+  if (!fields || !isPlainObject(filter)) return filter;
+  const keyId = collectionKeyId(db, settings, collectionName);
+
+  const seal = (field, value) => {
+    if (value === null || value === undefined) return value;
+    if (field.algorithm !== ALGORITHMS.deterministic) {
+      throw new BadValue(
+        `${field.path} is encrypted with random encryption; only $exists can query it`
+      );
+    }
+    if (value instanceof RegExp) {
+      throw new BadValue(
+        `A regular expression cannot match encrypted field ${field.path}`
+      );
+    }
+    return encryptValue(settings, keyId, field.algorithm, value);
+  };
+  return encryptConditions(filter, fields, seal);
+}
+
+/**
+ * Re-encrypts a collection, its history and its oplog entries under another
+ * key, which the collection then keeps for new values. Fields that were stored
+ * in plaintext, e.g. written before they were configured, are encrypted too.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {string} keyId - Id of the new key, known to the key provider.
+ * @returns {{ acknowledged: boolean, modifiedCount: number }} - The number of documents rewritten.
+ */
+export function rotateEncryptionKey(db, collectionName, keyId) {
+  const settings = settingsByDb.get(db);
+  if (!settings) {
+    throw new IllegalOperation(
+      "The docstore was opened without the encryption option"
+    );
+  }
+  checkKeyId(keyId);
+  settings.keys(keyId);
+  const table = collectionIdentifier(collectionName);
+  if (!collectionExists(db, collectionName)) {
+    throw new NamespaceNotFound(collectionName);
+  }
+
+  const reencrypt = (value) =>
+    mapEncrypted(value, (encrypted) => {
+      const { algorithm, keyId: current } = readHeader(encrypted);
+      return current === keyId
+        ? encrypted
+        : encryptValue(
+            settings,
+            keyId,
+            algorithm,
+            decryptValue(settings, encrypted)
+          );
+    });
+  const rewrite = (text) =>
+    serialize(
+      encryptDocument(db, collectionName, reencrypt(deserialize(text)))
+    );
+
+  return db
+    .transaction(() => {
+      const options = readCollectionOptions(db, collectionName);
+      writeCollectionOptions(db, collectionName, {
+        ...options,
+        encryptionKeyId: keyId,
+      });
+
+      let modifiedCount = 0;
+      const write = db.prepare(
+        `UPDATE ${table} SET document = ? WHERE _id = ?`
+      );
+      for (const row of db
+        .prepare(`SELECT _id, document FROM ${table}`)
+        .all()) {
+        const document = rewrite(row.document);
+        if (document === row.document) continue;
+        write.run(document, row._id);
+        modifiedCount++;
+      }
+
+      if (options.history === true) {
+        const history = quoteIdentifier(historyTableName(collectionName));
+        const update = db.prepare(
+          `UPDATE ${history} SET document = ? WHERE _id = ? AND version = ?`
+        );
+        for (const row of db
+          .prepare(
+            `SELECT _id, version, document FROM ${history} WHERE document IS NOT NULL`
+          )
+          .all()) {
+          update.run(rewrite(row.document), row._id, row.version);
+        }
+      }
+
+      const hasOplog = db
+        .prepare(
+          "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?"
+        )
+        .get(OPLOG_TABLE);
+      if (hasOplog) {
+        const update = db.prepare(
+          `UPDATE ${OPLOG_TABLE} SET full_document = ?, update_description = ? WHERE seq = ?`
+        );
+        const entries = db
+          .prepare(
+            `SELECT seq, full_document, update_description FROM ${OPLOG_TABLE} WHERE ns = ?`
+          )
+          .all(collectionName);
+        for (const { seq, full_document, update_description } of entries) {
+          const [document, description] = [
+            full_document,
+            update_description,
+          ].map((text) =>
+            text === null ? null : serialize(reencrypt(deserialize(text)))
+          );
+          update.run(document, description, seq);
+        }
+      }
+
+      return { acknowledged: true, modifiedCount };
+    })
+    .immediate();
+}
+
+// Derives the encryption and IV keys of each key id once
+function keyring(keyProvider) {
+  const cache = new Map();
+  return (keyId) => {
+    let keys = cache.get(keyId);
+    if (keys) return keys;
+    const key =
+      typeof keyProvider === "function"
+        ? keyProvider(keyId)
+        : Object.hasOwn(keyProvider, keyId)
+        ? keyProvider[keyId]
+        : undefined;
+    if (!(key instanceof Uint8Array) || key.byteLength !== KEY_LENGTH) {
+      throw new BadValue(
+        `The key provider has no ${KEY_LENGTH}-byte key with id "${keyId}"`
+      );
+    }
+    keys = {
+      cipher: Buffer.from(hkdfSync("sha256", key, "", "docstore cipher", 32)),
+      iv: Buffer.from(hkdfSync("sha256", key, "", "docstore iv", 32)),
+    };
+    cache.set(keyId, keys);
+    return keys;
+  };
+}
+
+function checkKeyId(keyId) {
+  if (
+    typeof keyId !== "string" ||
+    keyId.length === 0 ||
+    Buffer.byteLength(keyId) > 255
+  ) {
+    throw new BadValue(
+      "An encryption key id must be a string of 1 to 255 bytes"
+    );
+  }
+}
+
+// The key a collection encrypts with: its own after a rotation, else the default
+function collectionKeyId(db, settings, collectionName) {
+  return (
+    readCollectionOptions(db, collectionName).encryptionKeyId ?? settings.keyId
+  );
+}
+
+// Layout: algorithm, key id length, key id, IV, GCM tag, ciphertext. The
+// header (algorithm and key id) is authenticated as additional data.
+function encryptValue(settings, keyId, algorithm, value) {
+  const plaintext = Buffer.from(serialize(value) ?? "null", "utf8");
+  const keys = settings.keys(keyId);
+  const id = Buffer.from(keyId, "utf8");
+  const header = Buffer.concat([Buffer.of(algorithm, id.length), id]);
+  const iv =
+    algorithm === ALGORITHMS.deterministic
+      ? createHmac("sha256", keys.iv)
+          .update(header)
+          .update(plaintext)
+          .digest()
+          .subarray(0, IV_LENGTH)
+      : randomBytes(IV_LENGTH);
+  const cipher = createCipheriv("aes-256-gcm", keys.cipher, iv);
+  cipher.setAAD(header);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return new EncryptedValue(
+    Buffer.concat([header, iv, cipher.getAuthTag(), ciphertext])
+  );
+}
+
+function decryptValue(settings, encrypted) {
+  const { keyId, header, iv, tag, ciphertext } = readHeader(encrypted);
+  const decipher = createDecipheriv(
+    "aes-256-gcm",
+    settings.keys(keyId).cipher,
+    iv
+  );
+  decipher.setAAD(header);
+  decipher.setAuthTag(tag);
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch (err) {
+    throw new BadValue(
+      `Could not decrypt a value encrypted with key "${keyId}"`,
+      { cause: err }
+    );
+  }
+  return deserialize(plaintext.toString("utf8"));
+}
+
+function readHeader(encrypted) {
+  const { bytes } = encrypted;
+  const algorithm = bytes[0];
+  const idEnd = 2 + (bytes[1] ?? 0);
+  if (
+    !Object.values(ALGORITHMS).includes(algorithm) ||
+    bytes.length < idEnd + IV_LENGTH + TAG_LENGTH
+  ) {
+    throw new BadValue("Malformed encrypted value");
+  }
+  return {
+    algorithm,
+    keyId: bytes.toString("utf8", 2, idEnd),
+    header: bytes.subarray(0, idEnd),
+    iv: bytes.subarray(idEnd, idEnd + IV_LENGTH),
+    tag: bytes.subarray(idEnd + IV_LENGTH, idEnd + IV_LENGTH + TAG_LENGTH),
+    ciphertext: bytes.subarray(idEnd + IV_LENGTH + TAG_LENGTH),
+  };
+}
+
+function isCurrent(encrypted, field, keyId) {
+  const header = readHeader(encrypted);
+  return header.algorithm === field.algorithm && header.keyId === keyId;
+}
+
+// Replaces the value at a field's path, copying the objects on the way
+// instead of changing them. `previous` is walked alongside.
+function mapField(document, field, fn, previous, depth = 0) {
+  if (!isPlainObject(document)) return document;
+  const segment = field.segments[depth];
+  if (!Object.hasOwn(document, segment)) return document;
+  const value = document[segment];
+  const before = isPlainObject(previous) ? previous[segment] : undefined;
+
+  let mapped;
+  if (depth === field.segments.length - 1) {
+    mapped = fn(value, before);
+  } else if (Array.isArray(value)) {
+    throw new BadValue(
+      `Encrypted field ${field.path} cannot be inside an array`
+    );
+  } else {
+    mapped = mapField(value, field, fn, before, depth + 1);
+  }
+  return mapped === value ? document : { ...document, [segment]: mapped };
+}
+
+// Replaces every EncryptedValue inside a value, copying only what changes
+function mapEncrypted(value, fn) {
+  if (value instanceof EncryptedValue) return fn(value);
+  let copy = null;
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      const mapped = mapEncrypted(item, fn);
+      if (mapped !== item) (copy ??= [...value])[index] = mapped;
+    });
+  } else if (isPlainObject(value)) {
+    for (const [key, member] of Object.entries(value)) {
+      const mapped = mapEncrypted(member, fn);
+      if (mapped !== member) (copy ??= { ...value })[key] = mapped;
+    }
+  }
+  return copy ?? value;
+}
+
+function encryptConditions(filter, fields, seal) {
+  let result = filter;
+  for (const [key, condition] of Object.entries(filter)) {
+    let mapped = condition;
+    if (LOGICAL_OPERATORS.includes(key) && Array.isArray(condition)) {
+      mapped = condition.map((clause) =>
+        isPlainObject(clause) ? encryptConditions(clause, fields, seal) : clause
+      );
+    } else if (!key.startsWith("$")) {
+      mapped = encryptCondition(key, condition, fields, seal);
+    }
+    if (mapped !== condition) {
+      if (result === filter) result = { ...filter };
+      result[key] = mapped;
+    }
+  }
+  return result;
+}
+
+function encryptCondition(path, condition, fields, seal) {
+  const field = fields.find(
+    (field) => path === field.path || path.startsWith(`${field.path}.`)
+  );
+  const nested = fields.filter((field) => field.path.startsWith(`${path}.`));
+  if (!field && nested.length === 0) return condition;
+  if (field && field.path !== path) {
+    throw new BadValue(`Cannot query inside encrypted field ${field.path}`);
+  }
+
+  // A field compared whole, or an embedded document holding encrypted fields
+  const literal = (value) => {
+    if (field) return seal(field, value);
+    let sealed = value;
+    for (const inner of nested) {
+      const relative = inner.path.slice(path.length + 1);
+      sealed = mapField(
+        sealed,
+        { ...inner, segments: relative.split(".") },
+        (member) => seal(inner, member)
+      );
+    }
+    return sealed;
+  };
+
+  const keys = isPlainObject(condition) ? Object.keys(condition) : [];
+  if (keys.length === 0 || !keys.every((key) => key.startsWith("$"))) {
+    return literal(condition);
+  }
+  const mapped = {};
+  for (const [operator, operand] of Object.entries(condition)) {
+    if (operator === "$eq" || operator === "$ne") {
+      mapped[operator] = literal(operand);
+    } else if (
+      (operator === "$in" || operator === "$nin") &&
+      Array.isArray(operand)
+    ) {
+      mapped[operator] = operand.map(literal);
+    } else if (operator === "$exists" || !field) {
+      mapped[operator] = operand;
+    } else {
+      throw new BadValue(
+        `${operator} cannot query encrypted field ${path}; only equality works, on deterministic fields`
+      );
+    }
+  }
+  return mapped;
+}
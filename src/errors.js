@@ -0,0 +1,370 @@
+/**
+ * Error classes.
+ *
+ * Everything the docstore throws on purpose is a `DocstoreError`, carrying the
+ * numeric `code` and `codeName` MongoDB uses for the same failure, so code
+ * written against the MongoDB driver can keep checking `err.code === 11000`.
+ * Errors raised by SQLite are translated where their meaning is known; the
+ * original error is kept as `cause`.
+ */
+
+import { TEXT_TABLE_PREFIX, readCollectionOptions } from "./catalog.js";
+import { serialize } from "./codec.js";
+
+/**
+ * Base class of every docstore error.
+ */
+export class DocstoreError extends Error {
+  code = 1;
+  codeName = "InternalError";
+
+  /**
+   * @param {string} message - What went wrong.
+   * @param {{ cause?: Error }} [options] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = new.target.name;
+  }
+}
+
+/**
+ * An argument is malformed: an unknown operator, a bad option, a wrong type of value.
+ */
+export class BadValue extends DocstoreError {
+  code = 2;
+  codeName = "BadValue";
+}
+
+/**
+ * An update operator met a value of the wrong type, e.g. `$inc` on a string.
+ */
+export class TypeMismatch extends DocstoreError {
+  code = 14;
+  codeName = "TypeMismatch";
+}
+
+/**
+ * The caller is not allowed to do this, e.g. an HTTP API key without write access to the collection.
+ */
+export class Unauthorized extends DocstoreError {
+  code = 13;
+  codeName = "Unauthorized";
+}
+
+/**
+ * The caller could not be identified, e.g. a missing or unknown HTTP API key.
+ */
+export class AuthenticationFailed extends DocstoreError {
+  code = 18;
+  codeName = "AuthenticationFailed";
+}
+
+/**
+ * The operation is not allowed in the current state, e.g. committing without a transaction.
+ */
+export class IllegalOperation extends DocstoreError {
+  code = 20;
+  codeName = "IllegalOperation";
+}
+
+/**
+ * The collection does not exist.
+ */
+export class NamespaceNotFound extends DocstoreError {
+  code = 26;
+  codeName = "NamespaceNotFound";
+
+  /**
+   * @param {string} collectionName - The missing collection.
+   * @param {{ cause?: Error }} [options] - The underlying error, if any.
+   */
+  constructor(collectionName, options) {
+    super(`Collection "${collectionName}" does not exist`, options);
+    this.collectionName = collectionName;
+  }
+}
+
+/**
+ * The index does not exist.
+ */
+export class IndexNotFound extends DocstoreError {
+  code = 27;
+  codeName = "IndexNotFound";
+}
+
+/**
+ * Two operators of an update write the same path, or one writes inside the
+ * other's.
+ */
+export class ConflictingUpdateOperators extends DocstoreError {
+  code = 40;
+  codeName = "ConflictingUpdateOperators";
+}
+
+/**
+ * A `getMore` named a cursor that is exhausted, killed or was never opened.
+ */
+export class CursorNotFound extends DocstoreError {
+  code = 43;
+  codeName = "CursorNotFound";
+}
+
+/**
+ * A collection with that name already exists.
+ */
+export class NamespaceExists extends DocstoreError {
+  code = 48;
+  codeName = "NamespaceExists";
+
+  /**
+   * @param {string} collectionName - The existing collection.
+   * @param {{ cause?: Error }} [options] - The underlying error, if any.
+   */
+  constructor(collectionName, options) {
+    super(`Collection "${collectionName}" already exists`, options);
+    this.collectionName = collectionName;
+  }
+}
+
+/**
+ * The wire protocol or HTTP server does not implement the command or route.
+ */
+export class CommandNotFound extends DocstoreError {
+  code = 59;
+  codeName = "CommandNotFound";
+}
+
+/**
+ * A collection or index name cannot be used, e.g. it is empty or reserved.
+ */
+export class InvalidNamespace extends DocstoreError {
+  code = 73;
+  codeName = "InvalidNamespace";
+}
+
+/**
+ * Some operations of a `bulkWrite` failed; the others were applied. Like the
+ * MongoDB driver's error, it takes the code of the first failure, so
+ * `err.code === 11000` still detects a duplicate key.
+ */
+export class BulkWriteError extends DocstoreError {
+  code = 65;
+  codeName = "MultipleErrorsOccurred";
+
+  /**
+   * @param {{ index: number, code: number, codeName: string, errmsg: string }[]} writeErrors - The failed operations, by position in the batch.
+   * @param {object} result - The outcome of the operations that ran, as `bulkWrite` returns it.
+   */
+  constructor(writeErrors, result) {
+    super(
+      `${writeErrors.length} of the bulk write operations failed; the first: ${writeErrors[0].errmsg}`
+    );
+    this.code = writeErrors[0].code;
+    this.codeName = writeErrors[0].codeName;
+    this.writeErrors = writeErrors;
+    this.result = result;
+  }
+}
+
+/**
+ * An update tried to change `_id`.
+ */
+export class ImmutableField extends DocstoreError {
+  code = 66;
+  codeName = "ImmutableField";
+}
+
+/**
+ * An index with the same name or key already exists with different options.
+ */
+export class IndexOptionsConflict extends DocstoreError {
+  code = 85;
+  codeName = "IndexOptionsConflict";
+}
+
+/**
+ * The database is locked by another connection (`SQLITE_BUSY`).
+ */
+export class WriteConflict extends DocstoreError {
+  code = 112;
+  codeName = "WriteConflict";
+}
+
+/**
+ * A document failed its collection's validator.
+ */
+export class ValidationError extends DocstoreError {
+  code = 121;
+  codeName = "DocumentValidationFailure";
+
+  /**
+   * @param {string} collectionName - The collection being written.
+   * @param {{ path: string, keyword: string, message: string }[]} failures - What failed, and where.
+   */
+  constructor(collectionName, failures) {
+    super(
+      `Document failed validation in "${collectionName}": ${failures
+        .map((failure) => `${failure.path || "(root)"} ${failure.message}`)
+        .join("; ")}`
+    );
+    this.failures = failures;
+  }
+}
+
+/**
+ * A change stream was resumed from a point the oplog has already pruned.
+ */
+export class ChangeStreamHistoryLost extends DocstoreError {
+  code = 286;
+  codeName = "ChangeStreamHistoryLost";
+
+  /**
+   * @param {{ _data: string }} token - The resume token.
+   */
+  constructor(token) {
+    super(
+      `Cannot resume after ${JSON.stringify(
+        token
+      )}: the oplog no longer holds that point`
+    );
+  }
+}
+
+/**
+ * A write would duplicate the `_id` or a unique index key of another document.
+ */
+export class DuplicateKeyError extends DocstoreError {
+  code = 11000;
+  codeName = "DuplicateKey";
+
+  /**
+   * @param {string} collectionName - The collection being written.
+   * @param {object} keyValue - The duplicated key, e.g. `{ email: "a@b.c" }`.
+   * @param {{ cause?: Error }} [options] - The underlying error, if any.
+   */
+  constructor(collectionName, keyValue, options) {
+    super(
+      `E11000 duplicate key error collection: ${collectionName} dup key: ${serialize(
+        keyValue
+      )}`,
+      options
+    );
+    this.keyValue = keyValue;
+  }
+}
+
+/**
+ * Translates an error thrown by SQLite into a `DocstoreError`. Docstore errors
+ * and errors that did not come from SQLite are returned unchanged.
+ *
+ * @param {Error} err - The caught error.
+ * @param {object} [context] - What was being done.
+ * @param {object} [context.db] - The SQLite connection, used to describe unique index keys.
+ * @param {string} [context.collectionName] - The collection being accessed.
+ * @param {object} [context.document] - The document being written, used for `keyValue`.
+ * @returns {Error} - The error to throw.
+ */
+export function toDocstoreError(err, context = {}) {
+  if (err instanceof DocstoreError) return err;
+  if (/no such table/.test(err.message) && isTextTable(missingTable(err))) {
+    return new IndexNotFound("A text index is required for $text queries", {
+      cause: err,
+    });
+  }
+  if (isMissingTable(err)) {
+    return new NamespaceNotFound(missingTable(err), { cause: err });
+  }
+  if (typeof err.code !== "string") return err;
+
+  const { db, collectionName, document } = context;
+  if (
+    err.code === "SQLITE_CONSTRAINT_PRIMARYKEY" ||
+    err.code === "SQLITE_CONSTRAINT_UNIQUE"
+  ) {
+    return new DuplicateKeyError(
+      collectionName,
+      duplicateKey(err, db, collectionName, document),
+      { cause: err }
+    );
+  }
+  const existing =
+    /table "?(.+?)"? already exists/.exec(err.message) ||
+    /another table or index with this name: (.+)$/.exec(err.message);
+  if (existing) {
+    return new NamespaceExists(existing[1], { cause: err });
+  }
+  if (
+    err.code.startsWith("SQLITE_BUSY") ||
+    err.code.startsWith("SQLITE_LOCKED")
+  ) {
+    return new WriteConflict(err.message, { cause: err });
+  }
+  if (err.code.startsWith("SQLITE_READONLY")) {
+    return new IllegalOperation("The database is read-only", { cause: err });
+  }
+  if (err.code.startsWith("SQLITE_")) {
+    return new DocstoreError(err.message, { cause: err });
+  }
+  return err;
+}
+
+/**
+ * Tells whether an error means the collection does not exist.
+ *
+ * @param {Error} err - The caught error.
+ * @returns {boolean} - `true` for a missing table.
+ */
+export function isMissingTable(err) {
+  return (
+    err instanceof NamespaceNotFound ||
+    (/no such table/.test(err?.message) && !isTextTable(missingTable(err)))
+  );
+}
+
+function isTextTable(name) {
+  return name.startsWith(TEXT_TABLE_PREFIX);
+}
+
+function missingTable(err) {
+  return /no such table: (?:main\.)?(.+)$/.exec(err.message)[1];
+}
+
+// Builds `keyValue` from the document and the index named in the SQLite message,
+// e.g. "UNIQUE constraint failed: users._id" or "... failed: index 'users.email_1'"
+function duplicateKey(err, db, collectionName, document = {}) {
+  const index = /index '([^']+)'/.exec(err.message);
+  if (!index) return { _id: document._id };
+
+  const entry =
+    db && collectionName
+      ? (readCollectionOptions(db, collectionName).indexes || []).find(
+          (candidate) => candidate.sqliteName === index[1]
+        )
+      : undefined;
+  const fields = entry
+    ? Object.keys(entry.key)
+    : legacyIndexFields(db, index[1]);
+  const keyValue = {};
+  for (const field of fields) {
+    keyValue[field] = field
+      .split(".")
+      .reduce(
+        (value, key) => (value == null ? undefined : value[key]),
+        document
+      );
+  }
+  return keyValue;
+}
+
+// Indexes created before the catalog recorded them: read the paths from their SQL
+function legacyIndexFields(db, indexName) {
+  const definition = db
+    ?.prepare("SELECT sql FROM sqlite_master WHERE type = 'index' AND name = ?")
+    .get(indexName);
+  return [
+    ...(definition?.sql || "").matchAll(
+      /json_extract\(\s*document\s*,\s*'\$\.([^']+)'\s*\)/g
+    ),
+  ].map(([, path]) => path);
+}
@@ -0,0 +1,614 @@
+/**
+ * Query filter compiler.
+ *
+ * Translates a MongoDB-style filter document into a SQL boolean expression over
+ * the `document` JSON column, together with the positional parameters to bind.
+ * Every read and write method of the docstore goes through `compileFilter`, so a
+ * filter behaves the same whether it is passed to `find`, `deleteOne` or the
+ * `$match` stage of `aggregate`.
+ *
+ * Supported operators:
+ * - Comparison: `$eq`, `$ne`, `$gt`, `$gte`, `$lt`, `$lte`, `$in`, `$nin`
+ * - Logical: `$and`, `$or`, `$nor`, `$not`
+ * - Element: `$exists`, `$type`
+ * - Evaluation: `$regex` (with `$options`), `$text` (needs a text index; see text.js)
+ * - Array: `$size`, `$all`, `$elemMatch` (evaluated over `json_each`)
+ * - Geospatial: `$geoWithin`, `$geoIntersects`, `$near`, `$nearSphere` (see geo.js)
+ *
+ * Field names may be dotted paths (`"address.city"`) to reach into nested documents.
+ * Equality, `$in`, `$ne` and `$nin` match an array when the array itself or one
+ * of its elements matches, as in MongoDB: `{ tags: "x" }` matches
+ * `{ tags: ["x", "y"] }`. Range operators apply to the value stored at the
+ * path; use `$elemMatch` to compare individual array elements.
+ *
+ * Comparisons only match values of the operand's type, as in MongoDB: `{ n:
+ * { $gt: 3 } }` leaves out `n: "10"`, and `{ n: '{"k":1}' }` the object
+ * `{ k: 1 }`. Dates, ObjectIds and other codec types are compared by their
+ * Extended JSON text (see codec.js); range operators on a date only match
+ * stored dates.
+ */
+
+import { idKey, isPlainObject, serialize } from "./codec.js";
+import { encryptFilter } from "./encryption.js";
+import { BadValue } from "./errors.js";
+import { compileGeo, geoIndexes } from "./geo.js";
+import { readCollectionOptions } from "./catalog.js";
+import { generatedColumns } from "./columns.js";
+import { jsonPath, sqlPath, sqlString } from "./paths.js";
+import { compileText } from "./text.js";
+
+const COMPARISON_OPERATORS = {
+  $gt: ">",
+  $gte: ">=",
+  $lt: "<",
+  $lte: "<=",
+};
+
+// Mongo `$type` aliases (and their numeric codes) mapped to SQLite `json_type` results
+const TYPE_ALIASES = {
+  double: ["real"],
+  string: ["text"],
+  object: ["object"],
+  array: ["array"],
+  bool: ["true", "false"],
+  null: ["null"],
+  int: ["integer"],
+  long: ["integer"],
+  number: ["integer", "real"],
+};
+// Types stored as tagged objects by the codec, and their tag
+const CODEC_TYPES = {
+  date: "$date",
+  objectId: "$oid",
+  binData: "$binary",
+  regex: "$regularExpression",
+};
+const TYPE_CODES = {
+  1: "double",
+  2: "string",
+  3: "object",
+  4: "array",
+  5: "binData",
+  7: "objectId",
+  8: "bool",
+  9: "date",
+  10: "null",
+  11: "regex",
+  16: "int",
+  18: "long",
+};
+
+const LOGICAL_OPERATORS = ["$and", "$or", "$nor"];
+
+/**
+ * Compiles a filter document into a SQL expression.
+ *
+ * @param {object} [filter={}] - MongoDB-style filter document.
+ * @param {object} [options] - Compiler options.
+ * @param {string} [options.column="document"] - SQL expression holding the JSON document.
+ * @param {string|null} [options.idColumn="_id"] - Column holding the top-level `_id`, or `null` to read it from the JSON.
+ * @param {string} [options.collectionName] - Collection the filter runs on; needed for `$text`, and to match its deterministically encrypted fields.
+ * @param {object} [options.db] - The SQLite connection, to look up the geospatial indexes of the collection (needed for `$near` and `$nearSphere`) and whether it has tombstones to leave out.
+ * @param {boolean} [options.inline=false] - Write values into the SQL as literals instead of binding them, for statements that take no parameters such as `CREATE INDEX ... WHERE`.
+ * @param {Map<string, string>} [options.columns] - Generated columns to compare instead of `json_extract`, by field path; read from the catalog when `db` and `collectionName` are given.
+ * @returns {{ sql: string, params: any[], text?: { match: string|null }, near?: { distance: string } }} - A boolean SQL expression and its bound parameters; `text` holds the FTS5 query of a `$text` filter and `near` the distance of a `$near` filter, which results are ordered by.
+ */
+export function compileFilter(filter = {}, options = {}) {
+  if (options.db && options.collectionName && !options.inline) {
+    filter = encryptFilter(options.db, options.collectionName, filter);
+  }
+  const context = {
+    params: [],
+    aliases: 0,
+    inline: Boolean(options.inline),
+    collectionName: options.collectionName,
+    db: options.db,
+    text: null,
+    near: null,
+  };
+  const source = {
+    doc: options.column || "document",
+    base: null,
+    idColumn: options.idColumn === undefined ? "_id" : options.idColumn,
+    columns: options.columns || null,
+  };
+  // A query on a collection table can use its generated columns and tombstones
+  const settings =
+    context.db && context.collectionName && source.idColumn && !context.inline
+      ? readCollectionOptions(context.db, context.collectionName)
+      : null;
+  if (settings) source.columns = generatedColumns(settings);
+  let sql = compileDocument(filter || {}, source, context);
+  // Tombstones of soft-delete collections are left out of every query
+  if (settings?.softDelete === true) {
+    sql = `deleted_at IS NULL AND (${sql})`;
+  }
+  const result = { sql, params: context.params };
+  if (context.text) result.text = context.text;
+  if (context.near) result.near = context.near;
+  return result;
+}
+
+/**
+ * Converts a JavaScript value into something SQLite can bind. Booleans become
+ * 0/1 to match what `json_extract` returns for JSON `true`/`false`, and objects
+ * (dates included) become the JSON text `json_extract` returns for them.
+ *
+ * @param {any} value - The value to bind.
+ * @returns {any} - The bindable value.
+ */
+export function toSqlValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "object" && value !== null) return serialize(value);
+  return value;
+}
+
+// Binds a value and returns its placeholder, or its literal in inline mode
+function bind(context, value) {
+  if (!context.inline) {
+    context.params.push(value);
+    return "?";
+  }
+  if (value === null) return "NULL";
+  if (typeof value === "number" && Number.isFinite(value)) return String(value);
+  if (typeof value === "bigint") return String(value);
+  if (typeof value === "string") return sqlString(value);
+  throw new BadValue(`Cannot write ${String(value)} into an index definition`);
+}
+
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => key.startsWith("$"));
+}
+
+// Accessor for the value at `field` inside the current source
+function fieldAccessor(source, field) {
+  const path =
+    source.base === null
+      ? sqlPath(field)
+      : `${source.base} || ${sqlString(jsonPath(field, ""))}`;
+  // Top-level `_id` lives in its own primary key column, which keeps lookups
+  // indexed, and promoted fields in their generated columns
+  const column =
+    source.base !== null
+      ? undefined
+      : field === "_id"
+      ? source.idColumn || undefined
+      : source.columns?.get(field);
+  const value = column ?? `json_extract(${source.doc}, ${path})`;
+  return {
+    doc: source.doc,
+    path,
+    value,
+    type: `json_type(${source.doc}, ${path})`,
+    id: value === source.idColumn,
+    // Set on top-level fields of a collection query, which can use its indexes
+    field: source.base === null && source.idColumn ? field : undefined,
+    idColumn: source.idColumn,
+    // Field values may be arrays, whose elements equality also matches
+    elements: value !== source.idColumn,
+  };
+}
+
+// The same field read from the JSON rather than from a column
+function jsonAccessor(accessor) {
+  return {
+    ...accessor,
+    value: `json_extract(${accessor.doc}, ${accessor.path})`,
+    id: false,
+  };
+}
+
+// The value to compare with the accessor: the `_id` column holds column keys
+function operandValue(accessor, value) {
+  return accessor.id ? idKey(value) : toSqlValue(value);
+}
+
+// Accessor for the array element currently visited by the `json_each` alias
+function elementAccessor(source, alias) {
+  return {
+    doc: source.doc,
+    path: `${alias}.fullkey`,
+    value: `${alias}.value`,
+    type: `${alias}.type`,
+  };
+}
+
+function compileDocument(filter, source, context) {
+  if (!isPlainObject(filter)) {
+    throw new BadValue("Query filter must be an object");
+  }
+
+  const clauses = [];
+  for (const [key, condition] of Object.entries(filter)) {
+    if (LOGICAL_OPERATORS.includes(key)) {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new BadValue(`${key} must be a nonempty array`);
+      }
+      const parts = condition.map(
+        (sub) => `(${compileDocument(sub, source, context)})`
+      );
+      if (key === "$and") clauses.push(parts.join(" AND "));
+      if (key === "$or") clauses.push(`(${parts.join(" OR ")})`);
+      if (key === "$nor") clauses.push(`(${parts.join(" OR ")}) IS NOT TRUE`);
+    } else if (key === "$text") {
+      clauses.push(compileTextCondition(condition, source, context));
+    } else if (key === "$comment") {
+      continue;
+    } else if (key.startsWith("$")) {
+      throw new BadValue(`Unsupported query operator: ${key}`);
+    } else {
+      clauses.push(
+        compileCondition(fieldAccessor(source, key), condition, context)
+      );
+    }
+  }
+
+  return clauses.length > 0 ? clauses.join(" AND ") : "1";
+}
+
+// `$text` is only allowed at the document level of a collection query, once
+function compileTextCondition(operand, source, context) {
+  if (!context.collectionName || source.base !== null || context.inline) {
+    throw new BadValue("$text is only allowed in a query on a collection");
+  }
+  if (context.text) {
+    throw new BadValue("Only one $text expression is allowed in a query");
+  }
+  const idColumn = source.idColumn || `json_extract(${source.doc}, '$._id')`;
+  const { sql, match } = compileText(context.collectionName, operand, idColumn);
+  context.text = { match };
+  return sql;
+}
+
+function compileCondition(accessor, condition, context) {
+  if (condition instanceof RegExp) {
+    return compileRegex(accessor, condition.source, condition.flags, context);
+  }
+  if (isOperatorObject(condition)) {
+    return compileOperators(accessor, condition, context);
+  }
+  return compileEquality(accessor, condition, context);
+}
+
+function compileEquality(accessor, value, context) {
+  return matchElements(accessor, context, (target) =>
+    compileValueEquality(target, value, context)
+  );
+}
+
+// Matches the value at the accessor, or any element when it holds an array.
+// Arrays read as JSON text starting with "[", so the range on the accessor
+// lets SQLite find them through the same index as the value.
+function matchElements(accessor, context, compile) {
+  const direct = compile(accessor);
+  // Index definitions cannot hold subqueries
+  if (!accessor.elements || context.inline) return direct;
+  const alias = `e${++context.aliases}`;
+  return `(${direct} OR (${accessor.value} >= '[' AND ${
+    accessor.value
+  } < '\\' AND ${accessor.type} = 'array' AND EXISTS (SELECT 1 FROM json_each(${
+    accessor.doc
+  }, ${accessor.path}) AS ${alias} WHERE ${compile(
+    elementAccessor(accessor, alias)
+  )})))`;
+}
+
+function compileValueEquality(accessor, value, context) {
+  if (value === null || value === undefined) {
+    return `${accessor.value} IS NULL`;
+  }
+  if (value instanceof RegExp) {
+    return compileRegex(accessor, value.source, value.flags, context);
+  }
+  if (typeof value === "boolean") {
+    return `${accessor.type} = '${value}'`;
+  }
+  if (typeof value === "object" && !accessor.id) {
+    return `(${accessor.value} = json(${bind(
+      context,
+      serialize(value)
+    )}) AND ${typeBracket(accessor, value)})`;
+  }
+  const equality = `${accessor.value} = ${bind(
+    context,
+    operandValue(accessor, value)
+  )}`;
+  // A string could equal the JSON text of an object or array
+  return typeof value === "string"
+    ? `(${equality} AND ${typeBracket(accessor, value)})`
+    : equality;
+}
+
+// Limits a comparison to values of the operand's type, as MongoDB does: SQLite
+// orders numbers before text, and reads objects and arrays as JSON text. The
+// `{"$date":"..."}` text of a date orders like the date, but other objects
+// would fall between them.
+function typeBracket(accessor, operand) {
+  if (typeof operand === "number" || typeof operand === "bigint") {
+    return `${accessor.type} IN ('integer', 'real')`;
+  }
+  if (typeof operand === "string") return `${accessor.type} = 'text'`;
+  if (typeof operand === "boolean")
+    return `${accessor.type} IN ('true', 'false')`;
+  if (operand instanceof Date) {
+    return `json_type(${accessor.doc}, ${accessor.path} || '."$date"') = 'text'`;
+  }
+  if (Array.isArray(operand)) return `${accessor.type} = 'array'`;
+  if (typeof operand === "object" && operand !== null) {
+    return `${accessor.type} = 'object'`;
+  }
+  return "1";
+}
+
+function compileRegex(accessor, pattern, flags, context) {
+  return `regexp(${bind(context, String(pattern))}, ${accessor.value}, ${bind(
+    context,
+    flags || ""
+  )})`;
+}
+
+function compileOperators(accessor, operators, context) {
+  const clauses = [];
+
+  for (const [operator, operand] of Object.entries(operators)) {
+    switch (operator) {
+      case "$eq":
+        clauses.push(compileEquality(accessor, operand, context));
+        break;
+      case "$ne":
+        clauses.push(
+          `(${compileEquality(accessor, operand, context)}) IS NOT TRUE`
+        );
+        break;
+      case "$gt":
+      case "$gte":
+      case "$lt":
+      case "$lte":
+        clauses.push(compileComparison(accessor, operator, operand, context));
+        break;
+      case "$in":
+        clauses.push(compileIn(accessor, operand, context));
+        break;
+      case "$nin":
+        clauses.push(`(${compileIn(accessor, operand, context)}) IS NOT TRUE`);
+        break;
+      case "$not":
+        if (!(operand instanceof RegExp) && !isOperatorObject(operand)) {
+          throw new BadValue("$not needs a regex or an operator object");
+        }
+        clauses.push(
+          `(${compileCondition(accessor, operand, context)}) IS NOT TRUE`
+        );
+        break;
+      case "$exists":
+        clauses.push(`${accessor.type} IS ${operand ? "NOT NULL" : "NULL"}`);
+        break;
+      case "$type":
+        clauses.push(compileType(accessor, operand));
+        break;
+      case "$regex": {
+        const pattern = operand instanceof RegExp ? operand.source : operand;
+        const flags =
+          operators.$options ??
+          (operand instanceof RegExp ? operand.flags : "");
+        clauses.push(compileRegex(accessor, pattern, flags, context));
+        break;
+      }
+      case "$options":
+        if (!("$regex" in operators)) {
+          throw new BadValue("$options needs a $regex");
+        }
+        break;
+      case "$size":
+        clauses.push(
+          `(${accessor.type} = 'array' AND json_array_length(${accessor.doc}, ${
+            accessor.path
+          }) = ${bind(context, operand)})`
+        );
+        break;
+      case "$all":
+        clauses.push(compileAll(accessor, operand, context));
+        break;
+      case "$elemMatch":
+        clauses.push(compileElemMatch(accessor, operand, context));
+        break;
+      case "$geoWithin":
+      case "$geoIntersects":
+      case "$near":
+      case "$nearSphere":
+        clauses.push(
+          compileGeoCondition(accessor, operator, operators, context)
+        );
+        break;
+      case "$maxDistance":
+      case "$minDistance":
+        if (!("$near" in operators) && !("$nearSphere" in operators)) {
+          throw new BadValue(`${operator} needs a $near or $nearSphere`);
+        }
+        break;
+      default:
+        throw new BadValue(`Unsupported query operator: ${operator}`);
+    }
+  }
+
+  return clauses.join(" AND ");
+}
+
+// `$near` and `$nearSphere` order the results, so they are only allowed once, on
+// a top-level field of a collection query with a geospatial index
+function compileGeoCondition(accessor, operator, operators, context) {
+  if (context.inline) {
+    throw new BadValue(`${operator} is not allowed in an index definition`);
+  }
+  const near = operator === "$near" || operator === "$nearSphere";
+  if (near && (!accessor.field || !context.collectionName || !context.db)) {
+    throw new BadValue(
+      `${operator} is only allowed on a top-level field in a query on a collection`
+    );
+  }
+  if (near && context.near) {
+    throw new BadValue(
+      "Only one $near or $nearSphere expression is allowed in a query"
+    );
+  }
+  if (accessor.field && context.db && context.collectionName) {
+    context.geoIndexes ??= geoIndexes(context.db, context.collectionName);
+  }
+  const sqliteName = context.geoIndexes?.get(accessor.field);
+  const { sql, distance } = compileGeo(operator, operators, {
+    field: accessor.field ?? accessor.path,
+    value: `(${accessor.doc} -> ${accessor.path})`,
+    index: sqliteName && { sqliteName, idColumn: accessor.idColumn },
+  });
+  if (near) context.near = { distance };
+  return `(${sql})`;
+}
+
+function compileComparison(accessor, operator, operand, context) {
+  // The `_id` column holds text keys, which order 10 before 9; ranges read the
+  // typed value from the JSON instead
+  if (accessor.id) accessor = jsonAccessor(accessor);
+  const comparison = `${accessor.value} ${
+    COMPARISON_OPERATORS[operator]
+  } ${bind(context, operandValue(accessor, operand))}`;
+  return `(${comparison} AND ${typeBracket(accessor, operand)})`;
+}
+
+function compileIn(accessor, values, context) {
+  if (!Array.isArray(values)) {
+    throw new BadValue("$in/$nin needs an array");
+  }
+  return matchElements(accessor, context, (target) =>
+    compileValueIn(target, values, context)
+  );
+}
+
+function compileValueIn(accessor, values, context) {
+  // Numbers share one IN list, and strings another limited to text values
+  const numbers = values.filter(
+    (value) => typeof value === "number" || typeof value === "bigint"
+  );
+  const strings = values.filter((value) => typeof value === "string");
+  const others = values.filter(
+    (value) => !numbers.includes(value) && !strings.includes(value)
+  );
+
+  const clauses = [];
+  for (const scalars of [numbers, strings]) {
+    if (scalars.length === 0) continue;
+    const list = `${accessor.value} IN (${scalars
+      .map((value) => bind(context, operandValue(accessor, value)))
+      .join(", ")})`;
+    clauses.push(
+      scalars === strings
+        ? `(${list} AND ${typeBracket(accessor, scalars[0])})`
+        : list
+    );
+  }
+  for (const value of others) {
+    clauses.push(compileValueEquality(accessor, value, context));
+  }
+
+  return clauses.length > 0 ? `(${clauses.join(" OR ")})` : "0";
+}
+
+function compileType(accessor, types) {
+  const tagType = (tag) =>
+    `json_type(${accessor.doc}, ${accessor.path} || ${sqlString(
+      `.${JSON.stringify(tag)}`
+    )})`;
+  const clauses = (Array.isArray(types) ? types : [types]).map((type) => {
+    const alias = TYPE_CODES[type] || type;
+    if (CODEC_TYPES[alias]) {
+      return `${tagType(CODEC_TYPES[alias])} IS NOT NULL`;
+    }
+    if (!TYPE_ALIASES[alias]) {
+      throw new BadValue(`Unsupported $type: ${type}`);
+    }
+    // Tagged objects are dates, ObjectIds, ... rather than embedded documents
+    return alias === "object"
+      ? `(${accessor.type} = 'object' AND ${Object.values(CODEC_TYPES)
+          .map((tag) => `${tagType(tag)} IS NULL`)
+          .join(" AND ")})`
+      : `${accessor.type} IN (${TYPE_ALIASES[alias]
+          .map((jsonType) => `'${jsonType}'`)
+          .join(", ")})`;
+  });
+  return clauses.length > 0 ? `(${clauses.join(" OR ")})` : "0";
+}
+
+function compileAll(accessor, values, context) {
+  if (!Array.isArray(values)) {
+    throw new BadValue("$all needs an array");
+  }
+  if (values.length === 0) {
+    return "0";
+  }
+
+  const clauses = values.map((value) => {
+    if (isPlainObject(value) && "$elemMatch" in value) {
+      return compileElemMatch(accessor, value.$elemMatch, context);
+    }
+    const alias = `e${++context.aliases}`;
+    const element = elementAccessor(accessor, alias);
+    return `EXISTS (SELECT 1 FROM json_each(${accessor.doc}, ${
+      accessor.path
+    }) AS ${alias} WHERE ${compileEquality(element, value, context)})`;
+  });
+
+  return `(${accessor.type} = 'array' AND ${clauses.join(" AND ")})`;
+}
+
+function compileElemMatch(accessor, condition, context) {
+  if (!isPlainObject(condition)) {
+    throw new BadValue("$elemMatch needs an object");
+  }
+
+  const alias = `e${++context.aliases}`;
+  const elementCondition = compileElementCondition(
+    accessor.doc,
+    alias,
+    condition,
+    context
+  );
+
+  return `(${accessor.type} = 'array' AND EXISTS (SELECT 1 FROM json_each(${accessor.doc}, ${accessor.path}) AS ${alias} WHERE ${elementCondition}))`;
+}
+
+function compileElementCondition(doc, alias, condition, context) {
+  if (!isPlainObject(condition)) {
+    return compileCondition(
+      elementAccessor({ doc }, alias),
+      condition,
+      context
+    );
+  }
+
+  // `{ $gte: 80, $lt: 85 }` tests the elements themselves, anything else is a
+  // filter over the fields of embedded documents
+  const keys = Object.keys(condition);
+  return keys.length > 0 &&
+    keys.every((key) => key.startsWith("$") && !LOGICAL_OPERATORS.includes(key))
+    ? compileOperators(elementAccessor({ doc }, alias), condition, context)
+    : compileDocument(condition, { doc, base: `${alias}.fullkey` }, context);
+}
+
+/**
+ * Compiles a condition on the elements of an array, as used by `$elemMatch`
+ * and the `$pull` update operator. The array is bound as the first parameter
+ * and the query returns the `key` (index) of every matching element.
+ *
+ * @param {any} condition - A value, regex, operator object or embedded document filter.
+ * @returns {{ sql: string, params: any[] }} - A SELECT statement and the parameters that follow the array.
+ */
+export function compileElementFilter(condition) {
+  const context = { params: [], aliases: 1 };
+  const where = compileElementCondition("input.doc", "e1", condition, context);
+  return {
+    sql: `WITH input(doc) AS (SELECT json(?)) SELECT e1.key FROM input, json_each(input.doc) AS e1 WHERE ${where}`,
+    params: context.params,
+  };
+}
@@ -0,0 +1,765 @@
+/**
+ * Geospatial indexes and queries.
+ *
+ * A `2dsphere` index covers one field holding GeoJSON geometries (`Point`,
+ * `LineString`, `Polygon`, their `Multi` forms and `GeometryCollection`) or
+ * legacy `[longitude, latitude]` pairs. It is an R*Tree,
+ * `_docstore_geo(<collection>).<index name>`, holding the bounding box of each
+ * document's geometry in degrees. R*Tree ids are integers, so a second table,
+ * `<R*Tree name>.ids`, maps them to document `_id`s. Triggers on the collection
+ * table keep both in sync with every write, as for text indexes. Documents
+ * without a usable geometry in the field are left out of the index.
+ *
+ * The query operators `$geoWithin`, `$geoIntersects`, `$near` and `$nearSphere`
+ * narrow the candidates with the R*Tree when the field has an index, then check
+ * each geometry exactly with SQL functions registered by `init`. `$near`,
+ * `$nearSphere` and the `$geoNear` stage need the index and order documents by
+ * distance.
+ *
+ * Distances are great-circle distances on a sphere with MongoDB's radius of
+ * 6378.1 km: meters for GeoJSON points, radians for legacy pairs with
+ * `$nearSphere` and `$centerSphere`. Polygon edges are straight lines in
+ * longitude/latitude, which is close to MongoDB's geodesic edges for shapes up
+ * to a few hundred kilometers across. Shapes crossing the antimeridian are not
+ * supported.
+ */
+
+import { GEO_TABLE_PREFIX, readCollectionOptions } from "./catalog.js";
+import { BadValue, IndexNotFound } from "./errors.js";
+import { quoteIdentifier, sqlPath, sqlString } from "./paths.js";
+
+export const EARTH_RADIUS = 6378100;
+
+const RADIANS = Math.PI / 180;
+const EPSILON = 1e-12;
+const GEOMETRY_TYPES = [
+  "Point",
+  "MultiPoint",
+  "LineString",
+  "MultiLineString",
+  "Polygon",
+  "MultiPolygon",
+  "GeometryCollection",
+];
+const WITHIN_SHAPES = [
+  "$box",
+  "$polygon",
+  "$center",
+  "$centerSphere",
+  "$geometry",
+];
+
+/**
+ * SQL functions checking geometries exactly, registered on the connection by
+ * `init`. Each takes the JSON text of a field and returns `NULL` (or 0) when the
+ * field holds no usable geometry.
+ */
+export const GEO_FUNCTIONS = {
+  // geo_within(field, region): whether the whole geometry lies in a `$geoWithin` region
+  geo_within: (value, region) => {
+    const geometry = parseGeometry(value);
+    return geometry && within(parts(geometry), JSON.parse(region)) ? 1 : 0;
+  },
+  // geo_intersects(field, geometry): whether the geometries share any point
+  geo_intersects: (value, other) => {
+    const geometry = parseGeometry(value);
+    return geometry && intersects(parts(geometry), parts(JSON.parse(other)))
+      ? 1
+      : 0;
+  },
+  // geo_distance(field, lng, lat, mode): meters, radians or planar units to the point
+  geo_distance: (value, lng, lat, mode) => {
+    const geometry = parseGeometry(value);
+    return geometry ? distance(parts(geometry), [lng, lat], mode) : null;
+  },
+};
+
+/**
+ * Tells whether a key pattern describes a geospatial index.
+ *
+ * @param {object} key - The key pattern, e.g. `{ location: "2dsphere" }`.
+ * @returns {boolean} - `true` if any field is `"2dsphere"`.
+ */
+export function isGeoKey(key) {
+  return Object.values(key).includes("2dsphere");
+}
+
+/**
+ * Tells whether a catalog entry is a geospatial index.
+ *
+ * @param {object} entry - The catalog entry of an index.
+ * @returns {boolean} - `true` for a `2dsphere` index.
+ */
+export function isGeoIndex(entry) {
+  return entry["2dsphereIndexVersion"] !== undefined;
+}
+
+/**
+ * Checks the key and options of a new geospatial index and returns the options to store.
+ *
+ * @param {object} key - The key pattern, a single `"2dsphere"` field.
+ * @param {object} options - The `createIndex` options.
+ * @returns {{ "2dsphereIndexVersion": number }} - The geospatial options.
+ */
+export function geoIndexOptions(key, options) {
+  if (Object.keys(key).length !== 1) {
+    throw new BadValue("Compound 2dsphere indexes are not supported");
+  }
+  if (Object.keys(key)[0] === "_id") {
+    throw new BadValue("A 2dsphere index cannot cover _id");
+  }
+  for (const option of [
+    "unique",
+    "partialFilterExpression",
+    "expireAfterSeconds",
+    "weights",
+  ]) {
+    if (options[option] !== undefined) {
+      throw new BadValue(`${option} is not supported on a 2dsphere index`);
+    }
+  }
+  return { "2dsphereIndexVersion": 3 };
+}
+
+/**
+ * The name of the R*Tree of a geospatial index.
+ *
+ * @param {string} collectionName - The collection.
+ * @param {string} indexName - The index name.
+ * @returns {string} - The unquoted table name.
+ */
+export function geoTableName(collectionName, indexName) {
+  return `${GEO_TABLE_PREFIX}${collectionName}).${indexName}`;
+}
+
+/**
+ * Lists the geospatial indexes of a collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @returns {Map<string, string>} - The R*Tree name of each indexed field.
+ */
+export function geoIndexes(db, collectionName) {
+  const entries = readCollectionOptions(db, collectionName).indexes || [];
+  return new Map(
+    entries
+      .filter(isGeoIndex)
+      .map((entry) => [Object.keys(entry.key)[0], entry.sqliteName])
+  );
+}
+
+/**
+ * Builds the statements creating a geospatial index, its triggers and its initial content.
+ *
+ * @param {string} table - The quoted collection table.
+ * @param {{ sqliteName: string, key: object }} entry - The catalog entry of the index.
+ * @returns {string} - SQL statements for `exec`.
+ */
+export function createGeoIndexSql(table, entry) {
+  const names = geoNames(entry.sqliteName);
+  const field = Object.keys(entry.key)[0];
+  const bounds = (document) => boundsSql(document, field);
+  const indexed = (document) =>
+    `${bounds(document).minLng} IS NOT NULL AND ${
+      bounds(document).minLat
+    } IS NOT NULL`;
+  const insert = (id, document) => {
+    const box = bounds(document);
+    return `INSERT INTO ${names.ids} (_id) SELECT ${id} WHERE ${indexed(
+      document
+    )};
+     INSERT INTO ${names.rtree} (id, minLng, maxLng, minLat, maxLat)
+       SELECT id, ${box.minLng}, ${box.maxLng}, ${box.minLat}, ${box.maxLat}
+       FROM ${names.ids} WHERE _id = ${id};`;
+  };
+  const remove = (id) =>
+    `DELETE FROM ${names.rtree} WHERE id = (SELECT id FROM ${names.ids} WHERE _id = ${id});
+     DELETE FROM ${names.ids} WHERE _id = ${id};`;
+  const box = bounds("source.document");
+
+  return `
+    CREATE VIRTUAL TABLE ${
+      names.rtree
+    } USING rtree(id, minLng, maxLng, minLat, maxLat);
+    CREATE TABLE ${
+      names.ids
+    } (id INTEGER PRIMARY KEY, _id TEXT NOT NULL UNIQUE);
+    INSERT INTO ${names.ids} (_id)
+      SELECT _id FROM ${table} AS source WHERE ${indexed("source.document")};
+    INSERT INTO ${names.rtree} (id, minLng, maxLng, minLat, maxLat)
+      SELECT ids.id, ${box.minLng}, ${box.maxLng}, ${box.minLat}, ${box.maxLat}
+      FROM ${table} AS source JOIN ${names.ids} AS ids ON ids._id = source._id;
+    CREATE TRIGGER ${names.insert} AFTER INSERT ON ${table} BEGIN
+      ${insert("new._id", "new.document")}
+    END;
+    CREATE TRIGGER ${names.update} AFTER UPDATE ON ${table} BEGIN
+      ${remove("old._id")}
+      ${insert("new._id", "new.document")}
+    END;
+    CREATE TRIGGER ${names.delete} AFTER DELETE ON ${table} BEGIN
+      ${remove("old._id")}
+    END;`;
+}
+
+/**
+ * Builds the statements dropping a geospatial index.
+ *
+ * @param {{ sqliteName: string }} entry - The catalog entry of the index.
+ * @returns {string} - SQL statements for `exec`.
+ */
+export function dropGeoIndexSql(entry) {
+  const names = geoNames(entry.sqliteName);
+  return `
+    DROP TRIGGER IF EXISTS ${names.insert};
+    DROP TRIGGER IF EXISTS ${names.update};
+    DROP TRIGGER IF EXISTS ${names.delete};
+    DROP TABLE IF EXISTS ${names.rtree};
+    DROP TABLE IF EXISTS ${names.ids};`;
+}
+
+/**
+ * Compiles a geospatial query operator into a condition on a field.
+ *
+ * @param {string} operator - `$geoWithin`, `$geoIntersects`, `$near` or `$nearSphere`.
+ * @param {object} operators - Every operator given for the field, for `$maxDistance` and `$minDistance`.
+ * @param {object} target - What the condition applies to.
+ * @param {string} target.field - The field name, for error messages.
+ * @param {string} target.value - SQL expression of the field value.
+ * @param {{ sqliteName: string, idColumn: string } | undefined} target.index - The field's geospatial index, if any.
+ * @returns {{ sql: string, distance?: string }} - The condition, and for `$near` and `$nearSphere` the SQL expression of the distance.
+ */
+export function compileGeo(operator, operators, target) {
+  const operand = operators[operator];
+  if (operator === "$geoWithin") {
+    const region = withinRegion(operand);
+    return {
+      sql: narrowed(
+        target.index,
+        region.bounds,
+        `geo_within(${target.value}, ${sqlString(JSON.stringify(region))})`
+      ),
+    };
+  }
+  if (operator === "$geoIntersects") {
+    if (!isPlainOperand(operand) || !("$geometry" in operand)) {
+      throw new BadValue("$geoIntersects needs a $geometry");
+    }
+    const geometry = checkGeometry(operand.$geometry);
+    return {
+      sql: narrowed(
+        target.index,
+        geometryBounds(parts(geometry)),
+        `geo_intersects(${target.value}, ${sqlString(
+          JSON.stringify(geometry)
+        )})`
+      ),
+    };
+  }
+
+  // $near and $nearSphere
+  if (!target.index) {
+    throw new IndexNotFound(
+      `${operator} needs a 2dsphere index on "${target.field}"`
+    );
+  }
+  const near = nearOperand(operator, operand, operators);
+  const distance = `geo_distance(${target.value}, ${near.point[0]}, ${near.point[1]}, '${near.mode}')`;
+  const conditions = [`${distance} IS NOT NULL`];
+  if (near.max !== undefined) conditions.push(`${distance} <= ${near.max}`);
+  if (near.min !== undefined) conditions.push(`${distance} >= ${near.min}`);
+  const bounds =
+    near.max === undefined
+      ? null
+      : near.mode === "planar"
+      ? planarBounds(near.point, near.max)
+      : capBounds(
+          near.point,
+          near.mode === "meters" ? near.max / EARTH_RADIUS : near.max
+        );
+  return {
+    sql: narrowed(target.index, bounds, conditions.join(" AND "), true),
+    distance,
+  };
+}
+
+// Quoted names of the tables and triggers of a geospatial index
+function geoNames(sqliteName) {
+  return {
+    rtree: quoteIdentifier(sqliteName),
+    ids: quoteIdentifier(`${sqliteName}.ids`),
+    insert: quoteIdentifier(`${sqliteName}.insert`),
+    update: quoteIdentifier(`${sqliteName}.update`),
+    delete: quoteIdentifier(`${sqliteName}.delete`),
+  };
+}
+
+// SQL expressions of the bounding box of the geometry in a field: every number
+// at index 0 of a position is a longitude and at index 1 a latitude
+function boundsSql(document, field) {
+  const path = `CASE json_type(${document}, ${sqlPath(
+    field
+  )}) WHEN 'array' THEN ${sqlPath(field)} ELSE ${sqlPath(
+    `${field}.coordinates`
+  )} END`;
+  const aggregate = (fn, key) =>
+    `(SELECT ${fn}(value) FROM json_tree(${document}, ${path}) WHERE key = ${key} AND type IN ('integer', 'real'))`;
+  return {
+    minLng: aggregate("min", 0),
+    maxLng: aggregate("max", 0),
+    minLat: aggregate("min", 1),
+    maxLat: aggregate("max", 1),
+  };
+}
+
+// Adds an R*Tree lookup in front of an exact check when the field is indexed.
+// `required` limits the result to indexed documents even without bounds.
+function narrowed(index, bounds, check, required = false) {
+  if (!index || (!bounds && !required)) return check;
+  const { rtree, ids } = geoNames(index.sqliteName);
+  const overlap = bounds
+    ? ` WHERE ${rtree}.maxLng >= ${bounds[0]} AND ${rtree}.minLng <= ${bounds[2]} AND ${rtree}.maxLat >= ${bounds[1]} AND ${rtree}.minLat <= ${bounds[3]}`
+    : "";
+  return `${index.idColumn} IN (SELECT ${ids}._id FROM ${rtree} JOIN ${ids} ON ${ids}.id = ${rtree}.id${overlap}) AND ${check}`;
+}
+
+function isPlainOperand(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Checks a `$geoWithin` operand and returns the region `geo_within` tests, with its bounds
+function withinRegion(operand) {
+  const shapes = isPlainOperand(operand) ? Object.keys(operand) : [];
+  if (shapes.length !== 1 || !WITHIN_SHAPES.includes(shapes[0])) {
+    throw new BadValue(`$geoWithin needs one of ${WITHIN_SHAPES.join(", ")}`);
+  }
+  const shape = operand[shapes[0]];
+  switch (shapes[0]) {
+    case "$box": {
+      if (!Array.isArray(shape) || shape.length !== 2) {
+        throw new BadValue("$box needs two corners, [[x1, y1], [x2, y2]]");
+      }
+      const [a, b] = shape.map((corner) => checkPosition(corner, "$box"));
+      const box = [
+        Math.min(a[0], b[0]),
+        Math.min(a[1], b[1]),
+        Math.max(a[0], b[0]),
+        Math.max(a[1], b[1]),
+      ];
+      return { box, bounds: box };
+    }
+    case "$polygon": {
+      if (!Array.isArray(shape) || shape.length < 3) {
+        throw new BadValue("$polygon needs at least three points");
+      }
+      const ring = shape.map((point) => checkPosition(point, "$polygon"));
+      const polygons = [[[...ring, ring[0]]]];
+      return { polygons, bounds: geometryBounds({ points: ring }) };
+    }
+    case "$center":
+    case "$centerSphere": {
+      if (
+        !Array.isArray(shape) ||
+        shape.length !== 2 ||
+        typeof shape[1] !== "number" ||
+        !(shape[1] >= 0)
+      ) {
+        throw new BadValue(
+          `${shapes[0]} needs a center and a radius, [[x, y], radius]`
+        );
+      }
+      const center = checkPosition(shape[0], shapes[0]);
+      return shapes[0] === "$center"
+        ? {
+            circle: center,
+            radius: shape[1],
+            bounds: planarBounds(center, shape[1]),
+          }
+        : {
+            cap: center,
+            radius: shape[1],
+            bounds: capBounds(center, shape[1]),
+          };
+    }
+    default: {
+      const geometry = checkGeometry(shape);
+      if (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon") {
+        throw new BadValue("$geoWithin needs a Polygon or MultiPolygon");
+      }
+      const polygons =
+        geometry.type === "Polygon"
+          ? [geometry.coordinates]
+          : geometry.coordinates;
+      return { polygons, bounds: geometryBounds(parts(geometry)) };
+    }
+  }
+}
+
+// Reads the point, mode and distance limits of `$near` or `$nearSphere`
+function nearOperand(operator, operand, operators) {
+  let point;
+  let mode;
+  let { $maxDistance: max, $minDistance: min } = operators;
+  if (Array.isArray(operand)) {
+    point = checkPosition(operand, operator);
+    mode = operator === "$near" ? "planar" : "radians";
+  } else if (isPlainOperand(operand) && "$geometry" in operand) {
+    const geometry = checkGeometry(operand.$geometry);
+    if (geometry.type !== "Point") {
+      throw new BadValue(`${operator} needs a Point`);
+    }
+    point = geometry.coordinates;
+    mode = "meters";
+    max = operand.$maxDistance ?? max;
+    min = operand.$minDistance ?? min;
+  } else {
+    throw new BadValue(
+      `${operator} needs a GeoJSON point ({ $geometry: { type: "Point", coordinates } }) or [x, y]`
+    );
+  }
+  for (const [name, limit] of [
+    ["$maxDistance", max],
+    ["$minDistance", min],
+  ]) {
+    if (
+      limit !== undefined &&
+      (typeof limit !== "number" || !Number.isFinite(limit) || limit < 0)
+    ) {
+      throw new BadValue(`${name} must be a nonnegative number`);
+    }
+  }
+  return { point, mode, max, min };
+}
+
+function checkPosition(position, context) {
+  if (
+    !Array.isArray(position) ||
+    position.length < 2 ||
+    !position.every(
+      (value) => typeof value === "number" && Number.isFinite(value)
+    )
+  ) {
+    throw new BadValue(
+      `${context} needs [longitude, latitude] positions, got ${JSON.stringify(
+        position
+      )}`
+    );
+  }
+  return [position[0], position[1]];
+}
+
+// Checks a GeoJSON geometry given in a query and returns it
+function checkGeometry(geometry) {
+  if (!isPlainOperand(geometry) || !GEOMETRY_TYPES.includes(geometry.type)) {
+    throw new BadValue(
+      `$geometry needs a GeoJSON geometry (${GEOMETRY_TYPES.join(", ")})`
+    );
+  }
+  const valid =
+    geometry.type === "GeometryCollection"
+      ? Array.isArray(geometry.geometries) &&
+        geometry.geometries.every((member) => checkGeometry(member))
+      : positionsValid(geometry.coordinates, depth(geometry.type));
+  if (!valid) {
+    throw new BadValue(`Malformed GeoJSON ${geometry.type}`);
+  }
+  if (geometry.type === "Polygon" || geometry.type === "MultiPolygon") {
+    const polygons =
+      geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry.coordinates;
+    for (const ring of polygons.flat()) {
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (ring.length < 4 || first[0] !== last[0] || first[1] !== last[1]) {
+        throw new BadValue(
+          "Polygon rings need at least four positions, the last repeating the first"
+        );
+      }
+    }
+  }
+  return geometry;
+}
+
+// Array nesting of the coordinates of each geometry type, positions excluded
+function depth(type) {
+  return {
+    Point: 0,
+    MultiPoint: 1,
+    LineString: 1,
+    MultiLineString: 2,
+    Polygon: 2,
+    MultiPolygon: 3,
+  }[type];
+}
+
+function positionsValid(coordinates, level) {
+  if (!Array.isArray(coordinates)) return false;
+  if (level === 0) {
+    return (
+      coordinates.length >= 2 &&
+      coordinates.every(
+        (value) => typeof value === "number" && Number.isFinite(value)
+      )
+    );
+  }
+  return (
+    coordinates.length > 0 &&
+    coordinates.every((member) => positionsValid(member, level - 1))
+  );
+}
+
+// Reads the JSON text of a stored field as a geometry, or null
+function parseGeometry(value) {
+  if (typeof value !== "string") return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return null;
+  }
+  if (Array.isArray(parsed)) {
+    return positionsValid(parsed, 0)
+      ? { type: "Point", coordinates: parsed }
+      : null;
+  }
+  if (!isPlainOperand(parsed) || !GEOMETRY_TYPES.includes(parsed.type)) {
+    return null;
+  }
+  if (parsed.type === "GeometryCollection") {
+    return Array.isArray(parsed.geometries) ? parsed : null;
+  }
+  return positionsValid(parsed.coordinates, depth(parsed.type)) ? parsed : null;
+}
+
+// Breaks a geometry into its points, segments and polygons (as lists of rings)
+function parts(geometry, into = { points: [], segments: [], polygons: [] }) {
+  const line = (positions) => {
+    into.points.push(...positions);
+    for (let index = 1; index < positions.length; index++) {
+      into.segments.push([positions[index - 1], positions[index]]);
+    }
+  };
+  const { type, coordinates } = geometry;
+  if (type === "Point") into.points.push(coordinates);
+  else if (type === "MultiPoint") into.points.push(...coordinates);
+  else if (type === "LineString") line(coordinates);
+  else if (type === "MultiLineString") coordinates.forEach(line);
+  else if (type === "Polygon" || type === "MultiPolygon") {
+    const polygons = type === "Polygon" ? [coordinates] : coordinates;
+    for (const rings of polygons) {
+      rings.forEach(line);
+      into.polygons.push(rings);
+    }
+  } else if (type === "GeometryCollection") {
+    for (const member of geometry.geometries) {
+      if (parseGeometry(JSON.stringify(member))) parts(member, into);
+    }
+  }
+  return into;
+}
+
+function within(shape, region) {
+  if (shape.points.length === 0) return false;
+  if (region.box) {
+    const [minX, minY, maxX, maxY] = region.box;
+    return shape.points.every(
+      ([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY
+    );
+  }
+  if (region.circle) {
+    return shape.points.every(
+      (point) => planarDistance(point, region.circle) <= region.radius
+    );
+  }
+  if (region.cap) {
+    return shape.points.every(
+      (point) => sphericalDistance(point, region.cap) <= region.radius
+    );
+  }
+  const edges = region.polygons.flatMap((rings) => ringSegments(rings));
+  return (
+    shape.points.every((point) =>
+      region.polygons.some((rings) => inPolygon(point, rings))
+    ) &&
+    !shape.segments.some((segment) =>
+      edges.some((edge) => segmentsCross(segment, edge))
+    )
+  );
+}
+
+function intersects(a, b) {
+  if (a.points.some((point) => touches(point, b))) return true;
+  if (b.points.some((point) => touches(point, a))) return true;
+  return a.segments.some((segment) =>
+    b.segments.some((other) => segmentsIntersect(segment, other))
+  );
+}
+
+// Whether a point lies on or in any part of a shape
+function touches(point, shape) {
+  return (
+    shape.points.some(
+      (other) => other[0] === point[0] && other[1] === point[1]
+    ) ||
+    shape.segments.some((segment) => onSegment(point, segment)) ||
+    shape.polygons.some((rings) => inPolygon(point, rings))
+  );
+}
+
+function distance(shape, point, mode) {
+  if (shape.points.length === 0) return null;
+  if (shape.polygons.some((rings) => inPolygon(point, rings))) return 0;
+  const planar = mode === "planar";
+  let nearest = Infinity;
+  for (const other of shape.points) {
+    nearest = Math.min(
+      nearest,
+      planar ? planarDistance(point, other) : sphericalDistance(point, other)
+    );
+  }
+  for (const segment of shape.segments) {
+    nearest = Math.min(
+      nearest,
+      planar
+        ? segmentDistance(
+            [0, 0],
+            segment.map((end) => [end[0] - point[0], end[1] - point[1]])
+          )
+        : segmentDistance(
+            [0, 0],
+            segment.map((end) => project(end, point))
+          )
+    );
+  }
+  return mode === "meters" ? nearest * EARTH_RADIUS : nearest;
+}
+
+// Radians of great circle between two [lng, lat] positions (haversine)
+function sphericalDistance([lng1, lat1], [lng2, lat2]) {
+  const dLat = (lat2 - lat1) * RADIANS;
+  const dLng = (lng2 - lng1) * RADIANS;
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * RADIANS) *
+      Math.cos(lat2 * RADIANS) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+function planarDistance([x1, y1], [x2, y2]) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+// Projects a position onto the plane tangent at `origin`, in radians
+function project([lng, lat], [lng0, lat0]) {
+  return [
+    (lng - lng0) * RADIANS * Math.cos(lat0 * RADIANS),
+    (lat - lat0) * RADIANS,
+  ];
+}
+
+function segmentDistance(point, [a, b]) {
+  const [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+  const length = dx * dx + dy * dy;
+  const t =
+    length === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(
+            1,
+            ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / length
+          )
+        );
+  return planarDistance(point, [a[0] + t * dx, a[1] + t * dy]);
+}
+
+// Even-odd rule over every ring, so holes are excluded; boundaries count as inside
+function inPolygon(point, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let index = 1; index < ring.length; index++) {
+      const [a, b] = [ring[index - 1], ring[index]];
+      if (onSegment(point, [a, b])) return true;
+      if (
+        a[1] > point[1] !== b[1] > point[1] &&
+        point[0] < ((b[0] - a[0]) * (point[1] - a[1])) / (b[1] - a[1]) + a[0]
+      ) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+function ringSegments(rings) {
+  return rings.flatMap((ring) =>
+    ring.slice(1).map((end, index) => [ring[index], end])
+  );
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+function onSegment(point, [a, b]) {
+  return (
+    Math.abs(cross(a, b, point)) <= EPSILON &&
+    point[0] >= Math.min(a[0], b[0]) - EPSILON &&
+    point[0] <= Math.max(a[0], b[0]) + EPSILON &&
+    point[1] >= Math.min(a[1], b[1]) - EPSILON &&
+    point[1] <= Math.max(a[1], b[1]) + EPSILON
+  );
+}
+
+// Whether two segments cross at a point inside both
+function segmentsCross([a, b], [c, d]) {
+  const d1 = cross(c, d, a);
+  const d2 = cross(c, d, b);
+  const d3 = cross(a, b, c);
+  const d4 = cross(a, b, d);
+  return (
+    ((d1 > EPSILON && d2 < -EPSILON) || (d1 < -EPSILON && d2 > EPSILON)) &&
+    ((d3 > EPSILON && d4 < -EPSILON) || (d3 < -EPSILON && d4 > EPSILON))
+  );
+}
+
+// Whether two segments share any point, ends included
+function segmentsIntersect(first, second) {
+  return (
+    segmentsCross(first, second) ||
+    first.some((point) => onSegment(point, second)) ||
+    second.some((point) => onSegment(point, first))
+  );
+}
+
+// Bounding box [minLng, minLat, maxLng, maxLat] of the points of a shape
+function geometryBounds({ points }) {
+  const lngs = points.map((point) => point[0]);
+  const lats = points.map((point) => point[1]);
+  return [
+    Math.min(...lngs),
+    Math.min(...lats),
+    Math.max(...lngs),
+    Math.max(...lats),
+  ];
+}
+
+function planarBounds([x, y], radius) {
+  return [x - radius, y - radius, x + radius, y + radius];
+}
+
+// Bounding box of the points within `radius` radians of a center
+function capBounds([lng, lat], radius) {
+  const degrees = radius / RADIANS;
+  const minLat = lat - degrees;
+  const maxLat = lat + degrees;
+  if (minLat <= -90 || maxLat >= 90) {
+    return [-180, Math.max(minLat, -90), 180, Math.min(maxLat, 90)];
+  }
+  const ratio = Math.sin(radius) / Math.cos(lat * RADIANS);
+  const spread = ratio >= 1 ? 180 : Math.asin(ratio) / RADIANS;
+  if (lng - spread < -180 || lng + spread > 180) {
+    return [-180, minLat, 180, maxLat];
+  }
+  return [lng - spread, minLat, lng + spread, maxLat];
+}
@@ -0,0 +1,340 @@
+/**
+ * Document history and soft deletes.
+ *
+ * A collection created (or modified with `collMod`) with `history: true` keeps
+ * every version of its documents in a companion table,
+ * `_docstore_history(<collection>)`: one row per write with the document's
+ * `_id`, a version number counting from 1, the time, the kind of write, the
+ * `actor` and `metadata` given in the write options, and the document as
+ * written. A deletion is a version too, holding the document as it was, so a
+ * point-in-time read sees it disappear and `restoreVersion` can bring it back.
+ * Versions are recorded by the write methods in the same transaction as the
+ * write, like oplog entries. Documents already in the collection when history
+ * is turned on get a first `"snapshot"` version.
+ *
+ * With `softDelete: true`, deletes tombstone documents instead of removing them:
+ * the row stays in the collection table with its `deleted_at` column set to the
+ * time of the deletion, and every query, update, count and pipeline leaves it
+ * out. Inserting a document with the `_id` of a tombstone replaces the
+ * tombstone, and `restoreVersion` undeletes.
+ */
+
+import {
+  HISTORY_TABLE_PREFIX,
+  collectionExists,
+  readCollectionOptions,
+} from "./catalog.js";
+import { deserialize, idKey, isPlainObject, serialize } from "./codec.js";
+import { BadValue, IllegalOperation, NamespaceNotFound } from "./errors.js";
+import { collectionIdentifier, quoteIdentifier } from "./paths.js";
+import { prepareCached } from "./statements.js";
+
+/**
+ * Checks the history settings of `createCollection` and `collMod`.
+ *
+ * @param {{ history?: boolean, softDelete?: boolean }} options - The collection options.
+ * @returns {{ history?: boolean, softDelete?: boolean }} - The settings given.
+ */
+export function historyOptions(options) {
+  const settings = {};
+  for (const key of ["history", "softDelete"]) {
+    if (options[key] === undefined) continue;
+    if (typeof options[key] !== "boolean") {
+      throw new BadValue(`${key} must be a boolean`);
+    }
+    settings[key] = options[key];
+  }
+  return settings;
+}
+
+/**
+ * Checks the `actor` and `metadata` of a write and returns them.
+ *
+ * @param {{ actor?: string, metadata?: object }} options - The write options.
+ * @returns {{ actor?: string, metadata?: object }} - The audit fields given.
+ */
+export function auditOptions(options = {}) {
+  const { actor, metadata } = options;
+  if (actor !== undefined && typeof actor !== "string") {
+    throw new BadValue("actor must be a string");
+  }
+  if (metadata !== undefined && !isPlainObject(metadata)) {
+    throw new BadValue("metadata must be an object");
+  }
+  return {
+    ...(actor !== undefined && { actor }),
+    ...(metadata !== undefined && { metadata }),
+  };
+}
+
+/**
+ * The name of the history table of a collection.
+ *
+ * @param {string} collectionName - The collection.
+ * @returns {string} - The unquoted table name.
+ */
+export function historyTableName(collectionName) {
+  return `${HISTORY_TABLE_PREFIX}${collectionName})`;
+}
+
+/**
+ * Tells whether a collection tombstones deleted documents.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @returns {boolean} - `true` when `softDelete` is on.
+ */
+export function isSoftDelete(db, collectionName) {
+  return readCollectionOptions(db, collectionName).softDelete === true;
+}
+
+/**
+ * Prepares the statement deleting the rows matching `where`, which tombstones
+ * them instead in soft-delete collections. Either way it returns the rows as
+ * they were, for the oplog and history to record.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {string} where - The SQL condition selecting the rows.
+ * @returns {{ all: (...params: any[]) => object[] }} - Runs the deletion with the parameters of `where`.
+ */
+export function deleteStatement(db, collectionName, where) {
+  const table = collectionIdentifier(collectionName);
+  const returning = "RETURNING _id, document, document -> '$._id' AS id";
+  if (!isSoftDelete(db, collectionName)) {
+    return prepareCached(
+      db,
+      `DELETE FROM ${table} WHERE ${where} ${returning}`
+    );
+  }
+  // The time is bound rather than written into the SQL, which stays cacheable
+  const tombstone = prepareCached(
+    db,
+    `UPDATE ${table} SET deleted_at = ? WHERE ${where} ${returning}`
+  );
+  return { all: (...params) => tombstone.all(Date.now(), ...params) };
+}
+
+/**
+ * Creates or drops the history table and the `deleted_at` column when the
+ * settings of a collection change. Turning `history` off drops the recorded
+ * versions; turning `softDelete` off removes the tombstones. Runs inside the
+ * transaction writing the settings.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection, whose table exists.
+ * @param {object} previous - The settings before the change.
+ * @param {{ history?: boolean, softDelete?: boolean }} settings - The settings given to `createCollection` or `collMod`.
+ */
+export function applyHistoryOptions(db, collectionName, previous, settings) {
+  const table = collectionIdentifier(collectionName);
+  const history = quoteIdentifier(historyTableName(collectionName));
+
+  if (settings.softDelete === true && previous.softDelete !== true) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_at INTEGER`);
+  } else if (settings.softDelete === false && previous.softDelete === true) {
+    db.exec(
+      `DELETE FROM ${table} WHERE deleted_at IS NOT NULL;
+       ALTER TABLE ${table} DROP COLUMN deleted_at`
+    );
+  }
+
+  if (settings.history === true && previous.history !== true) {
+    db.exec(
+      `CREATE TABLE ${history} (
+         _id TEXT NOT NULL,
+         version INTEGER NOT NULL,
+         ts INTEGER NOT NULL,
+         op TEXT NOT NULL,
+         actor TEXT,
+         metadata JSON,
+         document JSON,
+         PRIMARY KEY (_id, version)
+       );
+       INSERT INTO ${history} (_id, version, ts, op, document)
+         SELECT _id, 1, ${Date.now()}, 'snapshot', document FROM ${table}
+         ${
+           settings.softDelete ?? previous.softDelete
+             ? "WHERE deleted_at IS NULL"
+             : ""
+         }`
+    );
+  } else if (settings.history === false && previous.history === true) {
+    db.exec(`DROP TABLE IF EXISTS ${history}`);
+  }
+}
+
+/**
+ * Renames the history table of a renamed collection. Runs after the catalog
+ * entry was renamed, inside the same transaction.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} oldName - The former collection name.
+ * @param {string} newName - The new collection name.
+ */
+export function renameHistory(db, oldName, newName) {
+  if (readCollectionOptions(db, newName).history !== true) return;
+  db.exec(
+    `ALTER TABLE ${quoteIdentifier(
+      historyTableName(oldName)
+    )} RENAME TO ${quoteIdentifier(historyTableName(newName))}`
+  );
+}
+
+/**
+ * Drops the history of a dropped collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection being dropped.
+ */
+export function dropHistory(db, collectionName) {
+  db.exec(
+    `DROP TABLE IF EXISTS ${quoteIdentifier(historyTableName(collectionName))}`
+  );
+}
+
+/**
+ * Creates the recorder used by the write methods.
+ *
+ * @param {object} db - The SQLite connection.
+ * @returns {{ record: (collectionName: string, changes: object[], options?: { actor?: string, metadata?: object }) => void }} - Records the changes, given as for the oplog, of collections with history.
+ */
+export function createHistory(db) {
+  const statements = new Map();
+  const insert = (collectionName) => {
+    const history = quoteIdentifier(historyTableName(collectionName));
+    if (!statements.has(history)) {
+      statements.set(
+        history,
+        db.prepare(
+          `INSERT INTO ${history} (_id, version, ts, op, actor, metadata, document)
+           VALUES (?, COALESCE((SELECT MAX(version) FROM ${history} WHERE _id = ?), 0) + 1, ?, ?, ?, ?, ?)`
+        )
+      );
+    }
+    return statements.get(history);
+  };
+
+  return {
+    record: function (collectionName, changes, options = {}) {
+      if (changes.length === 0) return;
+      if (readCollectionOptions(db, collectionName).history !== true) return;
+      const statement = insert(collectionName);
+      const { actor = null, metadata } = options;
+      const ts = Date.now();
+      for (const { op, id, before, after } of changes) {
+        const key = idKey(id);
+        const document = op === "delete" ? before : after;
+        statement.run(
+          key,
+          key,
+          ts,
+          op,
+          actor,
+          metadata === undefined ? null : serialize(metadata),
+          document === undefined ? null : serialize(document)
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Lists the versions of a document, oldest first.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - A collection with `history: true`.
+ * @param {any} id - The document `_id`.
+ * @returns {DocumentVersion[]} - Every version recorded, deletions included.
+ *
+ * @typedef {Object} DocumentVersion
+ * @property {number} version - Counts from 1 for each document.
+ * @property {Date} ts - When the version was written.
+ * @property {"snapshot" | "insert" | "update" | "replace" | "delete" | "restore"} op - The write that made it.
+ * @property {object|null} document - The document as written; for a deletion, as it was when deleted.
+ * @property {string} [actor] - The `actor` of the write options.
+ * @property {object} [metadata] - The `metadata` of the write options.
+ */
+export function listVersions(db, collectionName, id) {
+  const history = historyTable(db, collectionName);
+  return db
+    .prepare(
+      `SELECT version, ts, op, actor, metadata, document FROM ${history}
+       WHERE _id = ? ORDER BY version`
+    )
+    .all(idKey(id))
+    .map(parseVersion);
+}
+
+/**
+ * Reads one version of a document.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - A collection with `history: true`.
+ * @param {any} id - The document `_id`.
+ * @param {number} version - The version number.
+ * @returns {DocumentVersion|null} - The version, or `null` if there is none with that number.
+ */
+export function findVersion(db, collectionName, id, version) {
+  const history = historyTable(db, collectionName);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new BadValue("version must be a positive integer");
+  }
+  const row = db
+    .prepare(
+      `SELECT version, ts, op, actor, metadata, document FROM ${history}
+       WHERE _id = ? AND version = ?`
+    )
+    .get(idKey(id), version);
+  return row ? parseVersion(row) : null;
+}
+
+/**
+ * Builds a table expression holding the documents of a collection as they were
+ * at a point in time, for queries to read instead of the collection table. It
+ * is aliased as the collection table, with the same `_id` and `document` columns.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - A collection with `history: true`.
+ * @param {Date|number} asOf - The point in time, as a date or milliseconds since the epoch.
+ * @returns {string} - The subquery and its alias, for a FROM clause.
+ */
+export function asOfSource(db, collectionName, asOf) {
+  const history = historyTable(db, collectionName);
+  const ts = asOf instanceof Date ? asOf.getTime() : asOf;
+  if (!Number.isFinite(ts)) {
+    throw new BadValue("asOf must be a date or a number of milliseconds");
+  }
+  return `(SELECT versions._id AS _id, versions.document AS document
+           FROM ${history} AS versions
+           WHERE versions.op <> 'delete'
+             AND versions.version = (
+               SELECT MAX(version) FROM ${history}
+               WHERE _id = versions._id AND ts <= ${Math.floor(ts)}
+             )) AS ${collectionIdentifier(collectionName)}`;
+}
+
+// The quoted history table of a collection, which must have history turned on
+function historyTable(db, collectionName) {
+  collectionIdentifier(collectionName);
+  if (!collectionExists(db, collectionName)) {
+    throw new NamespaceNotFound(collectionName);
+  }
+  if (readCollectionOptions(db, collectionName).history !== true) {
+    throw new IllegalOperation(
+      `Collection "${collectionName}" does not keep history; set history: true with createCollection or collMod`
+    );
+  }
+  return quoteIdentifier(historyTableName(collectionName));
+}
+
+function parseVersion(row) {
+  return {
+    version: row.version,
+    ts: new Date(row.ts),
+    op: row.op,
+    document: row.document === null ? null : deserialize(row.document),
+    ...(row.actor !== null && { actor: row.actor }),
+    ...(row.metadata !== null && { metadata: deserialize(row.metadata) }),
+  };
+}
@@ -0,0 +1,449 @@
+/**
+ * HTTP Data API.
+ *
+ * `createHttpServer` returns a `node:http` server exposing a docstore as JSON
+ * over HTTP, for programs that cannot embed Node. Two styles of route reach the
+ * docstore methods:
+ *
+ * - Actions, as in the Atlas Data API: `POST /action/<name>` with a body naming
+ *   the `collection` and the arguments (`filter`, `document`, `update`, ...).
+ * - Resources: `GET /collections/<name>` (with `filter`, `sort`, `projection`,
+ *   `skip` and `limit` query parameters), `POST /collections/<name>`, and `GET`,
+ *   `PUT`, `PATCH` and `DELETE` on `/collections/<name>/<id>`. The `<id>` is
+ *   read as Extended JSON when it parses (`42`, `{"$oid":"..."}`, `"42"`), and
+ *   as a string otherwise.
+ *
+ * Bodies and responses are Extended JSON, so dates and ObjectIds keep their
+ * type. Every request needs an API key, sent in an `apiKey` header or as
+ * `Authorization: Bearer <key>`, and each key lists the collections it may read
+ * and write. Errors are JSON too: `{ error, error_code, code }`, with the code
+ * and code name of the docstore error and a matching HTTP status.
+ */
+
+import { createHash, timingSafeEqual } from "node:crypto";
+import http from "node:http";
+import { deserialize, idKey, isPlainObject, serialize } from "./codec.js";
+import {
+  AuthenticationFailed,
+  BadValue,
+  CommandNotFound,
+  DocstoreError,
+  ImmutableField,
+  Unauthorized,
+} from "./errors.js";
+import { createLogger } from "./logger.js";
+
+const DEFAULT_MAX_BODY_SIZE = 16 * 1024 * 1024;
+
+// HTTP status of each docstore error code; anything else is a 500
+const STATUS_CODES = {
+  2: 400, // BadValue
+  14: 400, // TypeMismatch
+  20: 400, // IllegalOperation
+  40: 400, // ConflictingUpdateOperators
+  66: 400, // ImmutableField
+  73: 400, // InvalidNamespace
+  121: 400, // ValidationError
+  18: 401, // AuthenticationFailed
+  13: 403, // Unauthorized
+  26: 404, // NamespaceNotFound
+  27: 404, // IndexNotFound
+  59: 404, // CommandNotFound
+  48: 409, // NamespaceExists
+  85: 409, // IndexOptionsConflict
+  112: 409, // WriteConflict
+  11000: 409, // DuplicateKey
+};
+
+const ACTIONS = {
+  find: {
+    access: "read",
+    run: async (store, body) => ({
+      documents: toArray(
+        await store.find(body.collection, body.filter ?? {}, {
+          projection: body.projection,
+          sort: body.sort,
+          skip: body.skip,
+          limit: body.limit,
+        })
+      ),
+    }),
+  },
+  findOne: {
+    access: "read",
+    run: async (store, body) => ({
+      document: await store.findOne(body.collection, body.filter ?? {}, {
+        projection: body.projection,
+        sort: body.sort,
+      }),
+    }),
+  },
+  insertOne: {
+    access: "write",
+    run: async (store, body) => ({
+      insertedId: (
+        await store.insertOne(
+          body.collection,
+          required(body, "insertOne", "document")
+        )
+      ).insertedId,
+    }),
+  },
+  insertMany: {
+    access: "write",
+    run: async (store, body) => {
+      const documents = required(body, "insertMany", "documents");
+      if (!Array.isArray(documents)) {
+        throw new BadValue("insertMany needs a documents array");
+      }
+      const { insertedIds } = await store.insertMany(
+        body.collection,
+        documents
+      );
+      return { insertedIds: Object.values(insertedIds) };
+    },
+  },
+  updateOne: {
+    access: "write",
+    run: async (store, body) =>
+      updateResult(
+        await store.updateOne(
+          body.collection,
+          required(body, "updateOne", "filter"),
+          required(body, "updateOne", "update"),
+          { upsert: body.upsert }
+        )
+      ),
+  },
+  deleteOne: {
+    access: "write",
+    run: async (store, body) => ({
+      deletedCount: (
+        await store.deleteOne(
+          body.collection,
+          required(body, "deleteOne", "filter")
+        )
+      ).deletedCount,
+    }),
+  },
+  aggregate: {
+    access: "read",
+    // Collections joined by `$lookup` or `$unionWith` are read too
+    collections: (body) => pipelineCollections(body.pipeline),
+    run: async (store, body) => ({
+      documents: await store.aggregate(
+        body.collection,
+        required(body, "aggregate", "pipeline")
+      ),
+    }),
+  },
+};
+
+/**
+ * Creates a server answering HTTP requests from a docstore.
+ *
+ * @param {object} store - The docstore interface returned by `init`, or by `open` to keep queries off the event loop.
+ * @param {HttpServerOptions} options - The API keys and their permissions.
+ * @returns {http.Server} - The server; call `listen(port, host)` to start it.
+ *
+ * @typedef {Object} HttpServerOptions
+ * @property {Object<string, { read?: string[] | "*", write?: string[] | "*" }>} apiKeys - Each API key and the collections it may read and write; `"*"` stands for every collection.
+ * @property {number} [maxBodySize=16777216] - Largest request body accepted, in bytes.
+ * @property {object | false} [logger] - Receives unexpected errors, as for `init`.
+ */
+export function createHttpServer(store, options = {}) {
+  const state = {
+    store,
+    keys: apiKeys(options.apiKeys),
+    maxBodySize: options.maxBodySize ?? DEFAULT_MAX_BODY_SIZE,
+    logger: createLogger(options.logger),
+  };
+  return http.createServer((request, response) => {
+    handleRequest(state, request, response).catch((err) =>
+      sendError(state, response, err)
+    );
+  });
+}
+
+async function handleRequest(state, request, response) {
+  const { store } = state;
+  const permissions = authenticate(state.keys, request);
+  const url = new URL(request.url, "http://localhost");
+  const route = routeSegments(url.pathname);
+  const method = request.method;
+
+  if (route[0] === "action" && route.length === 2 && method === "POST") {
+    if (!Object.hasOwn(ACTIONS, route[1])) {
+      throw new CommandNotFound(`Unknown action: ${route[1]}`);
+    }
+    const action = ACTIONS[route[1]];
+    const body = await readBody(request, state.maxBodySize);
+    if (typeof body.collection !== "string") {
+      throw new BadValue(`${route[1]} needs a collection name`);
+    }
+    authorize(permissions, action.access, [
+      body.collection,
+      ...(action.collections?.(body) ?? []),
+    ]);
+    return send(response, 200, await action.run(store, body));
+  }
+
+  if (route[0] === "collections" && route.length === 2) {
+    const name = route[1];
+    if (method === "GET") {
+      authorize(permissions, "read", [name]);
+      const params = url.searchParams;
+      const documents = toArray(
+        await store.find(name, queryParameter(params, "filter") ?? {}, {
+          sort: queryParameter(params, "sort"),
+          projection: queryParameter(params, "projection"),
+          skip: countParameter(params, "skip"),
+          limit: countParameter(params, "limit"),
+        })
+      );
+      return send(response, 200, { documents });
+    }
+    if (method === "POST") {
+      authorize(permissions, "write", [name]);
+      const document = await readBody(request, state.maxBodySize);
+      const { insertedId } = await store.insertOne(name, document);
+      return send(response, 201, { insertedId });
+    }
+  }
+
+  if (route[0] === "collections" && route.length === 3) {
+    const [, name, segment] = route;
+    const id = routeId(segment);
+    if (method === "GET") {
+      authorize(permissions, "read", [name]);
+      const document = await store.findOne(name, { _id: id });
+      return document
+        ? send(response, 200, document)
+        : sendNotFound(response, name, segment);
+    }
+    if (method === "PUT") {
+      authorize(permissions, "write", [name]);
+      const replacement = await readBody(request, state.maxBodySize);
+      if (
+        replacement._id !== undefined &&
+        idKey(replacement._id) !== idKey(id)
+      ) {
+        throw new ImmutableField("The _id of the body differs from the URL");
+      }
+      const result = await store.replaceOne(
+        name,
+        { _id: id },
+        { ...replacement, _id: replacement._id ?? id },
+        { upsert: true }
+      );
+      return send(
+        response,
+        result.upsertedCount ? 201 : 200,
+        updateResult(result)
+      );
+    }
+    if (method === "PATCH") {
+      authorize(permissions, "write", [name]);
+      const update = await readBody(request, state.maxBodySize);
+      const result = await store.updateOne(name, { _id: id }, update);
+      return result.matchedCount
+        ? send(response, 200, updateResult(result))
+        : sendNotFound(response, name, segment);
+    }
+    if (method === "DELETE") {
+      authorize(permissions, "write", [name]);
+      const { deletedCount } = await store.deleteOne(name, { _id: id });
+      return deletedCount
+        ? send(response, 200, { deletedCount })
+        : sendNotFound(response, name, segment);
+    }
+  }
+
+  throw new CommandNotFound(`No route for ${method} ${url.pathname}`);
+}
+
+// `find` gives a cursor from `init` and an array from `open`
+function toArray(found) {
+  return Array.isArray(found) ? found : found.toArray();
+}
+
+function routeSegments(pathname) {
+  try {
+    return pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch {
+    throw new BadValue(`Malformed URL path: ${pathname}`);
+  }
+}
+
+// Hashes the keys so they are compared in constant time
+function apiKeys(keys) {
+  if (!isPlainObject(keys) || Object.keys(keys).length === 0) {
+    throw new BadValue(
+      "createHttpServer needs apiKeys: { [key]: { read, write } }"
+    );
+  }
+  return Object.entries(keys).map(([key, permissions]) => {
+    for (const access of ["read", "write"]) {
+      const list = permissions?.[access];
+      if (list !== undefined && list !== "*" && !Array.isArray(list)) {
+        throw new BadValue(
+          `${access} of an API key must be "*" or a list of collections`
+        );
+      }
+    }
+    return {
+      digest: digest(key),
+      read: permissions.read ?? [],
+      write: permissions.write ?? [],
+    };
+  });
+}
+
+function authenticate(keys, request) {
+  const { headers } = request;
+  const key =
+    headers.apikey ?? /^Bearer\s+(.+)$/i.exec(headers.authorization ?? "")?.[1];
+  if (!key) {
+    throw new AuthenticationFailed(
+      "An API key is required, in an apiKey header or as Authorization: Bearer <key>"
+    );
+  }
+  const given = digest(key);
+  const match = keys.find((entry) => timingSafeEqual(entry.digest, given));
+  if (!match) throw new AuthenticationFailed("Unknown API key");
+  return match;
+}
+
+function authorize(permissions, access, collections) {
+  const allowed = permissions[access];
+  for (const name of collections) {
+    if (allowed !== "*" && !allowed.includes(name) && !allowed.includes("*")) {
+      throw new Unauthorized(
+        `This API key cannot ${access} collection "${name}"`
+      );
+    }
+  }
+}
+
+function pipelineCollections(pipeline, names = new Set()) {
+  if (!Array.isArray(pipeline)) return names;
+  for (const stage of pipeline) {
+    const lookup = stage?.$lookup ?? stage?.$graphLookup;
+    if (typeof lookup?.from === "string") names.add(lookup.from);
+    pipelineCollections(lookup?.pipeline, names);
+    const union = stage?.$unionWith;
+    if (typeof union === "string") names.add(union);
+    else if (typeof union?.coll === "string") {
+      names.add(union.coll);
+      pipelineCollections(union.pipeline, names);
+    }
+    for (const facet of Object.values(stage?.$facet ?? {})) {
+      pipelineCollections(facet, names);
+    }
+  }
+  return names;
+}
+
+async function readBody(request, maxBodySize) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size > maxBodySize) {
+      throw new BadValue(`Request body is larger than ${maxBodySize} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString("utf8");
+  let body;
+  try {
+    body = text.trim() ? deserialize(text) : {};
+  } catch (err) {
+    throw new BadValue(`Request body is not valid JSON: ${err.message}`);
+  }
+  if (!isPlainObject(body)) {
+    throw new BadValue("Request body must be a JSON object");
+  }
+  return body;
+}
+
+function required(body, action, field) {
+  if (body[field] === undefined) {
+    throw new BadValue(`${action} needs ${field}`);
+  }
+  return body[field];
+}
+
+function queryParameter(params, name) {
+  const text = params.get(name);
+  if (text === null) return undefined;
+  try {
+    return deserialize(text);
+  } catch (err) {
+    throw new BadValue(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+function countParameter(params, name) {
+  const text = params.get(name);
+  if (text === null) return undefined;
+  const count = Number(text);
+  if (!/^\d+$/.test(text) || !Number.isSafeInteger(count)) {
+    throw new BadValue(`${name} must be a nonnegative integer, got ${text}`);
+  }
+  return count;
+}
+
+// Numbers and ObjectIds are written as Extended JSON; other text is a string id
+function routeId(segment) {
+  try {
+    return deserialize(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Data API update results leave out `upsertedId` unless a document was inserted
+function updateResult(result) {
+  return {
+    matchedCount: result.matchedCount,
+    modifiedCount: result.modifiedCount,
+    ...(result.upsertedCount > 0 && { upsertedId: result.upsertedId }),
+  };
+}
+
+function digest(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+function send(response, status, body) {
+  const text = serialize(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(text),
+  });
+  response.end(text);
+}
+
+function sendNotFound(response, collectionName, id) {
+  send(response, 404, {
+    error: `No document with _id "${id}" in collection "${collectionName}"`,
+    error_code: "DocumentNotFound",
+  });
+}
+
+function sendError(state, response, err) {
+  if (!(err instanceof DocstoreError)) {
+    state.logger.error("HTTP request failed", err);
+    return send(response, 500, {
+      error: "Internal server error",
+      error_code: "InternalError",
+      code: 1,
+    });
+  }
+  send(response, STATUS_CODES[err.code] ?? 500, {
+    error: err.message,
+    error_code: err.codeName,
+    code: err.code,
+  });
+}
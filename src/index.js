@@ -1,11 +1,120 @@
 import { v4 as uuidv4 } from "uuid"; // Import UUID generator
+import { ObjectId, deserialize, idKey, serialize } from "./codec.js";
+import { compileElementFilter, compileFilter } from "./filter.js";
+import { compilePipeline } from "./aggregate.js";
+import { Cursor, compileSort, parseRow } from "./cursor.js";
+import { ChangeStream } from "./changestream.js";
+import {
+  BadValue,
+  DocstoreError,
+  IllegalOperation,
+  ImmutableField,
+  NamespaceNotFound,
+  isMissingTable,
+  toDocstoreError,
+} from "./errors.js";
+import { dump, exportCollection, importCollection, restore } from "./dump.js";
+import { createLogger } from "./logger.js";
+import { backupDatabase, connectionPragmas } from "./connection.js";
+import { openDocstore } from "./async.js";
+import {
+  bulkWrite,
+  collectionHandle,
+  collectionStats,
+  listCollections,
+} from "./collection.js";
+import { checkFieldNames, collectionIdentifier, sqlPath } from "./paths.js";
+import {
+  createIndex,
+  dropCollectionIndexes,
+  dropIndexes,
+  explainQuery,
+  listIndexes,
+  rebuildIndexes,
+  renameIndexes,
+  startTtlMonitor,
+} from "./indexes.js";
+import { OPLOG_TABLE, createOplog, ensureOplog } from "./oplog.js";
+import { filterTextScore } from "./text.js";
+import { GEO_FUNCTIONS } from "./geo.js";
+import {
+  configureEncryption,
+  decryptDocument,
+  encryptDocument,
+  rotateEncryptionKey,
+} from "./encryption.js";
+import {
+  applyHistoryOptions,
+  asOfSource,
+  auditOptions,
+  createHistory,
+  deleteStatement,
+  dropHistory,
+  findVersion,
+  historyOptions,
+  isSoftDelete,
+  listVersions,
+  renameHistory,
+} from "./history.js";
+import { createSession } from "./session.js";
+import {
+  clearStatementCache,
+  configureStatementCache,
+  prepareCached,
+} from "./statements.js";
+import {
+  alterGeneratedColumns,
+  changedColumns,
+  generatedColumnDefinitions,
+  generatedColumnOptions,
+  generatedColumns,
+} from "./columns.js";
+import { applyUpdate, isOperatorUpdate, upsertSeed } from "./update.js";
+import {
+  CATALOG_TABLE,
+  collectionExists,
+  dropCollectionOptions,
+  ensureCatalog,
+  readCollectionOptions,
+  renameCollectionOptions,
+  writeCollectionOptions,
+} from "./catalog.js";
+import { loadValidator, validationOptions } from "./validation.js";
+
+export { EncryptedValue, ObjectId } from "./codec.js";
+export { createHttpServer } from "./http.js";
+export { createWireServer } from "./server.js";
+export {
+  AuthenticationFailed,
+  BadValue,
+  BulkWriteError,
+  ChangeStreamHistoryLost,
+  CommandNotFound,
+  ConflictingUpdateOperators,
+  CursorNotFound,
+  DocstoreError,
+  DuplicateKeyError,
+  IllegalOperation,
+  ImmutableField,
+  IndexNotFound,
+  IndexOptionsConflict,
+  InvalidNamespace,
+  NamespaceExists,
+  NamespaceNotFound,
+  TypeMismatch,
+  Unauthorized,
+  ValidationError,
+  WriteConflict,
+} from "./errors.js";
 let Database;
+let driver;
+let loadError = null;
 
 try {
   if (typeof Bun !== "undefined") {
     const module = await import("bun:sqlite");
     Database = module.default;
-    console.log("Running in Bun");
+    driver = "bun:sqlite";
   } else if (
     typeof process !== "undefined" &&
     process.release &&
@@ -13,12 +122,261 @@ try {
   ) {
     const module = await import("better-sqlite3");
     Database = module.default;
-    console.log("Running in Node.js");
+    driver = "better-sqlite3";
   } else {
-    throw new Error("Unknown environment. Cannot determine if Bun or Node.js.");
+    throw new DocstoreError(
+      "Unknown environment. Cannot determine if Bun or Node.js."
+    );
   }
 } catch (error) {
-  console.error("Error during loading:", error);
+  // Reported by `init`, so merely importing the module never fails or logs
+  loadError = error;
+}
+
+// Translates SQLite errors escaping any method of the interface into DocstoreErrors,
+// and rejects every call but `close` once the docstore is closed
+function withDocstoreErrors(context, methods) {
+  for (const [name, method] of Object.entries(methods)) {
+    if (typeof method !== "function") continue;
+    methods[name] = function (...args) {
+      if (context.closed && name !== "close") {
+        throw new IllegalOperation("The docstore is closed");
+      }
+      try {
+        return method.apply(this, args);
+      } catch (err) {
+        throw toDocstoreError(err, {
+          db: this.db,
+          collectionName: typeof args[0] === "string" ? args[0] : undefined,
+        });
+      }
+    };
+  }
+  return methods;
+}
+
+// Runs a read, answering `empty` when the collection does not exist, as MongoDB does
+function readOrEmpty(read, empty) {
+  try {
+    return read();
+  } catch (err) {
+    if (isMissingTable(err)) return empty;
+    throw err;
+  }
+}
+
+// Applies an operator update or a replacement to the documents matching `query`.
+// Reading, applying and writing back all happen inside one write transaction.
+function updateDocuments(context, collectionName, query, update, options = {}) {
+  const table = collectionIdentifier(collectionName);
+  const { db, oplog, history, logger, generateId } = context;
+  const { multi = false, upsert = false, replace = false, sort } = options;
+  const filter = compileFilter(query, { collectionName, db });
+  const { sql, params } = filter;
+  const validate = loadValidator(db, collectionName, { ...options, logger });
+  const select = prepareCached(
+    db,
+    `SELECT _id, document FROM ${table} WHERE ${sql}
+     ${
+       sort
+         ? `ORDER BY ${compileSort(sort, {
+             textScore: filterTextScore(collectionName, filter, `${table}._id`),
+             columns: generatedColumns(
+               readCollectionOptions(db, collectionName)
+             ),
+           })}`
+         : filter.near && !multi
+         ? `ORDER BY ${filter.near.distance}`
+         : ""
+     } ${multi ? "" : "LIMIT 1"}`
+  );
+  const write = prepareCached(
+    db,
+    `UPDATE ${table} SET document = ? WHERE _id = ?`
+  );
+  const insert = insertStatement(db, collectionName);
+
+  // `$pull` conditions are evaluated by SQLite so they match exactly like filters do
+  const matchElements = (array, condition) => {
+    const elementFilter = compileElementFilter(condition);
+    return prepareCached(db, elementFilter.sql)
+      .all(serialize(array), ...elementFilter.params)
+      .map((row) => row.key);
+  };
+
+  return db
+    .transaction(() => {
+      const rows = select.all(...params);
+      const changes = [];
+      const result = {
+        matchedCount: rows.length,
+        modifiedCount: 0,
+        upsertedId: null,
+        before: null,
+        after: null,
+      };
+
+      for (const row of rows) {
+        const stored = parseRow(row);
+        const before = decryptDocument(db, stored);
+        if (
+          replace &&
+          update._id !== undefined &&
+          idKey(update._id) !== idKey(before._id)
+        ) {
+          throw new ImmutableField("The _id field cannot be changed");
+        }
+        const after = replace
+          ? { ...update, _id: before._id }
+          : applyUpdate(before, update, { matchElements });
+
+        const serialized = serialize(after);
+        if (serialized !== serialize(before)) {
+          validate?.(after, before);
+          const storedAfter = encryptDocument(
+            db,
+            collectionName,
+            after,
+            stored
+          );
+          try {
+            write.run(
+              storedAfter === after ? serialized : serialize(storedAfter),
+              row._id
+            );
+          } catch (err) {
+            throw toDocstoreError(err, { db, collectionName, document: after });
+          }
+          // The oplog and history keep documents as stored, encrypted fields included
+          changes.push({
+            op: replace ? "replace" : "update",
+            id: before._id,
+            before: stored,
+            after: storedAfter,
+          });
+          result.modifiedCount++;
+        }
+        result.before ??= before;
+        result.after ??= after;
+      }
+
+      if (rows.length === 0 && upsert) {
+        const seed = upsertSeed(query);
+        const document = replace
+          ? { ...update }
+          : applyUpdate(seed, update, { isInsert: true, matchElements });
+        const id = document._id ?? seed._id ?? generateId();
+        const inserted = { ...document, _id: id };
+        validate?.(inserted);
+        const stored = encryptDocument(db, collectionName, inserted);
+        try {
+          insert.run(idKey(id), serialize(stored));
+        } catch (err) {
+          throw toDocstoreError(err, {
+            db,
+            collectionName,
+            document: inserted,
+          });
+        }
+        changes.push({ op: "insert", id, after: stored });
+        result.upsertedId = id;
+        result.after = inserted;
+      }
+
+      oplog?.record(collectionName, changes);
+      history.record(collectionName, changes, options);
+      return result;
+    })
+    .immediate();
+}
+
+// The INSERT of new documents. In soft-delete collections a new document takes
+// the place of a tombstone with the same `_id`.
+function insertStatement(db, collectionName) {
+  const table = collectionIdentifier(collectionName);
+  const insert = prepareCached(
+    db,
+    `INSERT INTO ${table} (_id, document) VALUES (?, ?)`
+  );
+  if (!isSoftDelete(db, collectionName)) return insert;
+  const purge = prepareCached(
+    db,
+    `DELETE FROM ${table} WHERE _id = ? AND deleted_at IS NOT NULL`
+  );
+  return {
+    run: (id, document) => {
+      purge.run(id);
+      return insert.run(id, document);
+    },
+  };
+}
+
+// Adds, drops or changes the generated columns of an existing collection when
+// its settings change, rebuilding the indexes on those fields. Runs after the
+// new settings were written, inside the same transaction.
+function applyGeneratedColumns(db, collectionName, previous, settings) {
+  if (settings.generatedColumns === undefined) return;
+  const fields = changedColumns(
+    previous.generatedColumns,
+    settings.generatedColumns
+  );
+  if (fields.length === 0) return;
+  rebuildIndexes(db, collectionName, fields, () =>
+    alterGeneratedColumns(
+      db,
+      collectionName,
+      previous.generatedColumns,
+      settings.generatedColumns
+    )
+  );
+}
+
+// The changes recorded for deleted rows
+function deletions(rows) {
+  return rows.map((row) => ({
+    op: "delete",
+    id: deletedId(row),
+    before: parseRow(row),
+  }));
+}
+
+// A read-only connection cannot create the catalog and oplog tables
+function assertDocstoreTables(db, fileName, withOplog) {
+  const tables = withOplog ? [CATALOG_TABLE, OPLOG_TABLE] : [CATALOG_TABLE];
+  const exists = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?"
+  );
+  if (tables.some((table) => !exists.get(table))) {
+    throw new IllegalOperation(
+      `${fileName} lacks the docstore tables; open it once without readonly (or pass oplog: false)`
+    );
+  }
+}
+
+// Picks the function creating the `_id` of documents inserted without one
+function idGenerator(option = "uuid") {
+  if (typeof option === "function") return option;
+  if (option === "uuid") return uuidv4;
+  if (option === "objectId") return () => new ObjectId();
+  throw new BadValue(
+    `generateId must be "uuid", "objectId" or a function, got ${option}`
+  );
+}
+
+// The typed `_id` of a row returned by a DELETE, read from its document
+function deletedId(row) {
+  return row.id === null ? row._id : deserialize(row.id);
+}
+
+// Shapes the internal update outcome like the MongoDB driver's UpdateResult
+function updateResult(result) {
+  return {
+    acknowledged: true,
+    matchedCount: result.matchedCount,
+    modifiedCount: result.modifiedCount,
+    upsertedId: result.upsertedId,
+    upsertedCount: result.upsertedId === null ? 0 : 1,
+  };
 }
 
 /**
@@ -31,11 +389,18 @@ try {
  *
  * ## Features:
  * - **Document Storage:** Store and retrieve JSON documents in collections (which are represented as SQLite tables).
- * - **Full Querying Capabilities:** Query documents using equality conditions, `$in` operator, regular expressions, and logical operators.
+ * - **Full Querying Capabilities:** Query documents with the MongoDB filter language (comparison, logical, element, `$regex` and array operators) on nested paths.
  * - **Insert/Update/Delete:** Handle CRUD operations for single or multiple documents with structured queries.
- * - **Indexing:** Optimize performance by creating SQLite indexes on specific fields within documents.
- * - **Schema and Constraints:** Utilize SQLite's triggers and constraints to enforce lightweight schema validations.
- * - **Aggregation:** Perform aggregation operations like `$group` and `$match` for summarizing data.
+ * - **Indexing:** Compound, unique, sparse, partial and TTL indexes on fields within documents, with `explain()` to check that queries use them.
+ * - **Query Performance:** Prepared statements are cached by query shape, and hot fields can be promoted into virtual or stored generated columns.
+ * - **Full-Text Search:** `$text` queries over FTS5 text indexes, ranked by `{ $meta: "textScore" }`.
+ * - **Extended JSON Types:** `Date`, `BigInt`, `Buffer`, `RegExp` and `ObjectId` values are stored as Extended JSON and come back with their type; dates still compare and sort inside SQLite.
+ * - **HTTP Data API:** `createHttpServer` exposes collections as Atlas-Data-API-style actions and REST resources, guarded by per-collection API keys.
+ * - **MongoDB Wire Protocol:** `createWireServer` answers the official `mongodb` driver from a docstore file.
+ * - **Import and Export:** Move collections in and out as `mongoexport`-compatible JSON lines or CSV, and dump or restore the whole database with its validators and indexes.
+ * - **Field-Level Encryption:** Encrypt chosen fields with AES-GCM before they reach the file; deterministic fields can still be matched by equality.
+ * - **Schema Validation:** Attach a `$jsonSchema` validator to a collection; it is stored in the database and checked on every insert and update.
+ * - **Aggregation:** Run stage-by-stage pipelines (`$match`, `$group`, `$sort`, `$unwind`, `$lookup`, `$facet`, ...) compiled into a single SQL statement.
  * - **In-Memory and Persistent Options:** Choose between an in-memory database (ephemeral) or a file-based SQLite database (persistent).
  *
  * ## Core Concepts:
@@ -43,29 +408,96 @@ try {
  *   - `_id`: A unique identifier for the document (primary key).
  *   - `document`: A JSON column that stores the full document structure.
  * - SQLite's robust JSON functions (e.g., `json_extract`, `json_set`) are utilized for querying and updating.
- * - Document `_id`s are automatically generated using UUIDs if not provided.
+ * - Document `_id`s are automatically generated using UUIDs (or ObjectIds, see `generateId`) if not provided.
  *
  * ## SQLiteDocstoreFunctions:
  * Describes the interface for interacting with the SQLite-backed document database.
  *
  * @typedef {Object} SqliteDocstoreFunctions
  * @property {sqlite3.Database} db - The SQLite raw database connection.
- * @property {(collectionName: string) => void} createCollection - Creates a new collection (table) for storing JSON documents.
- * @property {(collectionName: string, field: string, options?: object) => { acknowledged: boolean }} createIndex - Creates an index for efficient querying on a specific JSON field.
- * @property {(collectionName: string, document: object) => { acknowledged: boolean, insertedId: string }} insertOne - Inserts a single document into a collection.
- * @property {(collectionName: string, documents: object[]) => { acknowledged: boolean, insertedCount: number }} insertMany - Inserts multiple documents into a collection in a single transaction.
- * @property {(collectionName: string, query?: object) => object[]} find - Finds all documents matching a query. Returns all documents if no query is provided.
- * @property {(collectionName: string, query?: object) => object | null} findOne - Finds the first document matching a query or `null` if none is found.
- * @property {(collectionName: string, id: string) => object | null} findById - Finds a document based on its `_id` (primary key). Returns `null` if not found.
+ * @property {() => DocstoreSession} startSession - Starts a session with `startTransaction`, `commitTransaction`, `abortTransaction` and `withTransaction`.
+ * @property {<T>(fn: (session: DocstoreSession) => T) => T} withTransaction - Runs `fn` in a transaction that every docstore method called inside it joins. Nested calls become savepoints; a thrown error or `session.abortTransaction()` rolls everything back.
+ * @property {(collectionName: string) => object} collection - Returns a handle with every collection method bound to `collectionName`, e.g. `db.collection("users").find({ age: 30 })`, plus `collectionName` and `drop()`.
+ * @property {(filter?: object, options?: { nameOnly?: boolean }) => object[]} listCollections - Lists the collections as `{ name, type, options, info, idIndex }`, sorted by name and leaving out internal tables; `filter` matches those descriptions, e.g. `{ name: /^log/ }`.
+ * @property {(collectionName: string, options?: { scale?: number }) => CollectionStats} stats - Reports the document count and size, the pages of the table and the size of each index.
+ * @property {(collectionName: string, operations: object[], options?: { ordered?: boolean, bypassDocumentValidation?: boolean }) => BulkWriteResult} bulkWrite - Runs `insertOne`, `updateOne`, `updateMany`, `replaceOne`, `deleteOne` and `deleteMany` operations in one transaction. Failures throw a `BulkWriteError` after the other operations commit; ordered batches (the default) stop at the first one.
+ * @property {(collectionName: string, options?: CollectionOptions) => void} createCollection - Creates a new collection (table) for storing JSON documents, optionally with a validator.
+ * @property {(collectionName: string, options: CollectionOptions) => { acknowledged: boolean }} collMod - Changes the validator, validation settings, history, soft deletes or generated columns of an existing collection.
+ * @property {(collectionName: string, keys: object | string, options?: IndexOptions) => string} createIndex - Creates an index on one or more JSON fields, e.g. `{ a: 1, b: -1 }`, and returns its name. Creating an existing index again does nothing.
+ * @property {(collectionName: string) => object[]} listIndexes - Lists the indexes of a collection, `_id_` first, as `{ v, key, name, ...options }`.
+ * @property {(collectionName: string, index: string | object) => { acknowledged: boolean }} dropIndex - Drops an index by name or key pattern.
+ * @property {(collectionName: string, indexes?: (string | object)[] | "*") => { acknowledged: boolean }} dropIndexes - Drops the given indexes, or every index except `_id_`.
+ * @property {(collectionName: string, document: object, options?: { bypassDocumentValidation?: boolean }) => { acknowledged: boolean, insertedId: any }} insertOne - Inserts a single document into a collection.
+ * @property {(collectionName: string, documents: object[], options?: { bypassDocumentValidation?: boolean }) => { acknowledged: boolean, insertedCount: number, insertedIds: object }} insertMany - Inserts multiple documents into a collection in a single transaction. `insertedIds` maps the index of each document to its `_id`.
+ * @property {(collectionName: string, query?: object, options?: FindOptions) => Cursor} find - Returns a lazy cursor over the documents matching a query, with chainable `sort`, `skip`, `limit` and `project`. Matches all documents if no query is provided.
+ * @property {(collectionName: string, query?: object, options?: FindOptions) => object | null} findOne - Finds the first document matching a query or `null` if none is found.
+ * @property {(collectionName: string, id: any, options?: { asOf?: Date | number }) => object | null} findById - Finds a document based on its `_id` (primary key). Returns `null` if not found. `asOf` reads it as it was at that time from the collection's history.
+ * @property {(collectionName: string, id: any) => DocumentVersion[]} listVersions - Lists every recorded version of a document in a collection with `history: true`, oldest first, with its number, time, kind of write, actor and metadata.
+ * @property {(collectionName: string, id: any, version: number, options?: WriteOptions) => object} restoreVersion - Writes a previous version of a document back as its current one, undeleting it if needed, and returns it. The restore is recorded as a new version.
  * @property {(collectionName: string, query: object) => object[]} findWithIn - Finds documents that match the `$in` operator on the specified fields.
  * @property {(collectionName: string, query: object) => object[]} findWithRegex - Finds documents that match a regular expression condition.
- * @property {(collectionName: string, query: object, update: { $set: object }) => { acknowledged: boolean, modifiedCount: number }} updateOne - Updates the first document that matches a query using a `$set` update operator.
- * @property {(collectionName: string, query: object) => { acknowledged: boolean, deletedCount: number }} deleteOne - Deletes the first document that matches the query. Returns the number of documents deleted.
+ * @property {(collectionName: string, query: object, update: object, options?: { upsert?: boolean }) => UpdateResult} updateOne - Applies update operators (`$set`, `$inc`, `$push`, ...) to the first document that matches a query.
+ * @property {(collectionName: string, query: object, update: object, options?: { upsert?: boolean }) => UpdateResult} updateMany - Applies update operators to every document that matches a query.
+ * @property {(collectionName: string, query: object, replacement: object, options?: { upsert?: boolean }) => UpdateResult} replaceOne - Replaces the first matching document, keeping its `_id`.
+ * @property {(collectionName: string, query: object, update: object, options?: { upsert?: boolean, sort?: object, returnDocument?: "before" | "after" }) => object | null} findOneAndUpdate - Updates the first matching document and returns it as it was before (default) or after the update.
+ * @property {(collectionName: string, query: object, replacement: object, options?: { upsert?: boolean, sort?: object, returnDocument?: "before" | "after" }) => object | null} findOneAndReplace - Replaces the first matching document and returns it as it was before (default) or after the replacement.
+ * @property {(collectionName: string, query: object, options?: WriteOptions) => { acknowledged: boolean, deletedCount: number }} deleteOne - Deletes the first document that matches the query, or tombstones it in a collection with `softDelete: true`. Returns the number of documents deleted.
+ * @property {(collectionName: string, query?: object, options?: WriteOptions) => { acknowledged: boolean, deletedCount: number }} deleteMany - Deletes (or tombstones) every document that matches the query.
+ * @property {(collectionName: string, query: object, options?: { sort?: object }) => object | null} findOneAndDelete - Deletes the first matching document and returns it.
  * @property {(collectionName: string, query?: object) => number} countDocuments - Counts the number of documents that match the query. If no query is provided, counts all documents in the collection.
- * @property {(collectionName: string, field: string) => any[]} distinct - Returns an array of distinct values for a specific JSON field within a collection.
+ * @property {(collectionName: string, field: string, query?: object) => any[]} distinct - Returns an array of distinct values for a specific JSON field within the documents matching the query.
  * @property {(oldName: string, newName: string) => { acknowledged: boolean }} renameCollection - Renames a collection (table) from `oldName` to `newName`.
  * @property {(collectionName: string) => { acknowledged: boolean }} dropCollection - Drops (deletes) a collection (table) and all its documents.
- * @property {(collectionName: string, pipeline: object[]) => object[]} aggregate - Performs aggregation queries with support for `$match` (filter) and `$group` (grouping and aggregation) stages.
+ * @property {(collectionName: string, keyId: string) => { acknowledged: boolean, modifiedCount: number }} rotateEncryptionKey - Re-encrypts the encrypted fields of a collection, its history and its oplog entries under another key, which the collection uses from then on.
+ * @property {(collectionName?: string | null, pipeline?: object[], options?: WatchOptions) => ChangeStream} watch - Opens a change stream of `insert`, `update`, `replace` and `delete` events, read from the oplog so it also sees other processes and can resume after a restart.
+ * @property {(collectionName: string, options?: ExportOptions) => Iterable<string>} exportCollection - Exports a collection lazily as lines of relaxed Extended JSON (as `mongoexport` writes them) or CSV.
+ * @property {(collectionName: string, source: string | Iterable<string | Uint8Array>, options?: ImportOptions) => ImportResult} importCollection - Imports JSON lines or CSV in batches, creating the collection if needed. Failed documents are reported in `errors`.
+ * @property {(directory: string, options?: { collections?: string[] }) => { collections: object[] }} dump - Writes each collection's documents, validator and indexes into a directory, laid out like `mongodump`.
+ * @property {(directory: string, options?: ImportOptions & { collections?: string[] }) => { collections: object[] }} restore - Recreates the collections of a `dump` directory, including validators and indexes.
+ * @property {(destination: string, options?: { progress?: (info: { totalPages: number, remainingPages: number }) => number | void }) => Promise<{ totalPages: number, remainingPages: number }>} backup - Copies the database into another file while it stays in use, with SQLite's online backup.
+ * @property {() => void} close - Stops the TTL monitor, closes open change streams and the connection. Calling it again does nothing; any other method then throws `IllegalOperation`.
+ * @property {(collectionName: string, pipeline: object[], options?: { explain?: boolean }) => object[]} aggregate - Runs an aggregation pipeline (`$match`, `$group`, `$sort`, `$limit`, `$skip`, `$project`, `$addFields`, `$unwind`, `$lookup`, `$count`, `$facet`, ...) as a single SQL statement. With `explain: true` it returns the query plan instead.
+ *
+ * @typedef {Object} CollectionOptions
+ * @property {object} [validator] - `{ $jsonSchema: ... }`, optionally with query operators; `{}` removes validation.
+ * @property {"strict" | "moderate" | "off"} [validationLevel="strict"] - `moderate` skips updates to documents that were already invalid.
+ * @property {"error" | "warn"} [validationAction="error"] - Throw a `ValidationError` or only log a warning.
+ * @property {boolean} [history] - Keep every version of each document, for `listVersions`, `asOf` reads and `restoreVersion`. `false` drops the recorded versions.
+ * @property {boolean} [softDelete] - Make deletes tombstone documents, which queries then leave out. `false` removes the tombstones.
+ * @property {Record<string, "virtual" | "stored">} [generatedColumns] - Field paths to promote into generated columns, which filters, sorts and indexes then use instead of `json_extract`; see columns.js. Stored columns can only be declared by `createCollection`.
+ *
+ * @typedef {Object} WriteOptions
+ * @property {string} [actor] - Who made the write, recorded in the history of collections that keep one.
+ * @property {object} [metadata] - Anything else to record with the write, e.g. `{ reason: "GDPR request" }`.
+ * @property {boolean} [bypassDocumentValidation] - Skip the collection's validator.
+ *
+ * @typedef {Object} IndexOptions
+ * @property {string} [name] - Index name; defaults to the fields and directions joined, e.g. `a_1_b_-1`.
+ * @property {boolean} [unique] - Reject documents that repeat a key.
+ * @property {boolean} [sparse] - Leave out documents that have none of the key fields.
+ * @property {object} [partialFilterExpression] - Only index documents matching this filter (`$eq`, `$exists`, `$gt`, `$gte`, `$lt`, `$lte`, `$type`, `$in`, `$and`, `$or`).
+ * @property {number} [expireAfterSeconds] - TTL: delete documents once their date in the (single) key field is older than this.
+ * @property {object} [weights] - Text indexes: weight of each field in `textScore`, e.g. `{ title: 10 }` (default 1).
+ * @property {"english" | "none"} [default_language="english"] - Text indexes: `none` turns stemming off.
+ *
+ * @typedef {Object} WatchOptions
+ * @property {{ _data: string }} [resumeAfter] - Resume token of the last event seen; the stream continues right after it.
+ * @property {"default" | "updateLookup"} [fullDocument="default"] - `updateLookup` adds the updated document to `update` events.
+ * @property {number} [pollInterval=100] - How often to look for new oplog entries, in milliseconds.
+ *
+ * @typedef {Object} FindOptions
+ * @property {object} [sort] - Sort specification, e.g. `{ age: -1 }`.
+ * @property {number} [skip] - Number of documents to skip.
+ * @property {number} [limit] - Maximum number of documents to return.
+ * @property {object} [projection] - Fields to include (`{ name: 1 }`) or exclude (`{ secret: 0 }`).
+ * @property {Date | number} [asOf] - Read the documents as they were at that time, from the history of a collection with `history: true`.
+ *
+ * @typedef {Object} UpdateResult
+ * @property {boolean} acknowledged - Always `true`.
+ * @property {number} matchedCount - Number of documents that matched the query.
+ * @property {number} modifiedCount - Number of matched documents that actually changed.
+ * @property {any} upsertedId - `_id` of the inserted document when an upsert created one.
+ * @property {number} upsertedCount - `1` when an upsert created a document, otherwise `0`.
  */
 
 /**
@@ -76,10 +508,25 @@ try {
  *
  * Additional Notes:
  * - Initialization requires setting up a file-based or in-memory SQLite instance.
- * - The library assumes SQLite 3.9+ for JSON support.
+ * - The library assumes SQLite 3.38+ (JSON operators and `RETURNING`); text
+ *   indexes need 3.43+ (FTS5 `contentless_delete`).
+ *
+ * @typedef {Object} DocstoreOptions
+ * @property {{ debug?: Function, info?: Function, warn?: Function, error?: Function } | false} [logger] - Receives the library's log output (default: warnings and errors go to the console). `false` silences it.
+ * @property {"uuid" | "objectId" | (() => any)} [generateId="uuid"] - How the `_id` of a document inserted without one is made: a UUID v4 string, a new `ObjectId`, or the value returned by your function.
+ * @property {number | false} [ttlMonitorInterval=60000] - How often TTL indexes are checked for expired documents, in milliseconds. `false` turns the TTL monitor off.
+ * @property {{ maxAge?: number | null, maxEntries?: number | null } | false} [oplog] - Oplog retention for change streams: entries older than `maxAge` milliseconds (default one day) or beyond the newest `maxEntries` are pruned. `false` stops recording changes.
+ * @property {"delete" | "truncate" | "persist" | "memory" | "wal" | "off"} [journalMode] - SQLite journal mode; `wal` lets readers in other processes work while one writes. Left as the file has it when omitted.
+ * @property {"off" | "normal" | "full" | "extra"} [synchronous] - How often SQLite waits for writes to reach the disk; `normal` is safe and faster with `wal`.
+ * @property {number} [busyTimeout=5000] - How long a write waits for another connection's lock, in milliseconds, before failing with `WriteConflict`.
+ * @property {boolean} [readonly=false] - Open an existing file read-only: writes throw `IllegalOperation` and the TTL monitor does not run.
+ * @property {number} [statementCacheSize=256] - How many prepared statements to keep for reuse by query shape; `0` turns the cache off.
+ * @property {EncryptionOptions} [encryption] - Fields to encrypt in each collection and the key provider; see encryption.js.
+ * @property {Record<string, string | number | boolean>} [pragmas] - Further PRAGMAs to set, e.g. `{ cache_size: -64000, foreign_keys: true }`, applied after the options above.
  *
  * @type {{
- *   init: (fileName?: string | null) => SqliteDocstoreFunctions
+ *   init: (fileName?: string | null, options?: DocstoreOptions) => SqliteDocstoreFunctions,
+ *   open: (fileName?: string | null, options?: DocstoreOptions & { readers?: number }) => Promise<object>
  * }}
  */
 export const sqliteDocstore = {
@@ -88,340 +535,699 @@ export const sqliteDocstore = {
    * If a fileName is provided, it uses a file-based database. Otherwise, it creates an in-memory database.
    *
    * @param {string|null} fileName - SQLite file name. Defaults to an in-memory database when null.
+   * @param {DocstoreOptions} [options] - Connection options.
    * @returns {object} - Mongo-style database functions.
    */
-  init: (fileName = null) => {
-    // Create a new SQLite connection: persistent (file) or in-memory
-    const db = new Database(fileName || ":memory:");
+  init: (fileName = null, options = {}) => {
+    if (!Database) {
+      throw new DocstoreError("Could not load a SQLite driver", {
+        cause: loadError,
+      });
+    }
+    const logger = createLogger(options.logger);
+    const readonly = options.readonly === true;
+    if (readonly && !fileName) {
+      throw new BadValue("A read-only docstore needs a database file");
+    }
+    const pragmas = connectionPragmas(options);
 
-    // defines REGEXP behavior for SQLite
-    db.REGEXP=(pattern, value) => {
-      try {
-        return new RegExp(pattern).test(value) ? 1 : 0;
-      } catch (e) {
-        return 0; // If invalid regex, always return false
+    // Create a new SQLite connection: persistent (file) or in-memory
+    let db;
+    let oplog;
+    try {
+      db = readonly
+        ? new Database(fileName, { readonly: true })
+        : new Database(fileName || ":memory:");
+      logger.debug(`Opened ${fileName || ":memory:"} with ${driver}`);
+      for (const pragma of pragmas) db.exec(pragma);
+      // A read-only file is left as it is; it must already hold the tables
+      if (readonly) {
+        assertDocstoreTables(db, fileName, options.oplog !== false);
+      } else {
+        ensureCatalog(db);
+        if (options.oplog !== false) ensureOplog(db);
       }
+      oplog = createOplog(db, options.oplog);
+      configureEncryption(db, options.encryption);
+      configureStatementCache(db, options.statementCacheSize);
+    } catch (err) {
+      db?.close();
+      throw toDocstoreError(err);
+    }
+    const context = {
+      db,
+      oplog,
+      history: createHistory(db),
+      logger,
+      generateId: idGenerator(options.generateId),
+      readonly,
+      closed: false,
+      streams: new Set(),
     };
+    const stopTtlMonitor = startTtlMonitor(
+      context,
+      readonly ? false : options.ttlMonitorInterval ?? 60000
+    );
+
+    // defines REGEXP behavior for SQLite, used by `$regex` filters as regexp(pattern, value, flags)
+    if (typeof db.function === "function") {
+      db.function(
+        "regexp",
+        { deterministic: true, varargs: true },
+        (pattern, value, flags = "") => {
+          if (typeof value !== "string") return 0;
+          try {
+            return new RegExp(pattern, flags).test(value) ? 1 : 0;
+          } catch (e) {
+            return 0; // If invalid regex, always return false
+          }
+        }
+      );
+      // geo_within, geo_intersects and geo_distance, used by geospatial filters
+      for (const [name, fn] of Object.entries(GEO_FUNCTIONS)) {
+        db.function(name, { deterministic: true }, fn);
+      }
+    }
 
     // Return the Mongo-like interface for database operations
-    return {
+    return withDocstoreErrors(context, {
       db: db, // Expose the raw SQLite connection for advanced operations if needed
 
-      createCollection: function (collectionName) {
-        this.db.exec(
-          `CREATE TABLE IF NOT EXISTS ${collectionName} (
-             _id TEXT PRIMARY KEY,
-             document JSON
-          )`
-        );
+      collection: function (collectionName) {
+        return collectionHandle(this, collectionName);
       },
 
-      createIndex: function (collectionName, field, options = {}) {
-        const jsonField = `json_extract(document, '$.${field}')`; // Extract field for indexing
-        const unique = options.unique ? "UNIQUE" : ""; // Support unique indexes
-        const indexName = `idx_${collectionName}_${field}`;
-        this.db.exec(
-          `CREATE ${unique} INDEX IF NOT EXISTS ${indexName} ON ${collectionName} (${jsonField})`
-        );
+      listCollections: function (filter = {}, options = {}) {
+        return listCollections(this, filter, {
+          ...options,
+          readOnly: readonly,
+        });
+      },
+
+      stats: function (collectionName, options = {}) {
+        return collectionStats(this, collectionName, options);
+      },
+
+      bulkWrite: function (collectionName, operations, options = {}) {
+        return bulkWrite(this, collectionName, operations, options);
+      },
+
+      startSession: function () {
+        return createSession(this.db);
+      },
+
+      withTransaction: function (fn) {
+        return this.startSession().withTransaction(fn);
+      },
+
+      createCollection: function (collectionName, options = {}) {
+        const table = collectionIdentifier(collectionName);
+        const settings = {
+          ...validationOptions(options),
+          ...historyOptions(options),
+          ...generatedColumnOptions(options),
+        };
+        this.db.transaction(() => {
+          const created = !collectionExists(this.db, collectionName);
+          // A new table gets its generated columns, stored ones included, up front
+          const columns = generatedColumnDefinitions(settings.generatedColumns);
+          this.db.exec(
+            `CREATE TABLE IF NOT EXISTS ${table} (
+               _id TEXT PRIMARY KEY,
+               document JSON${columns.map((column) => `,\n${column}`).join("")}
+            )`
+          );
+          if (Object.keys(settings).length > 0) {
+            const previous = readCollectionOptions(this.db, collectionName);
+            applyHistoryOptions(this.db, collectionName, previous, settings);
+            writeCollectionOptions(this.db, collectionName, {
+              ...previous,
+              ...settings,
+            });
+            if (!created) {
+              applyGeneratedColumns(
+                this.db,
+                collectionName,
+                previous,
+                settings
+              );
+            }
+          }
+        })();
+      },
+
+      collMod: function (collectionName, options = {}) {
+        const settings = {
+          ...validationOptions(options),
+          ...historyOptions(options),
+          ...generatedColumnOptions(options),
+        };
+        if (!collectionExists(this.db, collectionName)) {
+          throw new NamespaceNotFound(collectionName);
+        }
+        this.db.transaction(() => {
+          const previous = readCollectionOptions(this.db, collectionName);
+          applyHistoryOptions(this.db, collectionName, previous, settings);
+          writeCollectionOptions(this.db, collectionName, {
+            ...previous,
+            ...settings,
+          });
+          applyGeneratedColumns(this.db, collectionName, previous, settings);
+        })();
         return { acknowledged: true };
       },
 
-      insertOne: function (collectionName, document) {
-        const id = document._id || uuidv4();
-        const stmt = this.db.prepare(
-          `INSERT INTO ${collectionName} (_id, document) VALUES (?, ?)`
-        );
-        stmt.run(id, JSON.stringify({ ...document, _id: id }));
-        return { acknowledged: true, insertedId: id };
+      createIndex: function (collectionName, keys, options = {}) {
+        return createIndex(this.db, collectionName, keys, options);
       },
 
-      insertMany: function (collectionName, documents) {
-        const stmt = this.db.prepare(
-          `INSERT INTO ${collectionName} (_id, document) VALUES (?, ?)`
+      listIndexes: function (collectionName) {
+        return listIndexes(this.db, collectionName);
+      },
+
+      dropIndex: function (collectionName, index) {
+        dropIndexes(this.db, collectionName, [index]);
+        return { acknowledged: true };
+      },
+
+      dropIndexes: function (collectionName, indexes = "*") {
+        dropIndexes(this.db, collectionName, indexes);
+        return { acknowledged: true };
+      },
+
+      insertOne: function (collectionName, document, options = {}) {
+        const audit = auditOptions(options);
+        const id = document._id ?? context.generateId();
+        const stmt = insertStatement(this.db, collectionName);
+        const inserted = { ...document, _id: id };
+        checkFieldNames(inserted);
+        loadValidator(this.db, collectionName, { ...options, logger })?.(
+          inserted
         );
+        const stored = encryptDocument(this.db, collectionName, inserted);
         this.db.transaction(() => {
-          for (const doc of documents) {
-            const id = doc._id || uuidv4();
-            stmt.run(id, JSON.stringify({ ...doc, _id: id }));
+          try {
+            stmt.run(idKey(id), serialize(stored));
+          } catch (err) {
+            throw toDocstoreError(err, {
+              db: this.db,
+              collectionName,
+              document: inserted,
+            });
           }
+          const changes = [{ op: "insert", id, after: stored }];
+          oplog?.record(collectionName, changes);
+          context.history.record(collectionName, changes, audit);
         })();
-        return { acknowledged: true, insertedCount: documents.length };
+        return { acknowledged: true, insertedId: id };
       },
 
-      find: function (collectionName, query = {}) {
-        try {
-          // Build SQL query conditions for the WHERE clause
-          const conditions = Object.entries(query)
-            .map(([key]) => `json_extract(document, '$.${key}') = ?`)
-            .join(" AND ");
-
-          const params = Object.values(query); // Bind only values, keys are encoded in SQL
-
-          const stmt = this.db.prepare(`
-      SELECT _id, document FROM ${collectionName} 
-      ${conditions ? `WHERE ${conditions}` : ""}
-    `);
-
-          // Execute the statement and parse results
-          const rows = stmt.all(...params);
-          return rows.map((row) => ({
-            _id: row._id,
-            ...JSON.parse(row.document), // Merge JSON document fields and _id
-          }));
-        } catch (err) {
-          // Check for a "no such table" error (SQLite error code for it is usually `SQLITE_ERROR`)
-          if (err.message.includes("no such table")) {
-            console.error(
-              `Collection (table) "${collectionName}" does not exist.`
-            );
-            return []; // Return an empty array as a fallback, or handle this case differently if needed
+      insertMany: function (collectionName, documents, options = {}) {
+        const audit = auditOptions(options);
+        const stmt = insertStatement(this.db, collectionName);
+        const validate = loadValidator(this.db, collectionName, {
+          ...options,
+          logger,
+        });
+        const insertedIds = {};
+        this.db.transaction(() => {
+          const changes = [];
+          for (const [index, doc] of documents.entries()) {
+            const id = doc._id ?? context.generateId();
+            insertedIds[index] = id;
+            const inserted = { ...doc, _id: id };
+            checkFieldNames(inserted);
+            validate?.(inserted);
+            const stored = encryptDocument(this.db, collectionName, inserted);
+            try {
+              stmt.run(idKey(id), serialize(stored));
+            } catch (err) {
+              throw toDocstoreError(err, {
+                db: this.db,
+                collectionName,
+                document: inserted,
+              });
+            }
+            changes.push({ op: "insert", id, after: stored });
           }
+          oplog?.record(collectionName, changes);
+          context.history.record(collectionName, changes, audit);
+        })();
+        return {
+          acknowledged: true,
+          insertedCount: documents.length,
+          insertedIds,
+        };
+      },
 
-          // Re-throw other errors, as they might indicate legitimate issues
-          throw err;
-        }
+      find: function (collectionName, query = {}, options = {}) {
+        return new Cursor(this.db, collectionName, query, options);
       },
 
-      findOne: function (collectionName, query = {}) {
-        try {
-          const results = this.find(collectionName, query);
-          return results.length > 0 ? results[0] : null;
-        } catch (err) {
-          console.log("error", err);
+      findOne: function (collectionName, query = {}, options = {}) {
+        const results = this.find(collectionName, query, options)
+          .limit(1)
+          .toArray();
+        return results.length > 0 ? results[0] : null;
+      },
+
+      findById: function (collectionName, id, options = {}) {
+        const table = collectionIdentifier(collectionName);
+        if (options.asOf !== undefined) {
+          const row = this.db
+            .prepare(
+              `SELECT _id, document FROM ${asOfSource(
+                this.db,
+                collectionName,
+                options.asOf
+              )} WHERE _id = ?`
+            )
+            .get(idKey(id));
+          return row ? decryptDocument(this.db, parseRow(row)) : null;
         }
+        const live = isSoftDelete(this.db, collectionName)
+          ? " AND deleted_at IS NULL"
+          : "";
+        return readOrEmpty(() => {
+          const row = prepareCached(
+            this.db,
+            `SELECT _id, document FROM ${table} WHERE _id = ?${live}`
+          ).get(idKey(id));
+          return row ? decryptDocument(this.db, parseRow(row)) : null;
+        }, null);
       },
 
-      findById: function (collectionName, id) {
-        const stmt = this.db.prepare(
-          `SELECT _id, document FROM ${collectionName} WHERE _id = ?`
+      listVersions: function (collectionName, id) {
+        return decryptDocument(
+          this.db,
+          listVersions(this.db, collectionName, id)
         );
-        const row = stmt.get(id);
-        return row ? { _id: row._id, ...JSON.parse(row.document) } : null;
       },
-      findWithIn: function (collectionName, query) {
-        const params = [];
-        const conditions = Object.entries(query)
-          .map(([key, value]) => {
-            if (Array.isArray(value.$in)) {
-              const placeholders = value.$in.map(() => "?").join(", ");
-              params.push(...value.$in);
-              return `json_extract(document, '$.${key}') IN (${placeholders})`;
-            }
-            throw new Error("Unsupported operator");
-          })
-          .join(" AND ");
 
-        const stmt = this.db.prepare(
-          `SELECT _id, document FROM ${collectionName} WHERE ${conditions}`
+      restoreVersion: function (collectionName, id, version, options = {}) {
+        const table = collectionIdentifier(collectionName);
+        const audit = auditOptions(options);
+        const validate = loadValidator(this.db, collectionName, {
+          ...options,
+          logger,
+        });
+        const live = isSoftDelete(this.db, collectionName)
+          ? " AND deleted_at IS NULL"
+          : "";
+        const select = this.db.prepare(
+          `SELECT _id, document FROM ${table} WHERE _id = ?${live}`
+        );
+        const write = this.db.prepare(
+          `UPDATE ${table} SET document = ? WHERE _id = ?`
         );
+        const insert = insertStatement(this.db, collectionName);
 
-        return stmt.all(...params).map((row) => JSON.parse(row.document));
-      },
-      findWithRegex: function (collectionName, query) {
-        const params = [];
-        const conditions = Object.entries(query)
-          .map(([key, value]) => {
-            if (value.$regex) {
-              params.push(value.$regex);
-              return `json_extract(document, '$.${key}') REGEXP ?`;
+        return this.db
+          .transaction(() => {
+            const found = findVersion(this.db, collectionName, id, version);
+            if (!found) {
+              throw new BadValue(
+                `Document ${serialize(id)} has no version ${version}`
+              );
             }
-            throw new Error(`Unsupported operator for key "${key}"`);
+            if (found.op === "delete") {
+              throw new BadValue(
+                `Version ${version} of document ${serialize(id)} is a deletion`
+              );
+            }
+            const document = decryptDocument(this.db, found.document);
+            const row = select.get(idKey(id));
+            const before = row ? parseRow(row) : undefined;
+            validate?.(document, decryptDocument(this.db, before));
+            const stored = encryptDocument(
+              this.db,
+              collectionName,
+              document,
+              before
+            );
+            try {
+              if (row) write.run(serialize(stored), row._id);
+              else insert.run(idKey(id), serialize(stored));
+            } catch (err) {
+              throw toDocstoreError(err, {
+                db: this.db,
+                collectionName,
+                document,
+              });
+            }
+            const change = row
+              ? { op: "replace", id, before, after: stored }
+              : { op: "insert", id, after: stored };
+            oplog?.record(collectionName, [change]);
+            context.history.record(
+              collectionName,
+              [{ ...change, op: "restore" }],
+              audit
+            );
+            return document;
           })
-          .join(" AND ");
+          .immediate();
+      },
 
-        const stmt = this.db.prepare(
-          `SELECT _id, document FROM ${collectionName} WHERE ${conditions}`
-        );
-        return stmt.all(...params).map((row) => JSON.parse(row.document));
+      // Kept for backwards compatibility: `find` understands `$in` and `$regex` directly
+      findWithIn: function (collectionName, query) {
+        return this.find(collectionName, query).toArray();
       },
 
-      updateOne: function (collectionName, query, update) {
-        if (!update.$set) {
-          throw new Error("Only `$set` updates are supported");
+      findWithRegex: function (collectionName, query) {
+        return this.find(collectionName, query).toArray();
+      },
+
+      updateOne: function (collectionName, query, update, options = {}) {
+        if (!isOperatorUpdate(update)) {
+          throw new BadValue("Update document requires atomic operators");
         }
+        const result = updateDocuments(context, collectionName, query, update, {
+          upsert: options.upsert,
+          bypassDocumentValidation: options.bypassDocumentValidation,
+          ...auditOptions(options),
+        });
+        return updateResult(result);
+      },
 
-        const conditions = Object.entries(query)
-          .map(([_]) => `json_extract(document, ?) = ?`)
-          .join(" AND ");
+      updateMany: function (collectionName, query, update, options = {}) {
+        if (!isOperatorUpdate(update)) {
+          throw new BadValue("Update document requires atomic operators");
+        }
+        const result = updateDocuments(context, collectionName, query, update, {
+          multi: true,
+          upsert: options.upsert,
+          bypassDocumentValidation: options.bypassDocumentValidation,
+          ...auditOptions(options),
+        });
+        return updateResult(result);
+      },
 
-        const queryParams = Object.entries(query).flatMap(([field, value]) => [
-          `$.${field}`,
-          value,
-        ]);
+      replaceOne: function (collectionName, query, replacement, options = {}) {
+        if (isOperatorUpdate(replacement)) {
+          throw new BadValue(
+            "Replacement document must not contain atomic operators"
+          );
+        }
+        const result = updateDocuments(
+          context,
+          collectionName,
+          query,
+          replacement,
+          {
+            replace: true,
+            upsert: options.upsert,
+            bypassDocumentValidation: options.bypassDocumentValidation,
+            ...auditOptions(options),
+          }
+        );
+        return updateResult(result);
+      },
 
-        const updateFields = Object.entries(update.$set);
-        const setStatements = updateFields
-          .map(([field]) => `document = json_set(document, '$.${field}', ?)`)
-          .join(", ");
+      findOneAndUpdate: function (collectionName, query, update, options = {}) {
+        if (!isOperatorUpdate(update)) {
+          throw new BadValue("Update document requires atomic operators");
+        }
+        const result = updateDocuments(context, collectionName, query, update, {
+          upsert: options.upsert,
+          sort: options.sort,
+          bypassDocumentValidation: options.bypassDocumentValidation,
+          ...auditOptions(options),
+        });
+        return options.returnDocument === "after"
+          ? result.after
+          : result.before;
+      },
 
-        const updateValues = updateFields.map(([_, value]) => value);
+      findOneAndReplace: function (
+        collectionName,
+        query,
+        replacement,
+        options = {}
+      ) {
+        if (isOperatorUpdate(replacement)) {
+          throw new BadValue(
+            "Replacement document must not contain atomic operators"
+          );
+        }
+        const result = updateDocuments(
+          context,
+          collectionName,
+          query,
+          replacement,
+          {
+            replace: true,
+            upsert: options.upsert,
+            sort: options.sort,
+            bypassDocumentValidation: options.bypassDocumentValidation,
+            ...auditOptions(options),
+          }
+        );
+        return options.returnDocument === "after"
+          ? result.after
+          : result.before;
+      },
 
-        const stmt = this.db.prepare(
-          `UPDATE ${collectionName} SET ${setStatements} WHERE ${conditions} LIMIT 1`
+      deleteOne: function (collectionName, query, options = {}) {
+        const table = collectionIdentifier(collectionName);
+        const audit = auditOptions(options);
+        const { sql, params, near } = compileFilter(query, {
+          collectionName,
+          db: this.db,
+        });
+
+        const stmt = deleteStatement(
+          this.db,
+          collectionName,
+          `_id = (SELECT _id FROM ${table} WHERE ${sql} ${
+            near ? `ORDER BY ${near.distance}` : ""
+          } LIMIT 1)`
         );
 
-        const result = stmt.run(...updateValues, ...queryParams);
-        return { acknowledged: true, modifiedCount: result.changes };
+        const deletedCount = this.db.transaction(() => {
+          const changes = deletions(stmt.all(...params));
+          oplog?.record(collectionName, changes);
+          context.history.record(collectionName, changes, audit);
+          return changes.length;
+        })();
+        return { acknowledged: true, deletedCount };
       },
 
-      deleteOne: function (collectionName, query) {
-        const conditions = Object.entries(query)
-          .map(([_]) => `json_extract(document, ?) = ?`)
-          .join(" AND ");
+      deleteMany: function (collectionName, query = {}, options = {}) {
+        const audit = auditOptions(options);
+        const { sql, params } = compileFilter(query, {
+          collectionName,
+          db: this.db,
+        });
+
+        const stmt = deleteStatement(this.db, collectionName, sql);
 
-        const queryParams = Object.entries(query).flatMap(([field, value]) => [
-          `$.${field}`,
-          value,
-        ]);
+        const deletedCount = this.db.transaction(() => {
+          const changes = deletions(stmt.all(...params));
+          oplog?.record(collectionName, changes);
+          context.history.record(collectionName, changes, audit);
+          return changes.length;
+        })();
+        return { acknowledged: true, deletedCount };
+      },
 
-        const stmt = this.db.prepare(
-          `DELETE FROM ${collectionName} WHERE ${conditions} LIMIT 1`
+      findOneAndDelete: function (collectionName, query, options = {}) {
+        const table = collectionIdentifier(collectionName);
+        const audit = auditOptions(options);
+        const filter = compileFilter(query, {
+          collectionName,
+          db: this.db,
+        });
+        const { sql, params } = filter;
+        const select = prepareCached(
+          this.db,
+          `SELECT _id, document FROM ${table} WHERE ${sql}
+           ${
+             options.sort
+               ? `ORDER BY ${compileSort(options.sort, {
+                   textScore: filterTextScore(
+                     collectionName,
+                     filter,
+                     `${table}._id`
+                   ),
+                   columns: generatedColumns(
+                     readCollectionOptions(this.db, collectionName)
+                   ),
+                 })}`
+               : filter.near
+               ? `ORDER BY ${filter.near.distance}`
+               : ""
+           } LIMIT 1`
         );
+        const remove = deleteStatement(this.db, collectionName, "_id = ?");
 
-        const result = stmt.run(...queryParams);
-        return { acknowledged: true, deletedCount: result.changes };
+        return this.db
+          .transaction(() => {
+            const row = select.get(...params);
+            if (!row) return null;
+            const changes = deletions(remove.all(row._id));
+            oplog?.record(collectionName, changes);
+            context.history.record(collectionName, changes, audit);
+            return decryptDocument(this.db, changes[0].before);
+          })
+          .immediate();
       },
 
       countDocuments: function (collectionName, query = {}) {
-        const conditions = Object.entries(query)
-          .map(([_]) => `json_extract(document, ?) = ?`)
-          .join(" AND ");
-
-        const params = Object.entries(query).flatMap(([field, value]) => [
-          `$.${field}`,
-          value,
-        ]);
+        const table = collectionIdentifier(collectionName);
+        const { sql, params } = compileFilter(query, {
+          collectionName,
+          db: this.db,
+        });
 
-        const stmt = this.db.prepare(
-          `SELECT COUNT(*) as count FROM ${collectionName} ${
-            conditions ? `WHERE ${conditions}` : ""
-          }`
-        );
+        return readOrEmpty(() => {
+          const stmt = prepareCached(
+            this.db,
+            `SELECT COUNT(*) as count FROM ${table} WHERE ${sql}`
+          );
 
-        const row = stmt.get(...params);
-        return row.count;
+          const row = stmt.get(...params);
+          return row.count;
+        }, 0);
       },
 
-      distinct: function (collectionName, field) {
-        const stmt = this.db.prepare(`
-          SELECT DISTINCT json_extract(document, '$.${field}') as value 
-          FROM ${collectionName}
-        `);
-        const rows = stmt.all();
-        return rows.map((row) => row.value);
+      distinct: function (collectionName, field, query = {}) {
+        const table = collectionIdentifier(collectionName);
+        const { sql, params } = compileFilter(query, {
+          collectionName,
+          db: this.db,
+        });
+        return readOrEmpty(() => {
+          const stmt = prepareCached(
+            this.db,
+            `SELECT DISTINCT COALESCE(document -> ${sqlPath(
+              field
+            )}, 'null') as value
+             FROM ${table}
+             WHERE ${sql}`
+          );
+          const values = stmt
+            .all(...params)
+            .map((row) => deserialize(row.value));
+          const decrypted = decryptDocument(this.db, values);
+          if (decrypted === values) return values;
+          // Randomly encrypted copies of a value only look distinct before decryption
+          const seen = new Set();
+          return decrypted.filter((value) => {
+            const key = serialize(value);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+        }, []);
       },
 
       renameCollection: function (oldName, newName) {
         const stmt = this.db.prepare(
-          `ALTER TABLE ${oldName} RENAME TO ${newName}`
+          `ALTER TABLE ${collectionIdentifier(
+            oldName
+          )} RENAME TO ${collectionIdentifier(newName)}`
         );
-        stmt.run();
+        this.db.transaction(() => {
+          stmt.run();
+          renameCollectionOptions(this.db, oldName, newName);
+          renameIndexes(this.db, newName);
+          renameHistory(this.db, oldName, newName);
+        })();
         return { acknowledged: true };
       },
 
       dropCollection: function (collectionName) {
-        const stmt = this.db.prepare(`DROP TABLE IF EXISTS ${collectionName}`);
-        stmt.run();
+        const table = collectionIdentifier(collectionName);
+        const stmt = this.db.prepare(`DROP TABLE IF EXISTS ${table}`);
+        this.db.transaction(() => {
+          dropCollectionIndexes(this.db, collectionName);
+          dropHistory(this.db, collectionName);
+          stmt.run();
+          dropCollectionOptions(this.db, collectionName);
+        })();
         return { acknowledged: true };
       },
-      aggregate: function (collectionName, pipeline) {
-        let baseQuery = `SELECT document FROM ${collectionName}`;
-        let groupClause = ""; // For GROUP BY
-        const params = [];
-        const outputFields = []; // For fields in the SELECT clause
-
-        pipeline.forEach((stage) => {
-          if (stage.$match) {
-            // Handle $match logic (already implemented in your original code)
-            const comparisonOperators = {
-              $eq: "=",
-              $gt: ">",
-              $gte: ">=",
-              $lt: "<",
-              $lte: "<=",
-              $ne: "!=",
-            };
-
-            const conditions = Object.entries(stage.$match)
-              .map(([key, value]) => {
-                if (typeof value === "object" && value !== null) {
-                  // Handle comparison operators: { key: { $gte: value } }
-                  const [operator, operand] = Object.entries(value)[0];
-                  if (!comparisonOperators[operator]) {
-                    throw new Error(
-                      `Unsupported comparison operator: ${operator}`
-                    );
-                  }
-                  params.push(operand);
-                  return `json_extract(document, '$.${key}') ${comparisonOperators[operator]} ?`;
-                } else {
-                  // Handle simple equality: { key: value }
-                  params.push(value);
-                  return `json_extract(document, '$.${key}') = ?`;
-                }
-              })
-              .join(" AND ");
-
-            baseQuery += ` WHERE ${conditions}`;
-          }
 
-          if (stage.$group) {
-            // Parse the $group stage
-            const { _id, ...aggregations } = stage.$group;
-            if (!_id) {
-              throw new Error(
-                "$group stage must include an _id field for grouping."
-              );
-            }
+      rotateEncryptionKey: function (collectionName, keyId) {
+        return rotateEncryptionKey(this.db, collectionName, keyId);
+      },
 
-            // Handle the grouping key (_id)
-            const groupKey = `json_extract(document, '$.${_id}') AS groupKey`;
-            groupClause = `GROUP BY json_extract(document, '$.${_id}')`;
-            outputFields.push(groupKey);
-
-            // Handle aggregations
-            Object.entries(aggregations).forEach(([field, operation]) => {
-              if (typeof operation === "object" && operation !== null) {
-                const [op, jsonField] = Object.entries(operation)[0];
-                const validAggregates = {
-                  $sum: "SUM",
-                  $avg: "AVG",
-                  $count: "COUNT",
-                  $max: "MAX",
-                  $min: "MIN",
-                };
-
-                if (!validAggregates[op]) {
-                  throw new Error(`Unsupported aggregation operator: ${op}`);
-                }
-
-                const sqlOp = validAggregates[op];
-
-                const sqlField =
-                  op === "$count"
-                    ? "*" // COUNT doesn't need a specific field
-                    : `COALESCE(json_extract(document, '$.${jsonField}'), 0)`;
-
-                outputFields.push(`${sqlOp}(${sqlField}) AS ${field}`);
-              } else {
-                throw new Error(`Invalid aggregation for field ${field}.`);
-              }
-            });
-          }
+      watch: function (collectionName = null, pipeline = [], options = {}) {
+        if (!oplog) {
+          throw new IllegalOperation(
+            "Change streams need the oplog, which is disabled"
+          );
+        }
+        const stream = new ChangeStream(
+          this.db,
+          collectionName,
+          pipeline,
+          options
+        );
+        context.streams.add(stream);
+        stream.once("close", () => context.streams.delete(stream));
+        return stream;
+      },
+
+      exportCollection: function (collectionName, options = {}) {
+        return exportCollection(this, collectionName, options);
+      },
+
+      importCollection: function (collectionName, source, options = {}) {
+        return importCollection(this, collectionName, source, options);
+      },
+
+      dump: function (directory, options = {}) {
+        return dump(this, directory, options);
+      },
+
+      restore: function (directory, options = {}) {
+        return restore(this, directory, options);
+      },
+
+      aggregate: function (collectionName, pipeline, options = {}) {
+        const { sql, params } = compilePipeline(collectionName, pipeline, {
+          db: this.db,
         });
+        if (options.explain) {
+          return explainQuery(this.db, collectionName, sql, params);
+        }
 
-        // Final SQL query assembly
-        const selectClause =
-          outputFields.length > 0 ? outputFields.join(", ") : "document";
-        const finalQuery = `SELECT ${selectClause} FROM (${baseQuery}) ${groupClause}`;
+        return readOrEmpty(() => {
+          const stmt = prepareCached(this.db, sql);
+          return decryptDocument(
+            this.db,
+            stmt.all(...params).map((row) => deserialize(row.document))
+          );
+        }, []);
+      },
 
-        // Debugging helpers
-        //console.log("Generated Query:", finalQuery);
-        //console.log("Query Parameters:", params);
+      backup: function (destination, options = {}) {
+        return backupDatabase(this.db, destination, options).catch((err) => {
+          throw toDocstoreError(err);
+        });
+      },
 
-        const stmt = this.db.prepare(finalQuery);
-        return stmt.all(...params);
+      close: function () {
+        if (context.closed) return;
+        context.closed = true;
+        stopTtlMonitor();
+        for (const stream of context.streams) stream.close();
+        clearStatementCache(this.db);
+        this.db.close();
       },
-    };
+    });
   },
+
+  /**
+   * Opens the database on worker threads and return the same methods, each
+   * returning a Promise: queries run on a pool of read-only connections and
+   * writes on a single writer thread, in call order.
+   *
+   * @param {string|null} fileName - SQLite file name. Defaults to an in-memory database when null, which the writer thread serves alone.
+   * @param {DocstoreOptions & { readers?: number }} [options] - Connection options, plus the number of reader threads (default 2).
+   * @returns {Promise<object>} - Mongo-style database functions returning Promises, once every thread has opened the database.
+   */
+  open: (fileName = null, options = {}) => openDocstore(fileName, options),
 };
@@ -1,6 +1,38 @@
-import { strictEqual, deepStrictEqual, throws } from "assert";
+import { strictEqual, deepStrictEqual, rejects, throws } from "assert";
 import { describe, it } from "mocha";
-import { sqliteDocstore } from "./index.js";
+import { spawnSync } from "child_process";
+import { randomBytes } from "crypto";
+import { existsSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fileURLToPath } from "url";
+import {
+  sqliteDocstore,
+  BadValue,
+  BulkWriteError,
+  ChangeStreamHistoryLost,
+  ConflictingUpdateOperators,
+  createHttpServer,
+  createWireServer,
+  DocstoreError,
+  DuplicateKeyError,
+  EncryptedValue,
+  IllegalOperation,
+  ImmutableField,
+  IndexNotFound,
+  IndexOptionsConflict,
+  InvalidNamespace,
+  NamespaceExists,
+  NamespaceNotFound,
+  ObjectId,
+  TypeMismatch,
+  ValidationError,
+} from "./index.js";
+import { evaluateShell, main, shellDatabase } from "./cli.js";
+import { decodeBson, encodeBson } from "./bson.js";
+import { createConnection } from "net";
+import vm from "vm";
+import Database from "better-sqlite3";
 
 // Initialize the database
 const db = sqliteDocstore.init();
@@ -27,7 +59,7 @@ describe("SQLite Docstore Tests", () => {
       strictEqual(result.acknowledged, true);
       strictEqual(typeof result.insertedId, "string");
 
-      const foundDocs = db.find(collectionName, { name: "Alice" });
+      const foundDocs = db.find(collectionName, { name: "Alice" }).toArray();
       deepStrictEqual(foundDocs[0], {
         _id: result.insertedId,
         name: "Alice",
@@ -35,6 +67,18 @@ describe("SQLite Docstore Tests", () => {
       });
     });
 
+    it("should keep falsy ids such as 0 and the empty string", () => {
+      db.createCollection("falsyIds");
+      strictEqual(db.insertOne("falsyIds", { _id: 0, n: 1 }).insertedId, 0);
+      deepStrictEqual(
+        db.insertMany("falsyIds", [{ _id: "", n: 2 }, { n: 3 }]).insertedIds[0],
+        ""
+      );
+      strictEqual(db.findOne("falsyIds", { _id: 0 }).n, 1);
+      strictEqual(db.findOne("falsyIds", { _id: "" }).n, 2);
+      db.dropCollection("falsyIds");
+    });
+
     it("should insert multiple documents and count them", () => {
       const documents = [
         { name: "Bob", age: 35 },
@@ -44,6 +88,10 @@ describe("SQLite Docstore Tests", () => {
 
       strictEqual(result.acknowledged, true);
       strictEqual(result.insertedCount, 2);
+      strictEqual(
+        db.findById(collectionName, result.insertedIds[1]).name,
+        "Charlie"
+      );
 
       const count = db.countDocuments(collectionName);
       strictEqual(count, 3); // Count should include Alice, Bob, and Charlie
@@ -127,6 +175,4180 @@ describe("SQLite Docstore Tests", () => {
     });
   });
 
+  describe("Query Filters", () => {
+    const people = "filterPeople";
+
+    before(() => {
+      db.createCollection(people);
+      db.insertMany(people, [
+        {
+          _id: "a",
+          name: "Ann",
+          age: 28,
+          active: true,
+          tags: ["x", "y"],
+          address: { city: "Oslo" },
+        },
+        {
+          _id: "b",
+          name: "ben",
+          age: 41,
+          active: false,
+          tags: ["y"],
+          address: { city: "Rome" },
+        },
+        {
+          _id: "c",
+          name: "Cid",
+          age: 35,
+          tags: [],
+          scores: [{ s: 5 }, { s: 9 }],
+        },
+        { _id: "d", name: "Dee", age: null, scores: [{ s: 2 }] },
+      ]);
+    });
+
+    after(() => {
+      db.dropCollection(people);
+    });
+
+    const ids = (cursor) =>
+      cursor
+        .toArray()
+        .map((doc) => doc._id)
+        .sort();
+
+    it("should support comparison operators and nested paths", () => {
+      deepStrictEqual(ids(db.find(people, { age: { $gte: 30, $lt: 41 } })), [
+        "c",
+      ]);
+      deepStrictEqual(ids(db.find(people, { "address.city": "Rome" })), ["b"]);
+      deepStrictEqual(ids(db.find(people, { age: { $ne: 28 } })), [
+        "b",
+        "c",
+        "d",
+      ]);
+      deepStrictEqual(ids(db.find(people, { active: true })), ["a"]);
+    });
+
+    it("should support $in, $nin, $exists and $type", () => {
+      deepStrictEqual(ids(db.find(people, { name: { $in: ["Ann", "Cid"] } })), [
+        "a",
+        "c",
+      ]);
+      deepStrictEqual(ids(db.find(people, { age: { $nin: [28, 41] } })), [
+        "c",
+        "d",
+      ]);
+      deepStrictEqual(ids(db.find(people, { active: { $exists: false } })), [
+        "c",
+        "d",
+      ]);
+      deepStrictEqual(ids(db.find(people, { age: { $type: "null" } })), ["d"]);
+      deepStrictEqual(ids(db.find(people, { age: null })), ["d"]);
+    });
+
+    it("should support logical operators", () => {
+      deepStrictEqual(
+        ids(db.find(people, { $or: [{ age: { $lt: 30 } }, { name: "Dee" }] })),
+        ["a", "d"]
+      );
+      deepStrictEqual(
+        ids(db.find(people, { $nor: [{ age: 28 }, { age: 41 }] })),
+        ["c", "d"]
+      );
+      deepStrictEqual(
+        ids(
+          db.find(people, {
+            $and: [{ age: { $gt: 20 } }, { age: { $not: { $gt: 35 } } }],
+          })
+        ),
+        ["a", "c"]
+      );
+    });
+
+    it("should support $regex with $options", () => {
+      deepStrictEqual(
+        ids(db.find(people, { name: { $regex: "^b", $options: "i" } })),
+        ["b"]
+      );
+      deepStrictEqual(ids(db.find(people, { name: /^[AC]/ })), ["a", "c"]);
+    });
+
+    it("should support $size, $all and $elemMatch", () => {
+      deepStrictEqual(ids(db.find(people, { tags: { $size: 0 } })), ["c"]);
+      deepStrictEqual(ids(db.find(people, { tags: { $all: ["x", "y"] } })), [
+        "a",
+      ]);
+      deepStrictEqual(
+        ids(db.find(people, { scores: { $elemMatch: { s: { $gt: 8 } } } })),
+        ["c"]
+      );
+      deepStrictEqual(
+        ids(db.find(people, { tags: { $elemMatch: { $eq: "y" } } })),
+        ["a", "b"]
+      );
+    });
+
+    it("should compare values only with values of the same type", () => {
+      db.createCollection("brackets");
+      db.insertMany("brackets", [
+        { _id: "number", n: 5 },
+        { _id: "string", n: "10" },
+        { _id: "object", n: { k: 1 } },
+        { _id: "objectText", n: '{"k":1}' },
+        { _id: "array", n: [7] },
+      ]);
+      const ids = (filter) =>
+        db
+          .find("brackets", filter)
+          .toArray()
+          .map((document) => document._id)
+          .sort();
+
+      deepStrictEqual(ids({ n: { $gt: 3 } }), ["number"]);
+      deepStrictEqual(ids({ n: { $lt: "~" } }), ["objectText", "string"]);
+      deepStrictEqual(ids({ n: { k: 1 } }), ["object"]);
+      deepStrictEqual(ids({ n: '{"k":1}' }), ["objectText"]);
+      deepStrictEqual(ids({ n: { $in: ['{"k":1}', 5] } }), [
+        "number",
+        "objectText",
+      ]);
+      deepStrictEqual(ids({ n: { $gte: { k: 0 } } }), ["object"]);
+      db.dropCollection("brackets");
+    });
+
+    it("should compare and sort numeric ids as numbers", () => {
+      db.createCollection("numericIds");
+      db.insertMany("numericIds", [{ _id: 10 }, { _id: 2 }, { _id: 9 }]);
+      const ids = (documents) => documents.map((document) => document._id);
+
+      deepStrictEqual(
+        ids(
+          db
+            .find("numericIds", { _id: { $gt: 5 } })
+            .sort({ _id: 1 })
+            .toArray()
+        ),
+        [9, 10]
+      );
+      deepStrictEqual(
+        ids(
+          db
+            .find("numericIds", { _id: { $lte: 9 } })
+            .sort({ _id: -1 })
+            .toArray()
+        ),
+        [9, 2]
+      );
+      deepStrictEqual(
+        ids(db.find("numericIds").sort({ _id: 1 }).toArray()),
+        [2, 9, 10]
+      );
+      deepStrictEqual(
+        ids(db.aggregate("numericIds", [{ $sort: { _id: 1 } }])),
+        [2, 9, 10]
+      );
+      deepStrictEqual(
+        ids(db.find("numericIds", { _id: { $in: [10, 3] } }).toArray()),
+        [10]
+      );
+      strictEqual(db.findOne("numericIds", { _id: 9 })._id, 9);
+      db.dropCollection("numericIds");
+    });
+
+    it("should match array elements by equality, $in, $ne and $nin", () => {
+      deepStrictEqual(ids(db.find(people, { tags: "x" })), ["a"]);
+      deepStrictEqual(ids(db.find(people, { tags: { $eq: "y" } })), ["a", "b"]);
+      deepStrictEqual(ids(db.find(people, { tags: ["x", "y"] })), ["a"]);
+      deepStrictEqual(ids(db.find(people, { scores: { s: 5 } })), ["c"]);
+      deepStrictEqual(ids(db.find(people, { tags: { $in: ["x", "z"] } })), [
+        "a",
+      ]);
+      deepStrictEqual(ids(db.find(people, { tags: { $ne: "x" } })), [
+        "b",
+        "c",
+        "d",
+      ]);
+      deepStrictEqual(ids(db.find(people, { tags: { $nin: ["y"] } })), [
+        "c",
+        "d",
+      ]);
+      strictEqual(db.countDocuments(people, { tags: "y" }), 2);
+      deepStrictEqual(
+        db.aggregate(people, [{ $match: { tags: "x" } }, { $count: "n" }]),
+        [{ n: 1 }]
+      );
+
+      // Arrays are found through the index on the field too
+      db.createIndex(people, { tags: 1 });
+      deepStrictEqual(
+        db.find(people, { tags: "y" }).explain().queryPlanner.indexesUsed,
+        ["tags_1"]
+      );
+      deepStrictEqual(ids(db.find(people, { tags: "y" })), ["a", "b"]);
+      db.dropIndex(people, "tags_1");
+    });
+
+    it("should apply the same filter in count, delete and aggregate", () => {
+      const filter = { tags: { $all: ["y"] }, age: { $gt: 30 } };
+      strictEqual(db.countDocuments(people, filter), 1);
+      deepStrictEqual(db.aggregate(people, [{ $match: filter }]).length, 1);
+      strictEqual(db.deleteOne(people, filter).deletedCount, 1);
+      strictEqual(db.findById(people, "b"), null);
+    });
+
+    it("should reject unsupported operators", () => {
+      throws(
+        () => db.find(people, { age: { $where: 1 } }),
+        /Unsupported query operator/
+      );
+    });
+  });
+
+  describe("Update Operators", () => {
+    const items = "updateItems";
+
+    beforeEach(() => {
+      db.createCollection(items);
+      db.insertMany(items, [
+        {
+          _id: "p1",
+          name: "pen",
+          qty: 5,
+          price: 2,
+          tags: ["office"],
+          sizes: [3, 1, 2],
+        },
+        { _id: "p2", name: "ink", qty: 0, price: 8, tags: [] },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(items);
+    });
+
+    it("should apply numeric and field operators", () => {
+      const result = db.updateOne(
+        items,
+        { _id: "p1" },
+        {
+          $inc: { qty: 2 },
+          $mul: { price: 1.5 },
+          $unset: { tags: "" },
+          $rename: { name: "title" },
+          $min: { low: 4 },
+          $max: { "sizes.0": 1 },
+          $set: { "meta.color": "blue" },
+        }
+      );
+
+      deepStrictEqual(result, {
+        acknowledged: true,
+        matchedCount: 1,
+        modifiedCount: 1,
+        upsertedId: null,
+        upsertedCount: 0,
+      });
+      deepStrictEqual(db.findById(items, "p1"), {
+        _id: "p1",
+        qty: 7,
+        price: 3,
+        sizes: [3, 1, 2],
+        title: "pen",
+        low: 4,
+        meta: { color: "blue" },
+      });
+    });
+
+    it("should apply array operators", () => {
+      db.updateOne(
+        items,
+        { _id: "p1" },
+        {
+          $push: { sizes: { $each: [5, 0], $sort: 1, $slice: -3 } },
+          $addToSet: { tags: { $each: ["office", "school"] } },
+        }
+      );
+      db.updateOne(items, { _id: "p1" }, { $pull: { sizes: { $gte: 5 } } });
+      db.updateOne(items, { _id: "p1" }, { $pop: { tags: -1 } });
+
+      const doc = db.findById(items, "p1");
+      deepStrictEqual(doc.sizes, [2, 3]);
+      deepStrictEqual(doc.tags, ["school"]);
+    });
+
+    it("should report unmodified matches and update many documents", () => {
+      const same = db.updateOne(items, { _id: "p2" }, { $set: { qty: 0 } });
+      strictEqual(same.matchedCount, 1);
+      strictEqual(same.modifiedCount, 0);
+
+      const many = db.updateMany(items, {}, { $currentDate: { seenAt: true } });
+      strictEqual(many.matchedCount, 2);
+      strictEqual(many.modifiedCount, 2);
+      strictEqual(db.countDocuments(items, { seenAt: { $exists: true } }), 2);
+    });
+
+    it("should upsert from the filter's equality fields", () => {
+      const result = db.updateOne(
+        items,
+        { name: "cap", qty: { $gt: 1 } },
+        { $set: { price: 1 }, $setOnInsert: { qty: 10 } },
+        { upsert: true }
+      );
+
+      strictEqual(result.matchedCount, 0);
+      strictEqual(result.upsertedCount, 1);
+      deepStrictEqual(db.findById(items, result.upsertedId), {
+        _id: result.upsertedId,
+        name: "cap",
+        price: 1,
+        qty: 10,
+      });
+    });
+
+    it("should replace documents and keep their _id", () => {
+      const result = db.replaceOne(items, { name: "ink" }, { name: "toner" });
+      strictEqual(result.modifiedCount, 1);
+      deepStrictEqual(db.findById(items, "p2"), { _id: "p2", name: "toner" });
+      throws(() => db.replaceOne(items, {}, { $set: { a: 1 } }));
+      throws(() => db.updateOne(items, {}, { name: "x" }));
+    });
+
+    it("should return documents from findOneAndUpdate and findOneAndDelete", () => {
+      const before = db.findOneAndUpdate(
+        items,
+        { _id: "p2" },
+        { $inc: { qty: 1 } }
+      );
+      strictEqual(before.qty, 0);
+
+      const after = db.findOneAndUpdate(
+        items,
+        { _id: "p2" },
+        { $inc: { qty: 1 } },
+        { returnDocument: "after" }
+      );
+      strictEqual(after.qty, 2);
+
+      const deleted = db.findOneAndDelete(items, { name: "pen" });
+      strictEqual(deleted._id, "p1");
+      strictEqual(db.findOneAndDelete(items, { name: "pen" }), null);
+    });
+
+    it("should delete many documents", () => {
+      strictEqual(db.deleteMany(items, { price: { $lt: 10 } }).deletedCount, 2);
+      strictEqual(db.countDocuments(items), 0);
+    });
+
+    it("should leave documents untouched when an operator fails", () => {
+      throws(
+        () => db.updateMany(items, {}, { $inc: { name: 1 } }),
+        /non-numeric/
+      );
+      strictEqual(db.findById(items, "p1").name, "pen");
+      throws(() => db.updateOne(items, {}, { $set: { _id: "x" } }));
+    });
+
+    it("should reject operators that write the same path", () => {
+      throws(
+        () =>
+          db.updateOne(
+            items,
+            { _id: "p1" },
+            { $set: { qty: 1 }, $inc: { qty: 1 } }
+          ),
+        ConflictingUpdateOperators
+      );
+      throws(
+        () =>
+          db.updateOne(items, { _id: "p1" }, { $rename: { qty: "qty.old" } }),
+        ConflictingUpdateOperators
+      );
+      throws(
+        () =>
+          db.updateOne(
+            items,
+            { _id: "p1" },
+            { $set: { tags: [] }, $push: { "tags.0": "x" } }
+          ),
+        ConflictingUpdateOperators
+      );
+      strictEqual(db.findById(items, "p1").qty, 5);
+
+      db.updateOne(
+        items,
+        { _id: "p1" },
+        { $set: { qty: 1, quantity: 2 }, $inc: { price: 1 } }
+      );
+      deepStrictEqual(
+        db.findOne(
+          items,
+          { _id: "p1" },
+          { projection: { qty: 1, quantity: 1, price: 1 } }
+        ),
+        { _id: "p1", qty: 1, quantity: 2, price: 3 }
+      );
+    });
+
+    it("should pad arrays with null when setting past their end", () => {
+      db.updateOne(items, { _id: "p1" }, { $set: { "sizes.5": 9 } });
+      deepStrictEqual(db.findById(items, "p1").sizes, [3, 1, 2, null, null, 9]);
+      db.updateOne(items, { _id: "p2" }, { $set: { "tags.1.label": "x" } });
+      deepStrictEqual(db.findById(items, "p2").tags, [null, { label: "x" }]);
+      strictEqual(db.find(items, { sizes: 9 }).toArray().length, 1);
+    });
+  });
+
+  describe("Cursors", () => {
+    const books = "cursorBooks";
+
+    before(() => {
+      db.createCollection(books);
+      db.insertMany(books, [
+        {
+          _id: "b1",
+          title: "Dune",
+          year: 1965,
+          author: { name: "Herbert", born: 1920 },
+        },
+        { _id: "b2", title: "Emma", year: 1815, author: { name: "Austen" } },
+        {
+          _id: "b3",
+          title: "Ubik",
+          year: 1969,
+          author: { name: "Dick" },
+          rating: null,
+        },
+        { _id: "b4", title: "Kindred", year: 1979 },
+      ]);
+    });
+
+    after(() => {
+      db.dropCollection(books);
+    });
+
+    it("should sort, skip and limit in SQL", () => {
+      const titles = db
+        .find(books)
+        .sort({ year: -1 })
+        .skip(1)
+        .limit(2)
+        .toArray()
+        .map((doc) => doc.title);
+
+      deepStrictEqual(titles, ["Ubik", "Dune"]);
+      deepStrictEqual(
+        db.find(books, {}, { sort: { title: 1 }, limit: 1 }).toArray(),
+        [db.findById(books, "b1")]
+      );
+    });
+
+    it("should project included and excluded fields", () => {
+      deepStrictEqual(
+        db
+          .find(books, { _id: "b1" })
+          .project({ title: 1, "author.name": 1 })
+          .toArray(),
+        [{ _id: "b1", title: "Dune", author: { name: "Herbert" } }]
+      );
+      deepStrictEqual(
+        db
+          .find(books)
+          .sort({ _id: 1 })
+          .project({ _id: 0, author: 1, rating: 1 })
+          .toArray(),
+        [
+          { author: { name: "Herbert", born: 1920 } },
+          { author: { name: "Austen" } },
+          { author: { name: "Dick" }, rating: null },
+          {},
+        ]
+      );
+      deepStrictEqual(
+        db.findOne(
+          books,
+          { _id: "b2" },
+          { projection: { author: 0, year: 0 } }
+        ),
+        { _id: "b2", title: "Emma" }
+      );
+      throws(
+        () => db.find(books).project({ title: 1, year: 0 }).toArray(),
+        /mix/
+      );
+    });
+
+    it("should count matches regardless of skip and limit", () => {
+      strictEqual(
+        db
+          .find(books, { year: { $gt: 1900 } })
+          .limit(1)
+          .count(),
+        3
+      );
+    });
+
+    it("should iterate lazily with for...of", () => {
+      const seen = [];
+      for (const doc of db.find(books).sort({ year: 1 })) {
+        seen.push(doc._id);
+        if (seen.length === 2) break;
+      }
+      deepStrictEqual(seen, ["b2", "b1"]);
+    });
+
+    it("should refuse to be reused or modified after iteration", () => {
+      const cursor = db.find(books);
+      cursor.toArray();
+      throws(() => cursor.toArray(), /already initialized/);
+      throws(() => cursor.limit(1), /already initialized/);
+      throws(() => db.find(books).skip(-1), /nonnegative/);
+    });
+  });
+
+  describe("Aggregation Pipeline", () => {
+    const orders = "pipelineOrders";
+    const customers = "pipelineCustomers";
+
+    before(() => {
+      db.createCollection(orders);
+      db.createCollection(customers);
+      db.insertMany(customers, [
+        { _id: "c1", name: "Ada" },
+        { _id: "c2", name: "Linus" },
+      ]);
+      db.insertMany(orders, [
+        {
+          _id: "o1",
+          customer: "c1",
+          year: 2023,
+          total: 30,
+          items: ["pen", "ink"],
+        },
+        { _id: "o2", customer: "c1", year: 2024, total: 50, items: ["pad"] },
+        { _id: "o3", customer: "c2", year: 2024, total: 20, items: [] },
+        { _id: "o4", customer: "c2", year: 2024, total: 70, items: ["pen"] },
+      ]);
+    });
+
+    after(() => {
+      db.dropCollection(orders);
+      db.dropCollection(customers);
+    });
+
+    it("should group on compound keys with array accumulators", () => {
+      const result = db.aggregate(orders, [
+        { $sort: { total: 1 } },
+        {
+          $group: {
+            _id: { customer: "$customer", year: "$year" },
+            revenue: { $sum: "$total" },
+            average: { $avg: "$total" },
+            ids: { $push: "$_id" },
+            first: { $first: "$total" },
+            last: { $last: "$total" },
+            items: { $addToSet: "$year" },
+          },
+        },
+        { $match: { revenue: { $gt: 40 } } },
+        { $sort: { revenue: -1 } },
+      ]);
+
+      deepStrictEqual(result, [
+        {
+          _id: { customer: "c2", year: 2024 },
+          revenue: 90,
+          average: 45,
+          ids: ["o3", "o4"],
+          first: 20,
+          last: 70,
+          items: [2024],
+        },
+        {
+          _id: { customer: "c1", year: 2024 },
+          revenue: 50,
+          average: 50,
+          ids: ["o2"],
+          first: 50,
+          last: 50,
+          items: [2024],
+        },
+      ]);
+    });
+
+    it("should sort, skip, limit and project computed fields", () => {
+      const result = db.aggregate(orders, [
+        { $sort: { total: -1 } },
+        { $skip: 1 },
+        { $limit: 2 },
+        {
+          $project: {
+            _id: 0,
+            total: 1,
+            taxed: { $multiply: ["$total", 2] },
+            label: { $concat: ["$customer", "-", "$_id"] },
+            big: { $gte: ["$total", 40] },
+          },
+        },
+      ]);
+
+      deepStrictEqual(result, [
+        { total: 50, taxed: 100, label: "c1-o2", big: true },
+        { total: 30, taxed: 60, label: "c1-o1", big: false },
+      ]);
+    });
+
+    it("should keep the order of $sort through later stages", () => {
+      const totals = (pipeline) =>
+        db.aggregate(orders, pipeline).map((order) => order.total);
+
+      deepStrictEqual(
+        totals([
+          { $sort: { total: -1 } },
+          { $limit: 2 },
+          { $sort: { total: 1 } },
+        ]),
+        [50, 70]
+      );
+      deepStrictEqual(
+        totals([{ $sort: { total: -1 } }, { $limit: 2 }]),
+        [70, 50]
+      );
+      deepStrictEqual(totals([{ $limit: 1 }, { $sort: { total: 1 } }]), [30]);
+      deepStrictEqual(
+        totals([
+          { $sort: { total: 1 } },
+          { $addFields: { double: { $multiply: ["$total", 2] } } },
+          { $match: { total: { $gte: 30 } } },
+          { $skip: 1 },
+        ]),
+        [50, 70]
+      );
+      deepStrictEqual(
+        db
+          .aggregate(orders, [
+            { $sort: { total: -1 } },
+            { $unwind: "$items" },
+            { $limit: 3 },
+          ])
+          .map((order) => order.items),
+        ["pen", "pad", "pen"]
+      );
+      deepStrictEqual(
+        db.aggregate(orders, [
+          { $sort: { total: 1 } },
+          { $facet: { ids: [{ $project: { _id: 1 } }] } },
+        ])[0].ids,
+        [{ _id: "o3" }, { _id: "o1" }, { _id: "o2" }, { _id: "o4" }]
+      );
+      deepStrictEqual(
+        db.aggregate(orders, [
+          { $sort: { total: -1 } },
+          { $group: { _id: "$customer", first: { $first: "$total" } } },
+          { $sort: { _id: 1 } },
+        ]),
+        [
+          { _id: "c1", first: 50 },
+          { _id: "c2", first: 70 },
+        ]
+      );
+    });
+
+    it("should unwind arrays and count the results", () => {
+      const unwound = db.aggregate(orders, [
+        { $unwind: { path: "$items", includeArrayIndex: "position" } },
+        { $project: { _id: 1, items: 1, position: 1 } },
+      ]);
+      strictEqual(unwound.length, 4);
+      deepStrictEqual(unwound[1], { _id: "o1", items: "ink", position: 1 });
+
+      const preserved = db.aggregate(orders, [
+        { $unwind: { path: "$items", preserveNullAndEmptyArrays: true } },
+        { $count: "rows" },
+      ]);
+      deepStrictEqual(preserved, [{ rows: 5 }]);
+      deepStrictEqual(
+        db.aggregate(orders, [
+          { $match: { _id: "o3" } },
+          { $unwind: { path: "$items", preserveNullAndEmptyArrays: true } },
+          { $project: { _id: 1, items: 1 } },
+        ]),
+        [{ _id: "o3" }]
+      );
+      deepStrictEqual(
+        db.aggregate(orders, [{ $match: { year: 1999 } }, { $count: "rows" }]),
+        []
+      );
+    });
+
+    it("should join another collection with $lookup and $addFields", () => {
+      const result = db.aggregate(orders, [
+        { $match: { _id: "o1" } },
+        {
+          $lookup: {
+            from: customers,
+            localField: "customer",
+            foreignField: "_id",
+            as: "buyer",
+          },
+        },
+        {
+          $addFields: {
+            itemCount: { $size: "$items" },
+            note: { $ifNull: ["$note", "none"] },
+          },
+        },
+        { $project: { items: 0 } },
+      ]);
+
+      deepStrictEqual(result, [
+        {
+          _id: "o1",
+          customer: "c1",
+          year: 2023,
+          total: 30,
+          buyer: [{ _id: "c1", name: "Ada" }],
+          itemCount: 2,
+          note: "none",
+        },
+      ]);
+    });
+
+    it("should join an empty array from a collection that does not exist", () => {
+      deepStrictEqual(
+        db.aggregate(orders, [
+          { $match: { _id: "o1" } },
+          {
+            $lookup: {
+              from: "noSuchCollection",
+              localField: "customer",
+              foreignField: "_id",
+              as: "buyer",
+            },
+          },
+          { $project: { buyer: 1 } },
+        ]),
+        [{ _id: "o1", buyer: [] }]
+      );
+    });
+
+    it("should run sub-pipelines with $facet", () => {
+      const [result] = db.aggregate(orders, [
+        { $match: { year: 2024 } },
+        {
+          $facet: {
+            count: [{ $count: "n" }],
+            top: [
+              { $sort: { total: -1 } },
+              { $limit: 1 },
+              { $project: { _id: 1 } },
+            ],
+            all: [{ $group: { _id: null, sum: { $sum: "$total" } } }],
+          },
+        },
+      ]);
+
+      deepStrictEqual(result, {
+        count: [{ n: 3 }],
+        top: [{ _id: "o4" }],
+        all: [{ _id: null, sum: 140 }],
+      });
+    });
+
+    it("should reject unknown stages and accumulators", () => {
+      throws(
+        () => db.aggregate(orders, [{ $out: "x" }]),
+        /Unsupported pipeline stage/
+      );
+      throws(
+        () =>
+          db.aggregate(orders, [
+            { $group: { _id: "$year", x: { $median: "$total" } } },
+          ]),
+        /Unsupported aggregation operator/
+      );
+    });
+  });
+
+  describe("Transactions", () => {
+    const accounts = "txAccounts";
+    const ledger = "txLedger";
+
+    beforeEach(() => {
+      db.createCollection(accounts);
+      db.createCollection(ledger);
+      db.insertMany(accounts, [
+        { _id: "alice", balance: 100 },
+        { _id: "bob", balance: 0 },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(accounts);
+      db.dropCollection(ledger);
+    });
+
+    const transfer = (amount) => {
+      db.updateOne(accounts, { _id: "alice" }, { $inc: { balance: -amount } });
+      db.updateOne(accounts, { _id: "bob" }, { $inc: { balance: amount } });
+      db.insertOne(ledger, { from: "alice", to: "bob", amount });
+      if (db.findById(accounts, "alice").balance < 0) {
+        throw new Error("Insufficient funds");
+      }
+    };
+
+    it("should commit work across collections", () => {
+      const result = db.withTransaction(() => {
+        transfer(40);
+        return "done";
+      });
+
+      strictEqual(result, "done");
+      strictEqual(db.findById(accounts, "bob").balance, 40);
+      strictEqual(db.countDocuments(ledger), 1);
+      strictEqual(db.db.inTransaction, false);
+    });
+
+    it("should roll everything back when the callback throws", () => {
+      throws(() => db.withTransaction(() => transfer(500)), /Insufficient/);
+
+      strictEqual(db.findById(accounts, "alice").balance, 100);
+      strictEqual(db.findById(accounts, "bob").balance, 0);
+      strictEqual(db.countDocuments(ledger), 0);
+    });
+
+    it("should roll back on abortTransaction", () => {
+      db.withTransaction((session) => {
+        transfer(10);
+        session.abortTransaction();
+      });
+      strictEqual(db.countDocuments(ledger), 0);
+
+      const session = db.startSession();
+      session.startTransaction();
+      transfer(10);
+      strictEqual(session.inTransaction, true);
+      session.abortTransaction();
+      strictEqual(db.findById(accounts, "bob").balance, 0);
+      throws(() => session.commitTransaction(), /No transaction started/);
+    });
+
+    it("should map nested transactions onto savepoints", () => {
+      db.withTransaction(() => {
+        transfer(10);
+        throws(() => db.withTransaction(() => transfer(200)));
+        db.withTransaction(() => transfer(5));
+      });
+
+      strictEqual(db.findById(accounts, "alice").balance, 85);
+      strictEqual(db.countDocuments(ledger), 2);
+    });
+
+    it("should keep the transaction open for async callbacks", async () => {
+      await db.withTransaction(async () => {
+        transfer(1);
+        await Promise.resolve();
+        strictEqual(db.db.inTransaction, true);
+      });
+      strictEqual(db.db.inTransaction, false);
+      strictEqual(db.countDocuments(ledger), 1);
+
+      await db
+        .withTransaction(async () => {
+          transfer(1);
+          throw new Error("later");
+        })
+        .catch(() => {});
+      strictEqual(db.countDocuments(ledger), 1);
+    });
+  });
+
+  describe("Schema Validation", () => {
+    const users = "validatedUsers";
+    const schema = {
+      bsonType: "object",
+      required: ["name", "age"],
+      properties: {
+        name: { bsonType: "string", minLength: 1 },
+        age: { bsonType: "int", minimum: 0 },
+        tags: { bsonType: "array", items: { bsonType: "string" } },
+      },
+    };
+
+    beforeEach(() => {
+      db.createCollection(users, { validator: { $jsonSchema: schema } });
+    });
+
+    afterEach(() => {
+      db.dropCollection(users);
+    });
+
+    it("should reject inserts that fail the schema with the failing paths", () => {
+      db.insertOne(users, { name: "Ada", age: 36 });
+      try {
+        db.insertOne(users, { name: "", tags: ["a", 2] });
+        throw new Error("expected a validation error");
+      } catch (err) {
+        strictEqual(err instanceof ValidationError, true);
+        strictEqual(err.code, 121);
+        deepStrictEqual(
+          err.failures.map((failure) => [failure.path, failure.keyword]),
+          [
+            ["age", "required"],
+            ["name", "minLength"],
+            ["tags.1", "bsonType"],
+          ]
+        );
+      }
+      throws(
+        () => db.insertMany(users, [{ name: "Bo", age: 1 }, { name: "Cy" }]),
+        ValidationError
+      );
+      strictEqual(db.countDocuments(users), 1);
+    });
+
+    it("should check every update path, including upserts", () => {
+      db.insertOne(users, { _id: "u1", name: "Ada", age: 36 });
+      throws(
+        () => db.updateOne(users, { _id: "u1" }, { $set: { age: -1 } }),
+        /age must be >= 0/
+      );
+      // int is a signed 32-bit integer
+      throws(
+        () => db.updateOne(users, { _id: "u1" }, { $set: { age: 2 ** 31 } }),
+        ValidationError
+      );
+      db.updateOne(users, { _id: "u1" }, { $set: { age: 2 ** 31 - 1 } });
+      db.updateOne(users, { _id: "u1" }, { $set: { age: 36 } });
+      throws(
+        () => db.replaceOne(users, { _id: "u1" }, { name: "Ada" }),
+        ValidationError
+      );
+      throws(
+        () => db.updateMany(users, {}, { $unset: { name: "" } }),
+        ValidationError
+      );
+      throws(
+        () =>
+          db.updateOne(
+            users,
+            { _id: "new" },
+            { $set: { age: 3 } },
+            { upsert: true }
+          ),
+        /name is required/
+      );
+      deepStrictEqual(db.findById(users, "u1"), {
+        _id: "u1",
+        name: "Ada",
+        age: 36,
+      });
+      strictEqual(db.countDocuments(users), 1);
+    });
+
+    it("should support validation levels, warn actions and collMod", () => {
+      db.insertOne(
+        users,
+        { _id: "legacy", name: "Old" },
+        { bypassDocumentValidation: true }
+      );
+
+      db.collMod(users, { validationLevel: "moderate" });
+      db.updateOne(
+        users,
+        { _id: "legacy" },
+        { $set: { note: "still invalid" } }
+      );
+      strictEqual(db.findById(users, "legacy").note, "still invalid");
+
+      const warn = console.warn;
+      const warnings = [];
+      console.warn = (message) => warnings.push(message);
+      try {
+        db.collMod(users, { validationAction: "warn" });
+        db.insertOne(users, { _id: "warned" });
+      } finally {
+        console.warn = warn;
+      }
+      strictEqual(db.findById(users, "warned")._id, "warned");
+      strictEqual(warnings.length, 1);
+
+      db.collMod(users, { validator: {} });
+      db.insertOne(users, { anything: true });
+      throws(() => db.collMod("missingCollection", {}), /does not exist/);
+      throws(() => db.createCollection(users, { validationLevel: "loose" }));
+    });
+
+    it("should keep validators after reopening the file", () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      try {
+        const file = join(dir, "validated.db");
+        const first = sqliteDocstore.init(file);
+        first.createCollection("people", {
+          validator: { $jsonSchema: schema, age: { $lt: 150 } },
+        });
+        first.db.close();
+
+        const second = sqliteDocstore.init(file);
+        throws(
+          () => second.insertOne("people", { name: "Ada" }),
+          /age is required/
+        );
+        throws(
+          () => second.insertOne("people", { name: "Ada", age: 200 }),
+          /does not match the validator query/
+        );
+        second.insertOne("people", { name: "Ada", age: 36 });
+        second.renameCollection("people", "persons");
+        throws(() => second.insertOne("persons", { age: 1 }), ValidationError);
+        second.db.close();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Change Streams", () => {
+    const orders = "watchedOrders";
+
+    beforeEach(() => {
+      db.createCollection(orders);
+    });
+
+    afterEach(() => {
+      db.dropCollection(orders);
+    });
+
+    it("should emit insert, update, replace and delete events", async () => {
+      const stream = db.watch(orders, [], { fullDocument: "updateLookup" });
+      db.insertOne(orders, { _id: "o1", status: "new", total: { amount: 5 } });
+      db.updateOne(
+        orders,
+        { _id: "o1" },
+        { $set: { "total.amount": 7 }, $unset: { status: "" } }
+      );
+      db.replaceOne(orders, { _id: "o1" }, { status: "paid" });
+      db.deleteOne(orders, { _id: "o1" });
+      db.createCollection("otherCollection");
+      db.insertOne("otherCollection", { ignored: true });
+
+      const events = [];
+      for await (const event of stream) {
+        events.push(event);
+        if (events.length === 4) stream.close();
+      }
+      db.dropCollection("otherCollection");
+
+      deepStrictEqual(
+        events.map((event) => event.operationType),
+        ["insert", "update", "replace", "delete"]
+      );
+      deepStrictEqual(events[0].fullDocument, {
+        _id: "o1",
+        status: "new",
+        total: { amount: 5 },
+      });
+      deepStrictEqual(events[1].updateDescription, {
+        updatedFields: { "total.amount": 7 },
+        removedFields: ["status"],
+        truncatedArrays: [],
+      });
+      deepStrictEqual(events[1].fullDocument, {
+        _id: "o1",
+        total: { amount: 7 },
+      });
+      deepStrictEqual(events[2].fullDocument, { _id: "o1", status: "paid" });
+      deepStrictEqual(events[3].documentKey, { _id: "o1" });
+      deepStrictEqual(events[3].ns, { db: "main", coll: orders });
+      strictEqual(await stream.next(), null);
+    });
+
+    it("should filter events with a pipeline and push them to listeners", async () => {
+      const stream = db.watch(
+        orders,
+        [
+          {
+            $match: {
+              operationType: "insert",
+              "fullDocument.total": { $gte: 10 },
+            },
+          },
+          { $project: { operationType: 1, total: "$fullDocument.total" } },
+        ],
+        { pollInterval: 5 }
+      );
+      const received = new Promise((resolve) => stream.on("change", resolve));
+      db.insertMany(orders, [{ total: 3 }, { total: 12 }]);
+
+      const event = await received;
+      stream.close();
+      deepStrictEqual(Object.keys(event).sort(), [
+        "_id",
+        "operationType",
+        "total",
+      ]);
+      strictEqual(event.total, 12);
+    });
+
+    it("should resume after a token across connections and detect lost history", () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      try {
+        const file = join(dir, "watched.db");
+        const writer = sqliteDocstore.init(file, { oplog: { maxEntries: 3 } });
+        writer.createCollection("jobs");
+        const first = writer.watch("jobs");
+        writer.insertOne("jobs", { _id: "a" });
+        const token = first.tryNext()._id;
+        first.close();
+
+        const reader = sqliteDocstore.init(file);
+        writer.insertOne("jobs", { _id: "b" });
+        writer.deleteMany("jobs", {});
+        const resumed = reader.watch("jobs", [], { resumeAfter: token });
+        deepStrictEqual(
+          [resumed.tryNext(), resumed.tryNext(), resumed.tryNext()].map(
+            (event) => [event.operationType, event.documentKey._id]
+          ),
+          [
+            ["insert", "b"],
+            ["delete", "a"],
+            ["delete", "b"],
+          ]
+        );
+        strictEqual(resumed.tryNext(), null);
+        deepStrictEqual(resumed.resumeToken, { _data: "0000000000000004" });
+
+        // Only the newest three entries are kept
+        writer.insertOne("jobs", { _id: "c" });
+        throws(
+          () => reader.watch("jobs", [], { resumeAfter: token }),
+          ChangeStreamHistoryLost
+        );
+        writer.db.close();
+        reader.db.close();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Errors and Logging", () => {
+    const people = "errorPeople";
+
+    beforeEach(() => {
+      db.createCollection(people);
+      db.insertOne(people, {
+        _id: "p1",
+        name: "Ada",
+        email: "ada@example.com",
+      });
+    });
+
+    afterEach(() => {
+      db.dropCollection(people);
+    });
+
+    it("should report duplicate keys with their value", () => {
+      const duplicate = (fn) => {
+        try {
+          fn();
+        } catch (err) {
+          strictEqual(err instanceof DuplicateKeyError, true);
+          strictEqual(err instanceof DocstoreError, true);
+          strictEqual(err.code, 11000);
+          return err.keyValue;
+        }
+        throw new Error("expected a duplicate key error");
+      };
+
+      deepStrictEqual(
+        duplicate(() => db.insertOne(people, { _id: "p1" })),
+        { _id: "p1" }
+      );
+      deepStrictEqual(
+        duplicate(() =>
+          db.insertMany(people, [{ _id: "p2" }, { _id: "p1", name: "Bo" }])
+        ),
+        { _id: "p1" }
+      );
+
+      db.createIndex(people, "email", { unique: true });
+      deepStrictEqual(
+        duplicate(() => db.insertOne(people, { email: "ada@example.com" })),
+        { email: "ada@example.com" }
+      );
+      db.insertOne(people, { _id: "p3", email: "bo@example.com" });
+      deepStrictEqual(
+        duplicate(() =>
+          db.updateOne(
+            people,
+            { _id: "p3" },
+            { $set: { email: "ada@example.com" } }
+          )
+        ),
+        { email: "ada@example.com" }
+      );
+      strictEqual(db.countDocuments(people), 2);
+    });
+
+    it("should read missing collections as empty and refuse to write them", () => {
+      deepStrictEqual(db.find("noSuchCollection").toArray(), []);
+      strictEqual(db.findOne("noSuchCollection", { a: 1 }), null);
+      strictEqual(db.findById("noSuchCollection", "x"), null);
+      strictEqual(db.countDocuments("noSuchCollection"), 0);
+      deepStrictEqual(db.aggregate("noSuchCollection", [{ $count: "n" }]), []);
+
+      throws(
+        () => db.insertOne("noSuchCollection", { a: 1 }),
+        (err) => {
+          strictEqual(err instanceof NamespaceNotFound, true);
+          strictEqual(err.code, 26);
+          strictEqual(err.collectionName, "noSuchCollection");
+          return true;
+        }
+      );
+      throws(() => db.deleteMany("noSuchCollection", {}), NamespaceNotFound);
+      throws(() => db.collMod("noSuchCollection", {}), NamespaceNotFound);
+
+      db.createCollection("errorTaken");
+      throws(() => db.renameCollection(people, "errorTaken"), NamespaceExists);
+      db.dropCollection("errorTaken");
+    });
+
+    it("should use typed errors for invalid queries and updates", () => {
+      throws(
+        () => db.find(people, { age: { $where: 1 } }),
+        (err) => {
+          strictEqual(err instanceof BadValue, true);
+          strictEqual(err.code, 2);
+          strictEqual(err.codeName, "BadValue");
+          return true;
+        }
+      );
+      throws(() => db.aggregate(people, [{ $bogus: {} }]), BadValue);
+      throws(
+        () => db.updateOne(people, { _id: "p1" }, { $inc: { name: 1 } }),
+        TypeMismatch
+      );
+      throws(
+        () => db.updateOne(people, { _id: "p1" }, { $set: { _id: "p9" } }),
+        ImmutableField
+      );
+      throws(
+        () => db.startSession().commitTransaction(),
+        (err) => {
+          strictEqual(err.codeName, "IllegalOperation");
+          return true;
+        }
+      );
+    });
+
+    it("should route library output through the logger option", () => {
+      const messages = [];
+      const logger = {
+        debug: (message) => messages.push(["debug", message]),
+        warn: (message) => messages.push(["warn", message]),
+      };
+      const logged = sqliteDocstore.init(null, { logger });
+      strictEqual(messages[0][0], "debug");
+
+      logged.createCollection("notes", {
+        validator: { $jsonSchema: { required: ["text"] } },
+        validationAction: "warn",
+      });
+      logged.insertOne("notes", { title: "untitled" });
+      deepStrictEqual(messages[1], [
+        "warn",
+        'Document failed validation in "notes": text is required',
+      ]);
+      logged.db.close();
+
+      const silent = sqliteDocstore.init(null, { logger: false });
+      silent.createCollection("notes", {
+        validator: { $jsonSchema: { required: ["text"] } },
+        validationAction: "warn",
+      });
+      silent.insertOne("notes", { title: "untitled" });
+      strictEqual(silent.countDocuments("notes"), 1);
+      silent.db.close();
+    });
+  });
+
+  describe("Paths and Identifiers", () => {
+    const odd = `order-items's "list"`;
+
+    beforeEach(() => {
+      db.createCollection(odd);
+      db.insertMany(odd, [
+        {
+          _id: "a",
+          items: [
+            { sku: "A1", qty: 2 },
+            { sku: "B2", qty: 1 },
+          ],
+          "odd key": "spaced",
+          meta: { $price: 5, 'quo"te': "q", "back\\slash": "b" },
+        },
+        { _id: "b", items: [{ sku: "C3", qty: 7 }], "odd key": "other" },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(odd);
+    });
+
+    it("should quote collection names everywhere", () => {
+      db.createIndex(odd, "odd key", { unique: true });
+      strictEqual(db.countDocuments(odd, { "odd key": "spaced" }), 1);
+      db.updateOne(odd, { _id: "b" }, { $set: { "odd key": "renamed" } });
+      deepStrictEqual(db.distinct(odd, "odd key").sort(), [
+        "renamed",
+        "spaced",
+      ]);
+      deepStrictEqual(
+        db.aggregate(odd, [
+          { $match: { _id: "a" } },
+          {
+            $lookup: {
+              from: odd,
+              localField: "_id",
+              foreignField: "_id",
+              as: "self",
+            },
+          },
+          { $project: { _id: 0, count: { $size: "$self" } } },
+        ]),
+        [{ count: 1 }]
+      );
+      strictEqual(db.findOneAndDelete(odd, { _id: "b" })._id, "b");
+
+      db.renameCollection(odd, "x; DROP TABLE y");
+      strictEqual(db.countDocuments("x; DROP TABLE y"), 1);
+      db.renameCollection("x; DROP TABLE y", odd);
+    });
+
+    it("should turn numeric segments into array indexes", () => {
+      deepStrictEqual(
+        db
+          .find(odd, { "items.0.sku": "C3" })
+          .toArray()
+          .map((doc) => doc._id),
+        ["b"]
+      );
+      deepStrictEqual(
+        db
+          .find(odd)
+          .sort({ "items.0.qty": -1 })
+          .toArray()
+          .map((doc) => doc._id),
+        ["b", "a"]
+      );
+      db.updateOne(odd, { _id: "a" }, { $inc: { "items.1.qty": 4 } });
+      strictEqual(db.findOne(odd, { "items.1.qty": 5 })._id, "a");
+      deepStrictEqual(db.distinct(odd, "items.0.sku").sort(), ["A1", "C3"]);
+    });
+
+    it("should reach keys with spaces, quotes, backslashes and $", () => {
+      strictEqual(db.findOne(odd, { "meta.$price": 5 })._id, "a");
+      strictEqual(db.findOne(odd, { 'meta.quo"te': "q" })._id, "a");
+      strictEqual(db.findOne(odd, { "meta.back\\slash": "b" })._id, "a");
+      deepStrictEqual(
+        db.findOne(odd, { _id: "a" }, { projection: { "odd key": 1 } }),
+        {
+          _id: "a",
+          "odd key": "spaced",
+        }
+      );
+      // A field name cannot escape its string literal
+      strictEqual(db.countDocuments(odd, { "a') OR 1=1 --": 1 }), 0);
+    });
+
+    it("should reject names that cannot be represented", () => {
+      throws(() => db.createCollection(""), InvalidNamespace);
+      throws(() => db.createCollection("bad\0name"), InvalidNamespace);
+      throws(() => db.createCollection("sqlite_master"), InvalidNamespace);
+      throws(
+        () => db.insertOne("_docstore_oplog", {}),
+        (err) => {
+          strictEqual(err.code, 73);
+          return true;
+        }
+      );
+      throws(() => db.find(odd, { "items..sku": 1 }), /empty segment/);
+      throws(() => db.distinct(odd, ""), BadValue);
+      // Paths read digit-only keys as array indexes
+      throws(
+        () => db.insertOne(odd, { byYear: { 2024: 3 } }),
+        /Field name "byYear.2024" is made only of digits/
+      );
+      throws(
+        () => db.insertMany(odd, [{ items: [{ sku: "D4" }, { 7: "x" }] }]),
+        (err) => err instanceof BadValue && /"items.1.7"/.test(err.message)
+      );
+      strictEqual(db.countDocuments(odd), 2);
+    });
+  });
+
+  describe("Indexes", () => {
+    const people = "indexedPeople";
+
+    beforeEach(() => {
+      db.createCollection(people);
+      db.insertMany(people, [
+        { _id: "p1", email: "ada@example.com", age: 36, city: "London" },
+        { _id: "p2", email: "bo@example.com", age: 28, city: "Paris" },
+        { _id: "p3", age: 51 },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(people);
+    });
+
+    it("should create, list and drop compound indexes", () => {
+      strictEqual(
+        db.createIndex(people, { city: 1, age: -1 }),
+        "city_1_age_-1"
+      );
+      strictEqual(
+        db.createIndex(people, "email", { unique: true, name: "byEmail" }),
+        "byEmail"
+      );
+      strictEqual(
+        db.createIndex(people, { city: 1, age: -1 }),
+        "city_1_age_-1"
+      );
+      deepStrictEqual(db.listIndexes(people), [
+        { v: 2, key: { _id: 1 }, name: "_id_" },
+        { v: 2, key: { city: 1, age: -1 }, name: "city_1_age_-1" },
+        { v: 2, key: { email: 1 }, name: "byEmail", unique: true },
+      ]);
+      throws(
+        () => db.createIndex(people, { city: 1, age: -1 }, { unique: true }),
+        { code: 85, codeName: "IndexOptionsConflict" }
+      );
+      throws(() => db.createIndex(people, { age: 2 }), BadValue);
+
+      db.dropIndex(people, { city: 1, age: -1 });
+      throws(() => db.dropIndex(people, "city_1_age_-1"), IndexNotFound);
+      throws(() => db.dropIndex(people, "_id_"), { code: 20 });
+      db.dropIndexes(people);
+      deepStrictEqual(
+        db.listIndexes(people).map((index) => index.name),
+        ["_id_"]
+      );
+      throws(() => db.listIndexes("noSuchCollection"), NamespaceNotFound);
+    });
+
+    it("should enforce unique, sparse and partial indexes", () => {
+      db.createIndex(people, { email: 1 }, { unique: true, sparse: true });
+      db.insertOne(people, { _id: "p4", age: 9 });
+      throws(
+        () => db.insertOne(people, { email: "bo@example.com" }),
+        (err) =>
+          err instanceof DuplicateKeyError &&
+          err.keyValue.email === "bo@example.com"
+      );
+
+      db.createIndex(
+        people,
+        { city: 1 },
+        { unique: true, partialFilterExpression: { age: { $gte: 30 } } }
+      );
+      db.insertOne(people, { _id: "p5", city: "London", age: 12 });
+      throws(
+        () => db.insertOne(people, { _id: "p6", city: "London", age: 70 }),
+        DuplicateKeyError
+      );
+      throws(
+        () =>
+          db.createIndex(
+            people,
+            { age: 1 },
+            { partialFilterExpression: { city: /^L/ } }
+          ),
+        BadValue
+      );
+    });
+
+    it("should keep indexes working after a rename", () => {
+      db.createIndex(people, "email", { unique: true });
+      db.renameCollection(people, "renamedPeople");
+      try {
+        throws(
+          () => db.insertOne("renamedPeople", { email: "ada@example.com" }),
+          DuplicateKeyError
+        );
+        strictEqual(
+          db.find("renamedPeople", { email: "ada@example.com" }).explain()
+            .queryPlanner.indexesUsed[0],
+          "email_1"
+        );
+      } finally {
+        db.dropCollection("renamedPeople");
+      }
+    });
+
+    it("should explain which index a query uses", () => {
+      db.createIndex(people, { email: 1 });
+
+      const plan = db.find(people, { email: "ada@example.com" }).explain();
+      strictEqual(plan.queryPlanner.winningPlan.stage, "FETCH");
+      strictEqual(
+        plan.queryPlanner.winningPlan.inputStage.indexName,
+        "email_1"
+      );
+      strictEqual(
+        db.find(people, { city: "Paris" }).explain().queryPlanner.winningPlan
+          .stage,
+        "COLLSCAN"
+      );
+      deepStrictEqual(
+        db.find(people, { _id: "p1" }).explain().queryPlanner.indexesUsed,
+        ["_id_"]
+      );
+      strictEqual(
+        db.find(people).sort({ city: 1 }).explain().queryPlanner.winningPlan
+          .stage,
+        "SORT"
+      );
+      deepStrictEqual(
+        db.aggregate(people, [{ $match: { email: "bo@example.com" } }], {
+          explain: true,
+        }).queryPlanner.indexesUsed,
+        ["email_1"]
+      );
+
+      // Explaining does not consume the cursor
+      const cursor = db.find(people, { email: "bo@example.com" });
+      cursor.explain();
+      strictEqual(cursor.toArray().length, 1);
+    });
+
+    it("should expire documents through TTL indexes", async () => {
+      const ttl = sqliteDocstore.init(null, { ttlMonitorInterval: 10 });
+      ttl.createCollection("sessions");
+      ttl.insertMany("sessions", [
+        { _id: "old", at: new Date(Date.now() - 120000) },
+        { _id: "new", at: new Date() },
+        { _id: "text", at: "not a date" },
+        { _id: "none" },
+      ]);
+      const stream = ttl.watch("sessions");
+      // Keeps the DELETE of the monitor, to check that it uses the index
+      const prepare = ttl.db.prepare;
+      let expiry;
+      ttl.db.prepare = function (sql) {
+        if (sql.startsWith("DELETE")) expiry ??= sql;
+        return prepare.call(this, sql);
+      };
+      strictEqual(
+        ttl.createIndex("sessions", { at: 1 }, { expireAfterSeconds: 60 }),
+        "at_1"
+      );
+      throws(
+        () =>
+          ttl.createIndex(
+            "sessions",
+            { _id: 1, at: 1 },
+            { expireAfterSeconds: 1 }
+          ),
+        BadValue
+      );
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      deepStrictEqual(
+        ttl
+          .find("sessions")
+          .toArray()
+          .map((document) => document._id)
+          .sort(),
+        ["new", "none", "text"]
+      );
+      deepStrictEqual(stream.tryNext().documentKey, { _id: "old" });
+      const plan = ttl.db
+        .prepare(`EXPLAIN QUERY PLAN ${expiry}`)
+        .all(...expiry.match(/\?/g).map(() => null));
+      strictEqual(
+        plan.some((step) => step.detail.includes("USING INDEX sessions.at_1")),
+        true
+      );
+      stream.close();
+      ttl.db.close();
+    });
+  });
+
+  describe("Generated Columns and Statement Cache", () => {
+    const promoted = "promotedPeople";
+    const people = [
+      { _id: "p1", name: "Ada", age: 36, address: { city: "London" } },
+      { _id: "p2", name: "Bo", age: "28", address: { city: "Paris" } },
+      { _id: "p3", name: "Cy", age: 51 },
+      { _id: "p4", name: "Di", age: [36], address: { city: "London" } },
+    ];
+
+    beforeEach(() => {
+      db.createCollection(promoted, {
+        generatedColumns: { "address.city": "stored", age: "virtual" },
+      });
+      db.insertMany(promoted, people);
+    });
+
+    afterEach(() => {
+      db.dropCollection(promoted);
+    });
+
+    const ids = (documents) => documents.map((document) => document._id);
+
+    it("should match, sort and count like json_extract does", () => {
+      db.createCollection("plainPeople");
+      db.insertMany("plainPeople", people);
+      for (const query of [
+        { age: 36 },
+        { age: { $gt: 30 } },
+        { age: { $type: "string" } },
+        { age: { $in: [28, "28", 51] } },
+        { "address.city": "London", age: { $exists: true } },
+        { "address.city": { $ne: "London" } },
+        { $or: [{ age: { $lt: 40 } }, { "address.city": /^P/ }] },
+      ]) {
+        deepStrictEqual(
+          ids(db.find(promoted, query).sort({ age: -1, _id: 1 }).toArray()),
+          ids(db.find("plainPeople", query).sort({ age: -1, _id: 1 }).toArray())
+        );
+        strictEqual(
+          db.countDocuments(promoted, query),
+          db.countDocuments("plainPeople", query)
+        );
+      }
+      db.dropCollection("plainPeople");
+
+      const { sql } = db
+        .find(promoted, { age: 36 })
+        .sort({ "address.city": 1 })
+        .explain();
+      strictEqual(sql.includes('"document.age"'), true);
+      strictEqual(sql.includes('ORDER BY "document.address.city"'), true);
+      db.updateOne(
+        promoted,
+        { _id: "p3" },
+        { $set: { "address.city": "Rome" } }
+      );
+      deepStrictEqual(
+        ids(db.find(promoted, { "address.city": "Rome" }).toArray()),
+        ["p3"]
+      );
+    });
+
+    it("should build indexes on the generated columns", () => {
+      db.createIndex(promoted, { age: 1 });
+      db.createIndex(promoted, { name: 1 }, { unique: true });
+      db.createIndex(
+        promoted,
+        { "address.city": 1 },
+        { partialFilterExpression: { age: { $gte: 30 } } }
+      );
+      const plan = db.find(promoted, { age: { $gte: 40 } }).explain();
+      deepStrictEqual(plan.queryPlanner.indexesUsed, ["age_1"]);
+      // Left alone, SQLite may pick the age range as the cheaper index
+      db.dropIndex(promoted, "age_1");
+      deepStrictEqual(
+        db
+          .find(promoted, { "address.city": "London", age: { $gte: 30 } })
+          .explain().queryPlanner.indexesUsed,
+        ["address.city_1"]
+      );
+      throws(() => db.insertOne(promoted, { name: "Ada" }), DuplicateKeyError);
+    });
+
+    it("should add and drop virtual columns with collMod", () => {
+      db.createIndex(promoted, { name: 1 });
+      db.collMod(promoted, {
+        generatedColumns: { "address.city": "stored", name: "virtual" },
+      });
+      const columns = () =>
+        db.db
+          .prepare(`SELECT name FROM pragma_table_xinfo(?) WHERE hidden > 0`)
+          .all(promoted)
+          .map((column) => column.name);
+      deepStrictEqual(columns(), ["document.address.city", "document.name"]);
+      deepStrictEqual(
+        db.find(promoted, { name: "Bo" }).explain().queryPlanner.indexesUsed,
+        ["name_1"]
+      );
+      deepStrictEqual(ids(db.find(promoted, { name: "Bo" }).toArray()), ["p2"]);
+      deepStrictEqual(
+        db.listCollections({ name: promoted })[0].options.generatedColumns,
+        { "address.city": "stored", name: "virtual" }
+      );
+
+      db.collMod(promoted, { generatedColumns: {} });
+      deepStrictEqual(columns(), []);
+      deepStrictEqual(
+        db.find(promoted, { name: "Bo" }).explain().queryPlanner.indexesUsed,
+        ["name_1"]
+      );
+      deepStrictEqual(
+        ids(db.find(promoted, { "address.city": "London" }).toArray()),
+        ["p1", "p4"]
+      );
+
+      throws(
+        () => db.collMod(promoted, { generatedColumns: { age: "stored" } }),
+        BadValue
+      );
+      throws(
+        () =>
+          db.createCollection("badColumns", {
+            generatedColumns: { _id: "virtual" },
+          }),
+        BadValue
+      );
+      throws(
+        () =>
+          db.createCollection("badColumns", {
+            generatedColumns: { age: "indexed" },
+          }),
+        BadValue
+      );
+      deepStrictEqual(columns(), []);
+    });
+
+    it("should reuse prepared statements by query shape", () => {
+      const cached = sqliteDocstore.init(null, { ttlMonitorInterval: false });
+      cached.createCollection("shapes");
+      cached.insertMany(
+        "shapes",
+        Array.from({ length: 10 }, (_, n) => ({ _id: `s${n}`, n }))
+      );
+      const prepare = cached.db.prepare;
+      let prepared = 0;
+      cached.db.prepare = function (sql) {
+        prepared++;
+        return prepare.call(this, sql);
+      };
+      for (let n = 0; n < 10; n++) {
+        strictEqual(
+          cached.countDocuments("shapes", { n: { $gte: n } }),
+          10 - n
+        );
+      }
+      strictEqual(prepared, 1);
+
+      // A statement still iterating is not handed out twice
+      const first = cached.find("shapes", {}).sort({ n: 1 })[Symbol.iterator]();
+      strictEqual(first.next().value._id, "s0");
+      strictEqual(
+        cached.find("shapes", {}).sort({ n: 1 }).toArray().length,
+        10
+      );
+      strictEqual([...first].length, 9);
+      cached.close();
+
+      throws(
+        () => sqliteDocstore.init(null, { statementCacheSize: -1 }),
+        BadValue
+      );
+    });
+  });
+
+  // Loading 100,000 documents takes a while, so only `npm run bench` runs these;
+  // mocha leaves its unknown `--benchmark` flag in argv
+  const benchmarks = process.argv.includes("--benchmark")
+    ? describe
+    : describe.skip;
+  benchmarks("Benchmarks", () => {
+    const count = 100000;
+    let baseline;
+    let optimized;
+
+    // The same documents and index, without and with the statement cache and generated columns
+    const setUp = (options, collectionOptions) => {
+      const store = sqliteDocstore.init(null, {
+        ttlMonitorInterval: false,
+        oplog: false,
+        ...options,
+      });
+      store.createCollection("bench", collectionOptions);
+      store.insertMany(
+        "bench",
+        Array.from({ length: count }, (_, n) => ({
+          _id: `b${n}`,
+          n,
+          group: `g${n % 100}`,
+          name: `Document ${n}`,
+          tags: ["a", "b"],
+        }))
+      );
+      store.createIndex("bench", { n: 1 });
+      return store;
+    };
+
+    // Milliseconds per call, and the last result
+    const measure = (iterations, fn) => {
+      const start = process.hrtime.bigint();
+      let result;
+      for (let i = 0; i < iterations; i++) result = fn(i);
+      return {
+        ms: Number(process.hrtime.bigint() - start) / 1e6 / iterations,
+        result,
+      };
+    };
+
+    // Logs both timings; the results must be the same
+    const report = (name, old, current) => {
+      const ms = (timing) => `${timing.ms.toFixed(3)} ms`;
+      console.log(
+        `      ${name}: ${ms(old)} before, ${ms(current)} after (${(
+          old.ms / current.ms
+        ).toFixed(1)}x)`
+      );
+      deepStrictEqual(current.result, old.result);
+    };
+
+    before(function () {
+      this.timeout(120000);
+      baseline = setUp({ statementCacheSize: 0 }, {});
+      optimized = setUp(
+        {},
+        { generatedColumns: { group: "stored", n: "virtual" } }
+      );
+    });
+
+    after(() => {
+      baseline.close();
+      optimized.close();
+    });
+
+    it(`should time find on ${count} documents`, function () {
+      this.timeout(120000);
+      const lookup = (store) => (i) =>
+        store.find("bench", { n: (i * 7919) % count }).toArray();
+      const range = (store) => (i) =>
+        store
+          .find("bench", { n: { $gte: i * 100, $lt: i * 100 + 50 } })
+          .sort({ n: -1 })
+          .toArray();
+      report(
+        "find by an indexed field",
+        measure(2000, lookup(baseline)),
+        measure(2000, lookup(optimized))
+      );
+      report(
+        "find a sorted range",
+        measure(200, range(baseline)),
+        measure(200, range(optimized))
+      );
+    });
+
+    it(`should time countDocuments on ${count} documents`, function () {
+      this.timeout(120000);
+      const scan = (store) => (i) =>
+        store.countDocuments("bench", { group: `g${i % 100}` });
+      const indexed = (store) => (i) =>
+        store.countDocuments("bench", { n: { $gte: i * 1000 } });
+      report(
+        "countDocuments with a full scan",
+        measure(5, scan(baseline)),
+        measure(5, scan(optimized))
+      );
+      report(
+        "countDocuments on an indexed range",
+        measure(50, indexed(baseline)),
+        measure(50, indexed(optimized))
+      );
+    });
+  });
+
+  describe("Text Search", () => {
+    const articles = "articles";
+
+    beforeEach(() => {
+      db.createCollection(articles);
+      db.insertMany(articles, [
+        {
+          _id: "a1",
+          title: "Running with dogs",
+          body: "Notes on walking a dog",
+          tags: ["pets"],
+        },
+        { _id: "a2", title: "Cats", body: "Dogs run, cats sleep all day" },
+        { _id: "a3", title: "Cooking", body: "Recipes for a rainy day" },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(articles);
+    });
+
+    it("should need a text index", () => {
+      throws(
+        () => db.find(articles, { $text: { $search: "dog" } }).toArray(),
+        IndexNotFound
+      );
+    });
+
+    it("should match stemmed terms, phrases and exclusions", () => {
+      strictEqual(
+        db.createIndex(articles, { title: "text", body: "text" }),
+        "title_text_body_text"
+      );
+      const ids = (search) =>
+        db
+          .find(articles, { $text: { $search: search } })
+          .toArray()
+          .map((document) => document._id)
+          .sort();
+
+      deepStrictEqual(ids("dog"), ["a1", "a2"]);
+      deepStrictEqual(ids("RUNS recipe"), ["a1", "a2", "a3"]);
+      deepStrictEqual(ids('"cats sleep" dog'), ["a2"]);
+      deepStrictEqual(ids("day -cats"), ["a3"]);
+      deepStrictEqual(ids("-cats"), []);
+      strictEqual(
+        db.countDocuments(articles, {
+          $text: { $search: "dog" },
+          title: "Cats",
+        }),
+        1
+      );
+      throws(
+        () =>
+          db.find(articles, {
+            tags: { $elemMatch: { $text: { $search: "pets" } } },
+          }),
+        BadValue
+      );
+    });
+
+    it("should keep the index in sync with writes", () => {
+      db.createIndex(articles, { "$**": "text" });
+      db.insertOne(articles, { _id: "a4", notes: { extra: ["dogsled"] } });
+      db.updateOne(articles, { _id: "a3" }, { $set: { body: "Dog food" } });
+      db.deleteOne(articles, { _id: "a2" });
+      db.deleteMany(articles, { _id: "a1" });
+
+      deepStrictEqual(
+        db
+          .find(articles, { $text: { $search: "dog dogsled" } })
+          .toArray()
+          .map((document) => document._id)
+          .sort(),
+        ["a3", "a4"]
+      );
+      db.dropIndex(articles, "$**_text");
+      deepStrictEqual(
+        db.listIndexes(articles).map((index) => index.name),
+        ["_id_"]
+      );
+    });
+
+    it("should rank by weighted textScore in find and aggregate", () => {
+      db.createIndex(
+        articles,
+        { title: "text", body: "text" },
+        { weights: { title: 10 } }
+      );
+      throws(
+        () => db.createIndex(articles, { body: "text" }),
+        IndexOptionsConflict
+      );
+
+      const ranked = db
+        .find(
+          articles,
+          { $text: { $search: "dog" } },
+          { projection: { title: 1, score: { $meta: "textScore" } } }
+        )
+        .sort({ score: { $meta: "textScore" } })
+        .toArray();
+      deepStrictEqual(
+        ranked.map((document) => document._id),
+        ["a1", "a2"]
+      );
+      strictEqual(ranked[0].score > ranked[1].score, true);
+      deepStrictEqual(Object.keys(ranked[0]).sort(), ["_id", "score", "title"]);
+
+      deepStrictEqual(
+        db
+          .aggregate(articles, [
+            { $match: { $text: { $search: "dog" } } },
+            { $addFields: { score: { $meta: "textScore" } } },
+            { $sort: { score: -1 } },
+            { $project: { title: 1 } },
+          ])
+          .map((document) => document._id),
+        ["a1", "a2"]
+      );
+      throws(
+        () =>
+          db.aggregate(articles, [
+            { $sort: { title: 1 } },
+            { $match: { $text: { $search: "dog" } } },
+          ]),
+        BadValue
+      );
+      throws(
+        () =>
+          db
+            .find(articles)
+            .sort({ score: { $meta: "textScore" } })
+            .toArray(),
+        BadValue
+      );
+    });
+  });
+
+  describe("Geospatial Queries", () => {
+    const places = "places";
+    const point = (lng, lat) => ({ type: "Point", coordinates: [lng, lat] });
+    const here = point(2.3, 48.86);
+    const ids = (query, options) =>
+      db
+        .find(places, query, options)
+        .toArray()
+        .map((document) => document._id);
+
+    beforeEach(() => {
+      db.createCollection(places);
+      db.insertMany(places, [
+        { _id: "eiffel", location: point(2.2945, 48.8584), kind: "tower" },
+        { _id: "louvre", location: point(2.3376, 48.8606), kind: "museum" },
+        { _id: "london", location: [-0.1276, 51.5072], kind: "city" },
+        {
+          _id: "seine",
+          location: {
+            type: "LineString",
+            coordinates: [
+              [2.25, 48.84],
+              [2.4, 48.86],
+            ],
+          },
+          kind: "river",
+        },
+        { _id: "nowhere", kind: "unknown" },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(places);
+    });
+
+    it("should create and list 2dsphere indexes", () => {
+      strictEqual(
+        db.createIndex(places, { location: "2dsphere" }),
+        "location_2dsphere"
+      );
+      strictEqual(
+        db.createIndex(places, { location: "2dsphere" }),
+        "location_2dsphere"
+      );
+      deepStrictEqual(db.listIndexes(places)[1], {
+        v: 2,
+        key: { location: "2dsphere" },
+        name: "location_2dsphere",
+        "2dsphereIndexVersion": 3,
+      });
+      throws(
+        () => db.createIndex(places, { location: "2dsphere", kind: 1 }),
+        BadValue
+      );
+      throws(
+        () =>
+          db.createIndex(places, { location: "2dsphere" }, { unique: true }),
+        BadValue
+      );
+    });
+
+    it("should match $geoWithin shapes with or without an index", () => {
+      const check = () => {
+        deepStrictEqual(
+          ids({
+            location: {
+              $geoWithin: {
+                $box: [
+                  [2, 48],
+                  [3, 49],
+                ],
+              },
+            },
+          }),
+          ["eiffel", "louvre", "seine"]
+        );
+        deepStrictEqual(
+          ids({
+            location: {
+              $geoWithin: { $centerSphere: [[2.3, 48.86], 1 / 6378.1] },
+            },
+          }),
+          ["eiffel"]
+        );
+        deepStrictEqual(
+          ids({
+            location: {
+              $geoWithin: {
+                $geometry: {
+                  type: "Polygon",
+                  coordinates: [
+                    [
+                      [2.3, 48.8],
+                      [2.4, 48.8],
+                      [2.4, 48.9],
+                      [2.3, 48.9],
+                      [2.3, 48.8],
+                    ],
+                  ],
+                },
+              },
+            },
+          }),
+          ["louvre"]
+        );
+      };
+      check();
+      db.createIndex(places, { location: "2dsphere" });
+      check();
+    });
+
+    it("should match $geoIntersects", () => {
+      db.createIndex(places, { location: "2dsphere" });
+      const crossing = {
+        type: "LineString",
+        coordinates: [
+          [2.3, 48.8],
+          [2.3, 48.9],
+        ],
+      };
+      deepStrictEqual(
+        ids({ location: { $geoIntersects: { $geometry: crossing } } }),
+        ["seine"]
+      );
+      throws(
+        () =>
+          ids({
+            location: {
+              $geoIntersects: {
+                $box: [
+                  [0, 0],
+                  [1, 1],
+                ],
+              },
+            },
+          }),
+        BadValue
+      );
+    });
+
+    it("should order $near results by distance", () => {
+      throws(
+        () => ids({ location: { $near: { $geometry: here } } }),
+        IndexNotFound
+      );
+      db.createIndex(places, { location: "2dsphere" });
+      deepStrictEqual(
+        ids({ location: { $near: { $geometry: here, $maxDistance: 5000 } } }),
+        ["eiffel", "seine", "louvre"]
+      );
+      deepStrictEqual(
+        ids({
+          location: {
+            $nearSphere: { $geometry: here, $minDistance: 1000 },
+          },
+          kind: { $ne: "river" },
+        }),
+        ["louvre", "london"]
+      );
+      deepStrictEqual(
+        ids({ location: { $near: [2.3, 48.86], $maxDistance: 0.01 } }),
+        ["eiffel"]
+      );
+      deepStrictEqual(
+        ids(
+          { location: { $near: { $geometry: here, $maxDistance: 5000 } } },
+          { sort: { _id: 1 } }
+        ),
+        ["eiffel", "louvre", "seine"]
+      );
+      strictEqual(
+        db.findOne(places, { location: { $near: { $geometry: here } } })._id,
+        "eiffel"
+      );
+      throws(() => ids({ location: { $maxDistance: 10 } }), BadValue);
+      throws(
+        () => ids({ "location.x": { $near: { $geometry: here } } }),
+        IndexNotFound
+      );
+    });
+
+    it("should keep the index in sync with writes", () => {
+      db.createIndex(places, { location: "2dsphere" });
+      const near = {
+        location: { $near: { $geometry: here, $maxDistance: 5000 } },
+      };
+      db.updateOne(
+        places,
+        { _id: "london" },
+        { $set: { location: [2.3, 48.86] } }
+      );
+      db.deleteOne(places, { _id: "eiffel" });
+      db.updateOne(places, { _id: "seine" }, { $unset: { location: "" } });
+      db.insertOne(places, { _id: "orsay", location: point(2.3266, 48.86) });
+      deepStrictEqual(ids(near), ["london", "orsay", "louvre"]);
+      deepStrictEqual(db.deleteOne(places, near), {
+        acknowledged: true,
+        deletedCount: 1,
+      });
+      deepStrictEqual(ids(near), ["orsay", "louvre"]);
+
+      db.renameCollection(places, "sights");
+      deepStrictEqual(
+        db
+          .find("sights", near)
+          .toArray()
+          .map((document) => document._id),
+        ["orsay", "louvre"]
+      );
+      db.renameCollection("sights", places);
+    });
+
+    it("should run $geoNear as the first pipeline stage", () => {
+      throws(
+        () =>
+          db.aggregate(places, [
+            { $geoNear: { near: here, distanceField: "distance" } },
+          ]),
+        IndexNotFound
+      );
+      db.createIndex(places, { location: "2dsphere" });
+      const results = db.aggregate(places, [
+        {
+          $geoNear: {
+            near: here,
+            distanceField: "distance",
+            distanceMultiplier: 0.001,
+            maxDistance: 5000,
+            query: { kind: { $ne: "river" } },
+            includeLocs: "where",
+          },
+        },
+        { $project: { distance: 1, where: 1 } },
+      ]);
+      deepStrictEqual(
+        results.map((document) => document._id),
+        ["eiffel", "louvre"]
+      );
+      strictEqual(Math.round(results[0].distance * 100), 44);
+      strictEqual(Math.round(results[1].distance * 10), 28);
+      deepStrictEqual(results[1].where, point(2.3376, 48.8606));
+
+      throws(
+        () =>
+          db.aggregate(places, [
+            { $match: {} },
+            { $geoNear: { near: here, distanceField: "distance" } },
+          ]),
+        BadValue
+      );
+      throws(
+        () =>
+          db.aggregate(places, [
+            { $match: { location: { $near: { $geometry: here } } } },
+          ]),
+        BadValue
+      );
+    });
+  });
+
+  describe("Document History", () => {
+    const orders = "orders";
+
+    afterEach(() => {
+      db.dropCollection(orders);
+    });
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    it("should record a version for every write with its actor and metadata", () => {
+      db.createCollection(orders, { history: true });
+      db.insertOne(orders, { _id: 1, status: "new" }, { actor: "ada" });
+      db.updateOne(
+        orders,
+        { _id: 1 },
+        { $set: { status: "paid" } },
+        { actor: "bob", metadata: { invoice: 42 } }
+      );
+      db.replaceOne(orders, { _id: 1 }, { status: "shipped" });
+      db.deleteOne(orders, { _id: 1 }, { actor: "eve" });
+
+      const versions = db.listVersions(orders, 1);
+      deepStrictEqual(
+        versions.map(({ version, op, document, actor, metadata }) => ({
+          version,
+          op,
+          document,
+          actor,
+          metadata,
+        })),
+        [
+          {
+            version: 1,
+            op: "insert",
+            document: { _id: 1, status: "new" },
+            actor: "ada",
+            metadata: undefined,
+          },
+          {
+            version: 2,
+            op: "update",
+            document: { _id: 1, status: "paid" },
+            actor: "bob",
+            metadata: { invoice: 42 },
+          },
+          {
+            version: 3,
+            op: "replace",
+            document: { _id: 1, status: "shipped" },
+            actor: undefined,
+            metadata: undefined,
+          },
+          {
+            version: 4,
+            op: "delete",
+            document: { _id: 1, status: "shipped" },
+            actor: "eve",
+            metadata: undefined,
+          },
+        ]
+      );
+      strictEqual(versions[0].ts instanceof Date, true);
+      throws(() => db.insertOne(orders, { _id: 2 }, { actor: 7 }), BadValue);
+    });
+
+    it("should read documents as they were at a point in time", async () => {
+      db.createCollection(orders, { history: true });
+      db.insertMany(orders, [
+        { _id: 1, status: "new" },
+        { _id: 2, status: "new" },
+      ]);
+      await sleep(5);
+      const before = new Date();
+      await sleep(5);
+      db.updateOne(orders, { _id: 1 }, { $set: { status: "paid" } });
+      db.deleteOne(orders, { _id: 2 });
+      db.insertOne(orders, { _id: 3, status: "new" });
+
+      deepStrictEqual(db.findById(orders, 1, { asOf: before }), {
+        _id: 1,
+        status: "new",
+      });
+      deepStrictEqual(db.findById(orders, 3, { asOf: before }), null);
+      deepStrictEqual(
+        db
+          .find(orders, { status: "new" }, { asOf: before.getTime() })
+          .sort({ _id: 1 })
+          .toArray(),
+        [
+          { _id: 1, status: "new" },
+          { _id: 2, status: "new" },
+        ]
+      );
+      strictEqual(db.find(orders, {}, { asOf: before }).count(), 2);
+      strictEqual(db.find(orders, {}, { asOf: 0 }).count(), 0);
+      deepStrictEqual(db.find(orders).sort({ _id: 1 }).toArray(), [
+        { _id: 1, status: "paid" },
+        { _id: 3, status: "new" },
+      ]);
+    });
+
+    it("should restore an earlier version, undeleting the document", () => {
+      db.createCollection(orders, { history: true });
+      db.insertOne(orders, { _id: 1, status: "new" });
+      db.updateOne(orders, { _id: 1 }, { $set: { status: "paid" } });
+
+      deepStrictEqual(db.restoreVersion(orders, 1, 1, { actor: "ada" }), {
+        _id: 1,
+        status: "new",
+      });
+      deepStrictEqual(db.findById(orders, 1), { _id: 1, status: "new" });
+
+      db.deleteOne(orders, { _id: 1 });
+      strictEqual(db.findById(orders, 1), null);
+      db.restoreVersion(orders, 1, 2);
+      deepStrictEqual(db.findById(orders, 1), { _id: 1, status: "paid" });
+
+      const last = db.listVersions(orders, 1).at(-1);
+      strictEqual(last.op, "restore");
+      throws(() => db.restoreVersion(orders, 1, 4), BadValue);
+      throws(() => db.restoreVersion(orders, 1, 99), BadValue);
+    });
+
+    it("should snapshot existing documents when history is turned on", () => {
+      db.createCollection(orders);
+      db.insertOne(orders, { _id: 1, status: "new" });
+      throws(() => db.listVersions(orders, 1), IllegalOperation);
+
+      db.collMod(orders, { history: true });
+      deepStrictEqual(
+        db.listVersions(orders, 1).map(({ version, op }) => ({ version, op })),
+        [{ version: 1, op: "snapshot" }]
+      );
+      strictEqual(
+        db.listCollections({ name: orders })[0].options.history,
+        true
+      );
+
+      db.collMod(orders, { history: false });
+      throws(() => db.listVersions(orders, 1), IllegalOperation);
+      throws(() => db.listVersions("noSuchCollection", 1), NamespaceNotFound);
+    });
+
+    it("should tombstone deleted documents in soft-delete collections", () => {
+      db.createCollection(orders, { softDelete: true });
+      db.insertMany(orders, [
+        { _id: 1, status: "new" },
+        { _id: 2, status: "new" },
+        { _id: 3, status: "paid" },
+      ]);
+      db.deleteOne(orders, { _id: 1 });
+      strictEqual(db.deleteMany(orders, { status: "paid" }).deletedCount, 1);
+
+      deepStrictEqual(db.find(orders).toArray(), [{ _id: 2, status: "new" }]);
+      strictEqual(db.findById(orders, 1), null);
+      strictEqual(db.countDocuments(orders), 1);
+      strictEqual(
+        db.updateMany(orders, {}, { $set: { seen: true } }).matchedCount,
+        1
+      );
+      deepStrictEqual(
+        db.aggregate(orders, [{ $group: { _id: null, n: { $sum: 1 } } }]),
+        [{ _id: null, n: 1 }]
+      );
+
+      db.insertOne(orders, { _id: 1, status: "again" });
+      deepStrictEqual(db.findById(orders, 1), { _id: 1, status: "again" });
+      strictEqual(
+        db.db.prepare(`SELECT COUNT(*) AS n FROM "${orders}"`).get().n,
+        3
+      );
+
+      db.collMod(orders, { softDelete: false });
+      strictEqual(
+        db.db.prepare(`SELECT COUNT(*) AS n FROM "${orders}"`).get().n,
+        2
+      );
+    });
+
+    it("should leave tombstones out of $lookup", () => {
+      db.createCollection(orders, { softDelete: true });
+      db.insertMany(orders, [
+        { _id: 1, customer: "c1", status: "paid" },
+        { _id: 2, customer: "c1", status: "cancelled" },
+      ]);
+      db.deleteOne(orders, { _id: 2 });
+      db.createCollection("customers");
+      db.insertOne("customers", { _id: "c1", name: "Ada" });
+      deepStrictEqual(
+        db.aggregate("customers", [
+          { $match: { _id: "c1" } },
+          {
+            $lookup: {
+              from: orders,
+              localField: "_id",
+              foreignField: "customer",
+              as: "orders",
+            },
+          },
+        ]),
+        [
+          {
+            _id: "c1",
+            name: "Ada",
+            orders: [{ _id: 1, customer: "c1", status: "paid" }],
+          },
+        ]
+      );
+      db.dropCollection("customers");
+    });
+
+    it("should tombstone documents expired by TTL indexes", async () => {
+      const ttl = sqliteDocstore.init(null, { ttlMonitorInterval: 10 });
+      ttl.createCollection("sessions", { history: true, softDelete: true });
+      ttl.insertMany("sessions", [
+        { _id: "old", at: new Date(Date.now() - 120000) },
+        { _id: "new", at: new Date() },
+      ]);
+      ttl.createIndex("sessions", { at: 1 }, { expireAfterSeconds: 60 });
+      await sleep(50);
+
+      deepStrictEqual(
+        ttl
+          .find("sessions")
+          .toArray()
+          .map((document) => document._id),
+        ["new"]
+      );
+      deepStrictEqual(
+        ttl.db
+          .prepare(
+            `SELECT _id, deleted_at IS NOT NULL AS deleted FROM sessions ORDER BY _id`
+          )
+          .all(),
+        [
+          { _id: "new", deleted: 0 },
+          { _id: "old", deleted: 1 },
+        ]
+      );
+      deepStrictEqual(
+        ttl.listVersions("sessions", "old").map((version) => version.op),
+        ["insert", "delete"]
+      );
+      ttl.close();
+    });
+
+    it("should keep the history of a renamed collection", () => {
+      db.createCollection(orders, { history: true });
+      db.insertOne(orders, { _id: 1 });
+      db.renameCollection(orders, "archivedOrders");
+      strictEqual(db.listVersions("archivedOrders", 1).length, 1);
+      db.renameCollection("archivedOrders", orders);
+    });
+  });
+
+  describe("Field-Level Encryption", () => {
+    const patients = "patients";
+    const keys = { k1: randomBytes(32), k2: randomBytes(32) };
+    const encryption = {
+      keyProvider: keys,
+      keyId: "k1",
+      fields: {
+        [patients]: {
+          ssn: "deterministic",
+          "contact.email": "deterministic",
+          notes: "random",
+        },
+      },
+    };
+    let store;
+
+    beforeEach(() => {
+      store = sqliteDocstore.init(null, { encryption });
+      store.createCollection(patients);
+      store.insertMany(patients, [
+        {
+          _id: 1,
+          name: "Ada",
+          ssn: "123",
+          notes: { allergies: ["nuts"] },
+          contact: { email: "ada@example.com", phone: "555" },
+        },
+        { _id: 2, name: "Bob", ssn: "456", notes: "none" },
+      ]);
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    const stored = (id) =>
+      store.db
+        .prepare(`SELECT document FROM "${patients}" WHERE _id = ?`)
+        .get(id).document;
+
+    it("should store encrypted fields as ciphertext and decrypt them on read", () => {
+      const text = stored(1);
+      for (const secret of ["123", "nuts", "ada@example.com"]) {
+        strictEqual(text.includes(secret), false);
+      }
+      strictEqual(text.includes('"subType":"06"'), true);
+      strictEqual(text.includes('"phone":"555"'), true);
+
+      const ada = {
+        _id: 1,
+        name: "Ada",
+        ssn: "123",
+        notes: { allergies: ["nuts"] },
+        contact: { email: "ada@example.com", phone: "555" },
+      };
+      deepStrictEqual(store.findById(patients, 1), ada);
+      deepStrictEqual(store.find(patients, { _id: 1 }).toArray(), [ada]);
+      deepStrictEqual(
+        store.aggregate(patients, [
+          { $match: { _id: 1 } },
+          { $project: { _id: 0, ssn: 1, email: "$contact.email" } },
+        ]),
+        [{ ssn: "123", email: "ada@example.com" }]
+      );
+      deepStrictEqual(store.distinct(patients, "ssn").sort(), ["123", "456"]);
+    });
+
+    it("should match deterministic fields by equality", () => {
+      deepStrictEqual(
+        store
+          .find(patients, { ssn: "456" })
+          .toArray()
+          .map((p) => p.name),
+        ["Bob"]
+      );
+      strictEqual(
+        store.countDocuments(patients, { ssn: { $in: ["123", "456"] } }),
+        2
+      );
+      strictEqual(store.countDocuments(patients, { ssn: { $ne: "123" } }), 1);
+      strictEqual(
+        store.countDocuments(patients, { "contact.email": "ada@example.com" }),
+        1
+      );
+      strictEqual(
+        store.countDocuments(patients, { notes: { $exists: true } }),
+        2
+      );
+
+      store.updateOne(patients, { ssn: "123" }, { $set: { name: "Ada L." } });
+      strictEqual(store.findOne(patients, { ssn: "123" }).name, "Ada L.");
+      strictEqual(store.deleteOne(patients, { ssn: "456" }).deletedCount, 1);
+      strictEqual(store.countDocuments(patients), 1);
+
+      store.createIndex(patients, { ssn: 1 }, { unique: true });
+      throws(
+        () => store.insertOne(patients, { ssn: "123" }),
+        DuplicateKeyError
+      );
+    });
+
+    it("should reject filters encryption cannot answer", () => {
+      throws(() => store.find(patients, { notes: "none" }), BadValue);
+      throws(() => store.find(patients, { ssn: { $gt: "100" } }), BadValue);
+      throws(() => store.find(patients, { ssn: /^1/ }), BadValue);
+      throws(
+        () => store.find(patients, { "notes.allergies": "nuts" }),
+        BadValue
+      );
+    });
+
+    it("should update encrypted fields on the decrypted document", () => {
+      store.updateOne(
+        patients,
+        { _id: 1 },
+        { $push: { "notes.allergies": "milk" } }
+      );
+      deepStrictEqual(store.findById(patients, 1).notes, {
+        allergies: ["nuts", "milk"],
+      });
+      strictEqual(stored(1).includes("milk"), false);
+    });
+
+    it("should decrypt change events and leave unchanged fields out of them", async () => {
+      const stream = store.watch(patients);
+      store.updateOne(patients, { _id: 1 }, { $set: { name: "Ada L." } });
+      store.updateOne(patients, { _id: 2 }, { $set: { ssn: "789" } });
+      const events = [await stream.next(), await stream.next()];
+      stream.close();
+      deepStrictEqual(
+        events.map((event) => event.updateDescription.updatedFields),
+        [{ name: "Ada L." }, { ssn: "789" }]
+      );
+    });
+
+    it("should rotate a collection to another key", () => {
+      const before = stored(1);
+      deepStrictEqual(store.rotateEncryptionKey(patients, "k2"), {
+        acknowledged: true,
+        modifiedCount: 2,
+      });
+      strictEqual(stored(1) === before, false);
+      strictEqual(store.findOne(patients, { ssn: "123" }).name, "Ada");
+      store.insertOne(patients, { _id: 3, ssn: "789" });
+      strictEqual(store.countDocuments(patients, { ssn: "789" }), 1);
+      strictEqual(
+        store.listCollections({ name: patients })[0].options.encryptionKeyId,
+        "k2"
+      );
+
+      throws(() => store.rotateEncryptionKey(patients, "k3"), BadValue);
+    });
+
+    it("should return encrypted values to a docstore without the keys", () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-encryption-"));
+      const fileName = join(dir, "patients.db");
+      try {
+        const writer = sqliteDocstore.init(fileName, { encryption });
+        writer.createCollection(patients);
+        writer.insertOne(patients, { _id: 1, ssn: "123" });
+        writer.close();
+
+        const reader = sqliteDocstore.init(fileName);
+        strictEqual(
+          reader.findById(patients, 1).ssn instanceof EncryptedValue,
+          true
+        );
+        reader.close();
+
+        const wrongKey = sqliteDocstore.init(fileName, {
+          encryption: { ...encryption, keyProvider: { k1: randomBytes(32) } },
+        });
+        throws(() => wrongKey.findById(patients, 1), BadValue);
+        wrongKey.close();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should validate the encryption option", () => {
+      const init = (options) =>
+        sqliteDocstore.init(null, {
+          encryption: { ...encryption, ...options },
+        });
+      throws(() => init({ keyId: "missing" }), BadValue);
+      throws(() => init({ keyProvider: { k1: randomBytes(16) } }), BadValue);
+      throws(
+        () => init({ fields: { [patients]: { _id: "random" } } }),
+        BadValue
+      );
+      throws(() => init({ fields: { [patients]: { ssn: "aes" } } }), BadValue);
+      throws(
+        () =>
+          init({ fields: { [patients]: { a: "random", "a.b": "random" } } }),
+        BadValue
+      );
+    });
+  });
+
+  describe("Types and Extended JSON", () => {
+    const events = "events";
+
+    afterEach(() => {
+      db.dropCollection(events);
+    });
+
+    it("should store the holes of sparse arrays as null", () => {
+      db.createCollection(events);
+      const sparse = [1, , 3];
+      sparse[5] = 9;
+      db.insertOne(events, { _id: "sparse", sparse });
+
+      deepStrictEqual(db.findById(events, "sparse").sparse, [
+        1,
+        null,
+        3,
+        null,
+        null,
+        9,
+      ]);
+      strictEqual(db.find(events).toArray().length, 1);
+    });
+
+    it("should round-trip dates, BigInts, Buffers, RegExps and ObjectIds", () => {
+      db.createCollection(events);
+      const owner = new ObjectId();
+      const event = {
+        _id: "e1",
+        at: new Date("2024-03-01T10:00:00.000Z"),
+        ancient: new Date(-70000000000000),
+        views: 2n ** 60n,
+        payload: Buffer.from("hello"),
+        pattern: /^a.c$/i,
+        owner,
+        nested: { dates: [new Date(0)] },
+      };
+      db.insertOne(events, event);
+
+      for (const found of [
+        db.findById(events, "e1"),
+        db.findOne(events, { _id: "e1" }),
+        db.aggregate(events, [{ $match: { _id: "e1" } }])[0],
+      ]) {
+        deepStrictEqual(found, event);
+        strictEqual(found.owner.equals(owner), true);
+      }
+      strictEqual(
+        db.db.prepare("SELECT document ->> '$.at' AS at FROM events").get().at,
+        '{"$date":"2024-03-01T10:00:00.000Z"}'
+      );
+      throws(() => db.insertOne(events, { n: 2n ** 64n }), BadValue);
+    });
+
+    it("should compare and sort dates and big numbers inside SQLite", () => {
+      db.createCollection(events);
+      db.insertMany(events, [
+        { _id: "a", at: new Date("2024-01-15"), count: 9007199254740993n },
+        { _id: "b", at: new Date("2023-06-01"), count: 5 },
+        { _id: "c", at: new Date("2024-12-31"), count: 2n ** 62n },
+        { _id: "d", at: "2024-06-01", count: 10 },
+      ]);
+      const ids = (query, sort = { _id: 1 }) =>
+        db
+          .find(events, query)
+          .sort(sort)
+          .toArray()
+          .map((document) => document._id);
+
+      deepStrictEqual(ids({ at: { $gte: new Date("2024-01-01") } }), [
+        "a",
+        "c",
+      ]);
+      deepStrictEqual(ids({ at: new Date("2023-06-01") }), ["b"]);
+      deepStrictEqual(ids({ at: { $in: [new Date("2024-12-31")] } }), ["c"]);
+      deepStrictEqual(ids({ at: { $type: "date" } }), ["a", "b", "c"]);
+      deepStrictEqual(ids({ count: { $gt: 9007199254740992n } }), ["a", "c"]);
+      deepStrictEqual(ids({ at: { $type: "date" } }, { at: -1 }), [
+        "c",
+        "a",
+        "b",
+      ]);
+      deepStrictEqual(ids({}, { count: 1 }), ["b", "d", "a", "c"]);
+
+      db.createIndex(events, { at: 1 });
+      const plan = db
+        .find(events, { at: { $lt: new Date("2024-01-01") } })
+        .explain();
+      deepStrictEqual(plan.queryPlanner.indexesUsed, ["at_1"]);
+
+      deepStrictEqual(
+        db.aggregate(events, [
+          { $match: { at: { $type: "date" } } },
+          { $group: { _id: null, last: { $max: "$at" } } },
+        ]),
+        [{ _id: null, last: new Date("2024-12-31") }]
+      );
+
+      db.updateOne(events, { _id: "a" }, { $inc: { count: 1 } });
+      strictEqual(db.findById(events, "a").count, 9007199254740994n);
+    });
+
+    it("should generate and look up ObjectId _ids", () => {
+      const store = sqliteDocstore.init(null, { generateId: "objectId" });
+      store.createCollection(events);
+      const { insertedId } = store.insertOne(events, { name: "first" });
+      store.insertOne(events, { name: "second" });
+
+      strictEqual(insertedId instanceof ObjectId, true);
+      strictEqual(ObjectId.isValid(insertedId.toHexString()), true);
+      deepStrictEqual(store.findById(events, insertedId), {
+        _id: insertedId,
+        name: "first",
+      });
+      strictEqual(
+        store.findOne(events, { _id: new ObjectId(insertedId.toHexString()) })
+          .name,
+        "first"
+      );
+      deepStrictEqual(
+        store
+          .find(events)
+          .sort({ _id: 1 })
+          .toArray()
+          .map((document) => document.name),
+        ["first", "second"]
+      );
+
+      store.replaceOne(events, { _id: insertedId }, { name: "replaced" });
+      strictEqual(store.findById(events, insertedId).name, "replaced");
+      strictEqual(store.deleteOne(events, { _id: insertedId }).deletedCount, 1);
+      store.db.close();
+
+      const custom = sqliteDocstore.init(null, { generateId: () => 42 });
+      custom.createCollection(events);
+      strictEqual(custom.insertOne(events, { a: 1 }).insertedId, 42);
+      custom.db.close();
+      throws(() => sqliteDocstore.init(null, { generateId: "cuid" }), BadValue);
+    });
+  });
+
+  describe("Import and Export", () => {
+    const people = "people";
+
+    beforeEach(() => {
+      db.createCollection(people);
+      db.insertMany(people, [
+        { _id: "a", name: "Ann", born: new Date("1990-05-01"), tags: ["x"] },
+        { _id: "b", name: "Bob, Jr.", address: { city: "Oslo" } },
+      ]);
+    });
+
+    afterEach(() => {
+      db.dropCollection(people);
+      db.dropCollection("copy");
+    });
+
+    it("should export JSON lines and import them in every mode", () => {
+      const lines = [...db.exportCollection(people, { sort: { _id: 1 } })];
+      deepStrictEqual(lines, [
+        '{"_id":"a","name":"Ann","born":{"$date":"1990-05-01T00:00:00.000Z"},"tags":["x"]}\n',
+        '{"_id":"b","name":"Bob, Jr.","address":{"city":"Oslo"}}\n',
+      ]);
+
+      // Chunks do not have to end on line boundaries
+      const text = lines.join("");
+      const chunks = [text.slice(0, 10), text.slice(10, 70), text.slice(70)];
+      deepStrictEqual(db.importCollection("copy", chunks, { batchSize: 1 }), {
+        insertedCount: 2,
+        upsertedCount: 0,
+        errors: [],
+      });
+      deepStrictEqual(
+        db.find("copy").sort({ _id: 1 }).toArray(),
+        db.find(people).sort({ _id: 1 }).toArray()
+      );
+
+      const source = `{"_id":"a","name":"Ann"}\nnot json\n{"_id":"c"}\n`;
+      const ordered = db.importCollection("copy", source);
+      strictEqual(ordered.insertedCount, 0);
+      deepStrictEqual(
+        ordered.errors.map(({ line, error }) => [line, error.code]),
+        [[1, 11000]]
+      );
+      const unordered = db.importCollection("copy", source, { ordered: false });
+      strictEqual(unordered.insertedCount, 1);
+      deepStrictEqual(
+        unordered.errors.map(({ line, error }) => [line, error.code]),
+        [
+          [1, 11000],
+          [2, 2],
+        ]
+      );
+      const upserted = db.importCollection("copy", '{"_id":"a","name":"Al"}', {
+        mode: "upsert",
+      });
+      deepStrictEqual(upserted, {
+        insertedCount: 0,
+        upsertedCount: 1,
+        errors: [],
+      });
+      deepStrictEqual(db.findById("copy", "a"), { _id: "a", name: "Al" });
+    });
+
+    it("should export and import CSV with a field list", () => {
+      const csv = [
+        ...db.exportCollection(people, {
+          format: "csv",
+          fields: ["_id", "name", "address.city"],
+          query: { name: { $exists: true } },
+          sort: { _id: 1 },
+        }),
+      ].join("");
+      strictEqual(csv, '_id,name,address.city\na,Ann,\nb,"Bob, Jr.",Oslo\n');
+      throws(() => db.exportCollection(people, { format: "csv" }), BadValue);
+
+      const result = db.importCollection(
+        "copy",
+        'name,age,note\r\nCy,42,"two\nlines"\r\nDi,007,\r\n',
+        { format: "csv", ignoreBlanks: true }
+      );
+      strictEqual(result.insertedCount, 2);
+      deepStrictEqual(
+        db
+          .find("copy", {}, { projection: { _id: 0 }, sort: { name: 1 } })
+          .toArray(),
+        [
+          { name: "Cy", age: 42, note: "two\nlines" },
+          { name: "Di", age: "007" },
+        ]
+      );
+    });
+
+    it("should dump and restore collections with validators and indexes", () => {
+      const directory = mkdtempSync(join(tmpdir(), "docstore-dump-"));
+      try {
+        db.collMod(people, {
+          validator: { $jsonSchema: { required: ["name"] } },
+        });
+        db.createIndex(people, { name: 1 }, { unique: true });
+        deepStrictEqual(
+          db.dump(directory, { collections: [people] }).collections,
+          [{ name: people, documents: 2 }]
+        );
+
+        const target = sqliteDocstore.init();
+        const { collections } = target.restore(directory);
+        deepStrictEqual(
+          collections.map(({ name, insertedCount }) => [name, insertedCount]),
+          [[people, 2]]
+        );
+        deepStrictEqual(target.listIndexes(people), db.listIndexes(people));
+        deepStrictEqual(
+          target.find(people).sort({ _id: 1 }).toArray(),
+          db.find(people).sort({ _id: 1 }).toArray()
+        );
+        throws(() => target.insertOne(people, { age: 1 }), ValidationError);
+
+        target.restore(directory, { drop: true });
+        strictEqual(target.countDocuments(people), 2);
+        target.db.close();
+      } finally {
+        rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Connection Options", () => {
+    it("should apply the journal mode, busy timeout and pragmas", () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      try {
+        const store = sqliteDocstore.init(join(dir, "wal.db"), {
+          journalMode: "wal",
+          synchronous: "normal",
+          busyTimeout: 1000,
+          pragmas: { cache_size: -4000, foreign_keys: true },
+        });
+        const pragma = (name) =>
+          Object.values(store.db.prepare(`PRAGMA ${name}`).get())[0];
+        strictEqual(pragma("journal_mode"), "wal");
+        strictEqual(pragma("synchronous"), 1);
+        strictEqual(pragma("busy_timeout"), 1000);
+        strictEqual(pragma("cache_size"), -4000);
+        strictEqual(pragma("foreign_keys"), 1);
+        store.close();
+
+        throws(
+          () => sqliteDocstore.init(null, { journalMode: "fast" }),
+          BadValue
+        );
+        throws(
+          () => sqliteDocstore.init(null, { pragmas: { "a; DROP": 1 } }),
+          BadValue
+        );
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should open a file read-only", () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      try {
+        const file = join(dir, "shared.db");
+        const writer = sqliteDocstore.init(file);
+        writer.createCollection("notes");
+        writer.insertMany("notes", [{ _id: "a" }, { _id: "b" }]);
+
+        const reader = sqliteDocstore.init(file, { readonly: true });
+        strictEqual(reader.countDocuments("notes"), 2);
+        throws(() => reader.insertOne("notes", { _id: "c" }), IllegalOperation);
+        throws(() => reader.dropCollection("notes"), IllegalOperation);
+        strictEqual(writer.countDocuments("notes"), 2);
+        reader.close();
+        writer.close();
+
+        throws(() => sqliteDocstore.init(null, { readonly: true }), BadValue);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should back up the database while it is in use", async () => {
+      const dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      try {
+        const store = sqliteDocstore.init(join(dir, "live.db"));
+        store.createCollection("items");
+        store.insertMany(
+          "items",
+          Array.from({ length: 50 }, (_, n) => ({ n }))
+        );
+        const steps = [];
+        const result = await store.backup(join(dir, "copy.db"), {
+          progress: (info) => steps.push(info),
+        });
+        strictEqual(result.remainingPages, 0);
+        strictEqual(steps.length > 0, true);
+        store.close();
+
+        const copy = sqliteDocstore.init(join(dir, "copy.db"));
+        strictEqual(copy.countDocuments("items"), 50);
+        copy.close();
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it("should close once, with its change streams", () => {
+      const store = sqliteDocstore.init();
+      store.createCollection("events");
+      const stream = store.watch("events");
+      store.close();
+      store.close();
+      strictEqual(stream.closed, true);
+      throws(() => store.find("events"), IllegalOperation);
+    });
+  });
+
+  describe("Async API", () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = mkdtempSync(join(tmpdir(), "docstore-"));
+      store = await sqliteDocstore.open(join(dir, "async.db"), {
+        journalMode: "wal",
+        readers: 2,
+      });
+      await store.createCollection("orders");
+    });
+
+    afterEach(async () => {
+      await store.close();
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should keep writes in call order and let queries see them", async () => {
+      const writes = Array.from({ length: 20 }, (_, n) =>
+        store.insertOne("orders", { _id: `o${n}`, n })
+      );
+      const update = store.updateMany("orders", {}, { $inc: { n: 100 } });
+      const count = store.countDocuments("orders", { n: { $gte: 100 } });
+      await Promise.all(writes);
+      strictEqual((await update).modifiedCount, 20);
+      strictEqual(await count, 20);
+      deepStrictEqual(
+        await store.find("orders", {}, { sort: { n: -1 }, limit: 2 }),
+        [
+          { _id: "o19", n: 119 },
+          { _id: "o18", n: 118 },
+        ]
+      );
+    });
+
+    it("should keep types and error classes across threads", async () => {
+      const id = new ObjectId();
+      const placedAt = new Date("2024-05-01T00:00:00Z");
+      await store.insertOne("orders", { _id: id, placedAt, big: 2n ** 60n });
+      const order = await store.findById("orders", id);
+      strictEqual(order._id instanceof ObjectId, true);
+      strictEqual(order.placedAt.getTime(), placedAt.getTime());
+      strictEqual(order.big, 2n ** 60n);
+
+      await rejects(store.insertOne("orders", { _id: id }), (err) => {
+        strictEqual(err instanceof DuplicateKeyError, true);
+        strictEqual(err.code, 11000);
+        strictEqual(err.keyValue._id.equals(id), true);
+        return true;
+      });
+      await rejects(store.find("missing", { $bogus: 1 }), BadValue);
+    });
+
+    it("should serve in-memory databases from the writer thread", async () => {
+      const memory = await sqliteDocstore.open();
+      await memory.createCollection("notes");
+      await memory.insertOne("notes", { _id: "a", text: "hello" });
+      deepStrictEqual(await memory.findOne("notes", { text: /^hel/ }), {
+        _id: "a",
+        text: "hello",
+      });
+      await memory.close();
+      await rejects(memory.findOne("notes", {}), IllegalOperation);
+    });
+
+    it("should back the HTTP Data API", async () => {
+      const server = createHttpServer(store, {
+        apiKeys: { key: { read: "*", write: "*" } },
+        logger: false,
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      try {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        const created = await fetch(`${base}/collections/orders`, {
+          method: "POST",
+          headers: { apiKey: "key" },
+          body: JSON.stringify({ _id: "web", n: 1 }),
+        });
+        strictEqual(created.status, 201);
+        const listed = await fetch(`${base}/collections/orders`, {
+          headers: { apiKey: "key" },
+        });
+        deepStrictEqual(await listed.json(), {
+          documents: [{ _id: "web", n: 1 }],
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe("Collection Handles and Bulk Writes", () => {
+    let store;
+
+    beforeEach(() => {
+      store = sqliteDocstore.init(null, { ttlMonitorInterval: false });
+    });
+
+    afterEach(() => {
+      store.close();
+    });
+
+    it("should bind the collection methods to a handle", () => {
+      const users = store.collection("users");
+      strictEqual(users.collectionName, "users");
+      users.createCollection();
+      users.insertMany([
+        { _id: "ann", age: 30 },
+        { _id: "bob", age: 12 },
+      ]);
+      users.updateOne({ _id: "bob" }, { $inc: { age: 1 } });
+      deepStrictEqual(
+        users.find({ age: { $gt: 10 } }, { sort: { age: 1 } }).toArray(),
+        [
+          { _id: "bob", age: 13 },
+          { _id: "ann", age: 30 },
+        ]
+      );
+      strictEqual(users.countDocuments(), 2);
+      deepStrictEqual(users.drop(), { acknowledged: true });
+      throws(() => store.collection(""), InvalidNamespace);
+    });
+
+    it("should list collections without internal tables", () => {
+      store.createCollection("logs");
+      store.createCollection("users", {
+        validator: { $jsonSchema: { required: ["name"] } },
+      });
+      store.createIndex("users", { bio: "text" });
+      deepStrictEqual(
+        store.listCollections().map(({ name, options }) => ({ name, options })),
+        [
+          { name: "logs", options: {} },
+          {
+            name: "users",
+            options: { validator: { $jsonSchema: { required: ["name"] } } },
+          },
+        ]
+      );
+      deepStrictEqual(
+        store.listCollections({ name: /^l/ }, { nameOnly: true }),
+        [{ name: "logs", type: "collection" }]
+      );
+    });
+
+    it("should report collection and index sizes", () => {
+      const users = store.collection("users");
+      users.createCollection();
+      users.createIndex({ email: 1 }, { unique: true });
+      users.insertMany(
+        Array.from({ length: 100 }, (_, n) => ({
+          email: `user${n}@example.com`,
+        }))
+      );
+      const stats = users.stats();
+      strictEqual(stats.ns, "users");
+      strictEqual(stats.count, 100);
+      strictEqual(stats.avgObjSize, Math.round(stats.size / 100));
+      strictEqual(stats.nindexes, 2);
+      deepStrictEqual(Object.keys(stats.indexSizes), ["_id_", "email_1"]);
+      strictEqual(stats.pages * stats.pageSize, stats.storageSize);
+      strictEqual(stats.indexSizes.email_1 > 0, true);
+      strictEqual(
+        stats.totalIndexSize,
+        stats.indexSizes._id_ + stats.indexSizes.email_1
+      );
+      strictEqual(
+        users.stats({ scale: 1024 }).size,
+        Math.floor(stats.size / 1024)
+      );
+      throws(() => store.stats("missing"), NamespaceNotFound);
+    });
+
+    it("should run bulk writes in order and report each result", () => {
+      const users = store.collection("users");
+      users.createCollection();
+      users.insertOne({ _id: "ann", age: 30 });
+      const result = users.bulkWrite([
+        { insertOne: { document: { _id: "bob", age: 12 } } },
+        {
+          updateMany: {
+            filter: { age: { $lt: 18 } },
+            update: { $set: { minor: true } },
+          },
+        },
+        {
+          replaceOne: {
+            filter: { _id: "cat" },
+            replacement: { age: 5 },
+            upsert: true,
+          },
+        },
+        { deleteOne: { filter: { _id: "ann" } } },
+      ]);
+      deepStrictEqual(
+        { ...result, results: undefined },
+        {
+          acknowledged: true,
+          insertedCount: 1,
+          matchedCount: 1,
+          modifiedCount: 1,
+          deletedCount: 1,
+          upsertedCount: 1,
+          insertedIds: { 0: "bob" },
+          upsertedIds: { 2: "cat" },
+          results: undefined,
+        }
+      );
+      deepStrictEqual(result.results[3], {
+        acknowledged: true,
+        deletedCount: 1,
+      });
+      deepStrictEqual(users.find({}, { sort: { age: 1 } }).toArray(), [
+        { _id: "cat", age: 5 },
+        { _id: "bob", age: 12, minor: true },
+      ]);
+      throws(() => users.bulkWrite([{ upsertOne: {} }]), BadValue);
+    });
+
+    it("should stop ordered bulk writes at the first failure and carry on unordered ones", () => {
+      const users = store.collection("users");
+      users.createCollection();
+      const batch = [
+        { insertOne: { document: { _id: "a" } } },
+        { insertOne: { document: { _id: "a" } } },
+        { insertOne: { document: { _id: "b" } } },
+      ];
+      throws(
+        () => users.bulkWrite(batch),
+        (err) => {
+          strictEqual(err instanceof BulkWriteError, true);
+          strictEqual(err.code, 11000);
+          deepStrictEqual(
+            err.writeErrors.map(({ index, codeName }) => [index, codeName]),
+            [[1, "DuplicateKey"]]
+          );
+          strictEqual(err.result.insertedCount, 1);
+          return true;
+        }
+      );
+      strictEqual(users.countDocuments(), 1);
+
+      users.deleteMany({});
+      throws(() => users.bulkWrite(batch, { ordered: false }), BulkWriteError);
+      deepStrictEqual(users.distinct("_id"), ["a", "b"]);
+    });
+  });
+
+  describe("Command Line", () => {
+    let directory;
+    let file;
+
+    // Runs the tool with captured output
+    const run = async (argv, stdin = []) => {
+      const io = { stdout: "", stderr: "" };
+      const code = await main(argv, {
+        stdout: { write: (text) => (io.stdout += text) },
+        stderr: { write: (text) => (io.stderr += text) },
+        stdin: () => stdin,
+      });
+      return { code, ...io };
+    };
+
+    beforeEach(() => {
+      directory = mkdtempSync(join(tmpdir(), "docstore-cli-"));
+      file = join(directory, "cli.db");
+    });
+
+    afterEach(() => {
+      rmSync(directory, { recursive: true, force: true });
+    });
+
+    it("should evaluate shell code and page cursors", async () => {
+      const created = await run([
+        file,
+        "--eval",
+        `db.createCollection("items");
+         db.items.insertMany([...Array(25).keys()].map((n) => ({ n, at: new Date(n) })));
+         db.items.count({ at: { $gte: new Date(5) } })`,
+      ]);
+      deepStrictEqual(created, { code: 0, stdout: "20\n", stderr: "" });
+
+      const paged = await run([
+        file,
+        "-e",
+        "db.items.find({}, { projection: { _id: 0 } }).sort({ n: 1 })",
+      ]);
+      const lines = paged.stdout.trim().split("\n");
+      strictEqual(lines.length, 21);
+      strictEqual(lines[0], "{ n: 0, at: 1970-01-01T00:00:00.000Z }");
+      strictEqual(lines[20], 'Type "it" for more');
+
+      const shown = await run([file, "-e", "show collections"]);
+      strictEqual(shown.stdout, "items\n");
+    });
+
+    it("should read cursors one page at a time", () => {
+      const store = sqliteDocstore.init();
+      store.createCollection("items");
+      store.insertMany(
+        "items",
+        [...Array(45).keys()].map((n) => ({ n }))
+      );
+      // Counts the documents the shell reads from its cursors
+      let read = 0;
+      const find = store.find;
+      store.find = function (...args) {
+        const cursor = find.apply(this, args);
+        const iterate = Object.getPrototypeOf(cursor)[Symbol.iterator];
+        cursor[Symbol.iterator] = function* () {
+          for (const document of iterate.call(this)) {
+            read++;
+            yield document;
+          }
+        };
+        return cursor;
+      };
+      const context = vm.createContext({ db: shellDatabase(store) });
+      strictEqual(
+        evaluateShell("typeof db.items.listCollections", context),
+        "undefined"
+      );
+
+      const first = evaluateShell("db.items.find().sort({ n: 1 })", context);
+      strictEqual(first.documents.length, 20);
+      strictEqual(first.more, 'Type "it" for more');
+      strictEqual(read, 21);
+      strictEqual(evaluateShell("it", context).documents[0].n, 20);
+      strictEqual(read, 41);
+      strictEqual(evaluateShell("it", context).documents.length, 5);
+      strictEqual(evaluateShell("it", context).text, "no cursor");
+
+      // Another command closes the pending cursor, so it can write
+      evaluateShell("db.items.find()", context);
+      evaluateShell("db.items.insertOne({ n: 45 })", context);
+      strictEqual(evaluateShell("it", context).text, "no cursor");
+      store.close();
+    });
+
+    it("should run one-off commands", async () => {
+      await run([
+        file,
+        "-e",
+        `db.createCollection("items"); db.items.insertMany([{ _id: 1, n: 1 }, { _id: 2, n: 2 }])`,
+      ]);
+
+      const found = await run([
+        "find",
+        file,
+        "items",
+        "{ n: { $gt: 1 } }",
+        "--projection",
+        '{"n":1}',
+      ]);
+      deepStrictEqual(found, {
+        code: 0,
+        stdout: '{"_id":2,"n":2}\n',
+        stderr: "",
+      });
+      strictEqual((await run(["count", file, "items"])).stdout, "2\n");
+      strictEqual((await run(["collections", file])).stdout, "items\n");
+      strictEqual(
+        (await run(["indexes", file, "items"])).stdout,
+        '{"v":2,"key":{"_id":1},"name":"_id_"}\n'
+      );
+
+      const missing = await run(["count", file, "nothing"]);
+      strictEqual(missing.code, 0);
+      const invalid = await run(["find", file, "items", "{ $bad: 1 }"]);
+      strictEqual(invalid.code, 1);
+      strictEqual(invalid.stderr.startsWith("BadValue: "), true);
+      strictEqual((await run(["find", file])).code, 2);
+
+      // Read-only commands neither create a missing file nor write to one
+      const typo = join(directory, "typo.db");
+      deepStrictEqual(await run(["count", typo, "users"]), {
+        code: 1,
+        stdout: "",
+        stderr: `count: ${typo} does not exist\n`,
+      });
+      strictEqual(existsSync(typo), false);
+      const plain = join(directory, "plain.db");
+      const sqlite = new Database(plain);
+      sqlite.exec("CREATE TABLE notes (text TEXT)");
+      sqlite.close();
+      const untouched = await run(["collections", plain]);
+      strictEqual(untouched.code, 1);
+      strictEqual(untouched.stderr.startsWith("IllegalOperation: "), true);
+      const reopened = new Database(plain);
+      deepStrictEqual(
+        reopened
+          .prepare("SELECT name FROM sqlite_master WHERE type = 'table'")
+          .all(),
+        [{ name: "notes" }]
+      );
+      reopened.close();
+    });
+
+    it("should export and import through files and stdin", async () => {
+      await run([
+        file,
+        "-e",
+        `db.createCollection("items"); db.items.insertOne({ _id: 1, n: 1 })`,
+      ]);
+      const out = join(directory, "items.json");
+
+      strictEqual((await run(["export", file, "items", "--out", out])).code, 0);
+      deepStrictEqual(await run(["import", file, "copy", "--in", out]), {
+        code: 0,
+        stdout: "copy: 1 inserted, 0 replaced, 0 failed\n",
+        stderr: "",
+      });
+
+      const piped = await run(
+        ["import", file, "copy"],
+        ['{"_id":1}\n{"_id":2}\n']
+      );
+      strictEqual(piped.code, 1);
+      strictEqual(piped.stdout, "copy: 0 inserted, 0 replaced, 1 failed\n");
+      strictEqual(piped.stderr.startsWith("line 1: DuplicateKeyError: "), true);
+      strictEqual(
+        (
+          await run([
+            "export",
+            file,
+            "copy",
+            "--format",
+            "csv",
+            "--fields",
+            "_id",
+          ])
+        ).stdout,
+        "_id\n1\n"
+      );
+
+      // The installed command reads the process's standard input
+      const bin = fileURLToPath(
+        new URL("../bin/sqlite-docstore.js", import.meta.url)
+      );
+      const child = spawnSync(process.execPath, [bin, "import", file, "copy"], {
+        input: '{"_id":3}\n',
+        encoding: "utf8",
+        timeout: 30000,
+      });
+      strictEqual(child.stdout, "copy: 1 inserted, 0 replaced, 0 failed\n");
+      strictEqual(child.status, 0);
+    });
+  });
+
+  describe("Wire Protocol", () => {
+    let store;
+    let server;
+    let socket;
+    let requestId = 0;
+
+    // Sends a message and resolves with the body of the reply
+    const request = (opCode, payload) =>
+      new Promise((resolve, reject) => {
+        const header = Buffer.alloc(16);
+        header.writeInt32LE(16 + payload.length, 0);
+        header.writeInt32LE(++requestId, 4);
+        header.writeInt32LE(opCode, 12);
+        let received = Buffer.alloc(0);
+        const onData = (chunk) => {
+          received = Buffer.concat([received, chunk]);
+          if (
+            received.length < 4 ||
+            received.length < received.readInt32LE(0)
+          ) {
+            return;
+          }
+          socket.off("data", onData);
+          socket.off("error", reject);
+          strictEqual(received.readInt32LE(8), requestId);
+          // OP_REPLY bodies follow 20 bytes of cursor fields, OP_MSG bodies a flag word and a section kind
+          resolve(decodeBson(received, opCode === 2004 ? 36 : 21));
+        };
+        socket.on("data", onData);
+        socket.once("error", reject);
+        socket.write(Buffer.concat([header, payload]));
+      });
+    const command = (body) =>
+      request(
+        2013,
+        Buffer.concat([Buffer.alloc(5), encodeBson({ ...body, $db: "app" })])
+      );
+
+    beforeEach(async () => {
+      store = sqliteDocstore.init(null, { ttlMonitorInterval: false });
+      server = createWireServer(store, { logger: false });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      socket = createConnection(server.address().port, "127.0.0.1");
+      await new Promise((resolve) => socket.once("connect", resolve));
+    });
+
+    afterEach(async () => {
+      socket.destroy();
+      await new Promise((resolve) => server.close(resolve));
+      store.db.close();
+    });
+
+    it("should round-trip BSON values", () => {
+      const document = {
+        int: 42,
+        double: 1.5,
+        long: 2n ** 60n,
+        safeLong: 2 ** 40,
+        text: "héllo",
+        at: new Date("2024-01-31T12:00:00Z"),
+        id: new ObjectId("65b9a0c0e4b0a1b2c3d4e5f6"),
+        bytes: Buffer.from([1, 2, 3]),
+        pattern: /^a.c$/i,
+        nested: { list: [1, "two", null, { three: true }] },
+        none: null,
+      };
+      deepStrictEqual(decodeBson(encodeBson(document)), document);
+
+      // A Decimal128 field (type 0x13) has no JavaScript counterpart
+      const decimal = Buffer.alloc(24);
+      decimal.writeInt32LE(24, 0);
+      decimal[4] = 0x13;
+      decimal.write("d\0", 5);
+      throws(() => decodeBson(decimal), BadValue);
+    });
+
+    it("should reject malformed BSON lengths without hanging", async () => {
+      const started = Date.now();
+      for (const hex of [
+        // An embedded document whose length points backwards
+        "0c00000003610 0fdffffff00",
+        // An embedded document running past its parent
+        "0d0000000361006400000000 00",
+        // Strings with a negative length, an overlong one, and no null byte
+        "0d0000000261 00f6ffffff6200",
+        "0d00000002610064000000 6200",
+        "0e000000026100020000006262 00",
+        // A key without its null byte, and a document not ending with one
+        "0800000008616100",
+        "0800000010610001",
+      ]) {
+        throws(
+          () => decodeBson(Buffer.from(hex.replace(/ /g, ""), "hex")),
+          BadValue
+        );
+      }
+      strictEqual(Date.now() - started < 1000, true);
+
+      // The server answers with an error and keeps serving the connection
+      const malformed = await request(
+        2013,
+        Buffer.concat([
+          Buffer.alloc(5),
+          Buffer.from("0c0000000361 00fdffffff00".replace(/ /g, ""), "hex"),
+        ])
+      );
+      strictEqual(malformed.ok, 0);
+      strictEqual(malformed.codeName, "BadValue");
+      strictEqual((await command({ ping: 1 })).ok, 1);
+    });
+
+    it("should answer the handshake and page through find cursors", async () => {
+      const query = Buffer.concat([
+        Buffer.alloc(4),
+        Buffer.from("admin.$cmd\0"),
+        Buffer.alloc(8),
+        encodeBson({ isMaster: 1, helloOk: true }),
+      ]);
+      const hello = await request(2004, query);
+      strictEqual(hello.ok, 1);
+      strictEqual(hello.isWritablePrimary, true);
+      strictEqual(hello.maxWireVersion, 17);
+
+      const inserted = await command({
+        insert: "items",
+        documents: [...Array(5).keys()].map((n) => ({ _id: `i${n}`, n })),
+      });
+      deepStrictEqual(inserted, { n: 5, ok: 1 });
+
+      const found = await command({
+        find: "items",
+        filter: { n: { $gte: 1 } },
+        sort: { n: 1 },
+        projection: { _id: 0 },
+        batchSize: 2,
+      });
+      deepStrictEqual(found.cursor.firstBatch, [{ n: 1 }, { n: 2 }]);
+      strictEqual(found.cursor.ns, "app.items");
+      const more = await command({
+        getMore: found.cursor.id,
+        collection: "items",
+        batchSize: 1,
+      });
+      deepStrictEqual(more.cursor.nextBatch, [{ n: 3 }]);
+      strictEqual(more.cursor.id, found.cursor.id);
+      const killed = await command({
+        killCursors: "items",
+        cursors: [found.cursor.id],
+      });
+      strictEqual(killed.cursorsKilled.length, 1);
+      const gone = await command({
+        getMore: found.cursor.id,
+        collection: "items",
+      });
+      strictEqual(gone.ok, 0);
+      strictEqual(gone.codeName, "CursorNotFound");
+
+      const missing = await command({ find: "nothing" });
+      deepStrictEqual(missing.cursor.firstBatch, []);
+      strictEqual(missing.cursor.id, 0);
+    });
+
+    it("should read cursor batches as they are fetched", async () => {
+      await command({
+        insert: "items",
+        documents: [...Array(7).keys()].map((n) => ({ _id: `i${n}`, n })),
+      });
+
+      const found = await command({
+        find: "items",
+        sort: { n: 1 },
+        skip: 1,
+        limit: 5,
+        batchSize: 2,
+      });
+      deepStrictEqual(
+        found.cursor.firstBatch.map(({ n }) => n),
+        [1, 2]
+      );
+      // No statement is left open between batches, so writes go through; the
+      // cursor keeps to the documents that matched when it opened
+      const inserted = await command({
+        insert: "items",
+        documents: [{ _id: "late", n: 3.5 }],
+      });
+      strictEqual(inserted.ok, 1);
+      const more = await command({
+        getMore: found.cursor.id,
+        collection: "items",
+        batchSize: 2,
+      });
+      deepStrictEqual(
+        more.cursor.nextBatch.map(({ n }) => n),
+        [3, 4]
+      );
+      const last = await command({
+        getMore: found.cursor.id,
+        collection: "items",
+      });
+      deepStrictEqual(
+        last.cursor.nextBatch.map(({ n }) => n),
+        [5]
+      );
+      strictEqual(last.cursor.id, 0);
+
+      const aggregated = await command({
+        aggregate: "items",
+        pipeline: [{ $match: { n: { $gte: 2 } } }, { $sort: { n: -1 } }],
+        cursor: { batchSize: 0 },
+      });
+      deepStrictEqual(aggregated.cursor.firstBatch, []);
+      const rest = await command({
+        getMore: aggregated.cursor.id,
+        collection: "items",
+        batchSize: 4,
+      });
+      deepStrictEqual(
+        rest.cursor.nextBatch.map(({ n }) => n),
+        [6, 5, 4, 3.5]
+      );
+      const end = await command({
+        getMore: aggregated.cursor.id,
+        collection: "items",
+      });
+      deepStrictEqual(
+        end.cursor.nextBatch.map(({ n }) => n),
+        [3, 2]
+      );
+      strictEqual(end.cursor.id, 0);
+    });
+
+    it("should not skip documents updated or deleted while iterating", async () => {
+      await command({
+        insert: "tasks",
+        documents: [...Array(10).keys()].map((n) => ({
+          _id: `t${n}`,
+          n,
+          done: false,
+        })),
+      });
+
+      const processed = [];
+      let reply = await command({
+        find: "tasks",
+        filter: { done: false },
+        batchSize: 3,
+      });
+      let batch = reply.cursor.firstBatch;
+      for (;;) {
+        for (const task of batch) {
+          processed.push(task.n);
+          await command({
+            update: "tasks",
+            updates: [{ q: { _id: task._id }, u: { $set: { done: true } } }],
+          });
+        }
+        if (reply.cursor.id === 0) break;
+        // Documents later in the cursor can go away meanwhile
+        if (processed.length === 3) {
+          await command({
+            delete: "tasks",
+            deletes: [{ q: { _id: "t5" }, limit: 1 }],
+          });
+        }
+        reply = await command({
+          getMore: reply.cursor.id,
+          collection: "tasks",
+          batchSize: 3,
+        });
+        batch = reply.cursor.nextBatch;
+      }
+      deepStrictEqual(processed, [0, 1, 2, 3, 4, 6, 7, 8, 9]);
+    });
+
+    it("should map write and read commands onto the docstore", async () => {
+      await command({
+        insert: "items",
+        documents: [
+          { _id: "a", n: 1, tag: "x" },
+          { _id: "b", n: 2, tag: "y" },
+        ],
+      });
+
+      const updated = await command({
+        update: "items",
+        updates: [
+          { q: { _id: "a" }, u: { $inc: { n: 10 } } },
+          { q: { _id: "c" }, u: { n: 3 }, upsert: true },
+          { q: {}, u: { $set: { seen: true } }, multi: true },
+        ],
+      });
+      deepStrictEqual(updated, {
+        n: 5,
+        nModified: 4,
+        upserted: [{ index: 1, _id: "c" }],
+        ok: 1,
+      });
+
+      const duplicate = await command({
+        insert: "items",
+        documents: [{ _id: "a" }, { _id: "d" }],
+        ordered: false,
+      });
+      strictEqual(duplicate.n, 1);
+      deepStrictEqual(
+        duplicate.writeErrors.map(({ index, code }) => [index, code]),
+        [[0, 11000]]
+      );
+
+      deepStrictEqual(
+        await command({
+          delete: "items",
+          deletes: [{ q: { _id: "d" }, limit: 1 }],
+        }),
+        { n: 1, ok: 1 }
+      );
+      deepStrictEqual(
+        await command({ count: "items", query: { seen: true } }),
+        {
+          n: 3,
+          ok: 1,
+        }
+      );
+      deepStrictEqual(
+        (
+          await command({
+            distinct: "items",
+            key: "tag",
+            query: { n: { $lt: 3 } },
+          })
+        ).values,
+        ["y"]
+      );
+      const grouped = await command({
+        aggregate: "items",
+        pipeline: [{ $group: { _id: null, total: { $sum: "$n" } } }],
+        cursor: {},
+      });
+      deepStrictEqual(grouped.cursor.firstBatch, [{ _id: null, total: 16 }]);
+
+      const indexed = await command({
+        createIndexes: "people",
+        indexes: [{ key: { name: 1 }, name: "name_1", unique: true, v: 2 }],
+      });
+      strictEqual(indexed.createdCollectionAutomatically, true);
+      strictEqual(indexed.numIndexesAfter, 2);
+      const listed = await command({
+        listCollections: 1,
+        filter: { name: "people" },
+        nameOnly: true,
+      });
+      deepStrictEqual(listed.cursor.firstBatch, [
+        { name: "people", type: "collection" },
+      ]);
+
+      const unknown = await command({ fsync: 1 });
+      deepStrictEqual(unknown, {
+        ok: 0,
+        errmsg: "no such command: 'fsync'",
+        code: 59,
+        codeName: "CommandNotFound",
+      });
+      const invalid = await command({ find: "items", filter: { $bad: 1 } });
+      strictEqual(invalid.code, 2);
+    });
+  });
+
+  describe("HTTP Data API", () => {
+    let store;
+    let server;
+    let base;
+
+    // Sends a request with an API key and resolves with the status and parsed body
+    const call = async (method, path, body, key = "admin-key") => {
+      const response = await fetch(`${base}${path}`, {
+        method,
+        headers: key ? { apiKey: key } : {},
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+      store = sqliteDocstore.init(null, { ttlMonitorInterval: false });
+      store.createCollection("users");
+      store.createCollection("secrets");
+      server = createHttpServer(store, {
+        apiKeys: {
+          "admin-key": { read: "*", write: "*" },
+          "reader-key": { read: ["users"] },
+        },
+        logger: false,
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+      store.db.close();
+    });
+
+    it("should run Data API actions", async () => {
+      deepStrictEqual(
+        await call("POST", "/action/insertOne", {
+          collection: "users",
+          document: {
+            _id: "ann",
+            age: 41,
+            born: { $date: "1983-01-01T00:00:00Z" },
+          },
+        }),
+        { status: 200, body: { insertedId: "ann" } }
+      );
+      const many = await call("POST", "/action/insertMany", {
+        collection: "users",
+        documents: [{ _id: "bob", age: 29 }, { age: 35 }],
+      });
+      strictEqual(many.body.insertedIds.length, 2);
+      strictEqual(many.body.insertedIds[0], "bob");
+      strictEqual(store.findById("users", "ann").born instanceof Date, true);
+
+      deepStrictEqual(
+        (
+          await call("POST", "/action/find", {
+            collection: "users",
+            filter: { age: { $gt: 30 } },
+            projection: { _id: 0, age: 1 },
+            sort: { age: -1 },
+          })
+        ).body,
+        { documents: [{ age: 41 }, { age: 35 }] }
+      );
+      deepStrictEqual(
+        (
+          await call("POST", "/action/findOne", {
+            collection: "users",
+            filter: { _id: "ann" },
+          })
+        ).body.document.born,
+        { $date: "1983-01-01T00:00:00.000Z" }
+      );
+      deepStrictEqual(
+        (
+          await call("POST", "/action/updateOne", {
+            collection: "users",
+            filter: { _id: "carl" },
+            update: { $set: { age: 50 } },
+            upsert: true,
+          })
+        ).body,
+        { matchedCount: 0, modifiedCount: 0, upsertedId: "carl" }
+      );
+      deepStrictEqual(
+        (
+          await call("POST", "/action/deleteOne", {
+            collection: "users",
+            filter: { _id: "bob" },
+          })
+        ).body,
+        { deletedCount: 1 }
+      );
+      deepStrictEqual(
+        (
+          await call("POST", "/action/aggregate", {
+            collection: "users",
+            pipeline: [{ $group: { _id: null, total: { $sum: "$age" } } }],
+          })
+        ).body,
+        { documents: [{ _id: null, total: 126 }] }
+      );
+    });
+
+    it("should serve collections as resources", async () => {
+      strictEqual(
+        (await call("POST", "/collections/users", { _id: "ann", age: 41 }))
+          .status,
+        201
+      );
+      deepStrictEqual(await call("GET", "/collections/users/ann"), {
+        status: 200,
+        body: { _id: "ann", age: 41 },
+      });
+      strictEqual((await call("GET", "/collections/users/nobody")).status, 404);
+
+      deepStrictEqual(
+        await call("PATCH", "/collections/users/ann", { $inc: { age: 1 } }),
+        { status: 200, body: { matchedCount: 1, modifiedCount: 1 } }
+      );
+      strictEqual(
+        (await call("PUT", "/collections/users/bob", { age: 29 })).status,
+        201
+      );
+      const listed = await call(
+        "GET",
+        `/collections/users?filter=${encodeURIComponent(
+          '{"age":{"$lt":40}}'
+        )}&sort=${encodeURIComponent('{"age":1}')}&limit=1`
+      );
+      deepStrictEqual(listed.body, { documents: [{ _id: "bob", age: 29 }] });
+      deepStrictEqual(await call("DELETE", "/collections/users/bob"), {
+        status: 200,
+        body: { deletedCount: 1 },
+      });
+    });
+
+    it("should read ids of resource routes as Extended JSON", async () => {
+      const oid = new ObjectId();
+      const path = (id) => `/collections/users/${encodeURIComponent(id)}`;
+      await call("POST", "/collections/users", { _id: 7, age: 30 });
+      await call("POST", "/collections/users", { _id: "7", age: 31 });
+      await call("POST", "/collections/users", {
+        _id: { $oid: oid.toHexString() },
+        age: 32,
+      });
+
+      deepStrictEqual((await call("GET", path("7"))).body, { _id: 7, age: 30 });
+      deepStrictEqual((await call("GET", path('"7"'))).body, {
+        _id: "7",
+        age: 31,
+      });
+      strictEqual(
+        (await call("PATCH", path(`{"$oid":"${oid}"}`), { $inc: { age: 1 } }))
+          .body.modifiedCount,
+        1
+      );
+      strictEqual(
+        (await call("PUT", path("7"), { _id: 7, age: 40 })).status,
+        200
+      );
+      strictEqual(
+        (await call("PUT", path("7"), { _id: "7", age: 40 })).body.code,
+        66
+      );
+      deepStrictEqual((await call("DELETE", path("7"))).body, {
+        deletedCount: 1,
+      });
+      deepStrictEqual(
+        store
+          .find("users", {}, { sort: { age: 1 } })
+          .toArray()
+          .map((user) => user.age),
+        [31, 33]
+      );
+
+      for (const query of ["limit=-1", "skip=1.5", "limit=ten"]) {
+        const listed = await call("GET", `/collections/users?${query}`);
+        strictEqual(listed.status, 400);
+        strictEqual(listed.body.error_code, "BadValue");
+      }
+    });
+
+    it("should check API keys and report docstore errors", async () => {
+      const anonymous = await call(
+        "GET",
+        "/collections/users",
+        undefined,
+        null
+      );
+      deepStrictEqual(anonymous.status, 401);
+      strictEqual(anonymous.body.error_code, "AuthenticationFailed");
+      strictEqual(
+        (await call("GET", "/collections/users", undefined, "wrong")).status,
+        401
+      );
+
+      strictEqual(
+        (await call("GET", "/collections/users", undefined, "reader-key"))
+          .status,
+        200
+      );
+      const denied = await call(
+        "POST",
+        "/collections/users",
+        { a: 1 },
+        "reader-key"
+      );
+      deepStrictEqual(denied.status, 403);
+      strictEqual(denied.body.code, 13);
+      const joined = await call(
+        "POST",
+        "/action/aggregate",
+        {
+          collection: "users",
+          pipeline: [
+            {
+              $lookup: {
+                from: "secrets",
+                localField: "a",
+                foreignField: "b",
+                as: "c",
+              },
+            },
+          ],
+        },
+        "reader-key"
+      );
+      strictEqual(joined.status, 403);
+
+      await call("POST", "/collections/users", { _id: "ann" });
+      deepStrictEqual(
+        await call("POST", "/collections/users", { _id: "ann" }),
+        {
+          status: 409,
+          body: {
+            error:
+              'E11000 duplicate key error collection: users dup key: {"_id":"ann"}',
+            error_code: "DuplicateKey",
+            code: 11000,
+          },
+        }
+      );
+      const invalid = await call("POST", "/action/find", {
+        collection: "users",
+        filter: { $bad: 1 },
+      });
+      deepStrictEqual([invalid.status, invalid.body.code], [400, 2]);
+      strictEqual(
+        (await call("POST", "/action/drop", { collection: "users" })).status,
+        404
+      );
+      strictEqual(
+        (await call("POST", "/collections/missing", {})).body.code,
+        26
+      );
+    });
+  });
+
   describe("Collection Operations", () => {
     it("should rename a collection and verify changes", () => {
       db.createCollection("old");
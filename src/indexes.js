@@ -0,0 +1,681 @@
+/**
+ * Secondary indexes.
+ *
+ * An index is a SQLite expression index over `json_extract(document, path)` for
+ * each key field, so a filter or sort on the same paths can use it. What was
+ * asked for (key, name and options) is kept in the collection catalog, which is
+ * how `listIndexes`, `explain` and duplicate key errors get MongoDB's names back
+ * from SQLite's. The SQLite index is named `<collection>.<index name>`.
+ *
+ * - `sparse` leaves out documents that have none of the key fields.
+ * - `partialFilterExpression` becomes the `WHERE` clause of the index.
+ * - `expireAfterSeconds` makes a TTL index: documents whose date field is older
+ *   than that are deleted by a background monitor (see `startTtlMonitor`).
+ *
+ * Text indexes (`{ title: "text" }`) are FTS5 tables instead; see text.js.
+ * Geospatial indexes (`{ location: "2dsphere" }`) are R*Trees; see geo.js.
+ */
+
+import {
+  BadValue,
+  IllegalOperation,
+  IndexNotFound,
+  IndexOptionsConflict,
+  NamespaceNotFound,
+  isMissingTable,
+} from "./errors.js";
+import {
+  collectionExists,
+  listCollectionOptions,
+  readCollectionOptions,
+  writeCollectionOptions,
+} from "./catalog.js";
+import { deserialize, serialize } from "./codec.js";
+import { generatedColumns } from "./columns.js";
+import { compileFilter } from "./filter.js";
+import { deleteStatement } from "./history.js";
+import {
+  createGeoIndexSql,
+  dropGeoIndexSql,
+  geoIndexOptions,
+  geoTableName,
+  isGeoIndex,
+  isGeoKey,
+} from "./geo.js";
+import { collectionIdentifier, quoteIdentifier, sqlPath } from "./paths.js";
+import {
+  checkTextSupport,
+  createTextIndexSql,
+  dropTextIndexSql,
+  isTextKey,
+  textIndexOptions,
+  textTableName,
+} from "./text.js";
+
+const ID_INDEX = { v: 2, key: { _id: 1 }, name: "_id_" };
+
+// Operators MongoDB allows in a partialFilterExpression
+const PARTIAL_OPERATORS = [
+  "$eq",
+  "$exists",
+  "$gt",
+  "$gte",
+  "$lt",
+  "$lte",
+  "$type",
+  "$in",
+  "$and",
+  "$or",
+];
+
+/**
+ * Creates an index, or does nothing if the same index already exists.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {object|string} keys - Key pattern such as `{ a: 1, b: -1 }`, or a single field name.
+ * @param {{ name?: string, unique?: boolean, sparse?: boolean, partialFilterExpression?: object, expireAfterSeconds?: number, weights?: object, default_language?: string }} [options] - Index options.
+ * @returns {string} - The index name.
+ */
+export function createIndex(db, collectionName, keys, options = {}) {
+  const table = collectionIdentifier(collectionName);
+  const key = indexKey(keys);
+  const name = options.name ?? defaultIndexName(key);
+  if (typeof name !== "string" || name.length === 0) {
+    throw new BadValue("Index name must be a nonempty string");
+  }
+
+  const settings = readCollectionOptions(db, collectionName);
+  const indexes = settings.indexes || [];
+  if (isTextKey(key)) {
+    return createTextIndex(db, table, collectionName, settings, {
+      name,
+      key,
+      ...textIndexOptions(key, options),
+    });
+  }
+  if (isGeoKey(key)) {
+    return createGeoIndex(db, table, collectionName, settings, {
+      name,
+      key,
+      ...geoIndexOptions(key, options),
+    });
+  }
+
+  const entry = { name, key };
+  if (options.unique) entry.unique = true;
+  if (options.sparse) entry.sparse = true;
+  if (options.partialFilterExpression !== undefined) {
+    checkPartialFilter(options.partialFilterExpression);
+    entry.partialFilterExpression = options.partialFilterExpression;
+  }
+  if (options.expireAfterSeconds !== undefined) {
+    const fields = Object.keys(key);
+    if (
+      !Number.isInteger(options.expireAfterSeconds) ||
+      options.expireAfterSeconds < 0
+    ) {
+      throw new BadValue("expireAfterSeconds must be a nonnegative integer");
+    }
+    if (fields.length !== 1 || fields[0] === "_id") {
+      throw new BadValue("A TTL index needs a single field other than _id");
+    }
+    entry.expireAfterSeconds = options.expireAfterSeconds;
+  }
+
+  if (name === ID_INDEX.name || sameIndex(entry, ID_INDEX)) {
+    if (sameIndex(entry, ID_INDEX)) return ID_INDEX.name;
+    throw new IndexOptionsConflict("The _id_ index cannot be redefined");
+  }
+
+  const existing = indexes.find(
+    (index) =>
+      index.name === name ||
+      (JSON.stringify(index.key) === JSON.stringify(key) &&
+        serialize(index.partialFilterExpression) ===
+          serialize(entry.partialFilterExpression))
+  );
+  if (existing) {
+    if (sameIndex(existing, entry)) return name;
+    throw new IndexOptionsConflict(
+      existing.name === name
+        ? `Index "${name}" already exists with a different key or options`
+        : `Index "${existing.name}" already exists with the same key`
+    );
+  }
+
+  const created = { ...entry, sqliteName: `${collectionName}.${name}` };
+  db.transaction(() => {
+    db.exec(indexSql(table, created, generatedColumns(settings)));
+    writeCollectionOptions(db, collectionName, {
+      ...settings,
+      indexes: [...indexes, created],
+    });
+  })();
+  return name;
+}
+
+// A collection has at most one text index, so its tables are named after the collection
+function createTextIndex(db, table, collectionName, settings, entry) {
+  const indexes = settings.indexes || [];
+  const existing = indexes.find((index) => index.weights);
+  if (existing) {
+    if (
+      JSON.stringify([
+        existing.name,
+        existing.weights,
+        existing.default_language,
+      ]) === JSON.stringify([entry.name, entry.weights, entry.default_language])
+    ) {
+      return entry.name;
+    }
+    throw new IndexOptionsConflict(
+      `Collection "${collectionName}" already has a text index, "${existing.name}"`
+    );
+  }
+  if (indexes.some((index) => index.name === entry.name)) {
+    throw new IndexOptionsConflict(
+      `Index "${entry.name}" already exists with a different key or options`
+    );
+  }
+
+  checkTextSupport(db);
+  const created = { ...entry, sqliteName: textTableName(collectionName) };
+  db.transaction(() => {
+    db.exec(indexSql(table, created));
+    writeCollectionOptions(db, collectionName, {
+      ...settings,
+      indexes: [...indexes, created],
+    });
+  })();
+  return entry.name;
+}
+
+// A geospatial index keeps its bounding boxes in an R*Tree named after the index
+function createGeoIndex(db, table, collectionName, settings, entry) {
+  const indexes = settings.indexes || [];
+  const existing = indexes.find(
+    (index) =>
+      index.name === entry.name ||
+      JSON.stringify(index.key) === JSON.stringify(entry.key)
+  );
+  if (existing) {
+    if (
+      existing.name === entry.name &&
+      JSON.stringify(existing.key) === JSON.stringify(entry.key)
+    ) {
+      return entry.name;
+    }
+    throw new IndexOptionsConflict(
+      existing.name === entry.name
+        ? `Index "${entry.name}" already exists with a different key or options`
+        : `Index "${existing.name}" already exists with the same key`
+    );
+  }
+
+  const created = {
+    ...entry,
+    sqliteName: geoTableName(collectionName, entry.name),
+  };
+  db.transaction(() => {
+    db.exec(indexSql(table, created));
+    writeCollectionOptions(db, collectionName, {
+      ...settings,
+      indexes: [...indexes, created],
+    });
+  })();
+  return entry.name;
+}
+
+/**
+ * Lists the indexes of a collection, starting with the implicit `_id_` index.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @returns {object[]} - Index descriptions like `{ v: 2, key: { email: 1 }, name: "email_1", unique: true }`.
+ */
+export function listIndexes(db, collectionName) {
+  assertCollection(db, collectionName);
+  return [
+    ID_INDEX,
+    ...indexEntries(db, collectionName).map(
+      ({ sqliteName, name, key, ...options }) => ({
+        v: 2,
+        key,
+        name,
+        ...options,
+      })
+    ),
+  ];
+}
+
+/**
+ * Drops indexes by name or key pattern. `"*"` drops every index but `_id_`.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {(string|object)[]|"*"} indexes - Names or key patterns of the indexes to drop.
+ */
+export function dropIndexes(db, collectionName, indexes) {
+  assertCollection(db, collectionName);
+  const settings = readCollectionOptions(db, collectionName);
+  const entries = settings.indexes || [];
+
+  const dropped =
+    indexes === "*"
+      ? entries
+      : indexes.map((index) => {
+          const match =
+            typeof index === "string"
+              ? (entry) => entry.name === index
+              : (entry) =>
+                  JSON.stringify(entry.key) === JSON.stringify(indexKey(index));
+          if (match(ID_INDEX)) {
+            throw new IllegalOperation("The _id_ index cannot be dropped");
+          }
+          const entry = entries.find(match);
+          if (!entry) {
+            throw new IndexNotFound(
+              `Index ${JSON.stringify(
+                index
+              )} does not exist on "${collectionName}"`
+            );
+          }
+          return entry;
+        });
+
+  db.transaction(() => {
+    for (const entry of dropped) db.exec(dropIndexSql(entry));
+    writeCollectionOptions(db, collectionName, {
+      ...settings,
+      indexes: entries.filter((entry) => !dropped.includes(entry)),
+    });
+  })();
+}
+
+/**
+ * Rebuilds the indexes on some fields around a change of the collection table,
+ * such as generated columns coming or going: SQLite cannot drop a column an
+ * index uses, and a query only uses an index built on the expression it
+ * compares. Runs after the new settings were written to the catalog.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection.
+ * @param {string[]} fields - The field paths whose indexes are rebuilt.
+ * @param {() => void} alter - Changes the table while those indexes are gone.
+ */
+export function rebuildIndexes(db, collectionName, fields, alter) {
+  const settings = readCollectionOptions(db, collectionName);
+  const entries = (settings.indexes || []).filter(
+    (entry) =>
+      !entry.weights &&
+      !isGeoIndex(entry) &&
+      Object.keys(entry.key).some((field) => fields.includes(field))
+  );
+  for (const entry of entries) db.exec(dropIndexSql(entry));
+  alter();
+  const table = collectionIdentifier(collectionName);
+  for (const entry of entries) {
+    db.exec(indexSql(table, entry, generatedColumns(settings)));
+  }
+}
+
+/**
+ * Renames the SQLite indexes of a renamed collection so they keep following
+ * the `<collection>.<index name>` scheme. Runs after the table was renamed,
+ * inside the same transaction.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} newName - The new collection name.
+ */
+export function renameIndexes(db, newName) {
+  const settings = readCollectionOptions(db, newName);
+  if (!settings.indexes?.length) return;
+
+  const table = collectionIdentifier(newName);
+  const columns = generatedColumns(settings);
+  const indexes = settings.indexes.map((entry) => {
+    db.exec(dropIndexSql(entry));
+    const renamed = {
+      ...entry,
+      sqliteName: entry.weights
+        ? textTableName(newName)
+        : isGeoIndex(entry)
+        ? geoTableName(newName, entry.name)
+        : `${newName}.${entry.name}`,
+    };
+    db.exec(indexSql(table, renamed, columns));
+    return renamed;
+  });
+  writeCollectionOptions(db, newName, { ...settings, indexes });
+}
+
+/**
+ * Drops what dropping the collection table leaves behind: the tables of its
+ * text and geospatial indexes. Runs inside the transaction dropping the collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection being dropped.
+ */
+export function dropCollectionIndexes(db, collectionName) {
+  for (const entry of indexEntries(db, collectionName)) {
+    if (entry.weights || isGeoIndex(entry)) db.exec(dropIndexSql(entry));
+  }
+}
+
+/**
+ * Describes how SQLite runs a query, with index names mapped back to the
+ * names given to `createIndex`.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection queried.
+ * @param {string} sql - The compiled query.
+ * @param {any[]} params - Its bound parameters.
+ * @returns {{ queryPlanner: { namespace: string, indexesUsed: string[], winningPlan: object }, sql: string, queryPlan: { id: number, parent: number, detail: string }[] }} - The plan.
+ */
+export function explainQuery(db, collectionName, sql, params) {
+  const namespace = `main.${collectionName}`;
+  let rows;
+  try {
+    rows = db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all(...params);
+  } catch (err) {
+    if (!isMissingTable(err)) throw err;
+    return {
+      queryPlanner: {
+        namespace,
+        indexesUsed: [],
+        winningPlan: { stage: "EOF" },
+      },
+      sql,
+      queryPlan: [],
+    };
+  }
+
+  const entries = listCollectionOptions(db).flatMap(
+    ({ options }) => options.indexes || []
+  );
+  const names = new Map(entries.map((entry) => [entry.sqliteName, entry.name]));
+  const geoTables = new Set(
+    entries.filter(isGeoIndex).map((entry) => entry.sqliteName)
+  );
+  const indexName = (sqliteName) =>
+    names.get(sqliteName) ??
+    (sqliteName.startsWith("sqlite_autoindex__docstore_")
+      ? null
+      : sqliteName.startsWith("sqlite_autoindex_")
+      ? ID_INDEX.name
+      : sqliteName);
+
+  const accesses = [];
+  let sorted = false;
+  for (const row of rows) {
+    const access =
+      /^(?:SCAN|SEARCH) (.+?)(?: (VIRTUAL TABLE) INDEX .*| USING (?:COVERING )?INDEX (.+?)(?: \((.*)\))?| USING .*)?$/.exec(
+        row.detail
+      );
+    if (access) {
+      const [, table, virtual, index, bounds] = access;
+      accesses.push({
+        table,
+        index: virtual
+          ? names.get(table) ?? null
+          : index === undefined
+          ? null
+          : indexName(index),
+        virtual: Boolean(virtual),
+        bounds,
+      });
+    }
+    if (/^USE TEMP B-TREE FOR (?:RIGHT PART OF )?ORDER BY/.test(row.detail)) {
+      sorted = true;
+    }
+  }
+
+  const indexesUsed = [
+    ...new Set(accesses.map((access) => access.index).filter(Boolean)),
+  ];
+  const scan =
+    accesses.find((access) => access.table === collectionName) ??
+    accesses.find((access) => !access.virtual);
+  const virtual = accesses.find((access) => access.virtual && access.index);
+  const geo = virtual && geoTables.has(virtual.table) ? virtual : undefined;
+  const text = virtual && !geo ? virtual : undefined;
+
+  let winningPlan =
+    scan && scan.index !== null
+      ? {
+          stage: "FETCH",
+          inputStage: {
+            stage: "IXSCAN",
+            indexName: scan.index,
+            ...(scan.bounds && { indexBounds: scan.bounds }),
+          },
+        }
+      : { stage: "COLLSCAN" };
+  if (geo) {
+    // The R*Tree supplies the candidates, which are then read by `_id`
+    winningPlan = /\bgeo_distance\(/.test(sql)
+      ? { stage: "GEO_NEAR_2DSPHERE", indexName: geo.index }
+      : {
+          stage: "FETCH",
+          inputStage: { stage: "IXSCAN", indexName: geo.index },
+        };
+  }
+  if (text) {
+    winningPlan = {
+      stage: "TEXT_MATCH",
+      indexName: text.index,
+      inputStage: winningPlan,
+    };
+  }
+  if (sorted) winningPlan = { stage: "SORT", inputStage: winningPlan };
+
+  return {
+    queryPlanner: { namespace, indexesUsed, winningPlan },
+    sql,
+    queryPlan: rows.map(({ id, parent, detail }) => ({ id, parent, detail })),
+  };
+}
+
+/**
+ * Deletes the documents that TTL indexes say have expired, or tombstones them
+ * in soft-delete collections, recording the deletions in the oplog and the
+ * history of collections that keep one.
+ *
+ * @param {{ db: object, oplog: object|null, history?: object }} context - The connection, its oplog and history recorder.
+ * @param {number} [now=Date.now()] - The current time, in milliseconds.
+ * @returns {number} - Number of documents deleted.
+ */
+export function expireDocuments(context, now = Date.now()) {
+  const { db, oplog, history } = context;
+  let deletedCount = 0;
+
+  for (const { name, options } of listCollectionOptions(db)) {
+    for (const entry of options.indexes || []) {
+      if (entry.expireAfterSeconds === undefined) continue;
+      // Compiled like a `find` filter, so it compares the indexed expression
+      // and only matches dates
+      const { sql, params } = compileFilter(
+        {
+          [Object.keys(entry.key)[0]]: {
+            $lt: new Date(now - entry.expireAfterSeconds * 1000),
+          },
+        },
+        { collectionName: name, db }
+      );
+      // Soft-delete collections tombstone expired documents, like deleteMany
+      const remove = deleteStatement(db, name, sql);
+      deletedCount += db
+        .transaction(() => {
+          const rows = remove.all(...params);
+          const changes = rows.map((row) => ({
+            op: "delete",
+            id: row.id === null ? row._id : deserialize(row.id),
+            before: { _id: row._id, ...deserialize(row.document) },
+          }));
+          oplog?.record(name, changes);
+          history?.record(name, changes);
+          return rows.length;
+        })
+        .immediate();
+    }
+  }
+  return deletedCount;
+}
+
+/**
+ * Runs `expireDocuments` every `interval` milliseconds, like MongoDB's TTL
+ * monitor. The timer does not keep the process alive, and stops by itself
+ * once the connection is closed.
+ *
+ * @param {{ db: object, oplog: object|null, logger: object }} context - The connection, its oplog and logger.
+ * @param {number|false} interval - Milliseconds between passes; `false` or `0` disables the monitor.
+ * @returns {() => void} - Stops the monitor.
+ */
+export function startTtlMonitor(context, interval) {
+  if (!interval) return () => {};
+  const timer = setInterval(() => {
+    if (context.db.open === false) {
+      clearInterval(timer);
+      return;
+    }
+    try {
+      const deletedCount = expireDocuments(context);
+      if (deletedCount > 0) {
+        context.logger.debug(`TTL monitor deleted ${deletedCount} documents`);
+      }
+    } catch (err) {
+      context.logger.error("TTL monitor failed:", err);
+    }
+  }, interval);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
+
+// The catalog entries of a collection's indexes
+function indexEntries(db, collectionName) {
+  return readCollectionOptions(db, collectionName).indexes || [];
+}
+
+function assertCollection(db, collectionName) {
+  collectionIdentifier(collectionName);
+  if (!collectionExists(db, collectionName)) {
+    throw new NamespaceNotFound(collectionName);
+  }
+}
+
+// Normalizes a key pattern; a bare field name means `{ [field]: 1 }`
+function indexKey(keys) {
+  const key = typeof keys === "string" ? { [keys]: 1 } : keys;
+  if (typeof key !== "object" || key === null || Array.isArray(key)) {
+    throw new BadValue("Index key must be an object such as { field: 1 }");
+  }
+  const entries = Object.entries(key);
+  if (entries.length === 0) {
+    throw new BadValue("Index key must name at least one field");
+  }
+  for (const [field, direction] of entries) {
+    sqlPath(field);
+    if (![1, -1, "text", "2dsphere"].includes(direction)) {
+      throw new BadValue(
+        `Unsupported index direction for "${field}": ${JSON.stringify(
+          direction
+        )}`
+      );
+    }
+  }
+  return key;
+}
+
+function defaultIndexName(key) {
+  return Object.entries(key)
+    .map(([field, direction]) => `${field}_${direction}`)
+    .join("_");
+}
+
+function sameIndex(a, b) {
+  const options = (index) =>
+    serialize([
+      index.key,
+      Boolean(index.unique),
+      Boolean(index.sparse),
+      index.partialFilterExpression,
+      index.expireAfterSeconds,
+    ]);
+  return options(a) === options(b);
+}
+
+function checkPartialFilter(filter) {
+  if (typeof filter !== "object" || filter === null || Array.isArray(filter)) {
+    throw new BadValue("partialFilterExpression must be an object");
+  }
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith("$") && !PARTIAL_OPERATORS.includes(key)) {
+      throw new BadValue(
+        `${key} is not supported in a partialFilterExpression`
+      );
+    }
+    if (value instanceof RegExp) {
+      throw new BadValue(
+        "Regular expressions are not supported in a partialFilterExpression"
+      );
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item) => {
+        if (key !== "$in") checkPartialFilter(item);
+      });
+    } else if (typeof value === "object" && value !== null) {
+      checkPartialFilter(value);
+    }
+  }
+}
+
+function dropIndexSql(entry) {
+  if (isGeoIndex(entry)) return dropGeoIndexSql(entry);
+  return entry.weights
+    ? dropTextIndexSql(entry)
+    : `DROP INDEX IF EXISTS ${quoteIdentifier(entry.sqliteName)}`;
+}
+
+// The CREATE INDEX statement of a catalog entry. Fields with a generated
+// column are indexed through it, which is what queries on them compare.
+function indexSql(table, entry, generated = new Map()) {
+  if (entry.weights) return createTextIndexSql(table, entry);
+  if (isGeoIndex(entry)) return createGeoIndexSql(table, entry);
+  const fields = Object.keys(entry.key);
+  const columns = Object.entries(entry.key).map(
+    ([field, direction]) =>
+      `${
+        field === "_id"
+          ? "_id"
+          : generated.get(field) ?? `json_extract(document, ${sqlPath(field)})`
+      }${direction === -1 ? " DESC" : ""}`
+  );
+
+  const conditions = [];
+  if (entry.sparse) {
+    conditions.push(
+      fields
+        .map((field) => `json_type(document, ${sqlPath(field)}) IS NOT NULL`)
+        .join(" OR ")
+    );
+  }
+  if (entry.partialFilterExpression) {
+    conditions.push(
+      compileFilter(entry.partialFilterExpression, {
+        inline: true,
+        columns: generated,
+      }).sql
+    );
+  }
+
+  return `CREATE ${entry.unique ? "UNIQUE " : ""}INDEX ${quoteIdentifier(
+    entry.sqliteName
+  )} ON ${table} (${columns.join(", ")})${
+    conditions.length > 0
+      ? ` WHERE ${conditions
+          .map((condition) => `(${condition})`)
+          .join(" AND ")}`
+      : ""
+  }`;
+}
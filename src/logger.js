@@ -0,0 +1,34 @@
+/**
+ * Library logging.
+ *
+ * The docstore never writes to the console directly. Everything goes through the
+ * logger given to `init`, which may be any object with some of the methods
+ * `debug`, `info`, `warn` and `error` (pino, winston and `console` all fit).
+ * Missing methods are ignored. Pass `logger: false` to silence the library.
+ */
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+// Warnings and errors go to the console unless another logger is configured
+const DEFAULT_LOGGER = {
+  warn: (...args) => console.warn(...args),
+  error: (...args) => console.error(...args),
+};
+
+/**
+ * Normalizes the `logger` option into an object with all four levels.
+ *
+ * @param {object|false|null} [logger] - The configured logger; `undefined` for the default, `false` or `null` for none.
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }} - The logger.
+ */
+export function createLogger(logger = DEFAULT_LOGGER) {
+  const target = logger || {};
+  return Object.fromEntries(
+    LEVELS.map((level) => [
+      level,
+      typeof target[level] === "function"
+        ? (...args) => target[level](...args)
+        : () => {},
+    ])
+  );
+}
@@ -0,0 +1,115 @@
+/**
+ * Operation log.
+ *
+ * Every write made through the docstore appends one entry per changed document
+ * to an internal table, in the same transaction as the write itself. Change
+ * streams read this table, which is why they see writes made by other processes
+ * and can resume after a restart. Old entries are pruned on every write,
+ * according to the retention given to `init`.
+ */
+
+import { isPlainObject, serialize } from "./codec.js";
+
+export const OPLOG_TABLE = "_docstore_oplog";
+
+const DEFAULT_RETENTION = { maxAge: 24 * 60 * 60 * 1000, maxEntries: null };
+
+/**
+ * Creates the oplog table if it does not exist yet.
+ *
+ * @param {object} db - The SQLite connection.
+ */
+export function ensureOplog(db) {
+  db.exec(
+    `CREATE TABLE IF NOT EXISTS ${OPLOG_TABLE} (
+       seq INTEGER PRIMARY KEY AUTOINCREMENT,
+       ts INTEGER NOT NULL,
+       ns TEXT NOT NULL,
+       op TEXT NOT NULL,
+       document_key TEXT NOT NULL,
+       full_document JSON,
+       update_description JSON
+    );
+    CREATE INDEX IF NOT EXISTS ${OPLOG_TABLE}_ts ON ${OPLOG_TABLE} (ts)`
+  );
+}
+
+/**
+ * Creates the recorder used by the write methods, on an oplog table that
+ * `ensureOplog` has created.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {{ maxAge?: number | null, maxEntries?: number | null } | false} [options] - Retention (milliseconds and/or number of entries), or `false` to record nothing.
+ * @returns {{ record: (collectionName: string, changes: OplogChange[]) => void } | null} - The recorder, or `null` when disabled.
+ *
+ * @typedef {Object} OplogChange
+ * @property {"insert" | "update" | "replace" | "delete"} op - The kind of change.
+ * @property {any} id - `_id` of the changed document, stored as Extended JSON.
+ * @property {object} [before] - The document before an update.
+ * @property {object} [after] - The document after an insert, update or replacement.
+ */
+export function createOplog(db, options = {}) {
+  if (options === false) return null;
+  const { maxAge, maxEntries } = { ...DEFAULT_RETENTION, ...options };
+
+  const insert = db.prepare(
+    `INSERT INTO ${OPLOG_TABLE} (ts, ns, op, document_key, full_document, update_description)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  const pruneByAge = db.prepare(`DELETE FROM ${OPLOG_TABLE} WHERE ts < ?`);
+  const pruneByCount = db.prepare(`DELETE FROM ${OPLOG_TABLE} WHERE seq <= ?`);
+
+  return {
+    record: function (collectionName, changes) {
+      if (changes.length === 0) return;
+      const ts = Date.now();
+      let seq;
+      for (const { op, id, before, after } of changes) {
+        seq = insert.run(
+          ts,
+          collectionName,
+          op,
+          serialize(id),
+          after === undefined ? null : serialize(after),
+          op === "update" ? serialize(describeUpdate(before, after)) : null
+        ).lastInsertRowid;
+      }
+
+      if (maxAge != null) pruneByAge.run(ts - maxAge);
+      if (maxEntries != null) pruneByCount.run(Number(seq) - maxEntries);
+    },
+  };
+}
+
+/**
+ * Describes how a document changed, like the `updateDescription` of a MongoDB change event.
+ * Nested objects are compared field by field; arrays and other values are reported whole.
+ *
+ * @param {object} before - The document before the update.
+ * @param {object} after - The document after the update.
+ * @returns {{ updatedFields: object, removedFields: string[], truncatedArrays: object[] }} - The differences.
+ */
+export function describeUpdate(before, after) {
+  const description = {
+    updatedFields: {},
+    removedFields: [],
+    truncatedArrays: [],
+  };
+
+  const compare = (a, b, prefix) => {
+    for (const key of Object.keys(a)) {
+      if (!(key in b)) description.removedFields.push(prefix + key);
+    }
+    for (const [key, value] of Object.entries(b)) {
+      const path = prefix + key;
+      if (isPlainObject(a[key]) && isPlainObject(value)) {
+        compare(a[key], value, `${path}.`);
+      } else if (serialize(a[key]) !== serialize(value)) {
+        description.updatedFields[path] = value;
+      }
+    }
+  };
+
+  compare(before, after, "");
+  return description;
+}
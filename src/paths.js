@@ -0,0 +1,142 @@
+/**
+ * Identifiers and field paths.
+ *
+ * Nothing the caller passes in is pasted into SQL as is. Collection and index
+ * names become quoted SQL identifiers, and MongoDB-style dotted paths become
+ * JSON paths inside quoted SQL string literals:
+ *
+ * - `address.city`    → `'$.address.city'`
+ * - `items.0.sku`     → `'$.items[0].sku'` (numeric segments index arrays)
+ * - `odd key.$price`  → `'$."odd key"."$price"'`
+ *
+ * Keys that are not plain identifiers are double-quoted with JSON escaping, so
+ * spaces, quotes, backslashes, `$` and brackets in keys are all safe. A numeric
+ * segment always means an array index, so an object key made only of digits
+ * cannot be reached through a path; `checkFieldNames` refuses such keys on
+ * insert.
+ */
+
+import { isPlainObject } from "./codec.js";
+import { BadValue, InvalidNamespace } from "./errors.js";
+
+const RESERVED_PREFIXES = ["sqlite_", "_docstore_"];
+
+/**
+ * Quotes a value as a SQL string literal.
+ *
+ * @param {string} value - The raw string.
+ * @returns {string} - The quoted literal.
+ */
+export function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Quotes a SQL identifier such as a table or index name.
+ *
+ * @param {string} name - The raw name.
+ * @returns {string} - The quoted identifier, e.g. `"my-collection"`.
+ */
+export function quoteIdentifier(name) {
+  if (typeof name !== "string" || name.length === 0) {
+    throw new InvalidNamespace("A name must be a nonempty string");
+  }
+  if (name.includes("\0")) {
+    throw new InvalidNamespace("A name cannot contain a null character");
+  }
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Checks a collection name and quotes it as a SQL identifier.
+ *
+ * @param {string} collectionName - The collection name.
+ * @returns {string} - The quoted table name.
+ */
+export function collectionIdentifier(collectionName) {
+  const quoted = quoteIdentifier(collectionName);
+  const prefix = RESERVED_PREFIXES.find((reserved) =>
+    collectionName.toLowerCase().startsWith(reserved)
+  );
+  if (prefix) {
+    throw new InvalidNamespace(
+      `Collection names cannot start with "${prefix}": ${collectionName}`
+    );
+  }
+  return quoted;
+}
+
+/**
+ * Splits a dotted field path into its segments.
+ *
+ * @param {string} field - Dotted path, e.g. `items.0.sku`.
+ * @returns {string[]} - The segments.
+ */
+export function splitPath(field) {
+  if (typeof field !== "string" || field.length === 0) {
+    throw new BadValue("A field path must be a nonempty string");
+  }
+  const segments = field.split(".");
+  if (segments.some((segment) => segment.length === 0)) {
+    throw new BadValue(`Field path "${field}" has an empty segment`);
+  }
+  return segments;
+}
+
+/**
+ * Rejects object keys made only of digits, anywhere in a document, since a
+ * path would read them as array indexes.
+ *
+ * @param {object} document - The document to check.
+ * @param {string} [prefix] - Path of `document` inside the inserted document.
+ * @throws {BadValue} - If a key is made only of digits.
+ */
+export function checkFieldNames(document, prefix = "") {
+  for (const [key, value] of Object.entries(document)) {
+    if (/^\d+$/.test(key)) {
+      throw new BadValue(
+        `Field name "${prefix}${key}" is made only of digits, which paths read as an array index`
+      );
+    }
+    if (isPlainObject(value)) checkFieldNames(value, `${prefix}${key}.`);
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => {
+        if (isPlainObject(item)) {
+          checkFieldNames(item, `${prefix}${key}.${index}.`);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Converts a dotted field path into a SQLite JSON path.
+ *
+ * @param {string} field - Dotted path, e.g. `items.0.sku`.
+ * @param {string} [root="$"] - Prefix of the path; `""` builds a suffix to append to another path.
+ * @returns {string} - The JSON path, e.g. `$.items[0].sku`.
+ */
+export function jsonPath(field, root = "$") {
+  return (
+    root +
+    splitPath(field)
+      .map((segment) =>
+        /^\d+$/.test(segment)
+          ? `[${segment}]`
+          : /^[A-Za-z_][A-Za-z0-9_]*$/.test(segment)
+          ? `.${segment}`
+          : `.${JSON.stringify(segment)}`
+      )
+      .join("")
+  );
+}
+
+/**
+ * Builds the SQL string literal of the JSON path of a dotted field name.
+ *
+ * @param {string} field - Dotted field name, e.g. `address.city`.
+ * @returns {string} - A SQL string literal such as `'$.address.city'`.
+ */
+export function sqlPath(field) {
+  return sqlString(jsonPath(field));
+}
@@ -0,0 +1,702 @@
+/**
+ * MongoDB wire protocol server.
+ *
+ * `createWireServer` returns a TCP server speaking the protocol of MongoDB 6.0:
+ * OP_MSG messages with BSON bodies, plus the legacy OP_QUERY the drivers send
+ * for their first handshake. The official `mongodb` driver, and the tools built
+ * on it, can then use a docstore file:
+ *
+ *   createWireServer(sqliteDocstore.init("data.db")).listen(27017);
+ *   const client = await MongoClient.connect("mongodb://localhost:27017");
+ *
+ * Each command is mapped onto the docstore method doing the same work. The file
+ * is a single database, so every database name reaches the same collections.
+ * As in MongoDB, inserts, upserts and `createIndexes` create missing collections
+ * and reads of missing collections find nothing. Commands that are not
+ * implemented get a `CommandNotFound` error reply. Sessions are accepted, but
+ * transactions are not.
+ *
+ * Cursors do not keep an SQLite statement open, which would keep the
+ * connection busy between `getMore`s. A `find` cursor keeps the `_id`s that
+ * matched when it opened, and each batch reads those documents as they are
+ * then, leaving out the ones deleted or no longer matching. An `aggregate`
+ * cursor reruns its pipeline from the position it has reached. Cursors are
+ * dropped once read to the end, killed, or left idle for ten minutes.
+ */
+
+import net from "node:net";
+import { decodeBson, encodeBson } from "./bson.js";
+import { collectionExists } from "./catalog.js";
+import {
+  BadValue,
+  CommandNotFound,
+  CursorNotFound,
+  DocstoreError,
+  IllegalOperation,
+  NamespaceExists,
+} from "./errors.js";
+import { createLogger } from "./logger.js";
+import { isOperatorUpdate } from "./update.js";
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+const CHECKSUM_PRESENT = 1;
+const MORE_TO_COME = 2;
+
+const WIRE_VERSION = 17; // MongoDB 6.0
+const MAX_BSON_SIZE = 16 * 1024 * 1024;
+const MAX_MESSAGE_SIZE = 48000000;
+const MAX_WRITE_BATCH_SIZE = 100000;
+const DEFAULT_BATCH_SIZE = 101;
+// MongoDB fills a `getMore` without a batch size up to 16MB; a count keeps it
+// bounded here
+const GET_MORE_BATCH_SIZE = 1000;
+const CURSOR_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Creates a server answering MongoDB clients from a docstore.
+ *
+ * @param {object} store - The docstore interface returned by `init`.
+ * @param {{ logger?: object | false }} [options] - Where connection and protocol messages are logged, as for `init`.
+ * @returns {net.Server} - The server; call `listen(port, host)` to start it.
+ */
+export function createWireServer(store, options = {}) {
+  const state = {
+    store,
+    logger: createLogger(options.logger),
+    cursors: new Map(),
+    nextCursorId: 1,
+    nextRequestId: 1,
+    connections: 0,
+  };
+
+  return net.createServer((socket) => {
+    const connection = { id: ++state.connections };
+    state.logger.debug(
+      `Wire connection ${connection.id} from ${socket.remoteAddress}`
+    );
+    let pending = Buffer.alloc(0);
+
+    socket.on("data", (chunk) => {
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      try {
+        while (pending.length >= 4) {
+          const length = pending.readInt32LE(0);
+          if (length < 16 || length > MAX_MESSAGE_SIZE) {
+            throw new BadValue(`Invalid message length ${length}`);
+          }
+          if (pending.length < length) break;
+          const reply = handleMessage(
+            state,
+            pending.subarray(0, length),
+            connection
+          );
+          pending = pending.subarray(length);
+          if (reply) socket.write(reply);
+        }
+      } catch (err) {
+        state.logger.warn(
+          `Closing wire connection ${connection.id}: ${err.message}`
+        );
+        socket.destroy();
+      }
+    });
+    socket.on("error", (err) =>
+      state.logger.debug(`Wire connection ${connection.id}: ${err.message}`)
+    );
+  });
+}
+
+// Answers one message; `null` when the client expects no reply
+function handleMessage(state, message, connection) {
+  const requestId = message.readInt32LE(4);
+  const opCode = message.readInt32LE(12);
+
+  if (opCode === OP_MSG) {
+    const flags = message.readUInt32LE(16);
+    let reply;
+    try {
+      reply = runCommand(state, readMessage(message, flags), connection);
+    } catch (err) {
+      reply = errorReply(state, err);
+    }
+    if (flags & MORE_TO_COME) return null;
+    return frame(state, requestId, OP_MSG, Buffer.alloc(5), reply);
+  }
+
+  if (opCode === OP_QUERY) {
+    // OP_REPLY: flags, cursor id, starting from, number returned
+    const prefix = Buffer.alloc(20);
+    prefix.writeInt32LE(1, 16);
+    let reply;
+    try {
+      reply = runCommand(state, readQuery(message), connection);
+    } catch (err) {
+      reply = errorReply(state, err);
+    }
+    return frame(state, requestId, OP_REPLY, prefix, reply);
+  }
+
+  throw new BadValue(`Unsupported opcode ${opCode}`);
+}
+
+// Reads the body of an OP_MSG, with its document sequences as arrays
+function readMessage(message, flags) {
+  const end = message.length - (flags & CHECKSUM_PRESENT ? 4 : 0);
+  let body;
+  const sequences = {};
+  let position = 20;
+  while (position < end) {
+    const kind = message[position++];
+    if (kind === 0) {
+      body = decodeBson(message, position, end);
+      position += message.readInt32LE(position);
+    } else if (kind === 1) {
+      // The section size comes from the client, like the BSON lengths
+      const size = position + 4 <= end ? message.readInt32LE(position) : 0;
+      const sectionEnd = position + size;
+      const identifierEnd = message.indexOf(0, position + 4);
+      if (
+        size < 5 ||
+        sectionEnd > end ||
+        identifierEnd === -1 ||
+        identifierEnd >= sectionEnd
+      ) {
+        throw new BadValue("OP_MSG document sequence is out of bounds");
+      }
+      const documents = [];
+      for (let offset = identifierEnd + 1; offset < sectionEnd; ) {
+        documents.push(decodeBson(message, offset, sectionEnd));
+        offset += message.readInt32LE(offset);
+      }
+      sequences[message.toString("utf8", position + 4, identifierEnd)] =
+        documents;
+      position = sectionEnd;
+    } else {
+      throw new BadValue(`Unknown OP_MSG section kind ${kind}`);
+    }
+  }
+  if (!body) throw new BadValue("OP_MSG has no body");
+  return { ...body, ...sequences };
+}
+
+// Reads a command sent as OP_QUERY on `<database>.$cmd`
+function readQuery(message) {
+  const namespaceEnd = message.indexOf(0, 20);
+  const namespace = message.toString("utf8", 20, namespaceEnd);
+  if (!namespace.endsWith(".$cmd")) {
+    throw new CommandNotFound("OP_QUERY is only supported for commands");
+  }
+  const query = decodeBson(message, namespaceEnd + 9);
+  return {
+    ...(query.$query ?? query),
+    $db: namespace.slice(0, -".$cmd".length),
+  };
+}
+
+function frame(state, responseTo, opCode, prefix, document) {
+  let body;
+  try {
+    body = encodeBson(document);
+  } catch (err) {
+    body = encodeBson(errorReply(state, err));
+  }
+  const header = Buffer.alloc(16);
+  header.writeInt32LE(16 + prefix.length + body.length, 0);
+  header.writeInt32LE(state.nextRequestId++, 4);
+  header.writeInt32LE(responseTo, 8);
+  header.writeInt32LE(opCode, 12);
+  return Buffer.concat([header, prefix, body]);
+}
+
+function runCommand(state, command, connection) {
+  const name = Object.keys(command)[0];
+  if (!Object.hasOwn(COMMANDS, name)) {
+    throw new CommandNotFound(`no such command: '${name}'`);
+  }
+  if (command.startTransaction || command.autocommit !== undefined) {
+    throw new IllegalOperation(
+      "Transactions are not supported by the wire protocol server"
+    );
+  }
+  return { ...COMMANDS[name](state, command, connection), ok: 1 };
+}
+
+function errorReply(state, err) {
+  if (!(err instanceof DocstoreError)) {
+    state.logger.error("Wire protocol command failed", err);
+  }
+  return {
+    ok: 0,
+    errmsg: err.message,
+    code: err instanceof DocstoreError ? err.code : 1,
+    codeName: err instanceof DocstoreError ? err.codeName : "InternalError",
+  };
+}
+
+const COMMANDS = {
+  hello: handshake,
+  isMaster: handshake,
+  ismaster: handshake,
+  ping: () => ({}),
+  buildInfo,
+  buildinfo: buildInfo,
+  endSessions: () => ({}),
+
+  find(state, command) {
+    const name = collectionName(command, "find");
+    const limit = command.limit ?? 0;
+    const filter = command.filter ?? {};
+    const sort = nonEmpty(command.sort);
+    // The ids matching when the cursor opens, so writes made while a client
+    // iterates cannot shift the batches
+    const ids = [];
+    for (const { _id } of state.store.find(name, filter, {
+      sort,
+      skip: command.skip,
+      limit: Math.abs(limit),
+      projection: { _id: 1 },
+    })) {
+      ids.push(_id);
+    }
+    // Each batch reads its documents as they are now, if they still match
+    const read = (position, count) =>
+      state.store
+        .find(
+          name,
+          {
+            $and: [
+              filter,
+              { _id: { $in: ids.slice(position, position + count) } },
+            ],
+          },
+          { sort, projection: nonEmpty(command.projection) }
+        )
+        .toArray();
+    return openCursor(state, command, name, read, {
+      batchSize: command.batchSize,
+      length: ids.length,
+      singleBatch: command.singleBatch || limit < 0,
+    });
+  },
+
+  getMore(state, command) {
+    const id = Number(command.getMore);
+    const cursor = state.cursors.get(id);
+    if (!cursor || cursor.collection !== command.collection) {
+      throw new CursorNotFound(`cursor id ${id} not found`);
+    }
+    const nextBatch = readBatch(
+      cursor,
+      command.batchSize || GET_MORE_BATCH_SIZE
+    );
+    cursor.touched = Date.now();
+    if (cursor.exhausted) state.cursors.delete(id);
+    return {
+      cursor: {
+        nextBatch,
+        id: BigInt(state.cursors.has(id) ? id : 0),
+        ns: cursor.ns,
+      },
+    };
+  },
+
+  killCursors(state, command) {
+    const cursorsKilled = [];
+    const cursorsNotFound = [];
+    for (const id of command.cursors ?? []) {
+      (state.cursors.delete(Number(id)) ? cursorsKilled : cursorsNotFound).push(
+        BigInt(id)
+      );
+    }
+    return {
+      cursorsKilled,
+      cursorsNotFound,
+      cursorsAlive: [],
+      cursorsUnknown: [],
+    };
+  },
+
+  insert(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "insert");
+    ensureCollection(store, name);
+    return writeBatch(store, command.documents, command.ordered, {
+      initial: { n: 0 },
+      write: (document, index, reply) => {
+        store.insertOne(name, document, {
+          bypassDocumentValidation: command.bypassDocumentValidation,
+        });
+        reply.n++;
+      },
+    });
+  },
+
+  update(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "update");
+    return writeBatch(store, command.updates, command.ordered, {
+      initial: { n: 0, nModified: 0 },
+      write: ({ q = {}, u, upsert, multi, ...rest }, index, reply) => {
+        unsupported(rest, ["arrayFilters", "collation"]);
+        if (Array.isArray(u)) {
+          throw new BadValue("Pipeline-style updates are not supported");
+        }
+        if (upsert) ensureCollection(store, name);
+        else if (!collectionExists(store.db, name)) return;
+
+        const options = {
+          upsert,
+          bypassDocumentValidation: command.bypassDocumentValidation,
+        };
+        let result;
+        if (!isOperatorUpdate(u)) {
+          if (multi) {
+            throw new BadValue("multi: true needs an update with operators");
+          }
+          result = store.replaceOne(name, q, u, options);
+        } else {
+          result = multi
+            ? store.updateMany(name, q, u, options)
+            : store.updateOne(name, q, u, options);
+        }
+        reply.n += result.matchedCount + result.upsertedCount;
+        reply.nModified += result.modifiedCount;
+        if (result.upsertedCount > 0) {
+          (reply.upserted ??= []).push({ index, _id: result.upsertedId });
+        }
+      },
+    });
+  },
+
+  delete(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "delete");
+    return writeBatch(store, command.deletes, command.ordered, {
+      initial: { n: 0 },
+      write: ({ q = {}, limit, ...rest }, index, reply) => {
+        unsupported(rest, ["collation"]);
+        if (!collectionExists(store.db, name)) return;
+        const result =
+          limit === 1 ? store.deleteOne(name, q) : store.deleteMany(name, q);
+        reply.n += result.deletedCount;
+      },
+    });
+  },
+
+  findAndModify(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "findAndModify");
+    unsupported(command, ["fields", "arrayFilters", "collation"]);
+    const { query = {}, update, upsert } = command;
+    const sort = nonEmpty(command.sort);
+
+    if (command.remove) {
+      if (update !== undefined || upsert) {
+        throw new BadValue("remove cannot be combined with update or upsert");
+      }
+      const value = collectionExists(store.db, name)
+        ? store.findOneAndDelete(name, query, { sort })
+        : null;
+      return { lastErrorObject: { n: value ? 1 : 0 }, value };
+    }
+
+    if (update === undefined) {
+      throw new BadValue("findAndModify needs either remove or update");
+    }
+    if (Array.isArray(update)) {
+      throw new BadValue("Pipeline-style updates are not supported");
+    }
+    if (upsert) ensureCollection(store, name);
+    else if (!collectionExists(store.db, name)) {
+      return { lastErrorObject: { n: 0, updatedExisting: false }, value: null };
+    }
+    const options = {
+      upsert,
+      sort,
+      returnDocument: command.new ? "after" : "before",
+      bypassDocumentValidation: command.bypassDocumentValidation,
+    };
+    // The match is looked up first to tell an update from an upsert
+    return store.db.transaction(() => {
+      const existing = store.findOne(name, query, { sort });
+      const value = isOperatorUpdate(update)
+        ? store.findOneAndUpdate(name, query, update, options)
+        : store.findOneAndReplace(name, query, update, options);
+      return {
+        lastErrorObject: {
+          n: existing || upsert ? 1 : 0,
+          updatedExisting: Boolean(existing),
+          ...(!existing && upsert && value && { upserted: value._id }),
+        },
+        value,
+      };
+    })();
+  },
+
+  aggregate(state, command) {
+    const name = command.aggregate;
+    if (typeof name !== "string") {
+      throw new BadValue(
+        "aggregate needs a collection name; database aggregations are not supported"
+      );
+    }
+    if (!Array.isArray(command.pipeline)) {
+      throw new BadValue("aggregate needs a pipeline array");
+    }
+    unsupported(command, ["explain", "collation"]);
+    const read = (position, count) =>
+      state.store.aggregate(name, [
+        ...command.pipeline,
+        ...(position > 0 ? [{ $skip: position }] : []),
+        { $limit: count },
+      ]);
+    return openCursor(state, command, name, read, {
+      batchSize: command.cursor?.batchSize,
+    });
+  },
+
+  count(state, command) {
+    const name = collectionName(command, "count");
+    const count = state.store.countDocuments(name, command.query ?? {});
+    const skipped = Math.max(0, count - (command.skip ?? 0));
+    return {
+      n: command.limit ? Math.min(skipped, Math.abs(command.limit)) : skipped,
+    };
+  },
+
+  distinct(state, command) {
+    const name = collectionName(command, "distinct");
+    if (typeof command.key !== "string") {
+      throw new BadValue("distinct needs a key string");
+    }
+    return {
+      values: state.store.distinct(name, command.key, command.query ?? {}),
+    };
+  },
+
+  create(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "create");
+    unsupported(command, [
+      "capped",
+      "timeseries",
+      "clusteredIndex",
+      "viewOn",
+      "collation",
+    ]);
+    if (collectionExists(store.db, name)) throw new NamespaceExists(name);
+    const { validator, validationLevel, validationAction } = command;
+    store.createCollection(name, {
+      validator,
+      validationLevel,
+      validationAction,
+    });
+    return {};
+  },
+
+  drop(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "drop");
+    // MongoDB 7 drops missing collections without complaint, and so do we
+    if (!collectionExists(store.db, name)) return {};
+    const nIndexesWas = store.listIndexes(name).length;
+    store.dropCollection(name);
+    return { ns: namespace(command, name), nIndexesWas };
+  },
+
+  createIndexes(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "createIndexes");
+    const createdCollectionAutomatically = !collectionExists(store.db, name);
+    ensureCollection(store, name);
+    const numIndexesBefore = store.listIndexes(name).length;
+    // `v`, `background` and `ns` are accepted and ignored, as by MongoDB itself
+    for (const { key, v, background, ns, ...options } of command.indexes ??
+      []) {
+      store.createIndex(name, key, options);
+    }
+    return {
+      createdCollectionAutomatically,
+      numIndexesBefore,
+      numIndexesAfter: store.listIndexes(name).length,
+    };
+  },
+
+  listIndexes(state, command) {
+    const name = collectionName(command, "listIndexes");
+    return openCursor(
+      state,
+      command,
+      name,
+      listed(state.store.listIndexes(name)),
+      {
+        batchSize: command.cursor?.batchSize,
+      }
+    );
+  },
+
+  dropIndexes(state, command) {
+    const { store } = state;
+    const name = collectionName(command, "dropIndexes");
+    const nIndexesWas = store.listIndexes(name).length;
+    if (command.index === "*" || Array.isArray(command.index)) {
+      store.dropIndexes(name, command.index);
+    } else {
+      store.dropIndex(name, command.index);
+    }
+    return { nIndexesWas };
+  },
+
+  listCollections(state, command) {
+    return openCursor(
+      state,
+      command,
+      "$cmd.listCollections",
+      listed(
+        state.store.listCollections(command.filter ?? {}, {
+          nameOnly: command.nameOnly,
+        })
+      ),
+      { batchSize: command.cursor?.batchSize }
+    );
+  },
+};
+
+function handshake(state, command, connection) {
+  return {
+    helloOk: true,
+    ismaster: true,
+    isWritablePrimary: true,
+    maxBsonObjectSize: MAX_BSON_SIZE,
+    maxMessageSizeBytes: MAX_MESSAGE_SIZE,
+    maxWriteBatchSize: MAX_WRITE_BATCH_SIZE,
+    localTime: new Date(),
+    logicalSessionTimeoutMinutes: 30,
+    connectionId: connection.id,
+    minWireVersion: 0,
+    maxWireVersion: WIRE_VERSION,
+    readOnly: false,
+  };
+}
+
+function buildInfo() {
+  return {
+    version: "6.0.0",
+    versionArray: [6, 0, 0, 0],
+    bits: 64,
+    maxBsonObjectSize: MAX_BSON_SIZE,
+  };
+}
+
+function collectionName(command, commandName) {
+  const name = command[commandName];
+  if (typeof name !== "string" || name === "") {
+    throw new BadValue(`${commandName} needs a collection name`);
+  }
+  return name;
+}
+
+function namespace(command, name) {
+  return `${command.$db ?? "test"}.${name}`;
+}
+
+function ensureCollection(store, name) {
+  if (!collectionExists(store.db, name)) store.createCollection(name);
+}
+
+function nonEmpty(spec) {
+  return spec && Object.keys(spec).length > 0 ? spec : undefined;
+}
+
+function unsupported(command, options) {
+  for (const option of options) {
+    if (command[option] !== undefined) {
+      throw new BadValue(`${option} is not supported`);
+    }
+  }
+}
+
+// Returns the first batch of `read(position, count)`, which reads the results
+// from `position` to `position + count`, and keeps the cursor for `getMore` if
+// there are more. Without a `length`, the results run until `read` comes back
+// short.
+function openCursor(state, command, name, read, options) {
+  const now = Date.now();
+  for (const [id, cursor] of state.cursors) {
+    if (now - cursor.touched > CURSOR_TIMEOUT) state.cursors.delete(id);
+  }
+
+  const cursor = {
+    collection: name,
+    ns: namespace(command, name),
+    read,
+    position: 0,
+    length: options.length ?? Infinity,
+    exhausted: false,
+    touched: now,
+  };
+  const firstBatch = readBatch(cursor, options.batchSize ?? DEFAULT_BATCH_SIZE);
+  let id = 0;
+  if (!cursor.exhausted && !options.singleBatch) {
+    id = state.nextCursorId++;
+    state.cursors.set(id, cursor);
+  }
+  return {
+    cursor: { firstBatch, id: BigInt(id), ns: namespace(command, name) },
+  };
+}
+
+// Reads the next batch of a cursor; one of unknown length reads a result ahead
+// to know whether it is exhausted
+function readBatch(cursor, batchSize) {
+  const count = Math.min(batchSize, cursor.length - cursor.position);
+  if (cursor.length !== Infinity) {
+    const batch = count > 0 ? cursor.read(cursor.position, count) : [];
+    cursor.position += count;
+    cursor.exhausted = cursor.position >= cursor.length;
+    return batch;
+  }
+  const documents = count > 0 ? cursor.read(cursor.position, count + 1) : [];
+  const batch = documents.slice(0, count);
+  cursor.position += batch.length;
+  // An empty batch asked for (`batchSize: 0`) tells nothing about the rest
+  cursor.exhausted = count > 0 && documents.length <= count;
+  return batch;
+}
+
+// Reads a list already in memory, such as the indexes of a collection
+function listed(documents) {
+  return (position, count) => documents.slice(position, position + count);
+}
+
+// Runs the statements of a write command in one transaction. Failed statements
+// become `writeErrors`; an ordered batch stops at the first one.
+function writeBatch(
+  store,
+  statements = [],
+  ordered = true,
+  { initial, write }
+) {
+  const reply = initial;
+  const writeErrors = [];
+  store.db.transaction(() => {
+    for (const [index, statement] of statements.entries()) {
+      try {
+        write(statement, index, reply);
+      } catch (err) {
+        if (!(err instanceof DocstoreError)) throw err;
+        writeErrors.push({
+          index,
+          code: err.code,
+          errmsg: err.message,
+          ...(err.keyValue && { keyValue: err.keyValue }),
+        });
+        if (ordered) break;
+      }
+    }
+  })();
+  if (writeErrors.length > 0) reply.writeErrors = writeErrors;
+  return reply;
+}
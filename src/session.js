@@ -0,0 +1,138 @@
+/**
+ * Sessions and transactions.
+ *
+ * The docstore talks to SQLite through a single synchronous connection, so every
+ * method called while a transaction is open automatically joins it. The outermost
+ * transaction is a `BEGIN IMMEDIATE` (taking the write lock up front); transactions
+ * started while another one is open map onto SQLite savepoints, so an inner
+ * rollback only undoes the inner work.
+ *
+ * If the callback given to `withTransaction` returns a promise, the transaction
+ * stays open until it settles. Anything else using the same connection in the
+ * meantime joins the transaction, so keep such callbacks short.
+ */
+
+import { IllegalOperation, toDocstoreError } from "./errors.js";
+
+let savepoints = 0;
+
+function exec(db, sql) {
+  try {
+    db.exec(sql);
+  } catch (err) {
+    throw toDocstoreError(err);
+  }
+}
+
+function begin(db) {
+  if (!db.inTransaction) {
+    exec(db, "BEGIN IMMEDIATE");
+    return null;
+  }
+  const savepoint = `docstore_savepoint_${++savepoints}`;
+  exec(db, `SAVEPOINT ${savepoint}`);
+  return savepoint;
+}
+
+function commit(db, savepoint) {
+  exec(db, savepoint ? `RELEASE ${savepoint}` : "COMMIT");
+}
+
+function rollback(db, savepoint) {
+  // SQLite may already have rolled back on its own (e.g. after SQLITE_FULL)
+  if (!db.inTransaction) return;
+  exec(
+    db,
+    savepoint ? `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}` : "ROLLBACK"
+  );
+}
+
+/**
+ * Creates a session bound to a SQLite connection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @returns {DocstoreSession} - The session.
+ *
+ * @typedef {Object} DocstoreSession
+ * @property {boolean} inTransaction - Whether the session has an open transaction.
+ * @property {() => void} startTransaction - Opens a transaction (or a savepoint when one is already open).
+ * @property {() => void} commitTransaction - Commits the open transaction.
+ * @property {() => void} abortTransaction - Rolls back the open transaction.
+ * @property {<T>(fn: (session: DocstoreSession) => T) => T} withTransaction - Runs `fn` in a transaction, committing when it returns and rolling back when it throws.
+ * @property {() => void} endSession - Rolls back any transaction still open.
+ */
+export function createSession(db) {
+  let open = false;
+  let savepoint = null;
+
+  const session = {
+    get inTransaction() {
+      return open;
+    },
+
+    startTransaction: function () {
+      if (open) {
+        throw new IllegalOperation("Transaction already in progress");
+      }
+      savepoint = begin(db);
+      open = true;
+    },
+
+    commitTransaction: function () {
+      if (!open) {
+        throw new IllegalOperation("No transaction started");
+      }
+      open = false;
+      commit(db, savepoint);
+    },
+
+    abortTransaction: function () {
+      if (!open) {
+        throw new IllegalOperation("No transaction started");
+      }
+      open = false;
+      rollback(db, savepoint);
+    },
+
+    withTransaction: function (fn) {
+      session.startTransaction();
+
+      // The callback may already have committed or aborted explicitly
+      const settle = (succeeded) => {
+        if (!open) return;
+        if (succeeded) session.commitTransaction();
+        else session.abortTransaction();
+      };
+
+      let result;
+      try {
+        result = fn(session);
+      } catch (err) {
+        settle(false);
+        throw err;
+      }
+
+      if (result && typeof result.then === "function") {
+        return result.then(
+          (value) => {
+            settle(true);
+            return value;
+          },
+          (err) => {
+            settle(false);
+            throw err;
+          }
+        );
+      }
+
+      settle(true);
+      return result;
+    },
+
+    endSession: function () {
+      if (open) session.abortTransaction();
+    },
+  };
+
+  return session;
+}
@@ -0,0 +1,75 @@
+/**
+ * Prepared statement cache.
+ *
+ * Filters, sorts and projections compile to SQL with bound parameters, so two
+ * calls with queries of the same shape (`{ age: { $gt: 30 } }` and
+ * `{ age: { $gt: 40 } }`) produce the same SQL text. The hot paths of the
+ * docstore look their statements up by that text instead of preparing them
+ * again, which spares SQLite from parsing and planning the query on every call.
+ *
+ * Each connection keeps the `statementCacheSize` (default 256) most recently
+ * used statements. A statement still busy with an unfinished cursor is not
+ * shared: the caller gets a fresh one. SQLite prepares a cached statement again
+ * by itself when the schema changes, e.g. after `createIndex`.
+ */
+
+import { BadValue } from "./errors.js";
+
+export const DEFAULT_STATEMENT_CACHE_SIZE = 256;
+
+// The cache of each connection, by SQL text, least recently used first
+const cachesByDb = new WeakMap();
+
+/**
+ * Sets up the statement cache of a connection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {number} [size=256] - How many statements to keep; `0` turns the cache off.
+ */
+export function configureStatementCache(
+  db,
+  size = DEFAULT_STATEMENT_CACHE_SIZE
+) {
+  if (!Number.isInteger(size) || size < 0) {
+    throw new BadValue("statementCacheSize must be a nonnegative integer");
+  }
+  if (size === 0) cachesByDb.delete(db);
+  else cachesByDb.set(db, { size, statements: new Map() });
+}
+
+/**
+ * Returns the prepared statement of a SQL text, from the cache when the
+ * connection has one.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} sql - The statement.
+ * @returns {object} - The prepared statement.
+ */
+export function prepareCached(db, sql) {
+  const cache = cachesByDb.get(db);
+  if (!cache) return db.prepare(sql);
+
+  const { statements } = cache;
+  let statement = statements.get(sql);
+  if (statement) {
+    // Drivers without `busy` never share a statement
+    if (statement.busy !== false) return db.prepare(sql);
+    statements.delete(sql);
+  } else {
+    statement = db.prepare(sql);
+    if (statements.size >= cache.size) {
+      statements.delete(statements.keys().next().value);
+    }
+  }
+  statements.set(sql, statement);
+  return statement;
+}
+
+/**
+ * Empties the statement cache of a connection, e.g. before closing it.
+ *
+ * @param {object} db - The SQLite connection.
+ */
+export function clearStatementCache(db) {
+  cachesByDb.get(db)?.statements.clear();
+}
@@ -0,0 +1,305 @@
+/**
+ * Text indexes and `$text` search.
+ *
+ * A text index is an FTS5 table, `_docstore_text(<collection>)`, with one
+ * column per indexed field holding every string found under that field (arrays
+ * and embedded documents included). FTS5 needs integer rowids, so a second
+ * table, `_docstore_text(<collection>).ids`, maps them to document `_id`s.
+ * Triggers on the collection table keep both in sync with every write, including
+ * writes made with raw SQL.
+ *
+ * Field weights become the FTS5 `rank` function, so `{ $meta: "textScore" }` is
+ * the weighted BM25 score of the document (higher is better). English stemming
+ * uses the Porter stemmer; `default_language: "none"` turns it off.
+ *
+ * A collection has at most one text index, as in MongoDB. The FTS5 table is
+ * contentless with `contentless_delete`, which needs SQLite 3.43 or later.
+ */
+
+import { TEXT_TABLE_PREFIX } from "./catalog.js";
+import { BadValue, IllegalOperation } from "./errors.js";
+import { quoteIdentifier, sqlPath, sqlString } from "./paths.js";
+
+const TOKENIZERS = {
+  english: "porter unicode61 remove_diacritics 2",
+  none: "unicode61 remove_diacritics 2",
+};
+const LANGUAGES = { english: "english", en: "english", none: "none" };
+const NOT_TAGGED =
+  "key NOT IN ('$date', '$oid', '$numberLong', '$numberDouble')";
+
+/**
+ * Tells whether a key pattern describes a text index.
+ *
+ * @param {object} key - The key pattern, e.g. `{ title: "text" }`.
+ * @returns {boolean} - `true` if any field is `"text"`.
+ */
+export function isTextKey(key) {
+  return Object.values(key).includes("text");
+}
+
+/**
+ * Checks the key and options of a new text index and returns the options to store.
+ *
+ * @param {object} key - The key pattern, every field `"text"`; `"$**"` indexes every string.
+ * @param {object} options - The `createIndex` options.
+ * @returns {{ weights: object, default_language: string }} - The text options.
+ */
+export function textIndexOptions(key, options) {
+  if (!Object.values(key).every((direction) => direction === "text")) {
+    throw new BadValue("Compound text indexes are not supported");
+  }
+  for (const option of [
+    "unique",
+    "sparse",
+    "partialFilterExpression",
+    "expireAfterSeconds",
+  ]) {
+    if (options[option] !== undefined) {
+      throw new BadValue(`${option} is not supported on a text index`);
+    }
+  }
+
+  const weights = {};
+  for (const field of Object.keys(key)) weights[field] = 1;
+  for (const [field, weight] of Object.entries(options.weights || {})) {
+    if (!(field in weights)) {
+      throw new BadValue(`Weight given for "${field}", which is not indexed`);
+    }
+    if (!Number.isInteger(weight) || weight < 1) {
+      throw new BadValue(`Weight of "${field}" must be a positive integer`);
+    }
+    weights[field] = weight;
+  }
+
+  return {
+    weights,
+    default_language: textLanguage(options.default_language ?? "english"),
+  };
+}
+
+/**
+ * Refuses text indexes when the linked SQLite cannot delete rows from a
+ * contentless FTS5 table (`contentless_delete` came in 3.43).
+ *
+ * @param {import("better-sqlite3").Database} db - The database connection.
+ * @throws {IllegalOperation} - If SQLite is older than 3.43.
+ */
+export function checkTextSupport(db) {
+  const version = db.prepare("SELECT sqlite_version()").pluck().get();
+  const [major, minor] = version.split(".").map(Number);
+  if (major < 3 || (major === 3 && minor < 43)) {
+    throw new IllegalOperation(
+      `Text indexes need SQLite 3.43 or later, found ${version}`
+    );
+  }
+}
+
+/**
+ * Builds the statements creating a text index, its triggers and its initial content.
+ *
+ * @param {string} table - The quoted collection table.
+ * @param {{ sqliteName: string, weights: object, default_language: string }} entry - The catalog entry of the index.
+ * @returns {string} - SQL statements for `exec`.
+ */
+export function createTextIndexSql(table, entry) {
+  const names = textNames(entry.sqliteName);
+  const fields = Object.keys(entry.weights);
+  const columns = fields.map((field, index) => `c${index}`);
+  const values = (document) =>
+    fields.map((field) => {
+      // The ISO strings and hex digits of dates and ObjectIds are not words
+      const strings =
+        field === "$**"
+          ? `json_tree(${document}) WHERE type = 'text' AND fullkey != '$._id' AND ${NOT_TAGGED}`
+          : `json_tree(${document}, ${sqlPath(
+              field
+            )}) WHERE type = 'text' AND ${NOT_TAGGED}`;
+      return `(SELECT group_concat(value, ' ') FROM ${strings})`;
+    });
+  const insert = (id, document) =>
+    `INSERT INTO ${names.ids} (_id) VALUES (${id});
+     INSERT INTO ${names.fts} (rowid, ${columns.join(", ")})
+       VALUES ((SELECT rowid FROM ${names.ids} WHERE _id = ${id}), ${values(
+      document
+    ).join(", ")});`;
+  const remove = (id) =>
+    `DELETE FROM ${names.fts} WHERE rowid = (SELECT rowid FROM ${names.ids} WHERE _id = ${id});
+     DELETE FROM ${names.ids} WHERE _id = ${id};`;
+
+  return `
+    CREATE VIRTUAL TABLE ${names.fts} USING fts5(${columns.join(
+    ", "
+  )}, content = '', contentless_delete = 1, tokenize = ${sqlString(
+    TOKENIZERS[entry.default_language]
+  )});
+    INSERT INTO ${names.fts} (${names.fts}, rank)
+      VALUES ('rank', ${sqlString(
+        `bm25(${Object.values(entry.weights).join(", ")})`
+      )});
+    CREATE TABLE ${names.ids} (_id TEXT NOT NULL UNIQUE);
+    INSERT INTO ${names.ids} (_id) SELECT _id FROM ${table};
+    INSERT INTO ${names.fts} (rowid, ${columns.join(", ")})
+      SELECT ids.rowid, ${values("source.document").join(", ")}
+      FROM ${table} AS source JOIN ${names.ids} AS ids ON ids._id = source._id;
+    CREATE TRIGGER ${names.insert} AFTER INSERT ON ${table} BEGIN
+      ${insert("new._id", "new.document")}
+    END;
+    CREATE TRIGGER ${names.update} AFTER UPDATE ON ${table} BEGIN
+      ${remove("old._id")}
+      ${insert("new._id", "new.document")}
+    END;
+    CREATE TRIGGER ${names.delete} AFTER DELETE ON ${table} BEGIN
+      ${remove("old._id")}
+    END;`;
+}
+
+/**
+ * Builds the statements dropping a text index.
+ *
+ * @param {{ sqliteName: string }} entry - The catalog entry of the index.
+ * @returns {string} - SQL statements for `exec`.
+ */
+export function dropTextIndexSql(entry) {
+  const names = textNames(entry.sqliteName);
+  return `
+    DROP TRIGGER IF EXISTS ${names.insert};
+    DROP TRIGGER IF EXISTS ${names.update};
+    DROP TRIGGER IF EXISTS ${names.delete};
+    DROP TABLE IF EXISTS ${names.fts};
+    DROP TABLE IF EXISTS ${names.ids};`;
+}
+
+/**
+ * The name of the FTS5 table of a collection's text index.
+ *
+ * @param {string} collectionName - The collection.
+ * @returns {string} - The unquoted table name.
+ */
+export function textTableName(collectionName) {
+  return `${TEXT_TABLE_PREFIX}${collectionName})`;
+}
+
+/**
+ * Compiles a `$text` operand into a condition on the document `_id`.
+ *
+ * @param {string} collectionName - The collection searched.
+ * @param {{ $search: string, $language?: string, $caseSensitive?: boolean, $diacriticSensitive?: boolean }} operand - The `$text` operand.
+ * @param {string} idColumn - SQL expression of the document `_id`.
+ * @returns {{ sql: string, match: string|null }} - The condition, and the FTS5 query (`null` when nothing can match).
+ */
+export function compileText(collectionName, operand, idColumn) {
+  if (typeof operand?.$search !== "string") {
+    throw new BadValue("$text needs a $search string");
+  }
+  for (const key of Object.keys(operand)) {
+    if (
+      ![
+        "$search",
+        "$language",
+        "$caseSensitive",
+        "$diacriticSensitive",
+      ].includes(key)
+    ) {
+      throw new BadValue(`Unsupported $text option: ${key}`);
+    }
+  }
+  if (operand.$language !== undefined) textLanguage(operand.$language);
+  if (operand.$caseSensitive || operand.$diacriticSensitive) {
+    throw new BadValue("Text search is always case and diacritic insensitive");
+  }
+
+  const match = searchQuery(operand.$search);
+  if (match === null) return { sql: "0", match };
+
+  const names = textNames(textTableName(collectionName));
+  return {
+    sql: `${idColumn} IN (SELECT ids._id FROM ${names.fts} JOIN ${
+      names.ids
+    } AS ids ON ids.rowid = ${names.fts}.rowid WHERE ${
+      names.fts
+    } MATCH ${sqlString(match)})`,
+    match,
+  };
+}
+
+/**
+ * Builds the SQL expression of `{ $meta: "textScore" }` for a compiled filter.
+ *
+ * @param {string} collectionName - The collection searched.
+ * @param {{ text?: { match: string|null } }} filter - The result of `compileFilter`.
+ * @param {string} idExpression - SQL expression of the document `_id`, qualified so it cannot resolve to the index tables.
+ * @returns {string|undefined} - The score (`NULL` for documents that do not match), or `undefined` when the filter has no `$text`.
+ */
+export function filterTextScore(collectionName, filter, idExpression) {
+  if (!filter.text) return undefined;
+  if (filter.text.match === null) return "NULL";
+  const names = textNames(textTableName(collectionName));
+  return `(SELECT -rank FROM ${names.fts} WHERE ${names.fts} MATCH ${sqlString(
+    filter.text.match
+  )} AND rowid = (SELECT rowid FROM ${names.ids} WHERE _id = ${idExpression}))`;
+}
+
+/**
+ * Tells whether a value is `{ $meta: "textScore" }`.
+ *
+ * @param {any} value - A projection, sort or field value.
+ * @returns {boolean} - `true` for a text score reference.
+ */
+export function isTextScore(value) {
+  if (typeof value !== "object" || value === null || !("$meta" in value)) {
+    return false;
+  }
+  if (value.$meta !== "textScore" || Object.keys(value).length !== 1) {
+    throw new BadValue(`Unsupported $meta: ${JSON.stringify(value.$meta)}`);
+  }
+  return true;
+}
+
+function textLanguage(language) {
+  const name = LANGUAGES[language];
+  if (!name) {
+    throw new BadValue(
+      `Unsupported text search language: ${language} (use "english" or "none")`
+    );
+  }
+  return name;
+}
+
+// Quoted names of the tables and triggers of a text index
+function textNames(sqliteName) {
+  return {
+    fts: quoteIdentifier(sqliteName),
+    ids: quoteIdentifier(`${sqliteName}.ids`),
+    insert: quoteIdentifier(`${sqliteName}.insert`),
+    update: quoteIdentifier(`${sqliteName}.update`),
+    delete: quoteIdentifier(`${sqliteName}.delete`),
+  };
+}
+
+// Translates MongoDB's search string into FTS5 syntax. Terms match if any of
+// them is present, "quoted phrases" must all be present, and -terms exclude.
+function searchQuery(search) {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+  for (const [, phrase, word] of search.matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (phrase !== undefined) {
+      if (phrase.trim()) phrases.push(phrase);
+    } else if (word.startsWith("-") && word.length > 1) {
+      excluded.push(word.slice(1));
+    } else {
+      terms.push(word);
+    }
+  }
+
+  const quote = (text) => `"${text.replace(/"/g, '""')}"`;
+  const required = phrases.length > 0 ? phrases : null;
+  const positive = required
+    ? required.map(quote).join(" AND ")
+    : terms.map(quote).join(" OR ");
+  if (!positive) return null;
+  return `(${positive})${excluded
+    .map((word) => ` NOT ${quote(word)}`)
+    .join("")}`;
+}
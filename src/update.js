@@ -0,0 +1,389 @@
+/**
+ * Update operators.
+ *
+ * Applies MongoDB-style update documents to a parsed JSON document. The docstore
+ * runs `applyUpdate` inside a SQLite write transaction for every matched row, so
+ * an update is applied atomically and concurrent writers never interleave.
+ *
+ * Supported operators:
+ * - Fields: `$set`, `$unset`, `$setOnInsert`, `$rename`, `$currentDate`
+ * - Numbers: `$inc`, `$mul`, `$min`, `$max`
+ * - Arrays: `$push` (with `$each`, `$slice`, `$sort`, `$position`), `$pull`, `$addToSet` (with `$each`), `$pop`
+ */
+
+import { cloneDocument, serialize } from "./codec.js";
+import {
+  BadValue,
+  ConflictingUpdateOperators,
+  ImmutableField,
+  TypeMismatch,
+} from "./errors.js";
+
+const UPDATE_OPERATORS = [
+  "$set",
+  "$unset",
+  "$setOnInsert",
+  "$rename",
+  "$currentDate",
+  "$inc",
+  "$mul",
+  "$min",
+  "$max",
+  "$push",
+  "$pull",
+  "$addToSet",
+  "$pop",
+];
+
+/**
+ * Tells whether an update is made of operators (`{ $set: ... }`) rather than a
+ * replacement document. Mixing both styles is rejected.
+ *
+ * @param {object} update - Update or replacement document.
+ * @returns {boolean} - `true` for an operator update.
+ */
+export function isOperatorUpdate(update) {
+  if (typeof update !== "object" || update === null || Array.isArray(update)) {
+    throw new BadValue("Update must be an object");
+  }
+  const keys = Object.keys(update);
+  const operators = keys.filter((key) => key.startsWith("$"));
+  if (operators.length > 0 && operators.length !== keys.length) {
+    throw new BadValue("Update cannot mix operators and plain fields");
+  }
+  return operators.length > 0;
+}
+
+/**
+ * Applies an operator update to a document without mutating it.
+ *
+ * @param {object} document - The current document.
+ * @param {object} update - Update document, e.g. `{ $set: { a: 1 }, $inc: { n: 1 } }`.
+ * @param {object} [options] - Update options.
+ * @param {boolean} [options.isInsert=false] - Whether the document is being created by an upsert (enables `$setOnInsert`).
+ * @param {(array: any[], condition: any) => number[]} options.matchElements - Returns the indexes of the array elements matching a `$pull` condition.
+ * @returns {object} - The updated document.
+ */
+export function applyUpdate(document, update, options = {}) {
+  const result = cloneDocument(document);
+  // Every path written so far, to reject two operators writing the same one
+  const written = [];
+
+  for (const [operator, fields] of Object.entries(update)) {
+    if (!UPDATE_OPERATORS.includes(operator)) {
+      throw new BadValue(`Unsupported update operator: ${operator}`);
+    }
+    if (typeof fields !== "object" || fields === null) {
+      throw new BadValue(`${operator} needs an object of fields`);
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (field === "_id" && operator !== "$setOnInsert") {
+        throw new ImmutableField(
+          "Performing an update on the path '_id' is not allowed"
+        );
+      }
+      claimPath(written, field);
+      if (operator === "$rename" && typeof value === "string") {
+        claimPath(written, value);
+      }
+      applyOperator(result, operator, field, value, options);
+    }
+  }
+
+  return result;
+}
+
+// Records a path an update writes, unless an earlier operator writes it, a path
+// inside it, or a path it is inside
+function claimPath(written, path) {
+  const conflict = written.find(
+    (other) =>
+      other === path ||
+      other.startsWith(`${path}.`) ||
+      path.startsWith(`${other}.`)
+  );
+  if (conflict !== undefined) {
+    throw new ConflictingUpdateOperators(
+      `Updating the path '${path}' would create a conflict at '${conflict}'`
+    );
+  }
+  written.push(path);
+}
+
+/**
+ * Builds the base document of an upsert from the equality conditions of a filter.
+ *
+ * @param {object} filter - The query filter of the update.
+ * @returns {object} - The seed document.
+ */
+export function upsertSeed(filter = {}) {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === "$and" && Array.isArray(condition)) {
+      for (const sub of condition) Object.assign(seed, upsertSeed(sub));
+    } else if (key.startsWith("$")) {
+      continue;
+    } else if (isOperatorObject(condition)) {
+      if ("$eq" in condition) setPath(seed, key, condition.$eq);
+    } else if (!(condition instanceof RegExp)) {
+      setPath(seed, key, condition);
+    }
+  }
+  return seed;
+}
+
+function isOperatorObject(value) {
+  return (
+    typeof value === "object" &&
+    value !== null &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0 &&
+    Object.keys(value).every((key) => key.startsWith("$"))
+  );
+}
+
+function applyOperator(document, operator, field, value, options) {
+  const current = getPath(document, field);
+
+  switch (operator) {
+    case "$setOnInsert":
+      if (options.isInsert) setPath(document, field, value);
+      break;
+    case "$set":
+      setPath(document, field, value);
+      break;
+    case "$unset":
+      unsetPath(document, field);
+      break;
+    case "$rename":
+      if (typeof value !== "string") {
+        throw new BadValue("$rename needs a string target");
+      }
+      if (current !== undefined) {
+        unsetPath(document, field);
+        setPath(document, value, current);
+      }
+      break;
+    case "$currentDate":
+      setPath(
+        document,
+        field,
+        value && value.$type === "timestamp" ? Date.now() : new Date()
+      );
+      break;
+    case "$inc":
+    case "$mul":
+      if (!isNumeric(value)) {
+        throw new BadValue(`${operator} needs a numeric value for "${field}"`);
+      }
+      if (current !== undefined && !isNumeric(current)) {
+        throw new TypeMismatch(
+          `Cannot apply ${operator} to a value of non-numeric type at "${field}"`
+        );
+      }
+      setPath(document, field, arithmetic(operator, current ?? 0, value));
+      break;
+    case "$min":
+    case "$max": {
+      const order = current === undefined ? 0 : compareValues(value, current);
+      if (
+        current === undefined ||
+        (operator === "$min" ? order < 0 : order > 0)
+      ) {
+        setPath(document, field, value);
+      }
+      break;
+    }
+    case "$push":
+      setPath(document, field, pushValues(arrayAt(current, field), value));
+      break;
+    case "$addToSet": {
+      const array = arrayAt(current, field).slice();
+      const values =
+        isOperatorObject(value) && "$each" in value ? value.$each : [value];
+      for (const item of values) {
+        if (!array.some((existing) => isDeepEqual(existing, item))) {
+          array.push(item);
+        }
+      }
+      setPath(document, field, array);
+      break;
+    }
+    case "$pop":
+      if (current !== undefined) {
+        const array = arrayAt(current, field).slice();
+        if (value === -1) array.shift();
+        else array.pop();
+        setPath(document, field, array);
+      }
+      break;
+    case "$pull":
+      if (current !== undefined) {
+        const array = arrayAt(current, field);
+        const removed = new Set(options.matchElements(array, value));
+        setPath(
+          document,
+          field,
+          array.filter((_, index) => !removed.has(index))
+        );
+      }
+      break;
+  }
+}
+
+function isNumeric(value) {
+  return typeof value === "number" || typeof value === "bigint";
+}
+
+// BigInt arithmetic stays exact; with a fractional number it becomes a double,
+// as a long does with a double in MongoDB
+function arithmetic(operator, a, b) {
+  if (typeof a !== typeof b) {
+    const exact = [a, b].every(
+      (value) => typeof value === "bigint" || Number.isInteger(value)
+    );
+    a = exact ? BigInt(a) : Number(a);
+    b = exact ? BigInt(b) : Number(b);
+  }
+  return operator === "$inc" ? a + b : a * b;
+}
+
+function arrayAt(value, field) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new TypeMismatch(`The field "${field}" must be an array`);
+  }
+  return value;
+}
+
+function pushValues(array, value) {
+  const modifiers =
+    isOperatorObject(value) && "$each" in value ? value : { $each: [value] };
+  if (!Array.isArray(modifiers.$each)) {
+    throw new BadValue("$each needs an array");
+  }
+
+  let result = array.slice();
+  const position = modifiers.$position ?? result.length;
+  result.splice(position, 0, ...modifiers.$each);
+
+  if (modifiers.$sort !== undefined) {
+    const sort = modifiers.$sort;
+    result.sort((a, b) => {
+      if (typeof sort === "number") return compareValues(a, b) * sort;
+      for (const [key, direction] of Object.entries(sort)) {
+        const order = compareValues(getPath(a, key), getPath(b, key));
+        if (order !== 0) return order * direction;
+      }
+      return 0;
+    });
+  }
+
+  if (modifiers.$slice !== undefined) {
+    result =
+      modifiers.$slice < 0
+        ? result.slice(modifiers.$slice)
+        : result.slice(0, modifiers.$slice);
+  }
+
+  return result;
+}
+
+/**
+ * Orders two values the way `$min`, `$max` and `$sort` do: missing/null first,
+ * then numbers, strings, objects, arrays and booleans.
+ *
+ * @param {any} a - First value.
+ * @param {any} b - Second value.
+ * @returns {number} - Negative, zero or positive.
+ */
+export function compareValues(a, b) {
+  const rank = (value) => {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === "number" || typeof value === "bigint") return 1;
+    if (typeof value === "string") return 2;
+    if (Array.isArray(value)) return 4;
+    if (typeof value === "boolean") return 5;
+    if (value instanceof Date) return 6;
+    return 3;
+  };
+  const rankA = rank(a);
+  const rankB = rank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  if (rankA === 3 || rankA === 4) {
+    const textA = serialize(a);
+    const textB = serialize(b);
+    return textA < textB ? -1 : textA > textB ? 1 : 0;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function isDeepEqual(a, b) {
+  return serialize(a) === serialize(b);
+}
+
+/**
+ * Reads the value at a dotted path.
+ *
+ * @param {object} document - The document.
+ * @param {string} path - Dotted path; numeric segments index into arrays.
+ * @returns {any} - The value, or `undefined` when missing.
+ */
+export function getPath(document, path) {
+  let current = document;
+  for (const segment of path.split(".")) {
+    if (current === null || typeof current !== "object") return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Writes the value at a dotted path, creating intermediate objects. An index
+ * past the end of an array pads it with `null`s, as in MongoDB.
+ *
+ * @param {object} document - The document to mutate.
+ * @param {string} path - Dotted path; numeric segments index into arrays.
+ * @param {any} value - The value to store.
+ */
+export function setPath(document, path, value) {
+  const segments = path.split(".");
+  let current = document;
+  for (const segment of segments.slice(0, -1)) {
+    if (current[segment] === undefined || current[segment] === null) {
+      assign(current, segment, {});
+    } else if (typeof current[segment] !== "object") {
+      throw new TypeMismatch(`Cannot create field in non-object at "${path}"`);
+    }
+    current = current[segment];
+  }
+  assign(current, segments[segments.length - 1], value);
+}
+
+function assign(target, key, value) {
+  if (Array.isArray(target) && /^\d+$/.test(key)) {
+    while (target.length < Number(key)) target.push(null);
+  }
+  target[key] = value;
+}
+
+/**
+ * Removes the value at a dotted path. Array elements are set to `null`, as in MongoDB.
+ *
+ * @param {object} document - The document to mutate.
+ * @param {string} path - Dotted path.
+ */
+export function unsetPath(document, path) {
+  const segments = path.split(".");
+  const parent = getPath(document, segments.slice(0, -1).join(".") || "");
+  const target = segments.length > 1 ? parent : document;
+  const key = segments[segments.length - 1];
+  if (target === null || typeof target !== "object") return;
+  if (Array.isArray(target)) {
+    if (key in target) target[key] = null;
+  } else {
+    delete target[key];
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * Document validation.
+ *
+ * Collections can be created with a validator in the same shape MongoDB uses:
+ * a `$jsonSchema` document, plain query operators, or both.
+ *
+ * Supported `$jsonSchema` keywords: `bsonType`, `type`, `enum`, `required`,
+ * `properties`, `patternProperties`, `additionalProperties`, `minProperties`,
+ * `maxProperties`, `items`, `additionalItems`, `minItems`, `maxItems`,
+ * `uniqueItems`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `multipleOf`, `minLength`, `maxLength`, `pattern`, `allOf`, `anyOf`, `oneOf`
+ * and `not`. `title` and `description` are accepted and ignored.
+ *
+ * With `validationLevel: "moderate"`, updates to documents that already failed
+ * validation are let through; `"off"` disables checks. With
+ * `validationAction: "warn"`, failures are logged instead of thrown.
+ */
+
+import { readCollectionOptions } from "./catalog.js";
+import { ObjectId, isPlainObject, serialize } from "./codec.js";
+import { BadValue, ValidationError } from "./errors.js";
+import { compileFilter } from "./filter.js";
+
+export const VALIDATION_LEVELS = ["off", "strict", "moderate"];
+export const VALIDATION_ACTIONS = ["error", "warn"];
+
+const BSON_TYPES = {
+  object: (value) => isPlainObject(value),
+  array: (value) => Array.isArray(value),
+  string: (value) => typeof value === "string",
+  bool: (value) => typeof value === "boolean",
+  boolean: (value) => typeof value === "boolean",
+  null: (value) => value === null,
+  int: (value) =>
+    Number.isInteger(value) && value >= -(2 ** 31) && value < 2 ** 31,
+  long: (value) => Number.isInteger(value) || typeof value === "bigint",
+  integer: (value) => Number.isInteger(value) || typeof value === "bigint",
+  double: (value) => typeof value === "number",
+  decimal: (value) => typeof value === "number",
+  number: (value) => typeof value === "number" || typeof value === "bigint",
+  date: (value) => value instanceof Date,
+  objectId: (value) => value instanceof ObjectId,
+  binData: (value) => value instanceof Uint8Array,
+  regex: (value) => value instanceof RegExp,
+};
+
+/**
+ * Validates a value against a JSON Schema.
+ *
+ * @param {object} schema - The `$jsonSchema` document.
+ * @param {any} value - The value to check.
+ * @param {string} [path=""] - Dotted path of `value` inside the document.
+ * @returns {{ path: string, keyword: string, message: string }[]} - Failures; empty when valid.
+ */
+export function validateSchema(schema, value, path = "") {
+  const failures = [];
+  const fail = (keyword, message, at = path) =>
+    failures.push({ path: at, keyword, message });
+  const child = (key) => (path ? `${path}.${key}` : String(key));
+
+  for (const keyword of ["bsonType", "type"]) {
+    if (schema[keyword] === undefined) continue;
+    const types = [].concat(schema[keyword]);
+    for (const type of types) {
+      if (!BSON_TYPES[type])
+        throw new BadValue(`Unsupported ${keyword}: ${type}`);
+    }
+    if (!types.some((type) => BSON_TYPES[type](value))) {
+      fail(keyword, `must be of type ${types.join(" or ")}`);
+      return failures;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((item) => isEqual(item, value))) {
+    fail("enum", `must be one of ${serialize(schema.enum)}`);
+  }
+
+  if (BSON_TYPES.object(value)) {
+    const keys = Object.keys(value);
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail("required", "is required", child(key));
+    }
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      fail(
+        "minProperties",
+        `must have at least ${schema.minProperties} properties`
+      );
+    }
+    if (
+      schema.maxProperties !== undefined &&
+      keys.length > schema.maxProperties
+    ) {
+      fail(
+        "maxProperties",
+        `must have at most ${schema.maxProperties} properties`
+      );
+    }
+
+    for (const key of keys) {
+      let matched = false;
+      if (schema.properties && key in schema.properties) {
+        matched = true;
+        failures.push(
+          ...validateSchema(schema.properties[key], value[key], child(key))
+        );
+      }
+      for (const [pattern, subschema] of Object.entries(
+        schema.patternProperties || {}
+      )) {
+        if (new RegExp(pattern).test(key)) {
+          matched = true;
+          failures.push(...validateSchema(subschema, value[key], child(key)));
+        }
+      }
+      if (!matched && schema.additionalProperties === false) {
+        fail("additionalProperties", "is not allowed", child(key));
+      } else if (!matched && typeof schema.additionalProperties === "object") {
+        failures.push(
+          ...validateSchema(schema.additionalProperties, value[key], child(key))
+        );
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map((item) => serialize(item)));
+      if (seen.size !== value.length)
+        fail("uniqueItems", "must have unique items");
+    }
+    if (Array.isArray(schema.items)) {
+      value.forEach((item, index) => {
+        if (index < schema.items.length) {
+          failures.push(
+            ...validateSchema(schema.items[index], item, child(index))
+          );
+        } else if (schema.additionalItems === false) {
+          fail("additionalItems", "is not allowed", child(index));
+        } else if (typeof schema.additionalItems === "object") {
+          failures.push(
+            ...validateSchema(schema.additionalItems, item, child(index))
+          );
+        }
+      });
+    } else if (schema.items) {
+      value.forEach((item, index) => {
+        failures.push(...validateSchema(schema.items, item, child(index)));
+      });
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined) {
+      if (
+        schema.exclusiveMinimum === true
+          ? value <= schema.minimum
+          : value < schema.minimum
+      ) {
+        fail(
+          "minimum",
+          `must be ${schema.exclusiveMinimum === true ? ">" : ">="} ${
+            schema.minimum
+          }`
+        );
+      }
+    }
+    if (schema.maximum !== undefined) {
+      if (
+        schema.exclusiveMaximum === true
+          ? value >= schema.maximum
+          : value > schema.maximum
+      ) {
+        fail(
+          "maximum",
+          `must be ${schema.exclusiveMaximum === true ? "<" : "<="} ${
+            schema.maximum
+          }`
+        );
+      }
+    }
+    if (
+      typeof schema.exclusiveMinimum === "number" &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      typeof schema.exclusiveMaximum === "number" &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
+      fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    }
+    if (
+      schema.pattern !== undefined &&
+      !new RegExp(schema.pattern).test(value)
+    ) {
+      fail("pattern", `must match ${schema.pattern}`);
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    failures.push(...validateSchema(subschema, value, path));
+  }
+  if (
+    schema.anyOf &&
+    !schema.anyOf.some((sub) => validateSchema(sub, value, path).length === 0)
+  ) {
+    fail("anyOf", "must match at least one schema in anyOf");
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(
+      (sub) => validateSchema(sub, value, path).length === 0
+    );
+    if (matches.length !== 1)
+      fail("oneOf", "must match exactly one schema in oneOf");
+  }
+  if (schema.not && validateSchema(schema.not, value, path).length === 0) {
+    fail("not", "must not match the schema in not");
+  }
+
+  return failures;
+}
+
+/**
+ * Checks the validation options given to `createCollection` or `collMod`.
+ *
+ * @param {object} options - Collection options.
+ * @returns {{ validator?: object, validationLevel?: string, validationAction?: string }} - The validation options that were given.
+ */
+export function validationOptions(options) {
+  const { validator, validationLevel, validationAction } = options;
+  if (validator !== undefined) {
+    if (typeof validator !== "object" || validator === null) {
+      throw new BadValue("validator must be an object");
+    }
+    // Fails early on unknown query operators
+    const { $jsonSchema, ...query } = validator;
+    compileFilter(query, { idColumn: null });
+  }
+  if (
+    validationLevel !== undefined &&
+    !VALIDATION_LEVELS.includes(validationLevel)
+  ) {
+    throw new BadValue(
+      `validationLevel must be one of ${VALIDATION_LEVELS.join(", ")}`
+    );
+  }
+  if (
+    validationAction !== undefined &&
+    !VALIDATION_ACTIONS.includes(validationAction)
+  ) {
+    throw new BadValue(
+      `validationAction must be one of ${VALIDATION_ACTIONS.join(", ")}`
+    );
+  }
+  return Object.fromEntries(
+    Object.entries({ validator, validationLevel, validationAction }).filter(
+      ([, value]) => value !== undefined
+    )
+  );
+}
+
+/**
+ * Loads the validator stored for a collection.
+ *
+ * @param {object} db - The SQLite connection.
+ * @param {string} collectionName - The collection being written.
+ * @param {{ bypassDocumentValidation?: boolean, logger?: object }} [options] - Write options, and the logger that receives `warn` failures.
+ * @returns {((document: object, previous?: object) => void) | null} - Checks a new document (and, for updates, the document it replaces); `null` when nothing needs checking.
+ */
+export function loadValidator(db, collectionName, options = {}) {
+  const {
+    validator,
+    validationLevel = "strict",
+    validationAction = "error",
+  } = readCollectionOptions(db, collectionName);
+  if (
+    !validator ||
+    Object.keys(validator).length === 0 ||
+    validationLevel === "off" ||
+    options.bypassDocumentValidation
+  ) {
+    return null;
+  }
+
+  // Query operators next to `$jsonSchema` are evaluated by SQLite, like a filter
+  const { $jsonSchema, ...query } = validator;
+  const filter =
+    Object.keys(query).length > 0
+      ? compileFilter(query, { idColumn: null })
+      : null;
+  const match =
+    filter &&
+    db.prepare(
+      `SELECT 1 FROM (SELECT json(?) AS document) WHERE ${filter.sql}`
+    );
+
+  const failuresOf = (document) => {
+    const failures = $jsonSchema ? validateSchema($jsonSchema, document) : [];
+    if (match && !match.get(serialize(document), ...filter.params)) {
+      failures.push({
+        path: "",
+        keyword: "query",
+        message: "does not match the validator query",
+      });
+    }
+    return failures;
+  };
+
+  return (document, previous) => {
+    if (
+      previous &&
+      validationLevel === "moderate" &&
+      failuresOf(previous).length > 0
+    ) {
+      return;
+    }
+    const failures = failuresOf(document);
+    if (failures.length === 0) return;
+
+    const error = new ValidationError(collectionName, failures);
+    if (validationAction === "warn") {
+      options.logger?.warn(error.message);
+    } else {
+      throw error;
+    }
+  };
+}
+
+function isEqual(a, b) {
+  return serialize(a) === serialize(b);
+}
@@ -0,0 +1,61 @@
+/**
+ * Worker thread of the Promise-based docstore (see async.js).
+ *
+ * Opens its own connection with the options in `workerData` and runs the calls
+ * posted to it one at a time, in the order they arrive. Arguments and results
+ * travel as Extended JSON; errors as their name, message, stack and own
+ * properties, so the caller can rebuild the same error class.
+ */
+
+import { parentPort, workerData } from "node:worker_threads";
+import { Cursor } from "./cursor.js";
+import { deserialize, serialize } from "./codec.js";
+import { sqliteDocstore } from "./index.js";
+
+const { fileName, options, logLevels } = workerData;
+
+// Log calls are forwarded to the logger of the calling thread
+const logger = Object.fromEntries(
+  logLevels.map((level) => [
+    level,
+    (...args) =>
+      parentPort.postMessage({ log: level, args: args.map(loggable) }),
+  ])
+);
+
+let store;
+try {
+  store = sqliteDocstore.init(fileName, { ...options, logger });
+  parentPort.postMessage({ ready: true });
+} catch (err) {
+  parentPort.postMessage({ ready: false, error: encodeError(err) });
+}
+
+parentPort.on("message", async ({ id, method, args }) => {
+  try {
+    let result = await store[method](
+      ...args.map((arg) => (arg === undefined ? undefined : deserialize(arg)))
+    );
+    if (result instanceof Cursor) result = result.toArray();
+    else if (method === "exportCollection") result = Array.from(result);
+    parentPort.postMessage({ id, result: serialize(result) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: encodeError(err) });
+  }
+  if (method === "close") parentPort.close();
+});
+
+function encodeError(err) {
+  if (!(err instanceof Error)) {
+    return { name: "Error", message: String(err), properties: "{}" };
+  }
+  const { name, message, stack } = err;
+  return { name, message, stack, properties: serialize({ ...err }) ?? "{}" };
+}
+
+function loggable(arg) {
+  if (arg instanceof Error || typeof arg !== "object" || arg === null) {
+    return typeof arg === "function" ? String(arg) : arg;
+  }
+  return serialize(arg);
+}